@@ -6,7 +6,12 @@ import {
   initCommand,
   updateCommand,
   configCommand,
-  removeCommand
+  doctorCommand,
+  removeCommand,
+  enableCommand,
+  disableCommand,
+  diffCommand,
+  rollbackCommand
 } from './src/commands.js';
 import { getToolVersion } from './src/file-operations.js';
 
@@ -24,8 +29,12 @@ program
 program
   .command('init')
   .description('Initialize development environment setup')
-  .option('-t, --tool <tool>', 'Specify tool (cursor, windsurf, vscode)')
+  .option(
+    '-t, --tool <tool>',
+    'Specify tool(s), comma-separated (e.g. claude,cursor)'
+  )
   .option('-p, --project <type>', 'Specify project type (drupal, none)')
+  .option('--auto', 'Use the detected project type without asking')
   .option('--skip-tasks <tasks>', 'Skip specific tasks (comma-separated)')
   .option('--tasks <tasks>', 'Only run specific tasks (comma-separated)')
   .option('--all-tasks', 'Run all tasks without prompts')
@@ -37,6 +46,7 @@ program
     '--local',
     'Use local files instead of Git repository (for development)'
   )
+  .option('--offline', 'Use cached repositories only, without network access')
   .action(initCommand);
 
 program
@@ -44,16 +54,24 @@ program
   .description('Update existing development environment setup')
   .option('-t, --tool <tool>', 'Override stored tool setting')
   .option('-p, --project <type>', 'Override stored project type (drupal, none)')
-  .option('--skip-tasks <tasks>', 'Skip specific tasks (comma-separated)')
-  .option('--tasks <tasks>', 'Only run specific tasks (comma-separated)')
-  .option('--all-tasks', 'Run all tasks without prompts')
+  .option('--skip-tasks <tasks>', 'Skip specific new tasks (comma-separated)')
+  .option(
+    '--tasks <tasks>',
+    'Only enable these of the new tasks (comma-separated)'
+  )
+  .option('--all-tasks', 'Enable all new tasks without prompts')
   .option('-v, --verbose', 'Verbose output')
   .option('--dry-run', 'Show what would be updated without executing')
   .option('-F, --force', 'Force update - recreate configuration if corrupted')
+  .option(
+    '--refresh-lock',
+    'Move the lock file to the latest remote commits and show changed files'
+  )
   .option(
     '--local',
     'Use local files instead of Git repository (for development)'
   )
+  .option('--offline', 'Use cached repositories only, without network access')
   .action(updateCommand);
 
 program
@@ -62,16 +80,81 @@ program
   .option('-v, --verbose', 'Show detailed file information')
   .option('--json', 'Output in JSON format')
   .option('--check-updates', 'Check for available updates')
+  .option(
+    '--sources',
+    'Show which configuration layer defines each tool and task'
+  )
   .action(configCommand);
 
+program
+  .command('doctor')
+  .description('Diagnose the current setup and report problems')
+  .option('-v, --verbose', 'Verbose output')
+  .option('--json', 'Output in JSON format')
+  .action(doctorCommand);
+
+program
+  .command('diff')
+  .description('Show what an update would change in the installed files')
+  .option('--stat', 'Only list changed files with line counts')
+  .option('--json', 'Output in JSON format')
+  .option('-v, --verbose', 'Verbose output')
+  .option(
+    '--local',
+    'Use local files instead of Git repository (for development)'
+  )
+  .option('--offline', 'Use cached repositories only, without network access')
+  .option(
+    '--refresh-lock',
+    'Preview the latest remote commits instead of the locked ones'
+  )
+  .action(diffCommand);
+
 program
   .command('remove')
   .description('Remove all files and configuration created by lullabot-project')
   .option('-v, --verbose', 'Verbose output')
   .option('--dry-run', 'Show what would be removed without executing')
   .option('-f, --force', 'Force removal without confirmation')
+  .option('--tasks <tasks>', 'Only remove specific tasks (comma-separated)')
   .action(removeCommand);
 
+program
+  .command('enable <tasks>')
+  .description(
+    'Run tasks skipped during init and add them to the setup (comma-separated task IDs)'
+  )
+  .option('-v, --verbose', 'Verbose output')
+  .option('--dry-run', 'Show which tasks would run without executing')
+  .option(
+    '--local',
+    'Use local files instead of Git repository (for development)'
+  )
+  .option('--offline', 'Use cached repositories only, without network access')
+  .action(enableCommand);
+
+program
+  .command('disable <tasks>')
+  .description(
+    'Disable tasks and remove only their files (comma-separated task IDs)'
+  )
+  .option('-v, --verbose', 'Verbose output')
+  .option('--dry-run', 'Show what would be removed without executing')
+  .option('-f, --force', 'Disable without confirmation')
+  .action(disableCommand);
+
+program
+  .command('rollback')
+  .description(
+    'Restore the files and configuration saved before the last change'
+  )
+  .option('--to <id>', 'Restore a specific backup instead of the latest')
+  .option('--list', 'List the available backups')
+  .option('-v, --verbose', 'Verbose output')
+  .option('--dry-run', 'Show what would be restored without executing')
+  .option('-f, --force', 'Roll back without confirmation')
+  .action(rollbackCommand);
+
 // Handle errors gracefully
 program.exitOverride();
 
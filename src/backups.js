@@ -0,0 +1,282 @@
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'js-yaml';
+import { ensureProjectDataDir } from './utils/project-data.js';
+
+const BACKUPS_DIR = path.join('.lullabot-project', 'backups');
+const BASE_CONTENT_DIR = path.join('.lullabot-project', 'base');
+const MANIFEST_FILE_NAME = 'manifest.yml';
+const DEFAULT_RETENTION = 5;
+
+// Always part of a snapshot so rollback restores the matching setup
+const PROJECT_FILES = ['.lullabot-project.yml', '.lullabot-project.lock'];
+
+/**
+ * Create a backup ID from a date. IDs sort in the order backups were taken.
+ *
+ * @param {Date} date - Time of the backup
+ * @returns {string} Backup ID (e.g. "2026-10-19T14-30-12-345Z")
+ */
+function createBackupId(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Check that a path stays inside the project before copying or deleting it.
+ */
+function isInsideProject(filePath) {
+  const relativePath = path.relative(process.cwd(), path.resolve(filePath));
+  return (
+    relativePath !== '' &&
+    !relativePath.startsWith('..') &&
+    !path.isAbsolute(relativePath)
+  );
+}
+
+/**
+ * Write the manifest of a backup.
+ */
+async function writeManifest(manifest) {
+  await fs.writeFile(
+    path.join(BACKUPS_DIR, manifest.id, MANIFEST_FILE_NAME),
+    yaml.dump(manifest, { indent: 2 })
+  );
+}
+
+/**
+ * Snapshot files before a command changes them.
+ * Copies the files that exist, the project configuration, the lock file and
+ * the stored upstream content into .lullabot-project/backups/<id>, and writes
+ * a manifest. Files that don't exist yet are recorded so rollback deletes them.
+ *
+ * @param {string} command - Command taking the backup (e.g. "update")
+ * @param {string[]} filePaths - Files the command may change
+ * @param {Object} options - Backup options
+ * @param {number} options.retention - Number of backups to keep, 0 to turn backups off
+ * @returns {Promise<Object|null>} Backup manifest, or null if backups are off
+ */
+async function createBackup(
+  command,
+  filePaths,
+  { retention = DEFAULT_RETENTION } = {}
+) {
+  if (retention < 1) {
+    return null;
+  }
+
+  await ensureProjectDataDir();
+
+  // Backups taken within the same millisecond get a suffix
+  const timestamp = createBackupId();
+  let id = timestamp;
+  for (let suffix = 1; await fs.pathExists(path.join(BACKUPS_DIR, id)); ) {
+    id = `${timestamp}-${suffix++}`;
+  }
+  const backupDir = path.join(BACKUPS_DIR, id);
+
+  const files = [];
+  for (const filePath of new Set([...PROJECT_FILES, ...filePaths])) {
+    if (!filePath || !isInsideProject(filePath)) {
+      continue;
+    }
+
+    const existed = await fs.pathExists(filePath);
+    if (existed) {
+      await fs.copy(filePath, path.join(backupDir, 'files', filePath));
+    }
+    files.push({ path: filePath, existed });
+  }
+
+  const base = await fs.pathExists(BASE_CONTENT_DIR);
+  if (base) {
+    await fs.copy(BASE_CONTENT_DIR, path.join(backupDir, 'base'));
+  }
+
+  const manifest = {
+    id,
+    command,
+    created: new Date().toISOString(),
+    base,
+    files,
+    changes: []
+  };
+  await fs.ensureDir(backupDir);
+  await writeManifest(manifest);
+  await pruneBackups(retention);
+
+  return manifest;
+}
+
+/**
+ * Record what a command changed once it finished.
+ * Files the command added are recorded so rollback deletes them.
+ *
+ * @param {Object|null} manifest - Manifest returned by createBackup
+ * @param {string[]} filePaths - Files tracked after the command
+ * @returns {Promise<Object|null>} Updated manifest
+ */
+async function completeBackup(manifest, filePaths = []) {
+  if (!manifest) {
+    return null;
+  }
+
+  const backupDir = path.join(BACKUPS_DIR, manifest.id);
+  for (const filePath of filePaths) {
+    if (
+      isInsideProject(filePath) &&
+      !manifest.files.some((file) => file.path === filePath)
+    ) {
+      manifest.files.push({ path: filePath, existed: false });
+    }
+  }
+
+  manifest.changes = [];
+  for (const file of manifest.files) {
+    const exists = await fs.pathExists(file.path);
+    let status = null;
+
+    if (!file.existed) {
+      status = exists ? 'added' : null;
+    } else if (!exists) {
+      status = 'deleted';
+    } else {
+      const [before, after] = await Promise.all([
+        fs.readFile(path.join(backupDir, 'files', file.path)),
+        fs.readFile(file.path)
+      ]);
+      status = before.equals(after) ? null : 'modified';
+    }
+
+    if (status) {
+      manifest.changes.push({ path: file.path, status });
+    }
+  }
+
+  await writeManifest(manifest);
+  return manifest;
+}
+
+/**
+ * List the backups of the current project, newest first.
+ * Backups whose manifest can't be read are skipped.
+ *
+ * @returns {Promise<Object[]>} Backup manifests
+ */
+async function listBackups() {
+  if (!(await fs.pathExists(BACKUPS_DIR))) {
+    return [];
+  }
+
+  const backups = [];
+  for (const id of await fs.readdir(BACKUPS_DIR)) {
+    try {
+      const manifest = yaml.load(
+        await fs.readFile(
+          path.join(BACKUPS_DIR, id, MANIFEST_FILE_NAME),
+          'utf8'
+        )
+      );
+      backups.push({ ...manifest, id });
+    } catch (_error) {
+      // Not a backup, or an incomplete one
+    }
+  }
+
+  return backups.sort((a, b) => (a.id < b.id ? 1 : -1));
+}
+
+/**
+ * Delete the oldest backups, keeping the given number.
+ *
+ * @param {number} retention - Number of backups to keep
+ * @returns {Promise<string[]>} IDs of the deleted backups
+ */
+async function pruneBackups(retention = DEFAULT_RETENTION) {
+  const prunedBackups = (await listBackups()).slice(Math.max(retention, 0));
+
+  for (const { id } of prunedBackups) {
+    await fs.remove(path.join(BACKUPS_DIR, id));
+  }
+
+  return prunedBackups.map(({ id }) => id);
+}
+
+/**
+ * Find a backup by ID, or the latest one.
+ *
+ * @param {string} id - Backup ID, or undefined for the latest backup
+ * @returns {Promise<Object>} Backup manifest
+ * @throws {Error} If there are no backups or the ID is unknown
+ */
+async function findBackup(id) {
+  const backups = await listBackups();
+
+  if (backups.length === 0) {
+    throw new Error('No backups found.');
+  }
+
+  if (!id) {
+    return backups[0];
+  }
+
+  const backup = backups.find((candidate) => candidate.id === id);
+  if (!backup) {
+    throw new Error(
+      `Backup not found: ${id}. Available backups: ${backups.map((candidate) => candidate.id).join(', ')}`
+    );
+  }
+
+  return backup;
+}
+
+/**
+ * Restore the files of a backup. Files that didn't exist when it was taken
+ * are deleted, and the stored upstream content is put back.
+ *
+ * @param {Object} manifest - Backup manifest from findBackup
+ * @returns {Promise<Object>} Restored and deleted file paths, and whether the
+ *   stored upstream content was restored
+ */
+async function restoreBackup(manifest) {
+  const backupDir = path.join(BACKUPS_DIR, manifest.id);
+  const restoredFiles = [];
+  const deletedFiles = [];
+
+  for (const file of manifest.files) {
+    if (!isInsideProject(file.path)) {
+      continue;
+    }
+
+    if (file.existed) {
+      await fs.copy(path.join(backupDir, 'files', file.path), file.path, {
+        overwrite: true
+      });
+      restoredFiles.push(file.path);
+    } else if (await fs.pathExists(file.path)) {
+      await fs.remove(file.path);
+      deletedFiles.push(file.path);
+    }
+  }
+
+  // Later updates merge local edits against this content, so it has to match
+  // the restored files even after remove deleted it
+  await fs.remove(BASE_CONTENT_DIR);
+  const restoredBase = manifest.base === true;
+  if (restoredBase) {
+    await fs.copy(path.join(backupDir, 'base'), BASE_CONTENT_DIR);
+  }
+
+  return { restoredFiles, deletedFiles, restoredBase };
+}
+
+export {
+  BACKUPS_DIR,
+  DEFAULT_RETENTION,
+  createBackupId,
+  createBackup,
+  completeBackup,
+  listBackups,
+  pruneBackups,
+  findBackup,
+  restoreBackup
+};
@@ -9,6 +9,8 @@
  * - Extracted utility functions for better testability
  */
 
+import { getFileTasks, isOwnedByTasks } from './utils/tracked-files.js';
+
 /**
  * Initialize development environment setup with comprehensive configuration.
  * Handles both interactive and non-interactive modes, dry runs, and verbose output.
@@ -22,6 +24,7 @@
  * @param {string} options.tasks - Comma-separated list of tasks to enable
  * @param {string} options.skipTasks - Comma-separated list of tasks to skip
  * @param {boolean} options.allTasks - Whether to enable all available tasks
+ * @param {boolean} options.auto - Whether to use the detected project type without asking
  * @param {Object} dependencies - Injected dependencies
  * @param {Function} dependencies.promptUser - Function to get user input
  * @param {Function} dependencies.loadConfig - Function to load configuration
@@ -75,8 +78,13 @@ async function initSetup(options, dependencies) {
       dependencies.getTasks
     );
 
-    // Get tasks for the tool and project type
-    const tasks = await getTasks(config.tool, config.project, fullConfig);
+    // Get tasks for the selected tools and project type
+    const { getTaskTools } = await import('./tool-config.js');
+    const tasks = await getTasks(
+      getTaskTools(config),
+      config.project,
+      fullConfig
+    );
 
     // Validate project if not skipped and project is selected
     if (!options.skipValidation && config.project) {
@@ -87,6 +95,18 @@ async function initSetup(options, dependencies) {
       logFn(chalk.gray('Skipping project validation (no project selected)'));
     }
 
+    // Snapshot an existing setup so init can be rolled back
+    const existingConfig = dependencies.readConfigFile
+      ? await dependencies.readConfigFile()
+      : null;
+    if (existingConfig?.backups) {
+      config.backups = existingConfig.backups;
+    }
+    const backup = await backupProject('init', existingConfig, dependencies);
+
+    // Load the lock file so remote sources resolve to the locked commits
+    const lockState = await loadLockState(options, dependencies);
+
     // Execute enabled tasks
     spinner?.start('Executing tasks...');
     const { results, accumulatedFiles } = await executeEnabledTasks(
@@ -94,7 +114,7 @@ async function initSetup(options, dependencies) {
       tasks,
       fullConfig,
       options,
-      dependencies
+      { ...dependencies, lockState }
     );
     spinner?.succeed('Task execution completed');
 
@@ -111,8 +131,22 @@ async function initSetup(options, dependencies) {
     await createConfigFile(config, fullConfig);
     spinner?.succeed('Configuration file created');
 
+    // Store upstream content so later updates can merge local edits
+    if (dependencies.saveBaseContent) {
+      await dependencies.saveBaseContent(config.files);
+    }
+
+    // Record the resolved remote commits
+    await saveLockState(
+      lockState,
+      dependencies,
+      config.features?.taskPreferences || config.taskPreferences
+    );
+    await completeProjectBackup(backup, config, dependencies);
+
     // Display success summary
     displaySuccessSummary(config, results, { chalk, logFn });
+    displayBackupNotice(backup, { chalk, logFn });
   } catch (error) {
     spinner?.fail('Setup failed');
     throw error;
@@ -143,11 +177,16 @@ async function handleDryRun(options, dependencies) {
     dependencies.getTasks
   );
 
-  // Get tasks for the tool and project type
-  const tasks = getTasks(config.tool, config.project, fullConfig);
+  // Get tasks for the selected tools and project type
+  const { getTaskTools, getProjectTools } = await import('./tool-config.js');
+  const tasks = await getTasks(
+    getTaskTools(config),
+    config.project,
+    fullConfig
+  );
 
   logFn('\n📋 Configuration that would be created:');
-  logFn(`• Tool: ${chalk.cyan(config.tool)}`);
+  logFn(`• Tools: ${chalk.cyan(getProjectTools(config).join(', '))}`);
   if (config.project) {
     logFn(`• Project Type: ${chalk.cyan(config.project)}`);
   } else {
@@ -189,19 +228,38 @@ async function handleDryRun(options, dependencies) {
       } else if (task.type === 'copy-files') {
         // Replace placeholders in source and target paths
         const source = task.source
-          .replace(/{tool}/g, config.tool)
+          .replace(/{tool}/g, task.tools?.[0] || config.tool)
           .replace(
             /{project-type}/g,
             config.project?.type || config.project || ''
           );
         const target = task.target
-          .replace(/{tool}/g, config.tool)
+          .replace(/{tool}/g, task.tools?.[0] || config.tool)
           .replace(
             /{project-type}/g,
             config.project?.type || config.project || ''
           );
 
         logFn(`• Copy files from: ${source} → ${target}`);
+      } else if (task.type === 'template') {
+        logFn(`• Render template: ${task.source} → ${task.target}`);
+      } else if (task.type === 'json-merge' || task.type === 'yaml-merge') {
+        const keys = task.path
+          ? ` (under ${[].concat(task.path).join('.')})`
+          : '';
+        logFn(
+          `• Merge ${task.type === 'json-merge' ? 'JSON' : 'YAML'}: ${task.source} → ${task.target}${keys}`
+        );
+      } else if (task.type === 'mcp-servers') {
+        const servers =
+          task.servers || Object.keys(fullConfig.mcp_servers || {});
+        logFn(`• Configure MCP servers: ${servers.join(', ') || 'none'}`);
+      } else if (task.type === 'rules-config') {
+        logFn(
+          `• Write the project rules to the ${task.format || task.tools?.[0] || config.tool} configuration`
+        );
+      } else if (task.type === 'gitignore') {
+        logFn('• Update the managed block in .gitignore');
       }
     }
   }
@@ -257,6 +315,46 @@ function processTaskResults(config, results) {
   return updatedConfig;
 }
 
+/**
+ * Add tracked files to the accumulated list, replacing entries for the same path.
+ * Tasks shared by several tools may write the same file more than once; the
+ * first entry knows whether the file existed before setup, the last has its
+ * final hash. Each file lists every task that produced it so tasks can be
+ * removed one at a time without taking files other tasks still need.
+ *
+ * @param {Object[]} accumulatedFiles - Files tracked so far
+ * @param {Object[]} taskFiles - Files tracked by a task
+ * @param {string} taskId - ID of the task that produced the files
+ */
+function addTrackedFiles(accumulatedFiles, taskFiles, taskId) {
+  for (const file of taskFiles) {
+    const owners = getFileTasks(file);
+    const trackedFile = {
+      ...file,
+      tasks: owners.length > 0 ? owners : [taskId]
+    };
+    delete trackedFile.task;
+
+    const index = accumulatedFiles.findIndex(
+      (existing) => existing.path === file.path
+    );
+
+    if (index === -1) {
+      accumulatedFiles.push(trackedFile);
+    } else {
+      const existing = accumulatedFiles[index];
+      trackedFile.tasks = [
+        ...new Set([...getFileTasks(existing), ...trackedFile.tasks])
+      ];
+      delete trackedFile.preExisting;
+      if (existing.preExisting) {
+        trackedFile.preExisting = true;
+      }
+      accumulatedFiles[index] = trackedFile;
+    }
+  }
+}
+
 /**
  * Execute enabled tasks and return results
  */
@@ -268,6 +366,7 @@ async function executeEnabledTasks(
   dependencies
 ) {
   const { executeTask, logFn, chalk } = dependencies;
+  const { tracksFiles } = await import('./task-types/index.js');
 
   const results = [];
 
@@ -289,6 +388,7 @@ async function executeEnabledTasks(
           },
           projectRoot: process.cwd(),
           sharedTasks: fullConfig.shared_tasks, // Pass shared tasks for multi-step tasks
+          mcpServers: fullConfig.mcp_servers, // Pass MCP servers for mcp-servers tasks
           task // Pass task configuration for content filtering
         };
 
@@ -314,31 +414,18 @@ async function executeEnabledTasks(
           }
         }
 
+        // Merged tasks of several tools run with their first tool
         const result = await executeTask(
           task,
-          config.tool,
+          task.tools?.[0] || config.tool,
           config.project,
           options.verbose || false,
           enhancedDependencies
         );
 
         // Accumulate files from this task's result
-        if (
-          (task.type === 'copy-files' ||
-            task.type === 'remote-copy-files' ||
-            task.type === 'multi-step') &&
-          result &&
-          result.files &&
-          Array.isArray(result.files)
-        ) {
-          accumulatedFiles.push(...result.files);
-        } else if (
-          task.type === 'agents-md' &&
-          result &&
-          result.files &&
-          Array.isArray(result.files)
-        ) {
-          accumulatedFiles.push(...result.files);
+        if (tracksFiles(task.type) && Array.isArray(result?.files)) {
+          addTrackedFiles(accumulatedFiles, result.files, taskId);
         }
 
         results.push({ taskId, task, result, success: true });
@@ -362,7 +449,9 @@ function displaySuccessSummary(config, results, dependencies) {
 
   logFn(chalk.green('\n🎉 Setup completed successfully!'));
   logFn('\n📋 Summary:');
-  logFn(`• Tool: ${chalk.cyan(config.tool)}`);
+  logFn(
+    `• ${config.tools?.length > 1 ? 'Tools' : 'Tool'}: ${chalk.cyan((config.tools || [config.tool]).join(', '))}`
+  );
   if (config.project) {
     logFn(`• Project Type: ${chalk.cyan(config.project)}`);
   } else {
@@ -402,6 +491,7 @@ function displaySuccessSummary(config, results, dependencies) {
  * @param {boolean} options.dryRun - Whether to perform a dry run without making changes
  * @param {boolean} options.verbose - Whether to show detailed output
  * @param {boolean} options.force - Whether to force update even with corrupted config
+ * @param {boolean} options.refreshLock - Whether to move the lock file to the latest remote commits
  * @param {string} options.tool - Tool to use (if provided via command line)
  * @param {string} options.project - Project type (if provided via command line)
  * @param {string} options.tasks - Comma-separated list of tasks to enable
@@ -436,18 +526,29 @@ async function updateSetup(options, dependencies) {
 
     // Check if update is needed
     spinner?.start('Checking if update is needed...');
-    const updateNeeded = await checkIfUpdateNeeded(
+    const reasons = await getUpdateReasons(
       currentConfig,
-      options.verbose,
+      fullConfig,
+      options,
       dependencies
     );
 
-    if (!updateNeeded && !options.force) {
+    if (reasons.length === 0 && !options.force && !options.refreshLock) {
       spinner?.succeed('No updates needed');
       logFn(chalk.green('✅ Your setup is already up to date!'));
       return;
     }
 
+    // Locked sources stay on their commits, so new upstream commits alone
+    // are only reported
+    const upstreamOnly = reasons.every(({ type }) => type === 'upstream');
+    if (upstreamOnly && !options.force && !options.refreshLock) {
+      spinner?.succeed('Locked sources have new upstream commits');
+      displayUpdateReasons(reasons, { chalk, logFn });
+      displayRefreshLockHint(reasons, options, { chalk, logFn });
+      return;
+    }
+
     spinner?.succeed('Update needed');
 
     // Handle dry run mode
@@ -456,14 +557,26 @@ async function updateSetup(options, dependencies) {
         currentConfig,
         fullConfig,
         options,
-        dependencies
+        dependencies,
+        reasons
       );
       return;
     }
 
+    // Snapshot the tracked files so the update can be rolled back
+    const backup = await backupProject('update', currentConfig, dependencies);
+
+    // Offer tasks added since install and clean up retired ones
+    const taskChanges = await reconcileTasks(
+      currentConfig,
+      fullConfig,
+      options,
+      dependencies
+    );
+
     // Perform the update
     spinner?.start('Applying updates...');
-    const results = await performUpdate(
+    const { results, merges, lockChanges } = await performUpdate(
       currentConfig,
       fullConfig,
       options,
@@ -472,7 +585,18 @@ async function updateSetup(options, dependencies) {
     spinner?.succeed('Update completed');
 
     // Display update summary
-    displayUpdateSummary(results, { chalk, logFn });
+    displayUpdateSummary(
+      results,
+      { chalk, logFn },
+      merges,
+      lockChanges,
+      reasons
+    );
+    displayRefreshLockHint(reasons, options, { chalk, logFn });
+    displayTaskChanges(taskChanges, { chalk, logFn });
+
+    await completeProjectBackup(backup, currentConfig, dependencies);
+    displayBackupNotice(backup, { chalk, logFn });
   } catch (error) {
     spinner?.fail('Update failed');
     throw error;
@@ -484,337 +608,2190 @@ async function updateSetup(options, dependencies) {
 }
 
 /**
- * Check if an update is needed by comparing versions
+ * Run individual tasks in an existing setup and enable them in the project
+ * configuration, without re-running the other tasks.
+ *
+ * @param {string|string[]} taskNames - Task IDs, comma-separated or as an array
+ * @param {Object} options - Command line options and flags
+ * @param {boolean} options.verbose - Whether to show detailed output
+ * @param {boolean} options.dryRun - Whether to show what would run
+ * @param {Object} dependencies - Injected dependencies
+ * @returns {Promise<void>}
  */
-async function checkIfUpdateNeeded(currentConfig, verbose, dependencies) {
-  const { getToolVersion, logFn, chalk } = dependencies;
+async function enableTasks(taskNames, options, dependencies) {
+  const {
+    readConfigFile,
+    loadConfig,
+    getTasks,
+    chalk,
+    logFn = console.log,
+    spinnerFn
+  } = dependencies;
+
+  const spinner = spinnerFn ? spinnerFn('Preparing tasks...') : null;
 
   try {
-    const currentToolVersion =
-      currentConfig.installation?.toolVersion || currentConfig.toolVersion;
-    const latestToolVersion = await getToolVersion();
+    const currentConfig = await readConfigFile();
+    if (!currentConfig) {
+      throw new Error(
+        'No existing configuration found. Run "lullabot-project init" first.'
+      );
+    }
 
-    if (verbose) {
-      logFn(chalk.gray(`Current tool version: ${currentToolVersion}`));
-      logFn(chalk.gray(`Latest tool version: ${latestToolVersion}`));
+    const fullConfig = await loadConfig();
+    const { getTaskTools } = await import('./tool-config.js');
+    const tasks = await getTasks(
+      getTaskTools(currentConfig),
+      currentConfig.project?.type,
+      fullConfig
+    );
+    const taskIds = matchTaskNames(
+      taskNames,
+      Object.keys(tasks),
+      'Available tasks'
+    );
+
+    if (options.dryRun) {
+      logFn(chalk.blue('🔍 DRY RUN - What would be enabled:'));
+      logFn('─'.repeat(50));
+      taskIds.forEach((taskId) => {
+        logFn(`• ${tasks[taskId].name || taskId} (${chalk.cyan(taskId)})`);
+      });
+      logFn(`\n${'─'.repeat(50)}`);
+      logFn(chalk.yellow('💡 This was a dry run - no changes were made.'));
+      return;
     }
 
-    return currentToolVersion !== latestToolVersion;
+    const backup = await backupProject('enable', currentConfig, dependencies);
+
+    spinner?.start('Executing tasks...');
+    const { results, addedFiles } = await performEnable(
+      currentConfig,
+      Object.fromEntries(taskIds.map((taskId) => [taskId, tasks[taskId]])),
+      fullConfig,
+      options,
+      dependencies
+    );
+    spinner?.succeed('Task execution completed');
+
+    displayEnableSummary(results, addedFiles, { chalk, logFn });
+
+    await completeProjectBackup(
+      backup,
+      { files: [...(currentConfig.files || []), ...addedFiles] },
+      dependencies
+    );
+    displayBackupNotice(backup, { chalk, logFn });
   } catch (error) {
-    if (verbose) {
-      logFn(
-        chalk.yellow(
-          `Warning: Could not determine tool version: ${error.message}`
-        )
-      );
-    }
-    return true; // Assume update is needed if we can't determine version
+    spinner?.fail('Enabling tasks failed');
+    throw error;
+  } finally {
+    // Clean up any temporary repositories from remote-copy-files tasks
+    const { cleanupAllClones } = await import('./git-operations.js');
+    await cleanupAllClones();
   }
 }
 
 /**
- * Handle dry run mode for updates
+ * Run the given tasks and add their files to the project configuration.
+ * Tasks that fail are reported and stay disabled. AGENTS.md is refreshed
+ * when new .ai/ files were added so it references them.
+ *
+ * @param {Object} currentConfig - Current project configuration
+ * @param {Object} tasks - Tasks to run, keyed by task ID
+ * @param {Object} fullConfig - Full tool configuration
+ * @param {Object} options - Command line options
+ * @param {Object} dependencies - Injected dependencies
+ * @returns {Promise<Object>} Task results and the files that were added
  */
-async function handleUpdateDryRun(
+async function performEnable(
   currentConfig,
+  tasks,
   fullConfig,
   options,
   dependencies
 ) {
-  const { chalk, logFn } = dependencies;
-
-  logFn(chalk.blue('🔍 DRY RUN - What would be updated:'));
-  logFn('─'.repeat(50));
-  logFn(`• Current tool version: ${chalk.cyan(currentConfig.toolVersion)}`);
-  logFn(
-    `• Force update: ${options.force ? chalk.yellow('Yes') : chalk.gray('No')}`
+  const { createConfigFile, path } = dependencies;
+  const { getProjectTools } = await import('./tool-config.js');
+  const currentFiles = currentConfig.files || [];
+
+  // Remote sources resolve to the locked commits like in init and update
+  const lockState = await loadLockState(options, dependencies);
+
+  const { results, accumulatedFiles } = await executeEnabledTasks(
+    {
+      ...currentConfig,
+      tool: getProjectTools(currentConfig)[0],
+      project: currentConfig.project?.type,
+      features: {
+        taskPreferences: Object.fromEntries(
+          Object.keys(tasks).map((taskId) => [taskId, true])
+        )
+      },
+      files: currentFiles
+    },
+    tasks,
+    fullConfig,
+    options,
+    { ...dependencies, lockState }
   );
-  logFn('\n🔧 Actions that would be performed:');
-  logFn('• Re-run all enabled tasks');
-  logFn('• Update configuration file');
-  logFn(`\n${'─'.repeat(50)}`);
-  logFn(chalk.yellow('💡 This was a dry run - no changes were made.'));
-}
-
-/**
- * Perform the actual update
- */
-async function performUpdate(currentConfig, fullConfig, options, dependencies) {
-  const { getTasks, executeTask, createConfigFile } = dependencies;
 
-  // Get tasks for the current tool and project
-  const tool = currentConfig.project?.tool || currentConfig.tool;
-  const projectType = currentConfig.project?.type;
-  const tasks = await getTasks(tool, projectType, fullConfig);
-
-  // Execute all enabled tasks
-  const results = [];
+  let files = accumulatedFiles;
+  const addedFiles = files.filter(
+    (fileInfo) => !currentFiles.includes(fileInfo)
+  );
 
-  // Start with empty file list - update should rebuild from scratch
-  const accumulatedFiles = [];
+  // Reference new .ai/ files in AGENTS.md
+  const agentsMd = files.find((fileInfo) => fileInfo?.path === 'AGENTS.md');
+  if (
+    agentsMd &&
+    addedFiles.some((fileInfo) => fileInfo.path?.startsWith('.ai/'))
+  ) {
+    const { refreshAgentsMdReferences } = await import(
+      './task-types/agents-md.js'
+    );
+    const originalHash = await refreshAgentsMdReferences(
+      path.resolve('AGENTS.md'),
+      files
+        .map((fileInfo) => fileInfo?.path)
+        .filter((file) => file?.startsWith('.ai/'))
+    );
+    if (originalHash) {
+      files = files.map((fileInfo) =>
+        fileInfo === agentsMd ? { ...agentsMd, originalHash } : fileInfo
+      );
+    }
+  }
 
-  for (const [taskId, task] of Object.entries(tasks)) {
-    if (
-      currentConfig.features?.taskPreferences?.[taskId] ||
-      currentConfig.taskPreferences?.[taskId]
-    ) {
-      try {
-        // Add config and projectRoot to dependencies for tasks that need them
-        const enhancedDependencies = {
-          ...dependencies,
-          config: {
-            ...currentConfig,
-            files: accumulatedFiles // Pass accumulated files to tasks
-          },
-          projectRoot: process.cwd(),
-          sharedTasks: fullConfig.shared_tasks // Pass shared tasks for multi-step tasks
-        };
+  const taskPreferences = {
+    ...(currentConfig.features?.taskPreferences ||
+      currentConfig.taskPreferences)
+  };
+  for (const { taskId, success } of results) {
+    if (success) {
+      taskPreferences[taskId] = true;
+    }
+  }
 
-        const result = await executeTask(
-          task,
-          tool,
-          projectType,
-          options.verbose || false,
-          enhancedDependencies
-        );
+  const { packages } = processTaskResults(
+    { packages: { ...currentConfig.packages } },
+    results
+  );
 
-        // Accumulate files from this task's result
-        if (
-          (task.type === 'copy-files' ||
-            task.type === 'remote-copy-files' ||
-            task.type === 'multi-step') &&
-          result &&
-          result.files &&
-          Array.isArray(result.files)
-        ) {
-          accumulatedFiles.push(...result.files);
-        } else if (
-          task.type === 'agents-md' &&
-          result &&
-          result.files &&
-          Array.isArray(result.files)
-        ) {
-          accumulatedFiles.push(...result.files);
-        }
+  await createConfigFile(
+    {
+      ...currentConfig,
+      features: { ...currentConfig.features, taskPreferences },
+      files,
+      packages
+    },
+    fullConfig
+  );
 
-        results.push({ taskId, task, result, success: true });
-      } catch (error) {
-        results.push({ taskId, task, error, success: false });
-      }
-    }
+  // Store the upstream content of the new files for merging local edits
+  if (dependencies.saveBaseContent) {
+    await dependencies.saveBaseContent(addedFiles, { prune: false });
   }
 
-  // Update configuration file with new tool version and accumulated files
-  currentConfig.files = accumulatedFiles;
-  await createConfigFile(currentConfig, fullConfig);
+  await saveLockState(lockState, dependencies, taskPreferences);
 
-  return results;
+  return { results, addedFiles };
 }
 
 /**
- * Display update summary
+ * Display enable summary
  */
-function displayUpdateSummary(results, dependencies) {
+function displayEnableSummary(results, addedFiles, dependencies) {
   const { chalk, logFn } = dependencies;
 
-  logFn(chalk.green('\n🎉 Update completed successfully!'));
-
   const successfulTasks = results.filter((r) => r.success);
   const failedTasks = results.filter((r) => !r.success);
 
   if (successfulTasks.length > 0) {
-    logFn(`\n✅ Successfully updated: ${successfulTasks.length} tasks`);
-    successfulTasks.forEach(({ task }) => {
-      logFn(`  • ${task.name || 'Unknown task'}`);
+    logFn(chalk.green('\n✅ Tasks enabled:'));
+    successfulTasks.forEach(({ taskId, task }) => {
+      logFn(chalk.green(`  • ${task.name || taskId}`));
     });
   }
 
   if (failedTasks.length > 0) {
-    logFn(`\n❌ Failed to update: ${failedTasks.length} tasks`);
-    failedTasks.forEach(({ task, error }) => {
-      logFn(`  • ${task.name || 'Unknown task'}: ${error.message}`);
+    logFn(chalk.red('\n❌ Tasks failed (left disabled):'));
+    failedTasks.forEach(({ taskId, task, error }) => {
+      logFn(chalk.red(`  • ${task.name || taskId}: ${error.message}`));
+    });
+  }
+
+  if (addedFiles.length > 0) {
+    logFn(chalk.blue('\n📁 Files added:'));
+    addedFiles.forEach(({ path: filePath }) => {
+      logFn(chalk.blue(`  • ${filePath}`));
     });
   }
 }
 
 /**
- * Show current configuration and status.
- *
- * @param {Object} options - Command line options and flags
- * @param {boolean} options.checkUpdates - Whether to check for available updates
- * @param {boolean} options.json - Whether to output in JSON format
- * @param {boolean} options.verbose - Whether to show detailed output
- * @param {Object} dependencies - Injected dependencies
- * @returns {Promise<void>}
+ * Check if an update is needed by comparing versions
  */
-async function showConfig(options, dependencies) {
-  const {
-    readConfigFile,
-    loadConfig,
-    chalk,
-    logFn = console.log
-  } = dependencies;
+async function checkIfUpdateNeeded(currentConfig, verbose, dependencies) {
+  const { getToolVersion, logFn, chalk } = dependencies;
 
   try {
-    // Load current configuration
-    const currentConfig = await readConfigFile();
-    if (!currentConfig) {
+    const currentToolVersion =
+      currentConfig.installation?.toolVersion || currentConfig.toolVersion;
+    const latestToolVersion = await getToolVersion();
+
+    if (verbose) {
+      logFn(chalk.gray(`Current tool version: ${currentToolVersion}`));
+      logFn(chalk.gray(`Latest tool version: ${latestToolVersion}`));
+    }
+
+    return currentToolVersion !== latestToolVersion;
+  } catch (error) {
+    if (verbose) {
       logFn(
         chalk.yellow(
-          'No configuration found. Run "lullabot-project init" first.'
+          `Warning: Could not determine tool version: ${error.message}`
         )
       );
-      return;
     }
+    return true; // Assume update is needed if we can't determine version
+  }
+}
 
-    // Load full configuration for additional details
-    const fullConfig = await loadConfig();
+/**
+ * Work out why the setup needs an update: a new lullabot-project version, new
+ * commits in the locked remote sources, or tasks added to or removed from the
+ * configuration since install.
+ *
+ * @param {Object} currentConfig - Current project configuration
+ * @param {Object} fullConfig - Full tool configuration
+ * @param {Object} options - Command line options
+ * @param {boolean} options.offline - Whether to skip checking remote sources
+ * @param {Object} dependencies - Injected dependencies
+ * @returns {Promise<Object[]>} Reasons with a type and message, empty when up to date
+ */
+async function getUpdateReasons(
+  currentConfig,
+  fullConfig,
+  options,
+  dependencies
+) {
+  const { getTasks, getToolVersion } = dependencies;
+  const reasons = [];
 
-    if (options.json) {
-      // Output in JSON format
-      const jsonOutput = {
-        tool: currentConfig.tool,
-        project: currentConfig.project,
-        toolVersion: currentConfig.toolVersion,
-        taskPreferences:
-          currentConfig.features?.taskPreferences ||
-          currentConfig.taskPreferences ||
-          {},
-        files: currentConfig.files || [],
-        packages: currentConfig.packages || {}
+  if (await checkIfUpdateNeeded(currentConfig, options.verbose, dependencies)) {
+    const installedVersion =
+      currentConfig.installation?.toolVersion || currentConfig.toolVersion;
+    let latestVersion = 'unknown';
+    try {
+      latestVersion = await getToolVersion();
+    } catch (_error) {
+      // Already reported by checkIfUpdateNeeded in verbose mode
+    }
+    reasons.push({
+      type: 'tool-version',
+      message: `lullabot-project ${installedVersion || 'unknown'} → ${latestVersion}`
+    });
+  }
+
+  if (!options.offline) {
+    reasons.push(
+      ...(await getUpstreamChanges(currentConfig, options, dependencies))
+    );
+  }
+
+  const { getTaskTools } = await import('./tool-config.js');
+  const tasks = await getTasks(
+    getTaskTools(currentConfig),
+    currentConfig.project?.type,
+    fullConfig
+  );
+  const taskPreferences =
+    currentConfig.features?.taskPreferences ||
+    currentConfig.taskPreferences ||
+    {};
+
+  const addedTasks = Object.keys(tasks).filter(
+    (taskId) => !(taskId in taskPreferences)
+  );
+  if (addedTasks.length > 0) {
+    reasons.push({
+      type: 'tasks-added',
+      tasks: addedTasks,
+      message: `New tasks available: ${addedTasks.join(', ')}`
+    });
+  }
+
+  const removedTasks = getRetiredTasks(currentConfig, tasks);
+  if (removedTasks.length > 0) {
+    reasons.push({
+      type: 'tasks-removed',
+      tasks: removedTasks,
+      message: `Tasks no longer in the configuration: ${removedTasks.join(', ')}`
+    });
+  }
+
+  return reasons;
+}
+
+/**
+ * List configured tasks that are no longer available, from the task
+ * preferences and the tasks tracked files belong to.
+ *
+ * @param {Object} currentConfig - Current project configuration
+ * @param {Object} tasks - Tasks available for the configured tools and project
+ * @returns {string[]} IDs of the retired tasks
+ */
+function getRetiredTasks(currentConfig, tasks) {
+  const taskPreferences =
+    currentConfig.features?.taskPreferences ||
+    currentConfig.taskPreferences ||
+    {};
+  const taskIds = [
+    ...Object.keys(taskPreferences),
+    ...(currentConfig.files || []).flatMap(getFileTasks)
+  ];
+
+  return [...new Set(taskIds)].filter((taskId) => taskId && !(taskId in tasks));
+}
+
+/**
+ * Bring the task preferences in line with the available tasks before
+ * updating. New tasks are offered, or chosen with --all-tasks and --tasks,
+ * and the files of retired tasks can be deleted.
+ * Updates the preferences and tracked files of currentConfig.
+ *
+ * @param {Object} currentConfig - Current project configuration
+ * @param {Object} fullConfig - Full tool configuration
+ * @param {Object} options - Command line options
+ * @param {Object} dependencies - Injected dependencies
+ * @param {Function} dependencies.selectTaskPreferences - Asks which of the given tasks to enable
+ * @param {Function} dependencies.confirmAction - Asks before deleting files
+ * @returns {Promise<Object>} Enabled new tasks, retired tasks and deleted or kept files
+ */
+async function reconcileTasks(
+  currentConfig,
+  fullConfig,
+  options,
+  dependencies
+) {
+  const { getTasks, selectTaskPreferences, confirmAction, chalk, logFn } =
+    dependencies;
+  const { getTaskTools } = await import('./tool-config.js');
+  const tasks = await getTasks(
+    getTaskTools(currentConfig),
+    currentConfig.project?.type,
+    fullConfig
+  );
+  const taskPreferences = {
+    ...(currentConfig.features?.taskPreferences ||
+      currentConfig.taskPreferences)
+  };
+  const changes = {
+    addedTasks: [],
+    retiredTasks: [],
+    removedFiles: [],
+    keptFiles: []
+  };
+
+  const newTaskIds = Object.keys(tasks).filter(
+    (taskId) => !(taskId in taskPreferences)
+  );
+  if (newTaskIds.length > 0 && selectTaskPreferences) {
+    if (!options.allTasks && !options.tasks) {
+      logFn(chalk.blue('\n🆕 New tasks are available:'));
+    }
+    const preferences = await selectTaskPreferences(
+      options,
+      Object.fromEntries(newTaskIds.map((taskId) => [taskId, tasks[taskId]]))
+    );
+    Object.assign(taskPreferences, preferences);
+    changes.addedTasks = newTaskIds.filter((taskId) => preferences[taskId]);
+  }
+
+  const retiredTasks = getRetiredTasks(currentConfig, tasks);
+  if (retiredTasks.length > 0) {
+    const retiredFiles = getTaskFiles(currentConfig, retiredTasks);
+    changes.retiredTasks = retiredTasks;
+
+    if (retiredFiles.length > 0) {
+      logFn(
+        chalk.yellow(
+          `\n🗑️  Files of tasks that no longer exist (${retiredTasks.join(', ')}):`
+        )
+      );
+      retiredFiles.forEach((fileInfo) => {
+        logFn(`  • ${fileInfo.path}`);
+      });
+
+      if (await confirmAction('Delete these files?', true)) {
+        const { removedFiles, revertedFiles } = await performTaskRemoval(
+          currentConfig,
+          retiredTasks,
+          options,
+          dependencies
+        );
+        changes.removedFiles = [...removedFiles, ...revertedFiles];
+      } else {
+        changes.keptFiles = retiredFiles.map((fileInfo) => fileInfo.path);
+      }
+    }
+
+    retiredTasks.forEach((taskId) => {
+      delete taskPreferences[taskId];
+    });
+    await removeTaskLockEntries(retiredTasks, dependencies);
+    currentConfig.files = (currentConfig.files || []).filter(
+      (fileInfo) => !retiredFiles.includes(fileInfo)
+    );
+  }
+
+  currentConfig.features = { ...currentConfig.features, taskPreferences };
+  return changes;
+}
+
+/**
+ * Display the tasks added and retired during an update
+ */
+function displayTaskChanges(taskChanges, dependencies) {
+  const { chalk, logFn } = dependencies;
+  const { addedTasks, retiredTasks, removedFiles, keptFiles } = taskChanges;
+
+  if (addedTasks.length > 0) {
+    logFn(chalk.green('\n🆕 Tasks added:'));
+    addedTasks.forEach((taskId) => {
+      logFn(chalk.green(`  • ${taskId}`));
+    });
+  }
+
+  if (retiredTasks.length > 0) {
+    logFn(chalk.yellow('\n🗑️  Retired tasks:'));
+    retiredTasks.forEach((taskId) => {
+      logFn(chalk.yellow(`  • ${taskId}`));
+    });
+  }
+
+  if (removedFiles.length > 0) {
+    logFn(chalk.yellow('\n🗑️  Files deleted:'));
+    removedFiles.forEach((file) => {
+      logFn(chalk.yellow(`  • ${file}`));
+    });
+  }
+
+  if (keptFiles.length > 0) {
+    logFn(chalk.gray('\nℹ️  Kept and no longer tracked:'));
+    keptFiles.forEach((file) => {
+      logFn(chalk.gray(`  • ${file}`));
+    });
+  }
+}
+
+/**
+ * Compare the commits recorded in the lock file with the commits their
+ * branches and tags point to now, using git ls-remote.
+ * Sources that can't be reached and sources of disabled tasks are skipped.
+ *
+ * @param {Object} currentConfig - Current project configuration
+ * @param {Object} options - Command line options
+ * @param {Object} dependencies - Injected dependencies with readLockFile and getRemoteCommit
+ * @returns {Promise<Object[]>} Upstream reasons with repository, ref, previousCommit and commit
+ */
+async function getUpstreamChanges(currentConfig, options, dependencies) {
+  const { readLockFile, getRemoteCommit, chalk, logFn } = dependencies;
+  if (!readLockFile || !getRemoteCommit) {
+    return [];
+  }
+
+  const { isLockEntryEnabled } = await import('./lockfile.js');
+  const taskPreferences =
+    currentConfig.features?.taskPreferences || currentConfig.taskPreferences;
+  const lock = await readLockFile();
+  const changes = [];
+
+  for (const entry of lock?.sources || []) {
+    if (!isLockEntryEnabled(entry, taskPreferences)) {
+      continue;
+    }
+
+    if (
+      !entry.ref ||
+      changes.some(
+        ({ repository, ref }) =>
+          repository === entry.repository && ref === entry.ref
+      )
+    ) {
+      continue;
+    }
+
+    let commit;
+    try {
+      commit = await getRemoteCommit(entry.repository, entry.ref);
+    } catch (error) {
+      if (options.verbose) {
+        logFn(
+          chalk.yellow(
+            `Warning: Could not check ${entry.repository} for new commits: ${error.message}`
+          )
+        );
+      }
+      continue;
+    }
+
+    if (commit && commit !== entry.commit) {
+      changes.push({
+        type: 'upstream',
+        repository: entry.repository,
+        ref: entry.ref,
+        previousCommit: entry.commit,
+        commit,
+        message: `${entry.repository} (${entry.ref}) has new commits: ${String(entry.commit).slice(0, 7)} → ${commit.slice(0, 7)}`
+      });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Display why an update is needed
+ */
+function displayUpdateReasons(reasons, dependencies) {
+  const { chalk, logFn } = dependencies;
+
+  if (reasons.length === 0) {
+    logFn(
+      chalk.gray('\nℹ️  No changes detected; updating because it was requested')
+    );
+    return;
+  }
+
+  logFn('\n🔎 Why an update is needed:');
+  reasons.forEach(({ message }) => {
+    logFn(`  • ${message}`);
+  });
+}
+
+/**
+ * Point to --refresh-lock when locked sources have new upstream commits
+ * that this run left alone.
+ */
+function displayRefreshLockHint(reasons, options, dependencies) {
+  const { chalk, logFn } = dependencies;
+
+  if (!options.refreshLock && reasons.some(({ type }) => type === 'upstream')) {
+    logFn(
+      chalk.yellow(
+        '\n🔒 Remote sources stay on their locked commits. Run "lullabot-project update --refresh-lock" to move to the new commits.'
+      )
+    );
+  }
+}
+
+/**
+ * Handle dry run mode for updates
+ */
+async function handleUpdateDryRun(
+  currentConfig,
+  fullConfig,
+  options,
+  dependencies,
+  reasons = []
+) {
+  const { chalk, logFn } = dependencies;
+
+  logFn(chalk.blue('🔍 DRY RUN - What would be updated:'));
+  logFn('─'.repeat(50));
+  displayUpdateReasons(reasons, { chalk, logFn });
+  logFn(`• Current tool version: ${chalk.cyan(currentConfig.toolVersion)}`);
+  logFn(
+    `• Force update: ${options.force ? chalk.yellow('Yes') : chalk.gray('No')}`
+  );
+  logFn(
+    `• Refresh lock: ${options.refreshLock ? chalk.yellow('Yes') : chalk.gray('No')}`
+  );
+  logFn('\n🔧 Actions that would be performed:');
+  const addedTasks = reasons.find(({ type }) => type === 'tasks-added');
+  if (addedTasks) {
+    logFn(`• Offer new tasks: ${addedTasks.tasks.join(', ')}`);
+  }
+  const retiredTasks = reasons.find(({ type }) => type === 'tasks-removed');
+  if (retiredTasks) {
+    const retiredFiles = getTaskFiles(currentConfig, retiredTasks.tasks);
+    logFn(`• Retire tasks: ${retiredTasks.tasks.join(', ')}`);
+    retiredFiles.forEach((fileInfo) => {
+      logFn(`  - ${fileInfo.path} (asks before deleting)`);
+    });
+  }
+  logFn('• Re-run all enabled tasks');
+  logFn('• Update configuration file');
+  if (options.refreshLock) {
+    logFn('• Move the lock file to the latest remote commits');
+  } else {
+    logFn('• Keep remote sources on their locked commits');
+  }
+  logFn(
+    chalk.gray('\nRun "lullabot-project diff" to see the changes to each file.')
+  );
+  logFn(`\n${'─'.repeat(50)}`);
+  logFn(chalk.yellow('💡 This was a dry run - no changes were made.'));
+}
+
+/**
+ * Perform the actual update
+ */
+async function performUpdate(currentConfig, fullConfig, options, dependencies) {
+  const { getTasks, executeTask, createConfigFile } = dependencies;
+  const { tracksFiles } = await import('./task-types/index.js');
+
+  // Get tasks for the configured tools and project
+  const { getProjectTools, getTaskTools } = await import('./tool-config.js');
+  const tool = getProjectTools(currentConfig)[0];
+  const projectType = currentConfig.project?.type;
+  const tasks = await getTasks(
+    getTaskTools(currentConfig),
+    projectType,
+    fullConfig
+  );
+
+  // Keep local edits so they can be merged after tasks rewrite the files
+  const localEdits = await captureLocalEdits(currentConfig, dependencies);
+
+  // Remote sources stay on their locked commits unless refreshing the lock
+  const lockState = await loadLockState(options, dependencies);
+
+  // Execute all enabled tasks
+  const results = [];
+
+  // Start with empty file list - update should rebuild from scratch
+  const accumulatedFiles = [];
+
+  for (const [taskId, task] of Object.entries(tasks)) {
+    if (
+      currentConfig.features?.taskPreferences?.[taskId] ||
+      currentConfig.taskPreferences?.[taskId]
+    ) {
+      try {
+        // Add config and projectRoot to dependencies for tasks that need them
+        const enhancedDependencies = {
+          ...dependencies,
+          config: {
+            ...currentConfig,
+            files: accumulatedFiles // Pass accumulated files to tasks
+          },
+          previousFiles: currentConfig.files || [], // Files tracked before the update, for merge tasks
+          projectRoot: process.cwd(),
+          sharedTasks: fullConfig.shared_tasks, // Pass shared tasks for multi-step tasks
+          mcpServers: fullConfig.mcp_servers, // Pass MCP servers for mcp-servers tasks
+          lockState
+        };
+
+        // Merged tasks of several tools run with their first tool
+        const result = await executeTask(
+          task,
+          task.tools?.[0] || tool,
+          projectType,
+          options.verbose || false,
+          enhancedDependencies
+        );
+
+        // Accumulate files from this task's result
+        if (tracksFiles(task.type) && Array.isArray(result?.files)) {
+          addTrackedFiles(accumulatedFiles, result.files, taskId);
+        }
+
+        results.push({ taskId, task, result, success: true });
+      } catch (error) {
+        results.push({ taskId, task, error, success: false });
+      }
+    }
+  }
+
+  // Update configuration file with new tool version and accumulated files
+  currentConfig.files = accumulatedFiles;
+  await createConfigFile(currentConfig, fullConfig);
+
+  // Store the new upstream content, then merge local edits back into it
+  if (dependencies.saveBaseContent) {
+    await dependencies.saveBaseContent(accumulatedFiles);
+  }
+  const merges = await mergeLocalEdits(localEdits, dependencies);
+
+  const lockChanges = await saveLockState(
+    lockState,
+    dependencies,
+    currentConfig.features?.taskPreferences || currentConfig.taskPreferences
+  );
+
+  return { results, merges, lockChanges };
+}
+
+/**
+ * Load the lock file into the lock state shared by remote-copy-files tasks.
+ *
+ * @param {Object} options - Command line options and flags
+ * @param {boolean} options.refreshLock - Whether to ignore locked commits
+ * @param {Object} dependencies - Injected dependencies
+ * @returns {Promise<Object|null>} Lock state, or null if lock support is unavailable
+ */
+async function loadLockState(options, dependencies) {
+  if (!dependencies.readLockFile) {
+    return null;
+  }
+
+  const { createLockState } = await import('./lockfile.js');
+  const lock = await dependencies.readLockFile();
+  return createLockState(lock, { refresh: options.refreshLock || false });
+}
+
+/**
+ * Write the lock file after tasks ran.
+ * Only writes when remote sources were resolved or were already locked.
+ *
+ * @param {Object|null} lockState - Lock state used during the run
+ * @param {Object} dependencies - Injected dependencies
+ * @param {Object} [taskPreferences] - Task preferences after the run; a refreshed
+ *   lock keeps only the entries of enabled tasks
+ * @returns {Promise<Object[]|null>} Changes per remote source when refreshing,
+ *   otherwise null
+ */
+async function saveLockState(lockState, dependencies, taskPreferences) {
+  if (
+    !lockState ||
+    !dependencies.writeLockFile ||
+    (lockState.resolved.length === 0 && lockState.sources.length === 0)
+  ) {
+    return null;
+  }
+
+  const { buildLock, diffLockEntries } = await import('./lockfile.js');
+  const enabledTasks =
+    taskPreferences &&
+    Object.keys(taskPreferences).filter((taskId) => taskPreferences[taskId]);
+  await dependencies.writeLockFile(buildLock(lockState, enabledTasks));
+
+  return lockState.refresh
+    ? diffLockEntries(lockState.sources, lockState.resolved)
+    : null;
+}
+
+/**
+ * Drop the locked commits of tasks that were disabled or retired, so the lock
+ * only pins sources the project still installs.
+ *
+ * @param {string[]} taskIds - IDs of the tasks whose lock entries to remove
+ * @param {Object} dependencies - Injected dependencies with readLockFile and writeLockFile
+ * @returns {Promise<void>}
+ */
+async function removeTaskLockEntries(taskIds, dependencies) {
+  const { readLockFile, writeLockFile } = dependencies;
+  if (!readLockFile || !writeLockFile) {
+    return;
+  }
+
+  const lock = await readLockFile();
+  if (!lock) {
+    return;
+  }
+
+  const { removeLockEntries } = await import('./lockfile.js');
+  const updatedLock = removeLockEntries(lock, taskIds);
+  if (updatedLock.sources.length < lock.sources.length) {
+    await writeLockFile(updatedLock);
+  }
+}
+
+/**
+ * Collect local edits to tracked files that have stored upstream base content.
+ * Missing files and files without a base are left to the overwrite prompt.
+ *
+ * @param {Object} currentConfig - Current project configuration
+ * @param {Object} dependencies - Injected dependencies
+ * @returns {Promise<Object[]>} Local edits with path, base and local content
+ */
+async function captureLocalEdits(currentConfig, dependencies) {
+  const { checkFileChanges, readBaseContent, fs } = dependencies;
+
+  if (!checkFileChanges || !readBaseContent) {
+    return [];
+  }
+
+  const localEdits = [];
+  const changedFiles = await checkFileChanges(currentConfig, dependencies);
+
+  for (const file of changedFiles) {
+    if (file.currentHash === null) {
+      continue;
+    }
+
+    const base = await readBaseContent(file.path);
+    if (base === null) {
+      continue;
+    }
+
+    const local = await fs.readFile(file.path, 'utf8');
+    localEdits.push({ path: file.path, base, local });
+  }
+
+  return localEdits;
+}
+
+/**
+ * Three-way merge local edits into the freshly updated files.
+ * Writes git-style conflict markers when both sides changed the same lines.
+ *
+ * @param {Object[]} localEdits - Edits captured before the update
+ * @param {Object} dependencies - Injected dependencies
+ * @param {string} projectRoot - Directory holding the updated files
+ * @returns {Promise<Object>} Lists of cleanly merged and conflicted files
+ */
+async function mergeLocalEdits(
+  localEdits,
+  dependencies,
+  projectRoot = process.cwd()
+) {
+  const { fs } = dependencies;
+  const merges = { merged: [], conflicted: [] };
+
+  if (localEdits.length === 0) {
+    return merges;
+  }
+
+  const { default: path } = await import('path');
+  const { mergeThreeWay } = await import('./utils/three-way-merge.js');
+
+  for (const { path: filePath, base, local } of localEdits) {
+    const updatedPath = path.resolve(projectRoot, filePath);
+    const upstream = await fs.readFile(updatedPath, 'utf8');
+    const result = mergeThreeWay(base, local, upstream);
+    await fs.writeFile(updatedPath, result.content);
+
+    if (result.clean) {
+      merges.merged.push(filePath);
+    } else {
+      merges.conflicted.push({ path: filePath, conflicts: result.conflicts });
+    }
+  }
+
+  return merges;
+}
+
+/**
+ * Display update summary
+ */
+function displayUpdateSummary(
+  results,
+  dependencies,
+  merges = null,
+  lockChanges = null,
+  reasons = null
+) {
+  const { chalk, logFn } = dependencies;
+
+  logFn(chalk.green('\n🎉 Update completed successfully!'));
+
+  if (reasons) {
+    displayUpdateReasons(reasons, dependencies);
+  }
+
+  const successfulTasks = results.filter((r) => r.success);
+  const failedTasks = results.filter((r) => !r.success);
+
+  if (successfulTasks.length > 0) {
+    logFn(`\n✅ Successfully updated: ${successfulTasks.length} tasks`);
+    successfulTasks.forEach(({ task }) => {
+      logFn(`  • ${task.name || 'Unknown task'}`);
+    });
+  }
+
+  if (failedTasks.length > 0) {
+    logFn(`\n❌ Failed to update: ${failedTasks.length} tasks`);
+    failedTasks.forEach(({ task, error }) => {
+      logFn(`  • ${task.name || 'Unknown task'}: ${error.message}`);
+    });
+  }
+
+  if (merges?.merged.length > 0) {
+    logFn(`\n🔀 Local edits merged cleanly: ${merges.merged.length} files`);
+    merges.merged.forEach((filePath) => {
+      logFn(`  • ${filePath}`);
+    });
+  }
+
+  if (merges?.conflicted.length > 0) {
+    logFn(
+      chalk.yellow(
+        `\n⚠️  Merge conflicts: ${merges.conflicted.length} files (resolve the conflict markers by hand)`
+      )
+    );
+    merges.conflicted.forEach(({ path: filePath, conflicts }) => {
+      logFn(chalk.yellow(`  • ${filePath} (${conflicts} conflicts)`));
+    });
+  }
+
+  if (lockChanges) {
+    displayLockChanges(lockChanges, dependencies);
+  }
+}
+
+/**
+ * Display the remote sources and files that changed when refreshing the lock
+ */
+function displayLockChanges(lockChanges, dependencies) {
+  const { chalk, logFn } = dependencies;
+
+  if (lockChanges.length === 0) {
+    logFn('\n🔒 Lock file refreshed: remote sources are unchanged');
+    return;
+  }
+
+  logFn(`\n🔒 Lock file refreshed: ${lockChanges.length} sources changed`);
+  lockChanges.forEach((change) => {
+    const previous = change.previousCommit
+      ? change.previousCommit.slice(0, 7)
+      : 'unlocked';
+    logFn(
+      `  • ${change.repository} (${change.source} → ${change.target}): ${previous} → ${change.commit.slice(0, 7)}`
+    );
+    change.added.forEach((file) => logFn(chalk.green(`    + ${file}`)));
+    change.changed.forEach((file) => logFn(chalk.yellow(`    ~ ${file}`)));
+    change.removed.forEach((file) => logFn(chalk.red(`    - ${file}`)));
+  });
+}
+
+/**
+ * Task types that install packages or run commands instead of writing
+ * tracked files. They are left out of the staged run.
+ */
+const UNSTAGED_TASK_TYPES = ['package-install', 'command'];
+
+/**
+ * Preview the changes an update would make to the tracked files.
+ * Runs the enabled tasks into a staging directory, with remote sources and
+ * content filters, and compares the result with the project.
+ *
+ * @param {Object} options - Command line options and flags
+ * @param {boolean} options.stat - Whether to only list changed files with line counts
+ * @param {boolean} options.json - Whether to output in JSON format
+ * @param {boolean} options.verbose - Whether to show detailed output
+ * @param {boolean} options.refreshLock - Whether to preview the latest remote commits instead of the locked ones
+ * @param {Object} dependencies - Injected dependencies
+ * @returns {Promise<Object>} Changes per task and per file
+ */
+async function diffSetup(options, dependencies) {
+  const {
+    readConfigFile,
+    loadConfig,
+    chalk,
+    logFn = console.log,
+    spinnerFn
+  } = dependencies;
+
+  const spinner =
+    spinnerFn && !options.json ? spinnerFn('Loading configuration...') : null;
+
+  try {
+    const currentConfig = await readConfigFile();
+    if (!currentConfig) {
+      throw new Error(
+        'No existing configuration found. Run "lullabot-project init" first.'
+      );
+    }
+
+    const fullConfig = await loadConfig();
+
+    spinner?.start('Fetching upstream content...');
+    const changes = await collectUpstreamChanges(
+      currentConfig,
+      fullConfig,
+      options,
+      dependencies
+    );
+    spinner?.succeed('Upstream content fetched');
+
+    if (options.json) {
+      logFn(JSON.stringify(changes, null, 2));
+    } else {
+      displayDiff(changes, options, { chalk, logFn });
+    }
+
+    return changes;
+  } catch (error) {
+    spinner?.fail('Diff failed');
+    throw error;
+  } finally {
+    // Clean up any temporary repositories from remote-copy-files tasks
+    const { cleanupAllClones } = await import('./git-operations.js');
+    await cleanupAllClones();
+  }
+}
+
+/**
+ * Run the enabled tasks into a staging directory and compare the staged files
+ * with the project. Tracked files are copied into the staging directory first
+ * so tasks that merge into existing files (such as agents-md) see the local
+ * content, and local edits are three-way merged into the staged files as
+ * update would.
+ *
+ * @param {Object} currentConfig - Current project configuration
+ * @param {Object} fullConfig - Full tool configuration
+ * @param {Object} options - Command line options
+ * @param {Object} dependencies - Injected dependencies
+ * @returns {Promise<Object>} Changes with tasks, files and failed tasks
+ */
+async function collectUpstreamChanges(
+  currentConfig,
+  fullConfig,
+  options,
+  dependencies
+) {
+  const { fs, path, getTasks, executeTask } = dependencies;
+  const { default: os } = await import('os');
+  const { getProjectTools, getTaskTools } = await import('./tool-config.js');
+  const { createUnifiedDiff } = await import('./utils/unified-diff.js');
+
+  const projectRoot = process.cwd();
+  const tool = getProjectTools(currentConfig)[0];
+  const projectType = currentConfig.project?.type;
+  const taskPreferences =
+    currentConfig.features?.taskPreferences ||
+    currentConfig.taskPreferences ||
+    {};
+  const currentFiles = (currentConfig.files || []).filter(
+    (fileInfo) =>
+      typeof fileInfo === 'object' &&
+      isPathSafe(
+        fileInfo.path,
+        projectRoot,
+        path.resolve(projectRoot, fileInfo.path || ''),
+        path
+      )
+  );
+  const tasks = await getTasks(
+    getTaskTools(currentConfig),
+    projectType,
+    fullConfig
+  );
+
+  const stagingDir = await fs.mkdtemp(
+    path.join(os.tmpdir(), 'lullabot-project-diff-')
+  );
+  const stagedFiles = [];
+  const results = [];
+
+  try {
+    for (const { path: filePath } of currentFiles) {
+      const sourcePath = path.join(projectRoot, filePath);
+      if (
+        (await fs.pathExists(sourcePath)) &&
+        (await fs.stat(sourcePath)).isFile()
+      ) {
+        await fs.copy(sourcePath, path.join(stagingDir, filePath));
+      }
+    }
+
+    // Remote sources resolve to the same commits and local edits are merged
+    // the same way as in update
+    const lockState = await loadLockState(options, dependencies);
+    const localEdits = await captureLocalEdits(currentConfig, dependencies);
+
+    for (const [taskId, task] of Object.entries(tasks)) {
+      if (!taskPreferences[taskId] || UNSTAGED_TASK_TYPES.includes(task.type)) {
+        continue;
+      }
+
+      try {
+        // Task output would end up in the JSON output, so tasks run quietly
+        const result = await executeTask(
+          task,
+          task.tools?.[0] || tool,
+          projectType,
+          (options.verbose && !options.json) || false,
+          {
+            ...dependencies,
+            config: { ...currentConfig, files: stagedFiles },
+            previousFiles: currentFiles,
+            projectRoot: stagingDir,
+            quiet: true,
+            sharedTasks: fullConfig.shared_tasks,
+            mcpServers: fullConfig.mcp_servers,
+            lockState
+          }
+        );
+        if (Array.isArray(result?.files)) {
+          addTrackedFiles(stagedFiles, result.files, taskId);
+        }
+        results.push({ taskId, task, success: true });
+      } catch (error) {
+        results.push({ taskId, task, error, success: false });
+      }
+    }
+
+    await mergeLocalEdits(
+      localEdits.filter((edit) =>
+        stagedFiles.some(({ path: filePath }) => filePath === edit.path)
+      ),
+      dependencies,
+      stagingDir
+    );
+
+    const files = [];
+    const readText = async (filePath) =>
+      (await fs.pathExists(filePath)) && (await fs.stat(filePath)).isFile()
+        ? fs.readFile(filePath, 'utf8')
+        : null;
+    const addFile = (fileInfo, status, local, upstream) => {
+      const { diff, additions, deletions } = createUnifiedDiff(
+        local,
+        upstream,
+        { oldLabel: `a/${fileInfo.path}`, newLabel: `b/${fileInfo.path}` }
+      );
+      files.push({
+        path: fileInfo.path,
+        tasks: getFileTasks(fileInfo),
+        status,
+        additions,
+        deletions,
+        diff
+      });
+    };
+
+    for (const fileInfo of stagedFiles) {
+      const upstream = await readText(path.join(stagingDir, fileInfo.path));
+      const local = await readText(path.join(projectRoot, fileInfo.path));
+      if (upstream !== null && upstream !== local) {
+        addFile(
+          fileInfo,
+          local === null ? 'added' : 'changed',
+          local,
+          upstream
+        );
+      }
+    }
+
+    // Files whose tasks all ran but no longer produce them
+    const ranTasks = results
+      .filter(({ success }) => success)
+      .map(({ taskId }) => taskId);
+    for (const fileInfo of currentFiles) {
+      if (
+        getFileTasks(fileInfo).every((taskId) => ranTasks.includes(taskId)) &&
+        !stagedFiles.some(({ path: filePath }) => filePath === fileInfo.path)
+      ) {
+        const local = await readText(path.join(projectRoot, fileInfo.path));
+        if (local !== null) {
+          addFile(fileInfo, 'removed', local, null);
+        }
+      }
+    }
+
+    const changedTasks = [];
+    for (const { taskId, task } of results) {
+      const taskFiles = files.filter((file) => file.tasks.includes(taskId));
+      if (taskFiles.length === 0) {
+        continue;
+      }
+      const byStatus = (status) =>
+        taskFiles
+          .filter((file) => file.status === status)
+          .map(({ path: filePath }) => filePath);
+      changedTasks.push({
+        id: taskId,
+        name: task.name || taskId,
+        added: byStatus('added'),
+        changed: byStatus('changed'),
+        removed: byStatus('removed')
+      });
+    }
+
+    // Legacy files that aren't linked to a task
+    const untaskedFiles = files.filter((file) => file.tasks.length === 0);
+    if (untaskedFiles.length > 0) {
+      changedTasks.push({
+        id: null,
+        name: 'Other tracked files',
+        added: [],
+        changed: [],
+        removed: untaskedFiles.map(({ path: filePath }) => filePath)
+      });
+    }
+
+    return {
+      tasks: changedTasks,
+      files,
+      failed: results
+        .filter(({ success }) => !success)
+        .map(({ taskId, task, error }) => ({
+          id: taskId,
+          name: task.name || taskId,
+          error: error.message
+        }))
+    };
+  } finally {
+    await fs.remove(stagingDir);
+  }
+}
+
+/**
+ * Display upstream changes as unified diffs, or as a list of changed files
+ * with line counts in stat mode.
+ */
+function displayDiff(changes, options, dependencies) {
+  const { chalk, logFn } = dependencies;
+  const { tasks, files, failed } = changes;
+
+  if (files.length === 0) {
+    logFn(chalk.green('✅ Tracked files match the upstream content.'));
+  }
+
+  for (const task of tasks) {
+    logFn(chalk.bold(`\n📦 ${task.name}${task.id ? ` (${task.id})` : ''}`));
+
+    for (const file of files.filter((candidate) =>
+      task.id ? candidate.tasks.includes(task.id) : candidate.tasks.length === 0
+    )) {
+      const symbol = { added: '+', changed: '~', removed: '-' }[file.status];
+      const color = { added: 'green', changed: 'yellow', removed: 'red' }[
+        file.status
+      ];
+      logFn(
+        chalk[color](
+          `  ${symbol} ${file.path} (${chalk.green(`+${file.additions}`)} ${chalk.red(`-${file.deletions}`)})`
+        )
+      );
+
+      if (options.stat) {
+        continue;
+      }
+
+      for (const line of file.diff.split('\n')) {
+        if (line.startsWith('+++') || line.startsWith('---')) {
+          logFn(chalk.bold(`    ${line}`));
+        } else if (line.startsWith('@@')) {
+          logFn(chalk.cyan(`    ${line}`));
+        } else if (line.startsWith('+')) {
+          logFn(chalk.green(`    ${line}`));
+        } else if (line.startsWith('-')) {
+          logFn(chalk.red(`    ${line}`));
+        } else {
+          logFn(`    ${line}`);
+        }
+      }
+    }
+  }
+
+  if (files.length > 0) {
+    const count = (status) =>
+      files.filter((file) => file.status === status).length;
+    logFn(
+      `\n📋 ${count('added')} added, ${count('changed')} changed, ${count('removed')} removed`
+    );
+    logFn(
+      chalk.blue('💡 Run "lullabot-project update" to apply these changes.')
+    );
+  }
+
+  if (failed.length > 0) {
+    logFn(chalk.red('\n❌ Tasks that could not be previewed:'));
+    failed.forEach(({ id, name, error }) => {
+      logFn(chalk.red(`  • ${name} (${id}): ${error}`));
+    });
+  }
+}
+
+/**
+ * Show current configuration and status.
+ *
+ * @param {Object} options - Command line options and flags
+ * @param {boolean} options.checkUpdates - Whether to check for available updates
+ * @param {boolean} options.json - Whether to output in JSON format
+ * @param {boolean} options.sources - Whether to show which config layer defines each tool and task
+ * @param {boolean} options.verbose - Whether to show detailed output
+ * @param {Object} dependencies - Injected dependencies
+ * @returns {Promise<void>}
+ */
+async function showConfig(options, dependencies) {
+  const {
+    readConfigFile,
+    loadConfig,
+    chalk,
+    logFn = console.log
+  } = dependencies;
+
+  try {
+    // Show where tools and tasks are defined; no project setup needed
+    if (options.sources) {
+      const sources = await dependencies.loadConfigSources();
+      if (options.json) {
+        logFn(JSON.stringify(sources, null, 2));
+      } else {
+        displayConfigSources(sources, dependencies);
+      }
+      return;
+    }
+
+    // Load current configuration
+    const currentConfig = await readConfigFile();
+    if (!currentConfig) {
+      logFn(
+        chalk.yellow(
+          'No configuration found. Run "lullabot-project init" first.'
+        )
+      );
+      return;
+    }
+
+    // Load full configuration for additional details
+    const fullConfig = await loadConfig();
+
+    if (options.json) {
+      // Output in JSON format
+      const { getProjectTools } = await import('./tool-config.js');
+      const jsonOutput = {
+        tool: currentConfig.tool,
+        tools: getProjectTools(currentConfig),
+        project: currentConfig.project,
+        toolVersion: currentConfig.toolVersion,
+        taskPreferences:
+          currentConfig.features?.taskPreferences ||
+          currentConfig.taskPreferences ||
+          {},
+        files: currentConfig.files || [],
+        packages: currentConfig.packages || {}
       };
       logFn(JSON.stringify(jsonOutput, null, 2));
       return;
     }
 
-    // Display configuration in human-readable format
-    await displayConfig(currentConfig, fullConfig, options, dependencies);
+    // Display configuration in human-readable format
+    await displayConfig(currentConfig, fullConfig, options, dependencies);
+
+    // Check for updates if requested
+    if (options.checkUpdates) {
+      await checkForUpdates(currentConfig, options, dependencies);
+    }
+  } catch (error) {
+    throw new Error(`Failed to display configuration: ${error.message}`);
+  }
+}
+
+/**
+ * Display the configuration layers and which of them define each tool,
+ * project type and task. Later layers override earlier ones.
+ *
+ * @param {Object} sources - Configuration sources from loadConfigSources
+ * @param {Object} dependencies - Object containing chalk and logFn
+ */
+function displayConfigSources(sources, dependencies) {
+  const { chalk, logFn } = dependencies;
+  const formatLayers = (layers) =>
+    layers.length > 1
+      ? `${chalk.cyan(layers[layers.length - 1])} ${chalk.gray(`(overrides ${layers.slice(0, -1).join(', ')})`)}`
+      : chalk.cyan(layers[0]);
+
+  logFn(chalk.blue('📚 Configuration Sources:'));
+  logFn('─'.repeat(50));
+  for (const layer of sources.layers) {
+    logFn(`• ${layer.name}: ${chalk.gray(layer.path)}`);
+  }
+
+  for (const [section, title] of [
+    ['tools', 'Tools'],
+    ['projects', 'Project Types']
+  ]) {
+    logFn(`\n${chalk.blue(`${title}:`)}`);
+    for (const [id, entry] of Object.entries(sources[section])) {
+      logFn(`• ${id}: ${formatLayers(entry.layers)}`);
+      for (const [taskId, layers] of Object.entries(entry.tasks)) {
+        logFn(`  - ${taskId}: ${formatLayers(layers)}`);
+      }
+    }
+  }
+
+  for (const [section, title] of [
+    ['shared_tasks', 'Shared Tasks'],
+    ['task_types', 'Task Type Plugins'],
+    ['mcp_servers', 'MCP Servers']
+  ]) {
+    if (Object.keys(sources[section] || {}).length > 0) {
+      logFn(`\n${chalk.blue(`${title}:`)}`);
+      for (const [id, layers] of Object.entries(sources[section])) {
+        logFn(`• ${id}: ${formatLayers(layers)}`);
+      }
+    }
+  }
+}
+
+/**
+ * Display configuration in human-readable format
+ */
+async function displayConfig(currentConfig, fullConfig, options, dependencies) {
+  const { chalk, logFn } = dependencies;
+
+  logFn(chalk.blue('📋 Current Configuration:'));
+  logFn('─'.repeat(50));
+  // Handle new configuration structure
+  const { getProjectTools, getTaskTools } = await import('./tool-config.js');
+  const tools = getProjectTools(currentConfig);
+  const projectType = currentConfig.project?.type;
+
+  logFn(
+    `• ${tools.length > 1 ? 'Tools' : 'Tool'}: ${chalk.cyan(tools.join(', ') || 'Not specified')}`
+  );
+
+  if (projectType) {
+    logFn(`• Project Type: ${chalk.cyan(projectType)}`);
+  } else {
+    logFn(
+      `• Project Type: ${chalk.gray('None (project-specific tasks disabled)')}`
+    );
+  }
+
+  logFn(
+    `• Tool Version: ${chalk.cyan(currentConfig.installation?.toolVersion || currentConfig.toolVersion || 'Not specified')}`
+  );
+
+  // Show enabled tasks
+  const { getTasks } = dependencies;
+  const tasks = await getTasks(
+    getTaskTools(currentConfig),
+    projectType,
+    fullConfig
+  );
+  const enabledTasks = Object.entries(
+    currentConfig.features?.taskPreferences ||
+      currentConfig.taskPreferences ||
+      {}
+  )
+    .filter(([_, enabled]) => enabled)
+    .map(([taskId, _]) => tasks[taskId]?.name || taskId);
+
+  if (enabledTasks.length > 0) {
+    logFn(`• Enabled Tasks: ${chalk.green('✅')} ${enabledTasks.join(', ')}`);
+  } else {
+    logFn(`• Enabled Tasks: ${chalk.gray('❌ None')}`);
+  }
+
+  // Show created files
+  if (currentConfig.files && currentConfig.files.length > 0) {
+    logFn(
+      `• Created Files: ${chalk.green('📁')} ${currentConfig.files.length} files`
+    );
+    if (options.verbose) {
+      currentConfig.files.forEach((file) => {
+        logFn(`  - ${file}`);
+      });
+    }
+  } else {
+    logFn(`• Created Files: ${chalk.gray('📁 None')}`);
+  }
+
+  // Show installed packages
+  if (
+    currentConfig.packages &&
+    Object.keys(currentConfig.packages).length > 0
+  ) {
+    logFn(
+      `• Installed Packages: ${chalk.green('📦')} ${Object.keys(currentConfig.packages).length} packages`
+    );
+    if (options.verbose) {
+      Object.entries(currentConfig.packages).forEach(
+        ([packageName, packageInfo]) => {
+          logFn(`  - ${packageName}@${packageInfo.version}`);
+        }
+      );
+    }
+  } else {
+    logFn(`• Installed Packages: ${chalk.gray('📦 None')}`);
+  }
+}
+
+/**
+ * Check for available updates
+ */
+async function checkForUpdates(currentConfig, options, dependencies) {
+  const { getToolVersion, chalk, logFn } = dependencies;
+
+  try {
+    logFn(`\n${chalk.blue('🔄 Checking for updates...')}`);
+
+    const currentVersion =
+      currentConfig.installation?.toolVersion || currentConfig.toolVersion;
+    const latestVersion = await getToolVersion();
+
+    if (currentVersion === latestVersion) {
+      logFn(chalk.green('✅ You have the latest version!'));
+    } else {
+      logFn(
+        chalk.yellow(
+          `🔄 Update available: ${currentVersion} → ${latestVersion}`
+        )
+      );
+      logFn(chalk.blue('💡 Run "lullabot-project update" to apply updates.'));
+    }
+  } catch (error) {
+    logFn(chalk.yellow(`⚠️  Could not check for updates: ${error.message}`));
+  }
+}
+
+/**
+ * Diagnose the current setup by checking .lullabot-project.yml against the disk.
+ * Reports missing or edited tracked files, stale task preferences, failing
+ * package version commands and AGENTS.md files without a managed section.
+ *
+ * @param {Object} options - Command line options and flags
+ * @param {boolean} options.json - Whether to output in JSON format
+ * @param {boolean} options.verbose - Whether to show detailed output
+ * @param {Object} dependencies - Injected dependencies
+ * @returns {Promise<Object>} Report with a problems array
+ */
+async function diagnoseSetup(options, dependencies) {
+  const {
+    readConfigFile,
+    loadConfig,
+    chalk,
+    logFn = console.log
+  } = dependencies;
+
+  const currentConfig = await readConfigFile();
+
+  let problems;
+  if (!currentConfig) {
+    problems = [
+      {
+        type: 'missing-config',
+        message: 'No configuration found (.lullabot-project.yml)',
+        hint: 'Run "lullabot-project init" to set up this project.'
+      }
+    ];
+  } else {
+    const fullConfig = await loadConfig();
+    problems = await collectDoctorProblems(
+      currentConfig,
+      fullConfig,
+      options,
+      dependencies
+    );
+  }
+
+  const report = { healthy: problems.length === 0, problems };
+
+  if (options.json) {
+    logFn(JSON.stringify(report, null, 2));
+  } else {
+    displayDoctorReport(report, { chalk, logFn });
+  }
+
+  return report;
+}
+
+/**
+ * Collect every problem found in an existing setup.
+ */
+async function collectDoctorProblems(
+  currentConfig,
+  fullConfig,
+  options,
+  dependencies
+) {
+  const {
+    checkFileChanges,
+    getTasks,
+    getPackageVersion,
+    fs,
+    LULLABOT_COMMENT_START,
+    LULLABOT_COMMENT_END
+  } = dependencies;
+  const problems = [];
+
+  // Tracked files that are missing or were edited since installation
+  const changedFiles = await checkFileChanges(currentConfig, dependencies);
+  const mergedFiles = (currentConfig.files || [])
+    .filter(
+      (fileInfo) => Array.isArray(fileInfo?.merged) || fileInfo?.managedBlock
+    )
+    .map((fileInfo) => fileInfo.path);
+  for (const file of changedFiles) {
+    if (file.currentHash === null) {
+      problems.push({
+        type: 'missing-file',
+        path: file.path,
+        message: `Tracked file is missing: ${file.path}`,
+        hint: 'Run "lullabot-project update --force" to install it again, or "lullabot-project rollback" to restore the last backup.'
+      });
+    } else if (
+      !file.path.endsWith('AGENTS.md') &&
+      !mergedFiles.includes(file.path)
+    ) {
+      // AGENTS.md, merged settings files and .gitignore are meant to be customized
+      problems.push({
+        type: 'modified-file',
+        path: file.path,
+        message: `Tracked file was edited: ${file.path}`,
+        hint: '"lullabot-project update" keeps your edits and merges new upstream changes into them. Run "lullabot-project rollback" to restore the last backup instead.'
+      });
+    }
+  }
+
+  // Task preferences that no longer match a configured task
+  const { getProjectTools, getTaskTools } = await import('./tool-config.js');
+  const tool = getProjectTools(currentConfig).join(', ');
+  const projectType = currentConfig.project?.type;
+  const taskPreferences =
+    currentConfig.features?.taskPreferences ||
+    currentConfig.taskPreferences ||
+    {};
+
+  let tasks;
+  try {
+    tasks = await getTasks(
+      getTaskTools(currentConfig),
+      projectType,
+      fullConfig
+    );
+  } catch (error) {
+    problems.push({
+      type: 'unknown-tool',
+      message: `Cannot load tasks for tool '${tool}': ${error.message}`,
+      hint: 'Run "lullabot-project update --force -t <tool>" to select a supported tool.'
+    });
+  }
+
+  // Without the tool's tasks every preference would look unknown
+  for (const taskId of tasks ? Object.keys(taskPreferences) : []) {
+    if (!tasks[taskId]) {
+      problems.push({
+        type: 'unknown-task',
+        taskId,
+        message: `Task '${taskId}' in features.taskPreferences no longer exists`,
+        hint: `Remove '${taskId}' from features.taskPreferences in .lullabot-project.yml.`
+      });
+    }
+  }
+
+  // Enabled package-install tasks whose version command now fails
+  for (const [taskId, task] of Object.entries(tasks || {})) {
+    if (task.type !== 'package-install' || !taskPreferences[taskId]) {
+      continue;
+    }
+
+    const packageInfo = await getPackageVersion(task.package, options.verbose);
+    if (packageInfo.error) {
+      problems.push({
+        type: 'package-version',
+        taskId,
+        message: `Version check failed for package ${task.package.name}: ${packageInfo.error}`,
+        hint: `Reinstall it with "${task.package['install-command']}".`
+      });
+    }
+  }
+
+  // AGENTS.md files whose managed section was removed
+  for (const fileInfo of currentConfig.files || []) {
+    const filePath = typeof fileInfo === 'string' ? fileInfo : fileInfo.path;
+    if (!filePath || !filePath.endsWith('AGENTS.md')) {
+      continue;
+    }
+    if (!(await fs.pathExists(filePath))) {
+      continue; // Already reported as a missing file
+    }
+
+    const content = await fs.readFile(filePath, 'utf8');
+    if (
+      !content.includes(LULLABOT_COMMENT_START) ||
+      !content.includes(LULLABOT_COMMENT_END)
+    ) {
+      problems.push({
+        type: 'agents-md-section',
+        path: filePath,
+        message: `Managed section is missing from ${filePath}`,
+        hint: 'Run "lullabot-project update --force" to regenerate it.'
+      });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Display the doctor report in human-readable format
+ */
+function displayDoctorReport(report, dependencies) {
+  const { chalk, logFn } = dependencies;
+
+  logFn(chalk.blue('🩺 Setup diagnosis:'));
+  logFn('─'.repeat(50));
+
+  if (report.healthy) {
+    logFn(chalk.green('✅ No problems found.'));
+    return;
+  }
+
+  report.problems.forEach((problem) => {
+    logFn(chalk.red(`❌ ${problem.message}`));
+    logFn(chalk.gray(`   💡 ${problem.hint}`));
+  });
+
+  logFn(`\n${'─'.repeat(50)}`);
+  logFn(chalk.yellow(`Found ${report.problems.length} problem(s).`));
+}
+
+/**
+ * Remove all files and configuration created by lullabot-project.
+ *
+ * @param {Object} options - Command line options and flags
+ * @param {boolean} options.dryRun - Whether to perform a dry run without making changes
+ * @param {boolean} options.verbose - Whether to show detailed output
+ * @param {boolean} options.force - Whether to skip confirmation prompt
+ * @param {string} options.tasks - Only remove these tasks (comma-separated)
+ * @param {Object} dependencies - Injected dependencies
+ * @returns {Promise<void>}
+ */
+async function removeSetup(options, dependencies) {
+  if (options.tasks) {
+    return removeTasks(options.tasks, options, dependencies);
+  }
+
+  const {
+    readConfigFile,
+    confirmAction,
+    chalk,
+    logFn = console.log,
+    spinnerFn
+  } = dependencies;
+
+  // Create spinner for progress indication
+  const spinner = spinnerFn ? spinnerFn('Preparing for removal...') : null;
+
+  try {
+    // Load current configuration
+    const currentConfig = await readConfigFile();
+    if (!currentConfig) {
+      logFn(chalk.yellow('No configuration found. Nothing to remove.'));
+      return;
+    }
+
+    // Confirm removal unless forced
+    if (!options.force) {
+      const confirmed = await confirmAction(
+        'Are you sure you want to remove all files and configuration created by lullabot-project?',
+        false
+      );
+      if (!confirmed) {
+        logFn(chalk.blue('Removal cancelled.'));
+        return;
+      }
+    }
+
+    // Handle dry run mode
+    if (options.dryRun) {
+      await handleRemoveDryRun(currentConfig, options, dependencies);
+      return;
+    }
+
+    // Snapshot everything so the removal can be rolled back
+    const backup = await backupProject('remove', currentConfig, dependencies);
+
+    // Perform removal
+    spinner?.start('Removing files...');
+    const removalResult = await performRemoval(
+      currentConfig,
+      options,
+      dependencies
+    );
+    spinner?.succeed('Removal completed successfully!');
+    await completeProjectBackup(backup, null, dependencies);
+
+    // Display removal summary
+    displayRemovalSummary(removalResult, { chalk, logFn });
+    displayBackupNotice(backup, { chalk, logFn });
+  } catch (error) {
+    spinner?.fail('Removal failed');
+    throw error;
+  }
+}
+
+/**
+ * Handle dry run mode for removal
+ */
+async function handleRemoveDryRun(currentConfig, options, dependencies) {
+  const { chalk, logFn } = dependencies;
+
+  logFn(chalk.blue('🔍 DRY RUN - What would be removed:'));
+  logFn('─'.repeat(50));
+  logFn(`• Configuration file: ${chalk.cyan('.lullabot-project.yml')}`);
+
+  if (currentConfig.files && currentConfig.files.length > 0) {
+    // Separate files into removed and reverted
+    const removedFiles = [];
+    const revertedFiles = [];
+
+    currentConfig.files.forEach((file) => {
+      const filePath = typeof file === 'string' ? file : file.path;
+      if (isRevertedOnRemoval(file)) {
+        revertedFiles.push(filePath);
+      } else {
+        removedFiles.push(filePath);
+      }
+    });
+
+    if (removedFiles.length > 0) {
+      logFn(`• Files removed: ${chalk.red('🗑️')} ${removedFiles.length} files`);
+      if (options.verbose) {
+        removedFiles.forEach((filePath) => {
+          logFn(`  - ${filePath}`);
+        });
+      }
+    }
+
+    if (revertedFiles.length > 0) {
+      logFn(
+        `• Files reverted: ${chalk.blue('🔄')} ${revertedFiles.length} files`
+      );
+      if (options.verbose) {
+        revertedFiles.forEach((filePath) => {
+          logFn(`  - ${filePath}`);
+        });
+      }
+    }
+
+    if (removedFiles.length === 0 && revertedFiles.length === 0) {
+      logFn(`• Files: ${chalk.gray('🗑️ None')}`);
+    }
+  } else {
+    logFn(`• Files: ${chalk.gray('🗑️ None')}`);
+  }
+
+  logFn(`\n${'─'.repeat(50)}`);
+  logFn(chalk.yellow('💡 This was a dry run - no changes were made.'));
+}
+
+/**
+ * Check if removing a tracked file only takes the tool's content out of it.
+ * Files that existed before setup keep the user's own content.
+ *
+ * @param {Object|string} fileInfo - Tracked file
+ * @returns {boolean} True if the file is reverted rather than deleted
+ */
+function isRevertedOnRemoval(fileInfo) {
+  return (
+    fileInfo?.preExisting === true &&
+    (fileInfo.path === 'AGENTS.md' ||
+      Array.isArray(fileInfo.merged) ||
+      Boolean(fileInfo.managedBlock))
+  );
+}
+
+/**
+ * Take the additions of a merge task or a managed block out of a shared file. The
+ * file is deleted if the task created it and nothing else was added since.
+ *
+ * @returns {Promise<boolean>} True if the file was kept with the user's content
+ */
+async function handleSharedFileRemoval(fileInfo, options, dependencies) {
+  const { chalk, logFn } = dependencies;
+  const { revertMergedFile } = await import('./task-types/structured-merge.js');
+  const { revertManagedBlock } = await import('./utils/managed-block.js');
+
+  try {
+    const status = fileInfo.managedBlock
+      ? await revertManagedBlock(fileInfo)
+      : await revertMergedFile(fileInfo);
+    if (options.verbose) {
+      logFn(
+        chalk.gray(
+          status === null
+            ? `  File not found: ${fileInfo.path}`
+            : `  ${status === 'removed' ? 'Removed' : 'Reverted'}: ${fileInfo.path}`
+        )
+      );
+    }
+    return status === 'reverted';
+  } catch (error) {
+    logFn(
+      chalk.yellow(
+        `  Warning: Could not revert ${fileInfo.path}: ${error.message}`
+      )
+    );
+    return true;
+  }
+}
+
+/**
+ * Handle AGENTS.md removal - either delete the file or remove Lullabot comment section
+ */
+async function handleAgentsMdRemoval(
+  fileInfo,
+  fullPath,
+  options,
+  dependencies
+) {
+  const { fs, chalk, logFn } = dependencies;
+
+  // Check if file exists
+  if (!(await fs.pathExists(fullPath))) {
+    if (options.verbose) {
+      logFn(chalk.gray(`  AGENTS.md not found: ${fullPath}`));
+    }
+    return;
+  }
+
+  // Check if this file was created by the tool or already existed
+  const wasPreExisting = fileInfo.preExisting === true;
+
+  if (wasPreExisting) {
+    // File existed before - remove only the Lullabot comment section
+    if (options.verbose) {
+      logFn(
+        chalk.gray(
+          `  Removing Lullabot comment section from existing AGENTS.md`
+        )
+      );
+    }
+
+    try {
+      const content = await fs.readFile(fullPath, 'utf8');
+      const cleanedContent = removeLullabotCommentSection(content);
+
+      if (cleanedContent !== content) {
+        await fs.writeFile(fullPath, cleanedContent);
+        if (options.verbose) {
+          logFn(
+            chalk.gray(`  Removed Lullabot comment section from AGENTS.md`)
+          );
+        }
+      } else {
+        if (options.verbose) {
+          logFn(chalk.gray(`  No Lullabot comment section found in AGENTS.md`));
+        }
+      }
+    } catch (error) {
+      logFn(
+        chalk.yellow(`  Warning: Could not clean AGENTS.md: ${error.message}`)
+      );
+    }
+  } else {
+    // File was created by the tool - delete the entire file
+    await fs.remove(fullPath);
+    if (options.verbose) {
+      logFn(chalk.gray(`  Removed: ${fullPath} (created by tool)`));
+    }
+  }
+}
+
+/**
+ * Remove Lullabot comment section from AGENTS.md content
+ */
+function removeLullabotCommentSection(content) {
+  const LULLABOT_COMMENT_START = '<!-- Lullabot Project Start -->';
+  const LULLABOT_COMMENT_END = '<!-- Lullabot Project End -->';
+
+  // Escape special regex characters in the comment markers
+  const escapedStart = LULLABOT_COMMENT_START.replace(
+    /[.*+?^${}()|[\]\\]/g,
+    '\\$&'
+  );
+  const escapedEnd = LULLABOT_COMMENT_END.replace(
+    /[.*+?^${}()|[\]\\]/g,
+    '\\$&'
+  );
+
+  // Remove the entire Lullabot comment section
+  const cleanedContent = content
+    .replace(new RegExp(`${escapedStart}[\\s\\S]*?${escapedEnd}`, 'g'), '')
+    .trim();
 
-    // Check for updates if requested
-    if (options.checkUpdates) {
-      await checkForUpdates(currentConfig, options, dependencies);
-    }
-  } catch (error) {
-    throw new Error(`Failed to display configuration: ${error.message}`);
-  }
+  return cleanedContent;
 }
 
 /**
- * Display configuration in human-readable format
+ * Perform the actual removal
  */
-async function displayConfig(currentConfig, fullConfig, options, dependencies) {
-  const { chalk, logFn } = dependencies;
-
-  logFn(chalk.blue('📋 Current Configuration:'));
-  logFn('─'.repeat(50));
-  // Handle new configuration structure
-  const tool = currentConfig.project?.tool || currentConfig.tool;
-  const projectType = currentConfig.project?.type;
+async function performRemoval(currentConfig, options, dependencies) {
+  const { fs, path, chalk, logFn } = dependencies;
+  const removedFiles = [];
+  const revertedFiles = [];
 
-  logFn(`• Tool: ${chalk.cyan(tool || 'Not specified')}`);
+  // Let plugin task types clean up before their files are removed
+  await runPluginRemoveHooks(currentConfig, options, dependencies);
 
-  if (projectType) {
-    logFn(`• Project Type: ${chalk.cyan(projectType)}`);
-  } else {
-    logFn(
-      `• Project Type: ${chalk.gray('None (project-specific tasks disabled)')}`
-    );
+  // Remove configuration file
+  if (await fs.pathExists('.lullabot-project.yml')) {
+    await fs.remove('.lullabot-project.yml');
+    if (options.verbose) {
+      logFn(chalk.gray('  Removed: .lullabot-project.yml'));
+    }
   }
 
-  logFn(
-    `• Tool Version: ${chalk.cyan(currentConfig.installation?.toolVersion || currentConfig.toolVersion || 'Not specified')}`
-  );
-
-  // Show enabled tasks
-  const { getTasks } = dependencies;
-  const tasks = await getTasks(tool, projectType, fullConfig);
-  const enabledTasks = Object.entries(
-    currentConfig.features?.taskPreferences ||
-      currentConfig.taskPreferences ||
-      {}
-  )
-    .filter(([_, enabled]) => enabled)
-    .map(([taskId, _]) => tasks[taskId]?.name || taskId);
-
-  if (enabledTasks.length > 0) {
-    logFn(`• Enabled Tasks: ${chalk.green('✅')} ${enabledTasks.join(', ')}`);
-  } else {
-    logFn(`• Enabled Tasks: ${chalk.gray('❌ None')}`);
+  // Remove the lock file of remote source commits
+  if (await fs.pathExists('.lullabot-project.lock')) {
+    await fs.remove('.lullabot-project.lock');
+    if (options.verbose) {
+      logFn(chalk.gray('  Removed: .lullabot-project.lock'));
+    }
   }
 
-  // Show created files
-  if (currentConfig.files && currentConfig.files.length > 0) {
-    logFn(
-      `• Created Files: ${chalk.green('📁')} ${currentConfig.files.length} files`
-    );
+  // Remove stored upstream content used for merging local edits
+  const baseContentDir = path.join('.lullabot-project', 'base');
+  if (await fs.pathExists(baseContentDir)) {
+    await fs.remove(baseContentDir);
     if (options.verbose) {
-      currentConfig.files.forEach((file) => {
-        logFn(`  - ${file}`);
-      });
+      logFn(chalk.gray(`  Removed: ${baseContentDir}`));
+    }
+    // Without backups, only the directory's own .gitignore is left
+    const remaining = await fs.readdir('.lullabot-project');
+    if (remaining.every((name) => name === '.gitignore')) {
+      await fs.remove('.lullabot-project');
     }
-  } else {
-    logFn(`• Created Files: ${chalk.gray('📁 None')}`);
   }
 
-  // Show installed packages
-  if (
-    currentConfig.packages &&
-    Object.keys(currentConfig.packages).length > 0
-  ) {
-    logFn(
-      `• Installed Packages: ${chalk.green('📦')} ${Object.keys(currentConfig.packages).length} packages`
-    );
-    if (options.verbose) {
-      Object.entries(currentConfig.packages).forEach(
-        ([packageName, packageInfo]) => {
-          logFn(`  - ${packageName}@${packageInfo.version}`);
+  // Remove created files
+  if (currentConfig.files && currentConfig.files.length > 0) {
+    for (const fileInfo of currentConfig.files) {
+      // Handle both old format (strings) and new format (objects)
+      const filePath = typeof fileInfo === 'string' ? fileInfo : fileInfo.path;
+      const fullPath = path.resolve(filePath);
+
+      if (options.verbose) {
+        logFn(
+          chalk.gray(
+            `  Debug: filePath=${filePath}, fullPath=${fullPath}, cwd=${process.cwd()}`
+          )
+        );
+      }
+
+      // Validate path safety
+      if (!isPathSafe(filePath, process.cwd(), fullPath, path)) {
+        logFn(chalk.yellow(`  Skipped (unsafe path): ${filePath}`));
+        continue;
+      }
+
+      // Special handling for AGENTS.md
+      if (filePath === 'AGENTS.md') {
+        const wasPreExisting = fileInfo.preExisting === true;
+        await handleAgentsMdRemoval(fileInfo, fullPath, options, dependencies);
+
+        if (wasPreExisting) {
+          revertedFiles.push(filePath);
+        } else {
+          removedFiles.push(filePath);
         }
-      );
+        continue;
+      }
+
+      // Shared files only lose the content the task added
+      if (Array.isArray(fileInfo.merged) || fileInfo.managedBlock) {
+        const reverted = await handleSharedFileRemoval(
+          fileInfo,
+          options,
+          dependencies
+        );
+        (reverted ? revertedFiles : removedFiles).push(filePath);
+        continue;
+      }
+
+      if (await fs.pathExists(fullPath)) {
+        await fs.remove(fullPath);
+        removedFiles.push(filePath);
+        if (options.verbose) {
+          logFn(chalk.gray(`  Removed: ${fullPath}`));
+        }
+      } else {
+        if (options.verbose) {
+          logFn(chalk.gray(`  File not found: ${fullPath}`));
+        }
+      }
     }
-  } else {
-    logFn(`• Installed Packages: ${chalk.gray('📦 None')}`);
   }
+
+  return { removedFiles, revertedFiles };
 }
 
 /**
- * Check for available updates
+ * Run the remove hooks of enabled tasks whose type is provided by a plugin.
+ * A failing hook is reported but doesn't stop the removal.
+ *
+ * @param {Object} currentConfig - Current project configuration
+ * @param {Object} options - Command line options
+ * @param {Object} dependencies - Object containing loadConfig, getTasks, chalk and logFn
  */
-async function checkForUpdates(currentConfig, options, dependencies) {
-  const { getToolVersion, chalk, logFn } = dependencies;
+async function runPluginRemoveHooks(currentConfig, options, dependencies) {
+  const { loadConfig, getTasks, chalk, logFn } = dependencies;
+  if (!loadConfig || !getTasks) {
+    return;
+  }
 
+  const { getProjectTools, getTaskTools } = await import('./tool-config.js');
+  const { getTaskExecutor, isPluginTaskType } = await import(
+    './task-types/index.js'
+  );
+  const tool = getProjectTools(currentConfig)[0];
+  const projectType = currentConfig.project?.type;
+  const taskPreferences =
+    currentConfig.features?.taskPreferences ||
+    currentConfig.taskPreferences ||
+    {};
+
+  // Loading the configuration registers the plugins it declares
+  let tasks;
   try {
-    logFn(`\n${chalk.blue('🔄 Checking for updates...')}`);
+    const fullConfig = await loadConfig();
+    tasks = await getTasks(
+      getTaskTools(currentConfig),
+      projectType,
+      fullConfig
+    );
+  } catch (error) {
+    logFn(
+      chalk.yellow(`⚠️  Could not run plugin remove hooks: ${error.message}`)
+    );
+    return;
+  }
 
-    const currentVersion =
-      currentConfig.installation?.toolVersion || currentConfig.toolVersion;
-    const latestVersion = await getToolVersion();
+  for (const [taskId, task] of Object.entries(tasks)) {
+    if (!taskPreferences[taskId] || !isPluginTaskType(task.type)) {
+      continue;
+    }
 
-    if (currentVersion === latestVersion) {
-      logFn(chalk.green('✅ You have the latest version!'));
-    } else {
+    const { remove } = getTaskExecutor(task.type);
+    if (!remove) {
+      continue;
+    }
+
+    try {
+      await remove(
+        task,
+        task.tools?.[0] || tool,
+        projectType,
+        options.verbose || false,
+        { files: currentConfig.files || [], projectRoot: process.cwd() }
+      );
+      if (options.verbose) {
+        logFn(chalk.gray(`  Ran remove hook: ${task.name || taskId}`));
+      }
+    } catch (error) {
       logFn(
         chalk.yellow(
-          `🔄 Update available: ${currentVersion} → ${latestVersion}`
+          `⚠️  ${task.name || taskId}: remove hook failed - ${error.message}`
         )
       );
-      logFn(chalk.blue('💡 Run "lullabot-project update" to apply updates.'));
     }
-  } catch (error) {
-    logFn(chalk.yellow(`⚠️  Could not check for updates: ${error.message}`));
   }
 }
 
 /**
- * Remove all files and configuration created by lullabot-project.
+ * Remove the files of individual tasks and disable them in the project
+ * configuration, leaving the rest of the setup installed.
+ * Used by `remove --tasks` and `disable`.
  *
+ * @param {string|string[]} taskNames - Task IDs, comma-separated or as an array
  * @param {Object} options - Command line options and flags
- * @param {boolean} options.dryRun - Whether to perform a dry run without making changes
  * @param {boolean} options.verbose - Whether to show detailed output
+ * @param {boolean} options.dryRun - Whether to show what would be removed
  * @param {boolean} options.force - Whether to skip confirmation prompt
  * @param {Object} dependencies - Injected dependencies
  * @returns {Promise<void>}
  */
-async function removeSetup(options, dependencies) {
+async function removeTasks(taskNames, options, dependencies) {
   const {
     readConfigFile,
     confirmAction,
@@ -823,21 +2800,28 @@ async function removeSetup(options, dependencies) {
     spinnerFn
   } = dependencies;
 
-  // Create spinner for progress indication
   const spinner = spinnerFn ? spinnerFn('Preparing for removal...') : null;
 
   try {
-    // Load current configuration
     const currentConfig = await readConfigFile();
     if (!currentConfig) {
       logFn(chalk.yellow('No configuration found. Nothing to remove.'));
       return;
     }
 
-    // Confirm removal unless forced
+    const taskIds = resolveConfiguredTasks(taskNames, currentConfig);
+
+    if (options.dryRun) {
+      handleTaskRemoveDryRun(currentConfig, taskIds, options, {
+        chalk,
+        logFn
+      });
+      return;
+    }
+
     if (!options.force) {
       const confirmed = await confirmAction(
-        'Are you sure you want to remove all files and configuration created by lullabot-project?',
+        `Are you sure you want to remove the files installed by: ${taskIds.join(', ')}?`,
         false
       );
       if (!confirmed) {
@@ -846,23 +2830,24 @@ async function removeSetup(options, dependencies) {
       }
     }
 
-    // Handle dry run mode
-    if (options.dryRun) {
-      await handleRemoveDryRun(currentConfig, options, dependencies);
-      return;
-    }
+    const backup = await backupProject(
+      `remove --tasks ${taskIds.join(',')}`,
+      currentConfig,
+      dependencies
+    );
 
-    // Perform removal
-    spinner?.start('Removing files...');
-    const removalResult = await performRemoval(
+    spinner?.start('Removing task files...');
+    const removalResult = await performTaskRemoval(
       currentConfig,
+      taskIds,
       options,
       dependencies
     );
-    spinner?.succeed('Removal completed successfully!');
+    spinner?.succeed('Tasks removed successfully!');
+    await completeProjectBackup(backup, null, dependencies);
 
-    // Display removal summary
     displayRemovalSummary(removalResult, { chalk, logFn });
+    displayBackupNotice(backup, { chalk, logFn });
   } catch (error) {
     spinner?.fail('Removal failed');
     throw error;
@@ -870,212 +2855,272 @@ async function removeSetup(options, dependencies) {
 }
 
 /**
- * Handle dry run mode for removal
+ * Match task names given on the command line to task IDs. A name also matches
+ * the per-tool variants of a task (e.g. "rules" matches "claude:rules" and
+ * "cursor:rules").
+ *
+ * @param {string|string[]} taskNames - Task names, comma-separated or as an array
+ * @param {string[]} taskIds - Task IDs to match against
+ * @param {string} label - Description of the task IDs used in errors
+ * @returns {string[]} Matching task IDs
+ * @throws {Error} If a name doesn't match any task ID
  */
-async function handleRemoveDryRun(currentConfig, options, dependencies) {
-  const { chalk, logFn } = dependencies;
+function matchTaskNames(taskNames, taskIds, label) {
+  const names = (
+    Array.isArray(taskNames) ? taskNames : String(taskNames).split(',')
+  )
+    .map((name) => name.trim())
+    .filter(Boolean);
+  if (names.length === 0) {
+    throw new Error('No tasks specified');
+  }
 
-  logFn(chalk.blue('🔍 DRY RUN - What would be removed:'));
-  logFn('─'.repeat(50));
-  logFn(`• Configuration file: ${chalk.cyan('.lullabot-project.yml')}`);
+  const matchedIds = [];
+  for (const name of names) {
+    const matches = taskIds.filter(
+      (taskId) => taskId === name || taskId.endsWith(`:${name}`)
+    );
+    if (matches.length === 0) {
+      throw new Error(
+        `Unknown task: ${name}. ${label}: ${taskIds.join(', ') || 'none'}`
+      );
+    }
+    matchedIds.push(
+      ...matches.filter((taskId) => !matchedIds.includes(taskId))
+    );
+  }
 
-  if (currentConfig.files && currentConfig.files.length > 0) {
-    // Separate files into removed and reverted
-    const removedFiles = [];
-    const revertedFiles = [];
+  return matchedIds;
+}
 
-    currentConfig.files.forEach((file) => {
-      const filePath = typeof file === 'string' ? file : file.path;
-      if (filePath === 'AGENTS.md' && file.preExisting === true) {
-        revertedFiles.push(filePath);
-      } else {
-        removedFiles.push(filePath);
-      }
-    });
+/**
+ * Match task names to the tasks configured in the project.
+ *
+ * @param {string|string[]} taskNames - Task IDs, comma-separated or as an array
+ * @param {Object} currentConfig - Current project configuration
+ * @returns {string[]} Configured task IDs
+ * @throws {Error} If a name doesn't match any configured task
+ */
+function resolveConfiguredTasks(taskNames, currentConfig) {
+  const taskPreferences =
+    currentConfig.features?.taskPreferences ||
+    currentConfig.taskPreferences ||
+    {};
+  const configuredTasks = [
+    ...new Set([
+      ...Object.keys(taskPreferences),
+      ...(currentConfig.files || []).flatMap(getFileTasks)
+    ])
+  ];
 
-    if (removedFiles.length > 0) {
-      logFn(`• Files removed: ${chalk.red('🗑️')} ${removedFiles.length} files`);
-      if (options.verbose) {
-        removedFiles.forEach((filePath) => {
-          logFn(`  - ${filePath}`);
-        });
-      }
-    }
+  return matchTaskNames(taskNames, configuredTasks, 'Configured tasks');
+}
 
-    if (revertedFiles.length > 0) {
-      logFn(
-        `• Files reverted: ${chalk.blue('🔄')} ${revertedFiles.length} files`
-      );
-      if (options.verbose) {
-        revertedFiles.forEach((filePath) => {
-          logFn(`  - ${filePath}`);
-        });
-      }
-    }
+/**
+ * Get the tracked files that only the given tasks installed, so removing the
+ * tasks removes the files. Files other tasks also own are left out.
+ *
+ * @param {Object} currentConfig - Current project configuration
+ * @param {string[]} taskIds - Task IDs
+ * @returns {Object[]} Tracked file objects
+ */
+function getTaskFiles(currentConfig, taskIds) {
+  return (currentConfig.files || []).filter((fileInfo) => {
+    const owners = getFileTasks(fileInfo);
+    return (
+      owners.length > 0 && owners.every((taskId) => taskIds.includes(taskId))
+    );
+  });
+}
+
+/**
+ * Handle dry run mode for removing individual tasks
+ */
+function handleTaskRemoveDryRun(currentConfig, taskIds, options, dependencies) {
+  const { chalk, logFn } = dependencies;
+  const taskFiles = getTaskFiles(currentConfig, taskIds);
+
+  logFn(chalk.blue('🔍 DRY RUN - What would be removed:'));
+  logFn('─'.repeat(50));
+  logFn(`• Tasks disabled: ${chalk.cyan(taskIds.join(', '))}`);
 
-    if (removedFiles.length === 0 && revertedFiles.length === 0) {
-      logFn(`• Files: ${chalk.gray('🗑️ None')}`);
-    }
+  if (taskFiles.length > 0) {
+    logFn(`• Files removed: ${chalk.red('🗑️')} ${taskFiles.length} files`);
+    taskFiles.forEach((fileInfo) => {
+      logFn(
+        `  - ${fileInfo.path}${isRevertedOnRemoval(fileInfo) ? ' (reverted)' : ''}`
+      );
+    });
   } else {
     logFn(`• Files: ${chalk.gray('🗑️ None')}`);
   }
 
+  const sharedFiles = (currentConfig.files || []).filter(
+    (fileInfo) =>
+      isOwnedByTasks(fileInfo, taskIds) && !taskFiles.includes(fileInfo)
+  );
+  if (sharedFiles.length > 0) {
+    logFn(`• Kept for other tasks: ${sharedFiles.length} files`);
+  }
+
   logFn(`\n${'─'.repeat(50)}`);
   logFn(chalk.yellow('💡 This was a dry run - no changes were made.'));
 }
 
 /**
- * Handle AGENTS.md removal - either delete the file or remove Lullabot comment section
+ * Remove the files installed by the given tasks and disable the tasks.
+ * AGENTS.md references to removed .ai/ files are dropped, stored base copies
+ * are pruned and the project configuration keeps the remaining files.
+ *
+ * @param {Object} currentConfig - Current project configuration
+ * @param {string[]} taskIds - Configured task IDs to remove
+ * @param {Object} options - Command line options
+ * @param {Object} dependencies - Injected dependencies
+ * @returns {Promise<Object>} Removed, reverted and updated files, and the disabled tasks
  */
-async function handleAgentsMdRemoval(
-  fileInfo,
-  fullPath,
+async function performTaskRemoval(
+  currentConfig,
+  taskIds,
   options,
   dependencies
 ) {
-  const { fs, chalk, logFn } = dependencies;
+  const { fs, path, chalk, logFn, createConfigFile } = dependencies;
+  const removedFiles = [];
+  const revertedFiles = [];
+  const updatedFiles = [];
+  const taskFiles = getTaskFiles(currentConfig, taskIds);
+
+  // Files other tasks also installed stay, tracked for those tasks only
+  let remainingFiles = (currentConfig.files || [])
+    .filter((fileInfo) => !taskFiles.includes(fileInfo))
+    .map((fileInfo) => {
+      if (!isOwnedByTasks(fileInfo, taskIds)) {
+        return fileInfo;
+      }
+      const trackedFile = {
+        ...fileInfo,
+        tasks: getFileTasks(fileInfo).filter(
+          (taskId) => !taskIds.includes(taskId)
+        )
+      };
+      delete trackedFile.task;
+      return trackedFile;
+    });
 
-  // Check if file exists
-  if (!(await fs.pathExists(fullPath))) {
-    if (options.verbose) {
-      logFn(chalk.gray(`  AGENTS.md not found: ${fullPath}`));
-    }
-    return;
+  if (
+    !(currentConfig.files || []).some((fileInfo) =>
+      isOwnedByTasks(fileInfo, taskIds)
+    ) &&
+    (currentConfig.files || []).some(
+      (fileInfo) => getFileTasks(fileInfo).length === 0
+    )
+  ) {
+    logFn(
+      chalk.yellow(
+        `⚠️  No files are recorded for ${taskIds.join(', ')}. Files installed by older versions aren't linked to their tasks; run update first to link them.`
+      )
+    );
   }
 
-  // Check if this file was created by the tool or already existed
-  const wasPreExisting = fileInfo.preExisting === true;
+  const taskPreferences = {
+    ...(currentConfig.features?.taskPreferences ||
+      currentConfig.taskPreferences)
+  };
 
-  if (wasPreExisting) {
-    // File existed before - remove only the Lullabot comment section
-    if (options.verbose) {
-      logFn(
-        chalk.gray(
-          `  Removing Lullabot comment section from existing AGENTS.md`
+  // Let plugin task types clean up before their files are removed
+  await runPluginRemoveHooks(
+    {
+      ...currentConfig,
+      features: {
+        taskPreferences: Object.fromEntries(
+          taskIds.map((taskId) => [taskId, taskPreferences[taskId] !== false])
         )
+      },
+      files: taskFiles
+    },
+    options,
+    dependencies
+  );
+
+  for (const fileInfo of taskFiles) {
+    const filePath = fileInfo.path;
+    const fullPath = path.resolve(filePath);
+
+    if (!isPathSafe(filePath, process.cwd(), fullPath, path)) {
+      logFn(chalk.yellow(`  Skipped (unsafe path): ${filePath}`));
+      continue;
+    }
+
+    if (filePath === 'AGENTS.md') {
+      await handleAgentsMdRemoval(fileInfo, fullPath, options, dependencies);
+      (fileInfo.preExisting === true ? revertedFiles : removedFiles).push(
+        filePath
       );
+      continue;
     }
 
-    try {
-      const content = await fs.readFile(fullPath, 'utf8');
-      const cleanedContent = removeLullabotCommentSection(content);
+    // Shared files only lose the content the task added
+    if (Array.isArray(fileInfo.merged) || fileInfo.managedBlock) {
+      const reverted = await handleSharedFileRemoval(
+        fileInfo,
+        options,
+        dependencies
+      );
+      (reverted ? revertedFiles : removedFiles).push(filePath);
+      continue;
+    }
 
-      if (cleanedContent !== content) {
-        await fs.writeFile(fullPath, cleanedContent);
-        if (options.verbose) {
-          logFn(
-            chalk.gray(`  Removed Lullabot comment section from AGENTS.md`)
-          );
-        }
-      } else {
-        if (options.verbose) {
-          logFn(chalk.gray(`  No Lullabot comment section found in AGENTS.md`));
-        }
+    if (await fs.pathExists(fullPath)) {
+      await fs.remove(fullPath);
+      removedFiles.push(filePath);
+      if (options.verbose) {
+        logFn(chalk.gray(`  Removed: ${fullPath}`));
       }
-    } catch (error) {
-      logFn(
-        chalk.yellow(`  Warning: Could not clean AGENTS.md: ${error.message}`)
-      );
+    } else if (options.verbose) {
+      logFn(chalk.gray(`  File not found: ${fullPath}`));
     }
-  } else {
-    // File was created by the tool - delete the entire file
-    await fs.remove(fullPath);
-    if (options.verbose) {
-      logFn(chalk.gray(`  Removed: ${fullPath} (created by tool)`));
+
+    // Drop the stored upstream copy used for merging local edits
+    const basePath = path.join('.lullabot-project', 'base', filePath);
+    if (await fs.pathExists(basePath)) {
+      await fs.remove(basePath);
     }
   }
-}
-
-/**
- * Remove Lullabot comment section from AGENTS.md content
- */
-function removeLullabotCommentSection(content) {
-  const LULLABOT_COMMENT_START = '<!-- Lullabot Project Start -->';
-  const LULLABOT_COMMENT_END = '<!-- Lullabot Project End -->';
 
-  // Escape special regex characters in the comment markers
-  const escapedStart = LULLABOT_COMMENT_START.replace(
-    /[.*+?^${}()|[\]\\]/g,
-    '\\$&'
-  );
-  const escapedEnd = LULLABOT_COMMENT_END.replace(
-    /[.*+?^${}()|[\]\\]/g,
-    '\\$&'
+  // Keep AGENTS.md pointing only at the .ai/ files that are left
+  const agentsMd = remainingFiles.find(
+    (fileInfo) => fileInfo?.path === 'AGENTS.md'
   );
-
-  // Remove the entire Lullabot comment section
-  const cleanedContent = content
-    .replace(new RegExp(`${escapedStart}[\\s\\S]*?${escapedEnd}`, 'g'), '')
-    .trim();
-
-  return cleanedContent;
-}
-
-/**
- * Perform the actual removal
- */
-async function performRemoval(currentConfig, options, dependencies) {
-  const { fs, path, chalk, logFn } = dependencies;
-  const removedFiles = [];
-  const revertedFiles = [];
-
-  // Remove configuration file
-  if (await fs.pathExists('.lullabot-project.yml')) {
-    await fs.remove('.lullabot-project.yml');
-    if (options.verbose) {
-      logFn(chalk.gray('  Removed: .lullabot-project.yml'));
+  if (agentsMd && removedFiles.some((file) => file.startsWith('.ai/'))) {
+    const { refreshAgentsMdReferences } = await import(
+      './task-types/agents-md.js'
+    );
+    const originalHash = await refreshAgentsMdReferences(
+      path.resolve('AGENTS.md'),
+      remainingFiles
+        .map((fileInfo) => fileInfo?.path)
+        .filter((file) => file?.startsWith('.ai/'))
+    );
+    if (originalHash) {
+      remainingFiles = remainingFiles.map((fileInfo) =>
+        fileInfo === agentsMd ? { ...agentsMd, originalHash } : fileInfo
+      );
+      updatedFiles.push('AGENTS.md');
     }
   }
 
-  // Remove created files
-  if (currentConfig.files && currentConfig.files.length > 0) {
-    for (const fileInfo of currentConfig.files) {
-      // Handle both old format (strings) and new format (objects)
-      const filePath = typeof fileInfo === 'string' ? fileInfo : fileInfo.path;
-      const fullPath = path.resolve(filePath);
-
-      if (options.verbose) {
-        logFn(
-          chalk.gray(
-            `  Debug: filePath=${filePath}, fullPath=${fullPath}, cwd=${process.cwd()}`
-          )
-        );
-      }
-
-      // Validate path safety
-      if (!isPathSafe(filePath, process.cwd(), fullPath, path)) {
-        logFn(chalk.yellow(`  Skipped (unsafe path): ${filePath}`));
-        continue;
-      }
-
-      // Special handling for AGENTS.md
-      if (filePath === 'AGENTS.md') {
-        const wasPreExisting = fileInfo.preExisting === true;
-        await handleAgentsMdRemoval(fileInfo, fullPath, options, dependencies);
-
-        if (wasPreExisting) {
-          revertedFiles.push(filePath);
-        } else {
-          removedFiles.push(filePath);
-        }
-        continue;
-      }
-
-      if (await fs.pathExists(fullPath)) {
-        await fs.remove(fullPath);
-        removedFiles.push(filePath);
-        if (options.verbose) {
-          logFn(chalk.gray(`  Removed: ${fullPath}`));
-        }
-      } else {
-        if (options.verbose) {
-          logFn(chalk.gray(`  File not found: ${fullPath}`));
-        }
-      }
-    }
+  for (const taskId of taskIds) {
+    taskPreferences[taskId] = false;
   }
 
-  return { removedFiles, revertedFiles };
+  await createConfigFile({
+    ...currentConfig,
+    features: { ...currentConfig.features, taskPreferences },
+    files: remainingFiles
+  });
+  await removeTaskLockEntries(taskIds, dependencies);
+
+  return { removedFiles, revertedFiles, updatedFiles, disabledTasks: taskIds };
 }
 
 /**
@@ -1083,7 +3128,19 @@ async function performRemoval(currentConfig, options, dependencies) {
  */
 function displayRemovalSummary(removalResult, dependencies) {
   const { chalk, logFn } = dependencies;
-  const { removedFiles, revertedFiles } = removalResult;
+  const {
+    removedFiles,
+    revertedFiles,
+    updatedFiles = [],
+    disabledTasks = []
+  } = removalResult;
+
+  if (disabledTasks.length > 0) {
+    logFn(chalk.green('\n✅ Tasks disabled:'));
+    disabledTasks.forEach((taskId) => {
+      logFn(chalk.green(`  • ${taskId}`));
+    });
+  }
 
   // Display removed files
   if (removedFiles.length > 0) {
@@ -1101,6 +3158,14 @@ function displayRemovalSummary(removalResult, dependencies) {
     });
   }
 
+  // Display files whose Lullabot section was refreshed
+  if (updatedFiles.length > 0) {
+    logFn(chalk.blue('\n📝 Files updated:'));
+    updatedFiles.forEach((file) => {
+      logFn(chalk.blue(`  • ${file}`));
+    });
+  }
+
   if (removedFiles.length === 0 && revertedFiles.length === 0) {
     logFn(chalk.yellow('  No files were found to remove or revert.'));
   }
@@ -1112,6 +3177,204 @@ function displayRemovalSummary(removalResult, dependencies) {
   );
 }
 
+/**
+ * Snapshot the files a command is about to change so it can be rolled back.
+ * Keeps the number of backups set by backups.retention in the project
+ * configuration.
+ *
+ * @param {string} command - Command taking the backup (e.g. "update")
+ * @param {Object|null} currentConfig - Current project configuration, if any
+ * @param {Object} dependencies - Injected dependencies with createBackup
+ * @returns {Promise<Object|null>} Backup manifest, or null if backups are off
+ */
+async function backupProject(command, currentConfig, dependencies) {
+  const { createBackup, fs } = dependencies;
+  if (!createBackup) {
+    return null;
+  }
+
+  const filePaths = (currentConfig?.files || []).map((fileInfo) =>
+    typeof fileInfo === 'string' ? fileInfo : fileInfo?.path
+  );
+
+  // AGENTS.md may predate the setup, so keep its content even if untracked
+  if (await fs?.pathExists('AGENTS.md')) {
+    filePaths.push('AGENTS.md');
+  }
+
+  return createBackup(command, filePaths, {
+    retention: currentConfig?.backups?.retention
+  });
+}
+
+/**
+ * Record the files a command changed in its backup.
+ *
+ * @param {Object|null} backup - Backup manifest from backupProject
+ * @param {Object|null} config - Project configuration after the command
+ * @param {Object} dependencies - Injected dependencies with completeBackup
+ * @returns {Promise<void>}
+ */
+async function completeProjectBackup(backup, config, dependencies) {
+  if (!backup || !dependencies.completeBackup) {
+    return;
+  }
+
+  await dependencies.completeBackup(
+    backup,
+    (config?.files || [])
+      .map((fileInfo) =>
+        typeof fileInfo === 'string' ? fileInfo : fileInfo?.path
+      )
+      .filter(Boolean)
+  );
+}
+
+/**
+ * Display where the backup of a command was saved
+ */
+function displayBackupNotice(backup, dependencies) {
+  const { chalk, logFn } = dependencies;
+
+  if (backup) {
+    logFn(
+      chalk.gray(
+        `\n💾 Backup saved: ${backup.id} (undo with "lullabot-project rollback")`
+      )
+    );
+  }
+}
+
+/**
+ * Summarize the changes recorded in a backup (e.g. "2 modified, 1 added").
+ */
+function formatBackupChanges(backup) {
+  const counts = {};
+  (backup.changes || []).forEach(({ status }) => {
+    counts[status] = (counts[status] || 0) + 1;
+  });
+
+  const summary = ['modified', 'added', 'deleted']
+    .filter((status) => counts[status])
+    .map((status) => `${counts[status]} ${status}`);
+  return summary.length > 0 ? summary.join(', ') : 'no changes recorded';
+}
+
+/**
+ * Restore the files, configuration and lock file from a backup taken before
+ * init, update, enable or remove.
+ *
+ * @param {Object} options - Command line options and flags
+ * @param {string} options.to - Backup ID to restore, the latest backup if not given
+ * @param {boolean} options.list - Whether to list the backups instead
+ * @param {boolean} options.dryRun - Whether to show what would be restored
+ * @param {boolean} options.force - Whether to skip the confirmation
+ * @param {Object} dependencies - Injected dependencies
+ * @param {Function} dependencies.listBackups - Lists backups, newest first
+ * @param {Function} dependencies.findBackup - Finds a backup by ID, or the latest
+ * @param {Function} dependencies.restoreBackup - Restores a backup
+ * @returns {Promise<Object|null>} Restored and deleted files, or null if nothing was restored
+ */
+async function rollbackSetup(options, dependencies) {
+  const {
+    listBackups,
+    findBackup,
+    restoreBackup,
+    confirmAction,
+    chalk,
+    logFn = console.log,
+    spinnerFn
+  } = dependencies;
+
+  if (options.list) {
+    const backups = await listBackups();
+    if (backups.length === 0) {
+      logFn(chalk.yellow('No backups found.'));
+      return null;
+    }
+
+    logFn(chalk.blue('💾 Backups (newest first):'));
+    backups.forEach((backup) => {
+      logFn(
+        `• ${chalk.cyan(backup.id)} before ${backup.command} (${formatBackupChanges(backup)})`
+      );
+    });
+    return null;
+  }
+
+  const backup = await findBackup(options.to);
+  const restoredFiles = backup.files
+    .filter((file) => file.existed)
+    .map((file) => file.path);
+  const deletedFiles = backup.files
+    .filter((file) => !file.existed)
+    .map((file) => file.path);
+
+  if (options.dryRun) {
+    logFn(chalk.blue('🔍 DRY RUN - What would be rolled back:'));
+    logFn('─'.repeat(50));
+    logFn(`• Backup: ${chalk.cyan(backup.id)} (before ${backup.command})`);
+    if (restoredFiles.length > 0) {
+      logFn('\n📁 Files that would be restored:');
+      restoredFiles.forEach((file) => logFn(`  • ${file}`));
+    }
+    if (deletedFiles.length > 0) {
+      logFn('\n🗑️  Files that would be deleted if present:');
+      deletedFiles.forEach((file) => logFn(`  • ${file}`));
+    }
+    if (backup.base) {
+      logFn(
+        `\n📚 Stored upstream content that would be restored: ${chalk.cyan('.lullabot-project/base/')}`
+      );
+    }
+    logFn(`\n${'─'.repeat(50)}`);
+    logFn(chalk.yellow('💡 This was a dry run - no changes were made.'));
+    return null;
+  }
+
+  if (!options.force) {
+    const confirmed = await confirmAction(
+      `Restore the backup taken before "${backup.command}" (${backup.id})? Changes made since then to these files are lost.`,
+      false
+    );
+    if (!confirmed) {
+      logFn(chalk.blue('Rollback cancelled.'));
+      return null;
+    }
+  }
+
+  const spinner = spinnerFn ? spinnerFn('Restoring backup...') : null;
+  spinner?.start('Restoring backup...');
+  try {
+    const result = await restoreBackup(backup);
+    spinner?.succeed('Backup restored');
+
+    logFn(
+      chalk.green(`\n✅ Rolled back to ${backup.id} (before ${backup.command})`)
+    );
+    if (result.restoredFiles.length > 0) {
+      logFn(chalk.blue('\n📁 Files restored:'));
+      result.restoredFiles.forEach((file) => logFn(`  • ${file}`));
+    }
+    if (result.deletedFiles.length > 0) {
+      logFn(chalk.yellow('\n🗑️  Files deleted:'));
+      result.deletedFiles.forEach((file) => logFn(chalk.yellow(`  • ${file}`)));
+    }
+    if (result.restoredBase) {
+      logFn(
+        chalk.blue(
+          '\n📚 Stored upstream content restored, so update can merge local edits again'
+        )
+      );
+    }
+
+    return result;
+  } catch (error) {
+    spinner?.fail('Rollback failed');
+    throw error;
+  }
+}
+
 /**
  * Validate that a file path is safe for removal.
  * Prevents path traversal attacks and ensures files can only be removed from the current directory.
@@ -1168,21 +3431,49 @@ function isPathSafe(filePath, currentDir, resolvedPath, path) {
 export {
   initSetup,
   updateSetup,
+  enableTasks,
+  diffSetup,
   showConfig,
+  displayConfigSources,
   removeSetup,
+  removeTasks,
   // Export utility functions for testing
   handleDryRun,
   executeEnabledTasks,
   processTaskResults,
   displaySuccessSummary,
   checkIfUpdateNeeded,
+  getUpdateReasons,
+  getUpstreamChanges,
+  displayUpdateReasons,
+  getRetiredTasks,
+  reconcileTasks,
+  displayTaskChanges,
+  backupProject,
+  completeProjectBackup,
+  rollbackSetup,
   handleUpdateDryRun,
   performUpdate,
+  performEnable,
+  displayEnableSummary,
+  captureLocalEdits,
+  mergeLocalEdits,
+  loadLockState,
+  saveLockState,
   displayUpdateSummary,
+  displayLockChanges,
+  collectUpstreamChanges,
+  displayDiff,
   displayConfig,
   checkForUpdates,
+  diagnoseSetup,
+  collectDoctorProblems,
+  displayDoctorReport,
   handleRemoveDryRun,
   performRemoval,
+  resolveConfiguredTasks,
+  handleTaskRemoveDryRun,
+  performTaskRemoval,
   displayRemovalSummary,
   isPathSafe,
   handleAgentsMdRemoval,
@@ -1194,6 +3485,7 @@ export function createCLI(dependencies) {
     initSetup: (options) => initSetup(options, dependencies),
     updateSetup: (options) => updateSetup(options, dependencies),
     showConfig: (options) => showConfig(options, dependencies),
+    diagnoseSetup: (options) => diagnoseSetup(options, dependencies),
     removeSetup: (options) => removeSetup(options, dependencies)
   };
 }
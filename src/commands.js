@@ -21,6 +21,8 @@
  * @param {string} options.tasks - Comma-separated list of tasks to enable
  * @param {string} options.skipTasks - Comma-separated list of tasks to skip
  * @param {boolean} options.allTasks - Whether to enable all available tasks
+ * @param {boolean} options.auto - Whether to use the detected project type without asking
+ * @param {boolean} options.offline - Whether to use the clone cache only
  * @param {Function} initSetupFn - Function to handle initialization setup
  * @param {Object} chalk - Chalk instance for styling
  * @param {Function} logFn - Console.log function (can be mocked)
@@ -53,8 +55,12 @@ async function initCommand(options) {
       },
       executeTask: async (task, tool, projectType, verbose, deps) => {
         const { executeTask } = await import('./file-operations.js');
-        // Add useLocalFiles to the dependencies passed to the task
-        const enhancedDeps = { ...deps, useLocalFiles: options.local || false };
+        // Add useLocalFiles and offline to the dependencies passed to the task
+        const enhancedDeps = {
+          ...deps,
+          useLocalFiles: options.local || false,
+          offline: options.offline || false
+        };
         return executeTask(task, tool, projectType, verbose, enhancedDeps);
       },
       createConfigFile: async (config, fullConfig) => {
@@ -72,11 +78,16 @@ async function initCommand(options) {
           const { getTasks } = await import('./tool-config.js');
           return getTasks(tool, project, config);
         };
+        const actualDetectFn = async (config) => {
+          const { detectProjectTypes } = await import('./project-detection.js');
+          return detectProjectTypes(config);
+        };
         return promptUser(
           options,
           fullConfig,
           actualPromptFn,
-          actualGetTasksFn
+          actualGetTasksFn,
+          actualDetectFn
         );
       },
       confirmAction: async (message, defaultValue) => {
@@ -108,8 +119,22 @@ async function initCommand(options) {
         const { configExists } = await import('./file-operations.js');
         return configExists();
       },
+      saveBaseContent: async (files) => {
+        const { saveBaseContent } = await import('./file-operations.js');
+        return saveBaseContent(files);
+      },
+      // Dependencies for the remote source lock file
+      readLockFile: async () => {
+        const { readLockFile } = await import('./lockfile.js');
+        return readLockFile();
+      },
+      writeLockFile: async (lock) => {
+        const { writeLockFile } = await import('./lockfile.js');
+        return writeLockFile(lock);
+      },
       // External dependencies
       crypto: (await import('crypto')).default,
+      ...createBackupDependencies(),
       fs: (await import('fs-extra')).default,
       chalk,
       logFn: console.log
@@ -144,11 +169,13 @@ async function initCommand(options) {
  * @param {boolean} options.dryRun - Whether to perform a dry run without making changes
  * @param {boolean} options.verbose - Whether to show detailed output
  * @param {boolean} options.force - Whether to force update even with corrupted config
+ * @param {boolean} options.refreshLock - Whether to move the lock file to the latest remote commits
  * @param {string} options.tool - Tool to use (if provided via command line)
  * @param {string} options.project - Project type (if provided via command line)
  * @param {string} options.tasks - Comma-separated list of tasks to enable
  * @param {string} options.skipTasks - Comma-separated list of tasks to skip
  * @param {boolean} options.allTasks - Whether to enable all available tasks
+ * @param {boolean} options.offline - Whether to use the clone cache only
  * @param {Function} updateSetupFn - Function to handle update setup
  * @param {Object} chalk - Chalk instance for styling
  * @param {Function} logFn - Console.log function (can be mocked)
@@ -181,10 +208,11 @@ async function updateCommand(options) {
       },
       executeTask: async (task, tool, projectType, verbose, dependencies) => {
         const { executeTask } = await import('./file-operations.js');
-        // Add useLocalFiles to the dependencies passed to the task
+        // Add useLocalFiles and offline to the dependencies passed to the task
         const enhancedDeps = {
           ...dependencies,
-          useLocalFiles: options.local || false
+          useLocalFiles: options.local || false,
+          offline: options.offline || false
         };
         return executeTask(task, tool, projectType, verbose, enhancedDeps);
       },
@@ -213,9 +241,48 @@ async function updateCommand(options) {
         };
         return confirmFileOverwrite(changedFiles, { ...deps, promptFn });
       },
+      // Dependencies for three-way merging of local edits
+      saveBaseContent: async (files) => {
+        const { saveBaseContent } = await import('./file-operations.js');
+        return saveBaseContent(files);
+      },
+      readBaseContent: async (filePath) => {
+        const { readBaseContent } = await import('./file-operations.js');
+        return readBaseContent(filePath);
+      },
+      hasBaseContent: async (filePath) => {
+        const { hasBaseContent } = await import('./file-operations.js');
+        return hasBaseContent(filePath);
+      },
+      // Dependencies for the remote source lock file
+      readLockFile: async () => {
+        const { readLockFile } = await import('./lockfile.js');
+        return readLockFile();
+      },
+      writeLockFile: async (lock) => {
+        const { writeLockFile } = await import('./lockfile.js');
+        return writeLockFile(lock);
+      },
+      getRemoteCommit: async (url, ref) => {
+        const { getRemoteCommit } = await import('./git-operations.js');
+        return getRemoteCommit(url, ref);
+      },
+      // Dependencies for offering new tasks and retiring old ones
+      selectTaskPreferences: async (options, tasks) => {
+        const { getTaskPreferences } = await import('./prompts.js');
+        const { default: inquirer } = await import('inquirer');
+        return getTaskPreferences(options, tasks, inquirer.prompt);
+      },
+      confirmAction: async (message, defaultValue) => {
+        const { confirmAction } = await import('./prompts.js');
+        const { default: inquirer } = await import('inquirer');
+        return confirmAction(message, defaultValue, inquirer.prompt);
+      },
       // External dependencies
       crypto: (await import('crypto')).default,
+      ...createBackupDependencies(),
       fs: (await import('fs-extra')).default,
+      path: await import('path'),
       chalk,
       logFn: console.log
     };
@@ -231,9 +298,20 @@ async function updateCommand(options) {
       dependencies
     );
 
-    if (changedFiles.length > 0 && !options.force) {
+    // Edited files with stored upstream content are merged, not overwritten
+    const overwrittenFiles = [];
+    for (const file of changedFiles) {
+      if (
+        file.currentHash === null ||
+        !(await dependencies.hasBaseContent(file.path))
+      ) {
+        overwrittenFiles.push(file);
+      }
+    }
+
+    if (overwrittenFiles.length > 0 && !options.force) {
       const confirmed = await dependencies.confirmFileOverwrite(
-        changedFiles,
+        overwrittenFiles,
         dependencies
       );
       if (!confirmed) {
@@ -261,6 +339,7 @@ async function updateCommand(options) {
  * @param {Object} options - Command line options and flags
  * @param {boolean} options.checkUpdates - Whether to check for available updates
  * @param {boolean} options.json - Whether to output in JSON format
+ * @param {boolean} options.sources - Whether to show which config layer defines each tool and task
  * @param {boolean} options.verbose - Whether to show detailed output
  * @param {Function} showConfigFn - Function to handle configuration display
  * @param {Object} chalk - Chalk instance for styling
@@ -284,6 +363,10 @@ async function configCommand(options) {
         const { loadConfig } = await import('./tool-config.js');
         return loadConfig();
       },
+      loadConfigSources: async () => {
+        const { loadConfigSources } = await import('./tool-config.js');
+        return loadConfigSources();
+      },
       getTasks: async (tool, project, config) => {
         const { getTasks } = await import('./tool-config.js');
         return getTasks(tool, project, config);
@@ -306,6 +389,72 @@ async function configCommand(options) {
   }
 }
 
+/**
+ * Diagnose the current setup command handler.
+ * Wraps the diagnoseSetup function and exits non-zero when problems are found.
+ *
+ * @param {Object} options - Command line options and flags
+ * @param {boolean} options.json - Whether to output in JSON format
+ * @param {boolean} options.verbose - Whether to show detailed output
+ * @returns {Promise<void>}
+ */
+async function doctorCommand(options) {
+  try {
+    // Import the function dynamically to avoid circular dependencies
+    const { diagnoseSetup } = await import('./cli.js');
+    const { LULLABOT_COMMENT_START, LULLABOT_COMMENT_END } = await import(
+      './task-types/agents-md.js'
+    );
+
+    // Create a simple dependencies object with what's needed
+    const dependencies = {
+      readConfigFile: async () => {
+        const { readConfigFile } = await import('./file-operations.js');
+        return readConfigFile();
+      },
+      loadConfig: async () => {
+        const { loadConfig } = await import('./tool-config.js');
+        return loadConfig();
+      },
+      getTasks: async (tool, project, config) => {
+        const { getTasks } = await import('./tool-config.js');
+        return getTasks(tool, project, config);
+      },
+      getPackageVersion: async (packageConfig, verbose) => {
+        const { getPackageVersion } = await import('./file-operations.js');
+        return getPackageVersion(packageConfig, verbose);
+      },
+      calculateFileHash: async (filePath, deps) => {
+        const { calculateFileHash } = await import('./file-operations.js');
+        return calculateFileHash(filePath, deps);
+      },
+      checkFileChanges: async (config, deps) => {
+        const { checkFileChanges } = await import('./file-operations.js');
+        return checkFileChanges(config, deps);
+      },
+      // AGENTS.md managed section markers
+      LULLABOT_COMMENT_START,
+      LULLABOT_COMMENT_END,
+      // External dependencies
+      crypto: (await import('crypto')).default,
+      fs: (await import('fs-extra')).default,
+      chalk,
+      logFn: console.log
+    };
+
+    const report = await diagnoseSetup(options, dependencies);
+    if (report.problems.length > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(chalk.red('❌ Doctor failed:'), error.message);
+    if (options.verbose) {
+      console.error(chalk.gray('Stack trace:'), error.stack);
+    }
+    process.exit(1);
+  }
+}
+
 /**
  * Remove all files and configuration created by lullabot-project command handler.
  * Wraps the removeSetup function with error handling and exit codes.
@@ -314,6 +463,7 @@ async function configCommand(options) {
  * @param {boolean} options.dryRun - Whether to perform a dry run without making changes
  * @param {boolean} options.verbose - Whether to show detailed output
  * @param {boolean} options.force - Whether to skip confirmation prompt
+ * @param {string} options.tasks - Only remove these tasks (comma-separated)
  * @param {Function} removeSetupFn - Function to handle removal setup
  * @param {Object} chalk - Chalk instance for styling
  * @param {Function} logFn - Console.log function (can be mocked)
@@ -326,28 +476,90 @@ async function removeCommand(options) {
     // Import the function dynamically to avoid circular dependencies
     const { removeSetup } = await import('./cli.js');
 
-    // Create a simple dependencies object with what's needed
+    await removeSetup(options, await createRemoveDependencies());
+  } catch (error) {
+    console.error(chalk.red('❌ Remove failed:'), error.message);
+    if (options.verbose) {
+      console.error(chalk.gray('Stack trace:'), error.stack);
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * Enable tasks command handler.
+ * Runs only the given tasks in an existing setup and turns them on in the
+ * project configuration.
+ *
+ * @param {string} tasks - Task IDs to enable (comma-separated)
+ * @param {Object} options - Command line options and flags
+ * @param {boolean} options.dryRun - Whether to perform a dry run without making changes
+ * @param {boolean} options.verbose - Whether to show detailed output
+ * @param {boolean} options.local - Whether to use local files instead of Git
+ * @param {boolean} options.offline - Whether to use the clone cache only
+ * @returns {Promise<void>}
+ */
+async function enableCommand(tasks, options) {
+  try {
+    const { enableTasks } = await import('./cli.js');
+
     const dependencies = {
       readConfigFile: async () => {
         const { readConfigFile } = await import('./file-operations.js');
         return readConfigFile();
       },
-      confirmAction: async (message, defaultValue) => {
-        const { confirmAction: actualConfirmAction } = await import(
-          './prompts.js'
-        );
-        const { default: inquirer } = await import('inquirer');
-        return actualConfirmAction(message, defaultValue, inquirer.prompt);
+      loadConfig: async () => {
+        const { loadConfig } = await import('./tool-config.js');
+        return loadConfig();
+      },
+      getTasks: async (tool, project, config) => {
+        const { getTasks } = await import('./tool-config.js');
+        return getTasks(tool, project, config);
+      },
+      executeTask: async (task, tool, projectType, verbose, dependencies) => {
+        const { executeTask } = await import('./file-operations.js');
+        const enhancedDeps = {
+          ...dependencies,
+          useLocalFiles: options.local || false,
+          offline: options.offline || false
+        };
+        return executeTask(task, tool, projectType, verbose, enhancedDeps);
+      },
+      createConfigFile: async (config, fullConfig) => {
+        const { createConfigFile } = await import('./file-operations.js');
+        return createConfigFile(config, fullConfig);
       },
+      calculateFileHash: async (filePath, deps) => {
+        const { calculateFileHash } = await import('./file-operations.js');
+        return calculateFileHash(filePath, deps);
+      },
+      trackInstalledFile: async (filePath, deps) => {
+        const { trackInstalledFile } = await import('./file-operations.js');
+        return trackInstalledFile(filePath, deps);
+      },
+      saveBaseContent: async (files, storeOptions) => {
+        const { saveBaseContent } = await import('./file-operations.js');
+        return saveBaseContent(files, storeOptions);
+      },
+      readLockFile: async () => {
+        const { readLockFile } = await import('./lockfile.js');
+        return readLockFile();
+      },
+      writeLockFile: async (lock) => {
+        const { writeLockFile } = await import('./lockfile.js');
+        return writeLockFile(lock);
+      },
+      crypto: (await import('crypto')).default,
+      ...createBackupDependencies(),
       fs: (await import('fs-extra')).default,
       path: await import('path'),
       chalk,
       logFn: console.log
     };
 
-    await removeSetup(options, dependencies);
+    await enableTasks(tasks, options, dependencies);
   } catch (error) {
-    console.error(chalk.red('❌ Remove failed:'), error.message);
+    console.error(chalk.red('❌ Enable failed:'), error.message);
     if (options.verbose) {
       console.error(chalk.gray('Stack trace:'), error.stack);
     }
@@ -355,7 +567,224 @@ async function removeCommand(options) {
   }
 }
 
+/**
+ * Diff command handler.
+ * Shows what an update would change in the tracked files.
+ *
+ * @param {Object} options - Command line options and flags
+ * @param {boolean} options.stat - Whether to only list changed files with line counts
+ * @param {boolean} options.json - Whether to output in JSON format
+ * @param {boolean} options.verbose - Whether to show detailed output
+ * @param {boolean} options.local - Whether to use local files instead of Git
+ * @param {boolean} options.offline - Whether to use the clone cache only
+ * @param {boolean} options.refreshLock - Whether to preview the latest remote commits
+ * @returns {Promise<void>}
+ */
+async function diffCommand(options) {
+  try {
+    const { diffSetup } = await import('./cli.js');
+
+    const dependencies = {
+      readConfigFile: async () => {
+        const { readConfigFile } = await import('./file-operations.js');
+        return readConfigFile();
+      },
+      loadConfig: async () => {
+        const { loadConfig } = await import('./tool-config.js');
+        return loadConfig();
+      },
+      getTasks: async (tool, project, config) => {
+        const { getTasks } = await import('./tool-config.js');
+        return getTasks(tool, project, config);
+      },
+      executeTask: async (task, tool, projectType, verbose, dependencies) => {
+        const { executeTask } = await import('./file-operations.js');
+        const enhancedDeps = {
+          ...dependencies,
+          useLocalFiles: options.local || false,
+          offline: options.offline || false
+        };
+        return executeTask(task, tool, projectType, verbose, enhancedDeps);
+      },
+      calculateFileHash: async (filePath, deps) => {
+        const { calculateFileHash } = await import('./file-operations.js');
+        return calculateFileHash(filePath, deps);
+      },
+      checkFileChanges: async (config, deps) => {
+        const { checkFileChanges } = await import('./file-operations.js');
+        return checkFileChanges(config, deps);
+      },
+      trackInstalledFile: async (filePath, deps) => {
+        const { trackInstalledFile } = await import('./file-operations.js');
+        return trackInstalledFile(filePath, deps);
+      },
+      readBaseContent: async (filePath) => {
+        const { readBaseContent } = await import('./file-operations.js');
+        return readBaseContent(filePath);
+      },
+      readLockFile: async () => {
+        const { readLockFile } = await import('./lockfile.js');
+        return readLockFile();
+      },
+      crypto: (await import('crypto')).default,
+      fs: (await import('fs-extra')).default,
+      path: await import('path'),
+      chalk,
+      logFn: console.log
+    };
+
+    await diffSetup(options, dependencies);
+  } catch (error) {
+    console.error(chalk.red('❌ Diff failed:'), error.message);
+    if (options.verbose) {
+      console.error(chalk.gray('Stack trace:'), error.stack);
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * Disable tasks command handler.
+ * Removes only the files installed by the given tasks and turns them off in
+ * the project configuration.
+ *
+ * @param {string} tasks - Task IDs to disable (comma-separated)
+ * @param {Object} options - Command line options and flags
+ * @param {boolean} options.dryRun - Whether to perform a dry run without making changes
+ * @param {boolean} options.verbose - Whether to show detailed output
+ * @param {boolean} options.force - Whether to skip confirmation prompt
+ * @returns {Promise<void>}
+ */
+async function disableCommand(tasks, options) {
+  try {
+    const { removeTasks } = await import('./cli.js');
+
+    await removeTasks(tasks, options, await createRemoveDependencies());
+  } catch (error) {
+    console.error(chalk.red('❌ Disable failed:'), error.message);
+    if (options.verbose) {
+      console.error(chalk.gray('Stack trace:'), error.stack);
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * Rollback command handler.
+ * Restores the files and configuration saved before an init, update, enable
+ * or remove.
+ *
+ * @param {Object} options - Command line options and flags
+ * @param {string} options.to - Backup ID to restore, the latest backup if not given
+ * @param {boolean} options.list - Whether to list the backups instead
+ * @param {boolean} options.dryRun - Whether to perform a dry run without making changes
+ * @param {boolean} options.verbose - Whether to show detailed output
+ * @param {boolean} options.force - Whether to skip confirmation prompt
+ * @returns {Promise<void>}
+ */
+async function rollbackCommand(options) {
+  try {
+    const { rollbackSetup } = await import('./cli.js');
+    const { listBackups, findBackup, restoreBackup } = await import(
+      './backups.js'
+    );
+
+    await rollbackSetup(options, {
+      listBackups,
+      findBackup,
+      restoreBackup,
+      confirmAction: async (message, defaultValue) => {
+        const { confirmAction } = await import('./prompts.js');
+        const { default: inquirer } = await import('inquirer');
+        return confirmAction(message, defaultValue, inquirer.prompt);
+      },
+      chalk,
+      logFn: console.log
+    });
+  } catch (error) {
+    console.error(chalk.red('❌ Rollback failed:'), error.message);
+    if (options.verbose) {
+      console.error(chalk.gray('Stack trace:'), error.stack);
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * Create the dependencies that snapshot files before a command changes them.
+ *
+ * @returns {Object} Dependencies object
+ */
+function createBackupDependencies() {
+  return {
+    createBackup: async (command, filePaths, options) => {
+      const { createBackup } = await import('./backups.js');
+      return createBackup(command, filePaths, options);
+    },
+    completeBackup: async (backup, filePaths) => {
+      const { completeBackup } = await import('./backups.js');
+      return completeBackup(backup, filePaths);
+    }
+  };
+}
+
+/**
+ * Create the dependencies shared by the remove and disable commands.
+ *
+ * @returns {Promise<Object>} Dependencies object
+ */
+async function createRemoveDependencies() {
+  return {
+    readConfigFile: async () => {
+      const { readConfigFile } = await import('./file-operations.js');
+      return readConfigFile();
+    },
+    confirmAction: async (message, defaultValue) => {
+      const { confirmAction: actualConfirmAction } = await import(
+        './prompts.js'
+      );
+      const { default: inquirer } = await import('inquirer');
+      return actualConfirmAction(message, defaultValue, inquirer.prompt);
+    },
+    loadConfig: async () => {
+      const { loadConfig } = await import('./tool-config.js');
+      return loadConfig();
+    },
+    getTasks: async (tool, project, config) => {
+      const { getTasks } = await import('./tool-config.js');
+      return getTasks(tool, project, config);
+    },
+    createConfigFile: async (config) => {
+      const { createConfigFile } = await import('./file-operations.js');
+      return createConfigFile(config);
+    },
+    readLockFile: async () => {
+      const { readLockFile } = await import('./lockfile.js');
+      return readLockFile();
+    },
+    writeLockFile: async (lock) => {
+      const { writeLockFile } = await import('./lockfile.js');
+      return writeLockFile(lock);
+    },
+    ...createBackupDependencies(),
+    fs: (await import('fs-extra')).default,
+    path: await import('path'),
+    chalk,
+    logFn: console.log
+  };
+}
+
 import chalk from 'chalk';
 
 // Export the refactored functions
-export { initCommand, updateCommand, configCommand, removeCommand };
+export {
+  initCommand,
+  updateCommand,
+  configCommand,
+  doctorCommand,
+  removeCommand,
+  enableCommand,
+  disableCommand,
+  diffCommand,
+  rollbackCommand
+};
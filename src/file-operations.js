@@ -4,6 +4,11 @@ import { execSync } from 'child_process';
 import yaml from 'js-yaml';
 import chalk from 'chalk';
 import { getTaskExecutor } from './task-types/index.js';
+import { getProjectTools } from './tool-config.js';
+import { ensureProjectDataDir } from './utils/project-data.js';
+
+// Directory holding the upstream content of tracked files for three-way merges
+const BASE_CONTENT_DIR = path.join('.lullabot-project', 'base');
 
 /**
  * Get the current tool version from package.json.
@@ -60,10 +65,14 @@ async function createConfigFile(config, verbose = false) {
     projectType = null;
   }
 
+  // The first tool stays in `tool` so older versions can still read the file
+  const tools = getProjectTools(config);
+
   const configData = {
     project: {
       type: projectType, // Handle both object and string, normalize undefined to null
-      tool: config.project?.tool || config.tool
+      tool: tools[0],
+      ...(tools.length > 0 && { tools })
     },
     features: {
       taskPreferences:
@@ -75,7 +84,8 @@ async function createConfigFile(config, verbose = false) {
       toolVersion: getToolVersion()
     },
     files: config.files || [],
-    packages: config.packages || {}
+    packages: config.packages || {},
+    ...(config.backups && { backups: config.backups })
   };
 
   const configPath = path.join(process.cwd(), '.lullabot-project.yml');
@@ -399,25 +409,115 @@ async function checkFileChanges(config, dependencies = {}) {
  * Track an installed file with its hash.
  * Uses dependency injection for testability.
  *
- * @param {string} filePath - Path to the installed file
+ * @param {string} filePath - Path to the installed file, relative to the project root
  * @param {Object} dependencies - Injected dependencies
  * @param {Function} dependencies.calculateFileHash - Function to calculate file hash
+ * @param {string} dependencies.projectRoot - Directory the file was written to
  * @returns {Promise<Object>} File tracking object with path and hash
  */
 async function trackInstalledFile(filePath, dependencies = {}) {
-  const { calculateFileHash } = dependencies;
+  const { calculateFileHash, projectRoot } = dependencies;
 
   if (!calculateFileHash) {
     throw new Error('Missing required dependency: calculateFileHash');
   }
 
-  const hash = await calculateFileHash(filePath, dependencies);
+  const hash = await calculateFileHash(
+    projectRoot ? path.resolve(projectRoot, filePath) : filePath,
+    dependencies
+  );
   return {
     path: filePath,
     originalHash: hash
   };
 }
 
+/**
+ * Get the path where the upstream base copy of a tracked file is stored.
+ * Returns null for paths that would resolve outside the base directory.
+ *
+ * @param {string} filePath - Tracked file path relative to the project root
+ * @returns {string|null} Absolute path of the stored base copy
+ */
+function getBaseContentPath(filePath) {
+  if (!filePath || path.isAbsolute(filePath) || filePath.includes('..')) {
+    return null;
+  }
+  return path.join(process.cwd(), BASE_CONTENT_DIR, filePath);
+}
+
+/**
+ * Store the upstream content of tracked files as the base for future merges.
+ * Replaces any previously stored base content so removed files are pruned,
+ * unless only a few files are being added.
+ * AGENTS.md, files merged into by merge tasks and .gitignore are skipped
+ * because their tasks merge their own content.
+ *
+ * @param {Object[]} files - Tracked file objects with paths
+ * @param {Object} options - Storage options
+ * @param {boolean} options.prune - Whether to drop the base content of other files
+ * @returns {Promise<string[]>} Paths of the files whose base content was stored
+ */
+async function saveBaseContent(files, { prune = true } = {}) {
+  if (prune) {
+    await fs.remove(path.join(process.cwd(), BASE_CONTENT_DIR));
+  }
+
+  const storedFiles = [];
+  for (const fileInfo of files || []) {
+    const filePath = typeof fileInfo === 'string' ? fileInfo : fileInfo.path;
+    const basePath = getBaseContentPath(filePath);
+    if (
+      !basePath ||
+      path.basename(filePath) === 'AGENTS.md' ||
+      Array.isArray(fileInfo?.merged) ||
+      fileInfo?.managedBlock
+    ) {
+      continue;
+    }
+
+    const sourcePath = path.join(process.cwd(), filePath);
+    if (!(await fs.pathExists(sourcePath))) {
+      continue;
+    }
+    if (!(await fs.stat(sourcePath)).isFile()) {
+      continue;
+    }
+
+    await ensureProjectDataDir();
+    await fs.ensureDir(path.dirname(basePath));
+    await fs.copy(sourcePath, basePath);
+    storedFiles.push(filePath);
+  }
+
+  return storedFiles;
+}
+
+/**
+ * Read the stored upstream base content of a tracked file.
+ *
+ * @param {string} filePath - Tracked file path relative to the project root
+ * @returns {Promise<string|null>} Base content or null if none was stored
+ */
+async function readBaseContent(filePath) {
+  const basePath = getBaseContentPath(filePath);
+  if (!basePath || !(await fs.pathExists(basePath))) {
+    return null;
+  }
+  return await fs.readFile(basePath, 'utf8');
+}
+
+/**
+ * Check if upstream base content is stored for a tracked file.
+ *
+ * @param {string} filePath - Tracked file path relative to the project root
+ * @returns {Promise<boolean>} True if base content exists
+ */
+async function hasBaseContent(filePath) {
+  const basePath = getBaseContentPath(filePath);
+  return basePath ? await fs.pathExists(basePath) : false;
+}
+
 /**
  * Check if project is initialized by checking for configuration file.
  * Uses dependency injection for testability.
@@ -448,5 +548,9 @@ export {
   calculateFileHash,
   checkFileChanges,
   trackInstalledFile,
-  isProjectInitialized
+  isProjectInitialized,
+  BASE_CONTENT_DIR,
+  saveBaseContent,
+  readBaseContent,
+  hasBaseContent
 };
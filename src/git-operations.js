@@ -2,6 +2,7 @@ import { simpleGit } from 'simple-git';
 import fs from 'fs-extra';
 import path from 'path';
 import os from 'os';
+import crypto from 'crypto';
 import chalk from 'chalk';
 import { fileURLToPath } from 'url';
 import { exec } from 'child_process';
@@ -10,8 +11,12 @@ import { expandPatterns } from './utils/pattern-matcher.js';
 import {
   processContent,
   shouldProcessFile,
+  getFilteredFileName,
+  getFilterWarnings,
+  isSkippedByFilters,
   validateFilterConfig
 } from './utils/content-filters.js';
+import { getProjectRelativePath } from './utils/project-paths.js';
 
 const execAsync = promisify(exec);
 
@@ -187,6 +192,28 @@ export async function cloneAndCopyFiles(
       }
     }
 
+    // Offline runs use the files bundled with this installation
+    if (dependencies.offline) {
+      if (verbose) {
+        console.log(
+          chalk.yellow('Using bundled files (--offline flag detected)...')
+        );
+      }
+      try {
+        return await copyFromLocalFiles(
+          sourcePath,
+          targetPath,
+          verbose,
+          items,
+          dependencies
+        );
+      } catch (error) {
+        throw new Error(
+          `Offline mode: ${sourcePath} is not bundled with this installation (${error.message})`
+        );
+      }
+    }
+
     // Clone the repository with shallow clone for efficiency
     // Try to use the version tag first, fallback to main branch if tag doesn't exist
     if (verbose) {
@@ -350,7 +377,10 @@ export async function cloneAndCopyFiles(
         for (const item of items) {
           const targetItemPath = path.join(targetPath, item);
           if (fs.existsSync(targetItemPath)) {
-            const relativePath = path.relative(process.cwd(), targetItemPath);
+            const relativePath = getProjectRelativePath(
+              targetItemPath,
+              dependencies
+            );
             const fileInfo = await dependencies.trackInstalledFile(
               relativePath,
               dependencies
@@ -363,7 +393,10 @@ export async function cloneAndCopyFiles(
         for (const [, targetItem] of Object.entries(items)) {
           const targetItemPath = path.join(targetPath, targetItem);
           if (fs.existsSync(targetItemPath)) {
-            const relativePath = path.relative(process.cwd(), targetItemPath);
+            const relativePath = getProjectRelativePath(
+              targetItemPath,
+              dependencies
+            );
             const fileInfo = await dependencies.trackInstalledFile(
               relativePath,
               dependencies
@@ -379,7 +412,10 @@ export async function cloneAndCopyFiles(
           const fileName = path.basename(fullSourcePath);
           const targetFilePath = path.join(targetPath, fileName);
           if (fs.existsSync(targetFilePath)) {
-            const relativePath = path.relative(process.cwd(), targetFilePath);
+            const relativePath = getProjectRelativePath(
+              targetFilePath,
+              dependencies
+            );
             const fileInfo = await dependencies.trackInstalledFile(
               relativePath,
               dependencies
@@ -399,9 +435,9 @@ export async function cloneAndCopyFiles(
                 fs.existsSync(sourceItemPath) &&
                 fs.existsSync(targetItemPath)
               ) {
-                const relativePath = path.relative(
-                  process.cwd(),
-                  targetItemPath
+                const relativePath = getProjectRelativePath(
+                  targetItemPath,
+                  dependencies
                 );
                 const fileInfo = await dependencies.trackInstalledFile(
                   relativePath,
@@ -422,7 +458,10 @@ export async function cloneAndCopyFiles(
         for (const item of items) {
           const targetItemPath = path.join(targetPath, item);
           if (fs.existsSync(targetItemPath)) {
-            const relativePath = path.relative(process.cwd(), targetItemPath);
+            const relativePath = getProjectRelativePath(
+              targetItemPath,
+              dependencies
+            );
             trackedFiles.push({ path: relativePath });
           }
         }
@@ -431,7 +470,10 @@ export async function cloneAndCopyFiles(
         for (const [, targetItem] of Object.entries(items)) {
           const targetItemPath = path.join(targetPath, targetItem);
           if (fs.existsSync(targetItemPath)) {
-            const relativePath = path.relative(process.cwd(), targetItemPath);
+            const relativePath = getProjectRelativePath(
+              targetItemPath,
+              dependencies
+            );
             trackedFiles.push({ path: relativePath });
           }
         }
@@ -443,7 +485,10 @@ export async function cloneAndCopyFiles(
           const fileName = path.basename(fullSourcePath);
           const targetFilePath = path.join(targetPath, fileName);
           if (fs.existsSync(targetFilePath)) {
-            const relativePath = path.relative(process.cwd(), targetFilePath);
+            const relativePath = getProjectRelativePath(
+              targetFilePath,
+              dependencies
+            );
             trackedFiles.push({ path: relativePath });
           }
         } else {
@@ -459,9 +504,9 @@ export async function cloneAndCopyFiles(
                 fs.existsSync(sourceItemPath) &&
                 fs.existsSync(targetItemPath)
               ) {
-                const relativePath = path.relative(
-                  process.cwd(),
-                  targetItemPath
+                const relativePath = getProjectRelativePath(
+                  targetItemPath,
+                  dependencies
                 );
                 trackedFiles.push({ path: relativePath });
               }
@@ -513,6 +558,43 @@ export async function getFilesFromGit(
   );
 }
 
+/**
+ * Read a single file from the tool's repository, like getFilesFromGit does
+ * for copy-files sources. The file is fetched into a temporary directory that
+ * is removed afterwards.
+ *
+ * @param {string} sourcePath - Path of the file in the repository
+ * @param {boolean} verbose - Whether to show detailed output
+ * @param {Object} dependencies - Dependencies object (useLocalFiles, offline)
+ * @returns {Promise<string|null>} File content, or null if the file doesn't exist
+ */
+export async function readFileFromGit(
+  sourcePath,
+  verbose = false,
+  dependencies = {}
+) {
+  const fileName = path.basename(sourcePath);
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lullabot-project-'));
+
+  try {
+    // Only the files tasks write are tracked, not the fetched source
+    await getFilesFromGit(
+      path.dirname(sourcePath),
+      tempDir,
+      verbose,
+      { [fileName]: fileName },
+      { ...dependencies, trackInstalledFile: undefined }
+    );
+
+    const filePath = path.join(tempDir, fileName);
+    return (await fs.pathExists(filePath))
+      ? await fs.readFile(filePath, 'utf8')
+      : null;
+  } finally {
+    await fs.remove(tempDir);
+  }
+}
+
 /**
  * Copy files from local development directory instead of Git repository.
  * Used for development workflow when files haven't been committed yet.
@@ -579,7 +661,7 @@ async function copyFromLocalFiles(
     await fs.copy(localSourcePath, finalTargetPath);
 
     // Track the file
-    const relativePath = path.relative(process.cwd(), finalTargetPath);
+    const relativePath = getProjectRelativePath(finalTargetPath, dependencies);
     if (dependencies.trackInstalledFile) {
       if (verbose) {
         console.log(chalk.gray(`  Tracking file: ${relativePath}`));
@@ -626,7 +708,7 @@ async function copyFromLocalFiles(
           await fs.copy(sourceItem, targetItem);
 
           // Track the file
-          const relativePath = path.relative(process.cwd(), targetItem);
+          const relativePath = getProjectRelativePath(targetItem, dependencies);
           if (dependencies.trackInstalledFile) {
             const fileInfo = await dependencies.trackInstalledFile(
               relativePath,
@@ -666,7 +748,10 @@ async function copyFromLocalFiles(
           await fs.copy(sourceItemPath, targetItemPath);
 
           // Track the file
-          const relativePath = path.relative(process.cwd(), targetItemPath);
+          const relativePath = getProjectRelativePath(
+            targetItemPath,
+            dependencies
+          );
           if (dependencies.trackInstalledFile) {
             const fileInfo = await dependencies.trackInstalledFile(
               relativePath,
@@ -703,7 +788,7 @@ async function copyFromLocalFiles(
         await fs.copy(sourceItem, targetItem);
 
         // Track only the files that were actually copied from source
-        const relativePath = path.relative(process.cwd(), targetItem);
+        const relativePath = getProjectRelativePath(targetItem, dependencies);
         if (dependencies.trackInstalledFile) {
           const fileInfo = await dependencies.trackInstalledFile(
             relativePath,
@@ -750,80 +835,429 @@ export async function getConfigFromGit(targetDir, verbose = false) {
 // Remote Repository Functions for Prompt Library Integration
 // ============================================================================
 
+// Persistent clone cache settings
+const CACHE_METADATA_FILE = 'cache.json';
+const DEFAULT_CACHE_MAX_AGE_DAYS = 30;
+const DEFAULT_CACHE_MAX_SIZE_MB = 500;
+
+/**
+ * Get the directory of the persistent clone cache.
+ * Honors LULLABOT_PROJECT_CACHE_DIR, then the platform's user cache directory.
+ *
+ * @returns {string} Absolute path to the cache directory
+ */
+function getCacheDir() {
+  if (process.env.LULLABOT_PROJECT_CACHE_DIR) {
+    return path.resolve(process.env.LULLABOT_PROJECT_CACHE_DIR);
+  }
+
+  if (process.platform === 'win32') {
+    const localAppData =
+      process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local');
+    return path.join(localAppData, 'lullabot-project', 'Cache');
+  }
+
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Caches', 'lullabot-project');
+  }
+
+  const cacheHome =
+    process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(cacheHome, 'lullabot-project');
+}
+
+/**
+ * Get the cache entry directory for a repository, keyed by URL and ref.
+ *
+ * @param {Object} repository - Repository configuration object
+ * @returns {string} Absolute path to the cache entry directory
+ */
+function getRepositoryCachePath(repository) {
+  const key = crypto
+    .createHash('sha256')
+    .update(`${repository.url}#${repository.type}:${repository.target}`)
+    .digest('hex')
+    .slice(0, 16);
+  return path.join(getCacheDir(), 'repos', key);
+}
+
 /**
- * Clone a remote repository to a temporary directory.
+ * Map git errors to descriptive messages for remote repositories.
+ *
+ * @param {Error} error - Error thrown by git
+ * @param {Object} repository - Repository configuration object
+ * @param {string|null} commit - Commit that was requested, if any
+ * @returns {Error} Error with a descriptive message
+ */
+function describeGitError(error, repository, commit = null) {
+  const { url, target } = repository;
+
+  if (error.code === 'ENOTFOUND') {
+    return new Error(`Repository not found: ${url}`);
+  } else if (commit && error.message.includes(commit)) {
+    return new Error(`Locked commit ${commit} not found in repository: ${url}`);
+  } else if (error.message.includes('not found')) {
+    return new Error(`Branch/tag '${target}' not found in repository: ${url}`);
+  } else if (error.code === 'ETIMEDOUT') {
+    return new Error(`Timeout while cloning repository: ${url}`);
+  }
+  return new Error(`Failed to clone repository: ${error.message}`);
+}
+
+/**
+ * Clone a remote repository into a cache directory.
  *
  * @param {Object} repository - Repository configuration object
  * @param {string} repository.url - Repository URL
  * @param {string} repository.type - Type of target ('branch' or 'tag')
  * @param {string} repository.target - Target branch or tag name
+ * @param {string} repoDir - Directory to clone into
  * @param {boolean} verbose - Whether to show detailed output
- * @returns {Promise<string>} Path to the temporary directory
+ * @returns {Promise<string>} Path to the cloned repository
  */
-async function cloneRemoteRepository(repository, verbose) {
+async function cloneRemoteRepository(repository, repoDir, verbose) {
   const { url, target } = repository;
 
-  // Create temporary directory
-  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lullabot-'));
+  await fs.ensureDir(repoDir);
 
   try {
     // Shallow clone for efficiency
     const cloneCommand = `git clone --depth 1 --branch ${target} ${url} .`;
-    await execAsync(cloneCommand, { cwd: tempDir, timeout: 30000 });
+    await execAsync(cloneCommand, { cwd: repoDir, timeout: 30000 });
 
     if (verbose) {
       console.log(
-        chalk.green(`✅ Successfully cloned repository to ${tempDir}`)
+        chalk.green(`✅ Successfully cloned repository to ${repoDir}`)
       );
     }
 
-    return tempDir;
+    return repoDir;
   } catch (error) {
-    // Clean up temp directory on failure
-    await fs.remove(tempDir).catch(() => {});
+    // Don't leave a partial clone in the cache
+    await fs.remove(repoDir).catch(() => {});
+    throw describeGitError(error, repository);
+  }
+}
 
-    if (error.code === 'ENOTFOUND') {
-      throw new Error(`Repository not found: ${url}`);
-    } else if (error.message.includes('not found')) {
-      throw new Error(`Branch/tag '${target}' not found in repository: ${url}`);
-    } else if (error.code === 'ETIMEDOUT') {
-      throw new Error(`Timeout while cloning repository: ${url}`);
+/**
+ * Refresh a cached clone with the latest commit of its branch or tag.
+ *
+ * @param {Object} repository - Repository configuration object
+ * @param {string} repoDir - Path to the cached clone
+ * @param {boolean} verbose - Whether to show detailed output
+ * @returns {Promise<string>} Path to the cached clone
+ */
+async function fetchCachedRepository(repository, repoDir, verbose) {
+  try {
+    await execAsync(`git fetch --depth 1 origin ${repository.target}`, {
+      cwd: repoDir,
+      timeout: 30000
+    });
+    await execAsync('git checkout --quiet --force --detach FETCH_HEAD', {
+      cwd: repoDir,
+      timeout: 10000
+    });
+
+    if (verbose) {
+      console.log(chalk.green(`✅ Refreshed cached repository ${repoDir}`));
+    }
+
+    return repoDir;
+  } catch (error) {
+    const described = describeGitError(error, repository);
+    throw new Error(
+      `${described.message} (use --offline to work from the cached copy)`
+    );
+  }
+}
+
+/**
+ * Check out a commit in a cached clone, fetching it first when it's missing.
+ *
+ * @param {Object} repository - Repository configuration object
+ * @param {string} repoDir - Path to the cached clone
+ * @param {string} commit - Commit to check out
+ * @param {boolean} offline - Whether fetching is disallowed
+ */
+async function checkoutCachedCommit(repository, repoDir, commit, offline) {
+  if ((await getRepositoryCommit(repoDir)) === commit) {
+    return;
+  }
+
+  try {
+    const hasCommit = await execAsync(`git cat-file -e ${commit}^{commit}`, {
+      cwd: repoDir,
+      timeout: 10000
+    }).then(
+      () => true,
+      () => false
+    );
+
+    if (!hasCommit) {
+      if (offline) {
+        throw new Error(
+          `Offline mode: commit ${commit} of ${repository.url} is not in the clone cache. Run once without --offline to fetch it.`
+        );
+      }
+      await execAsync(`git fetch --depth 1 origin ${commit}`, {
+        cwd: repoDir,
+        timeout: 30000
+      });
+    }
+
+    await execAsync(`git checkout --quiet --force --detach ${commit}`, {
+      cwd: repoDir,
+      timeout: 10000
+    });
+  } catch (error) {
+    if (error.message.startsWith('Offline mode')) {
+      throw error;
+    }
+    throw describeGitError(error, repository, commit);
+  }
+}
+
+/**
+ * Get the commit SHA currently checked out in a cloned repository.
+ *
+ * @param {string} repoDir - Path to the cloned repository
+ * @returns {Promise<string>} Full commit SHA
+ */
+async function getRepositoryCommit(repoDir) {
+  const { stdout } = await execAsync('git rev-parse HEAD', {
+    cwd: repoDir,
+    timeout: 10000
+  });
+  return stdout.trim();
+}
+
+/**
+ * Look up the commit a branch or tag points to in a remote repository,
+ * without cloning it. Annotated tags resolve to the commit they tag.
+ *
+ * @param {string} url - Repository URL
+ * @param {string} ref - Branch or tag name
+ * @returns {Promise<string|null>} Commit SHA, or null if the ref doesn't exist
+ */
+async function getRemoteCommit(url, ref) {
+  const { stdout } = await execAsync(
+    `git ls-remote "${url}" "${ref}" "${ref}^{}"`,
+    { timeout: 10000 }
+  );
+
+  const refs = {};
+  for (const line of stdout.split('\n')) {
+    const [commit, name] = line.trim().split(/\s+/);
+    if (commit && name) {
+      refs[name] = commit;
+    }
+  }
+
+  return (
+    refs[`refs/tags/${ref}^{}`] ||
+    refs[`refs/heads/${ref}`] ||
+    refs[`refs/tags/${ref}`] ||
+    null
+  );
+}
+
+/**
+ * Make a repository available in the persistent cache.
+ * Clones it when missing, otherwise refreshes it with git fetch. In offline
+ * mode the cached copy is used as-is.
+ *
+ * @param {Object} repository - Repository configuration object
+ * @param {boolean} verbose - Whether to show detailed output
+ * @param {boolean} offline - Whether network access is disallowed
+ * @returns {Promise<Object>} Cache entry with entryDir, repoDir and the tip commit
+ */
+async function prepareCachedRepository(repository, verbose, offline) {
+  const entryDir = getRepositoryCachePath(repository);
+  const repoDir = path.join(entryDir, 'repo');
+  const metadataPath = path.join(entryDir, CACHE_METADATA_FILE);
+  const isCached = await fs.pathExists(path.join(repoDir, '.git'));
+
+  let tip;
+  if (offline) {
+    if (!isCached) {
+      throw new Error(
+        `Offline mode: ${repository.url} (${repository.target}) is not in the clone cache at ${getCacheDir()}. Run once without --offline to populate it.`
+      );
+    }
+    const metadata = await fs.readJson(metadataPath).catch(() => ({}));
+    tip = metadata.tip || (await getRepositoryCommit(repoDir));
+
+    if (verbose) {
+      console.log(chalk.gray(`Using cached repository ${repoDir} (offline)`));
+    }
+  } else {
+    if (isCached) {
+      await fetchCachedRepository(repository, repoDir, verbose);
     } else {
-      throw new Error(`Failed to clone repository: ${error.message}`);
+      await cloneRemoteRepository(repository, repoDir, verbose);
     }
+    tip = await getRepositoryCommit(repoDir);
   }
+
+  await fs.writeJson(
+    metadataPath,
+    {
+      url: repository.url,
+      type: repository.type,
+      ref: repository.target,
+      tip,
+      lastUsed: new Date().toISOString()
+    },
+    { spaces: 2 }
+  );
+
+  return { entryDir, repoDir, tip };
 }
 
-// Clone caching for multiple tasks
+// Repositories prepared during this run, so each is fetched only once
 const cloneCache = new Map();
 
 /**
- * Get or clone a repository with caching support.
+ * Get a repository from the persistent clone cache, cloning or fetching it
+ * on first use in a run.
  *
  * @param {Object} repository - Repository configuration object
  * @param {boolean} verbose - Whether to show detailed output
- * @returns {Promise<string>} Path to the temporary directory
+ * @param {string|null} commit - Exact commit to check out (e.g. from the lock file)
+ * @param {Object} options - Cache options
+ * @param {boolean} options.offline - Use cached content only, never the network
+ * @returns {Promise<string>} Path to the cached clone
  */
-async function getOrCloneRepository(repository, verbose) {
+async function getOrCloneRepository(
+  repository,
+  verbose,
+  commit = null,
+  { offline = false } = {}
+) {
   const cacheKey = `${repository.url}:${repository.type}:${repository.target}`;
 
-  if (cloneCache.has(cacheKey)) {
-    return cloneCache.get(cacheKey);
+  if (!cloneCache.has(cacheKey)) {
+    cloneCache.set(
+      cacheKey,
+      await prepareCachedRepository(repository, verbose, offline)
+    );
   }
 
-  const tempDir = await cloneRemoteRepository(repository, verbose);
-  cloneCache.set(cacheKey, tempDir);
-  return tempDir;
+  // Tasks share the clone, so always check out the revision this task needs
+  const entry = cloneCache.get(cacheKey);
+  await checkoutCachedCommit(
+    repository,
+    entry.repoDir,
+    commit || entry.tip,
+    offline
+  );
+
+  if (verbose && commit) {
+    console.log(chalk.gray(`  Checked out locked commit ${commit}`));
+  }
+
+  return entry.repoDir;
 }
 
 /**
- * Clean up all cloned repositories.
+ * Calculate the total size of a directory in bytes.
+ *
+ * @param {string} dirPath - Directory to measure
+ * @returns {Promise<number>} Size in bytes
  */
-async function cleanupAllClones() {
-  for (const tempDir of cloneCache.values()) {
-    await fs.remove(tempDir);
+async function getDirectorySize(dirPath) {
+  let size = 0;
+  const entries = await fs.readdir(dirPath, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      size += await getDirectorySize(entryPath);
+    } else {
+      size += (await fs.lstat(entryPath)).size;
+    }
+  }
+
+  return size;
+}
+
+/**
+ * Prune the persistent clone cache.
+ * Removes entries not used within maxAgeDays, then the least recently used
+ * entries until the cache fits in maxSizeMb.
+ *
+ * @param {Object} options - Pruning options
+ * @param {number} options.maxAgeDays - Maximum age of unused entries
+ * @param {number} options.maxSizeMb - Maximum total cache size
+ * @param {string[]} options.keep - Entry directories that must not be removed
+ * @returns {Promise<string[]>} Removed entry directories
+ */
+async function pruneCloneCache({
+  maxAgeDays = Number(process.env.LULLABOT_PROJECT_CACHE_MAX_AGE_DAYS) ||
+    DEFAULT_CACHE_MAX_AGE_DAYS,
+  maxSizeMb = Number(process.env.LULLABOT_PROJECT_CACHE_MAX_SIZE_MB) ||
+    DEFAULT_CACHE_MAX_SIZE_MB,
+  keep = []
+} = {}) {
+  const reposDir = path.join(getCacheDir(), 'repos');
+  if (!(await fs.pathExists(reposDir))) {
+    return [];
+  }
+
+  const entries = [];
+  for (const name of await fs.readdir(reposDir)) {
+    const entryDir = path.join(reposDir, name);
+    const metadata = await fs
+      .readJson(path.join(entryDir, CACHE_METADATA_FILE))
+      .catch(() => ({}));
+    const lastUsed = metadata.lastUsed
+      ? new Date(metadata.lastUsed).getTime()
+      : (await fs.stat(entryDir)).mtimeMs;
+
+    entries.push({
+      entryDir,
+      lastUsed,
+      size: await getDirectorySize(entryDir)
+    });
+  }
+
+  const removed = [];
+  const maxAgeMs = maxAgeDays * 24 * 60 * 60 * 1000;
+  const maxSizeBytes = maxSizeMb * 1024 * 1024;
+  let totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+  // Oldest first, so size pruning removes the least recently used entries
+  entries.sort((a, b) => a.lastUsed - b.lastUsed);
+
+  for (const entry of entries) {
+    if (keep.includes(entry.entryDir)) {
+      continue;
+    }
+
+    const expired = Date.now() - entry.lastUsed > maxAgeMs;
+    if (expired || totalSize > maxSizeBytes) {
+      await fs.remove(entry.entryDir);
+      totalSize -= entry.size;
+      removed.push(entry.entryDir);
+    }
   }
+
+  return removed;
+}
+
+/**
+ * Finish using cloned repositories at the end of a run.
+ * Clones stay in the persistent cache; stale entries are pruned.
+ */
+async function cleanupAllClones() {
+  const keep = [...cloneCache.values()].map((entry) => entry.entryDir);
   cloneCache.clear();
+
+  try {
+    await pruneCloneCache({ keep });
+  } catch (_error) {
+    // Cache housekeeping must never fail the command
+  }
 }
 
 /**
@@ -916,7 +1350,7 @@ async function copyFilesFromRemote(
   for (const fileName of filesToCopy) {
     const sourceItem = path.join(fullSourcePath, fileName);
     const targetFileName = renameMap[fileName] || fileName;
-    const targetItem = path.join(targetPath, targetFileName);
+    let targetItem = path.join(targetPath, targetFileName);
 
     // Check if source file exists
     try {
@@ -966,8 +1400,21 @@ async function copyFilesFromRemote(
         );
       }
 
+      // Filters can change the file type, e.g. to Cursor's .mdc rules
+      targetItem = path.join(
+        targetPath,
+        getFilteredFileName(targetFileName, taskConfig.filters)
+      );
+
       // Read content and apply filters
       const content = await fs.readFile(sourceItem, 'utf8');
+      if (isSkippedByFilters(content, taskConfig.filters)) {
+        if (verbose) {
+          console.log(chalk.gray(`  Skipped by filters: ${fileName}`));
+        }
+        continue;
+      }
+
       const processedContent = await processContent(
         content,
         taskConfig.filters,
@@ -978,6 +1425,18 @@ async function copyFilesFromRemote(
       // Write filtered content
       await fs.writeFile(targetItem, processedContent);
 
+      // Tool limits are reported even without verbose output
+      const warnings = dependencies.quiet
+        ? []
+        : getFilterWarnings(
+            processedContent,
+            taskConfig.filters,
+            path.basename(targetItem)
+          );
+      for (const warning of warnings) {
+        console.log(chalk.yellow(`  ⚠️  ${warning}`));
+      }
+
       if (verbose) {
         console.log(chalk.green(`  ✅ Content filtered: ${fileName}`));
       }
@@ -987,7 +1446,7 @@ async function copyFilesFromRemote(
     }
 
     // Track the file
-    const relativePath = path.relative(process.cwd(), targetItem);
+    const relativePath = getProjectRelativePath(targetItem, dependencies);
     if (dependencies.trackInstalledFile) {
       const fileInfo = await dependencies.trackInstalledFile(
         relativePath,
@@ -1014,6 +1473,10 @@ async function copyFilesFromRemote(
 // Export the new functions
 export {
   getOrCloneRepository,
+  getRepositoryCommit,
+  getRemoteCommit,
+  getCacheDir,
+  pruneCloneCache,
   copyFilesFromRemote,
   validateRepository,
   cleanupAllClones
@@ -0,0 +1,255 @@
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'js-yaml';
+
+const LOCK_FILE_NAME = '.lullabot-project.lock';
+const LOCK_FILE_VERSION = 1;
+
+/**
+ * Get the path of the lock file in the current project.
+ *
+ * @returns {string} Absolute path to the lock file
+ */
+function getLockFilePath() {
+  return path.join(process.cwd(), LOCK_FILE_NAME);
+}
+
+/**
+ * Read the lock file from disk.
+ * Returns null if the lock file doesn't exist.
+ *
+ * @returns {Promise<Object|null>} Parsed lock file or null if not found
+ * @throws {Error} If the lock file cannot be parsed
+ */
+async function readLockFile() {
+  const lockPath = getLockFilePath();
+
+  if (!(await fs.pathExists(lockPath))) {
+    return null;
+  }
+
+  try {
+    const lock = yaml.load(await fs.readFile(lockPath, 'utf8'));
+    return { version: LOCK_FILE_VERSION, sources: [], ...lock };
+  } catch (error) {
+    throw new Error(`Failed to read lock file: ${error.message}`);
+  }
+}
+
+/**
+ * Write the lock file to disk.
+ *
+ * @param {Object} lock - Lock data with a sources array
+ * @returns {Promise<string>} Path to the written lock file
+ */
+async function writeLockFile(lock) {
+  const lockPath = getLockFilePath();
+  const lockData = {
+    version: LOCK_FILE_VERSION,
+    sources: lock.sources || []
+  };
+
+  await fs.writeFile(lockPath, yaml.dump(lockData, { indent: 2 }));
+  return lockPath;
+}
+
+/**
+ * Create the in-memory lock state shared by remote-copy-files tasks during a run.
+ *
+ * @param {Object|null} lock - Lock file contents, or null if there is none
+ * @param {Object} options - Lock options
+ * @param {boolean} options.refresh - Whether to ignore locked commits and resolve the latest
+ * @returns {Object} Lock state with locked sources and entries resolved in this run
+ */
+function createLockState(lock, { refresh = false } = {}) {
+  return {
+    sources: lock?.sources || [],
+    refresh,
+    resolved: []
+  };
+}
+
+/**
+ * Get the lock entry a remote source should be pinned to in this run.
+ * Returns null when the lock is being refreshed.
+ *
+ * @param {Object|null} lockState - Lock state created by createLockState
+ * @param {string} url - Repository URL
+ * @param {string} source - Source path within the repository
+ * @param {string} target - Target directory the source is copied to
+ * @returns {Object|null} Lock entry to reproduce, or null to resolve the latest
+ */
+function getLockedEntry(lockState, url, source, target) {
+  if (!lockState || lockState.refresh) {
+    return null;
+  }
+
+  return findLockEntry(lockState.sources, url, source, target);
+}
+
+/**
+ * Find the lock entry for a repository, source path and target.
+ * Tasks can copy the same source to different targets (e.g. rules for
+ * .ai/rules and .cursor/rules), so each target has its own entry.
+ *
+ * @param {Object[]} sources - Lock entries
+ * @param {string} url - Repository URL
+ * @param {string} source - Source path within the repository
+ * @param {string} [target] - Target directory, or undefined to match any
+ * @returns {Object|null} Matching lock entry or null
+ */
+function findLockEntry(sources, url, source, target) {
+  return (
+    (sources || []).find(
+      (entry) =>
+        entry.repository === url &&
+        entry.source === source &&
+        (target === undefined || entry.target === target)
+    ) || null
+  );
+}
+
+/**
+ * Record a resolved remote source in the lock state.
+ * Replaces any entry already recorded for the same repository, source and
+ * target.
+ *
+ * @param {Object} lockState - Lock state created by createLockState
+ * @param {Object} entry - Lock entry with repository, ref, commit, source,
+ *   target, files and the ID of the task that copied them
+ */
+function recordLockEntry(lockState, entry) {
+  lockState.resolved = lockState.resolved.filter(
+    (existing) =>
+      existing.repository !== entry.repository ||
+      existing.source !== entry.source ||
+      existing.target !== entry.target
+  );
+  lockState.resolved.push(entry);
+}
+
+/**
+ * Build the lock file contents after a run.
+ * Entries resolved in this run replace locked ones; locked entries that were not
+ * resolved (e.g. because their task failed) are carried forward unchanged.
+ * When the lock is refreshed, only the entries of enabled tasks are carried
+ * forward, so sources the project no longer installs are dropped.
+ *
+ * @param {Object} lockState - Lock state created by createLockState
+ * @param {string[]} [enabledTasks] - IDs of the tasks enabled in the project
+ * @returns {Object} Lock data to write
+ */
+function buildLock(lockState, enabledTasks) {
+  const carriedForward = lockState.sources.filter(
+    (entry) =>
+      !findLockEntry(
+        lockState.resolved,
+        entry.repository,
+        entry.source,
+        entry.target
+      ) &&
+      (!lockState.refresh || !enabledTasks || enabledTasks.includes(entry.task))
+  );
+
+  return {
+    version: LOCK_FILE_VERSION,
+    sources: [...lockState.resolved, ...carriedForward]
+  };
+}
+
+/**
+ * Remove the lock entries of tasks, e.g. after they were disabled.
+ * Entries locked by older versions don't record their task and are kept.
+ *
+ * @param {Object} lock - Lock data with a sources array
+ * @param {string[]} taskIds - IDs of the tasks whose entries to remove
+ * @returns {Object} Lock data without the entries of the tasks
+ */
+function removeLockEntries(lock, taskIds) {
+  return {
+    ...lock,
+    sources: (lock.sources || []).filter(
+      (entry) => !taskIds.includes(entry.task)
+    )
+  };
+}
+
+/**
+ * Check if a lock entry belongs to a task enabled in the task preferences.
+ * Entries locked by older versions don't record their task and count as
+ * enabled until the next update records it.
+ *
+ * @param {Object} entry - Lock entry
+ * @param {Object} taskPreferences - Task preferences from the project configuration
+ * @returns {boolean} True if the entry's task is enabled
+ */
+function isLockEntryEnabled(entry, taskPreferences) {
+  return !entry.task || Boolean(taskPreferences?.[entry.task]);
+}
+
+/**
+ * Compare two sets of lock entries and list what changed per source.
+ *
+ * @param {Object[]} previousSources - Lock entries before the refresh
+ * @param {Object[]} currentSources - Lock entries after the refresh
+ * @returns {Object[]} Changes with commits and added, removed and changed files
+ */
+function diffLockEntries(previousSources, currentSources) {
+  const changes = [];
+
+  for (const entry of currentSources || []) {
+    const previous = findLockEntry(
+      previousSources,
+      entry.repository,
+      entry.source,
+      entry.target
+    );
+    const previousFiles = previous?.files || {};
+    const currentFiles = entry.files || {};
+
+    const added = Object.keys(currentFiles).filter(
+      (file) => !(file in previousFiles)
+    );
+    const removed = Object.keys(previousFiles).filter(
+      (file) => !(file in currentFiles)
+    );
+    const changed = Object.keys(currentFiles).filter(
+      (file) =>
+        file in previousFiles && previousFiles[file] !== currentFiles[file]
+    );
+
+    if (
+      previous?.commit !== entry.commit ||
+      added.length > 0 ||
+      removed.length > 0 ||
+      changed.length > 0
+    ) {
+      changes.push({
+        repository: entry.repository,
+        source: entry.source,
+        target: entry.target,
+        previousCommit: previous?.commit || null,
+        commit: entry.commit,
+        added,
+        removed,
+        changed
+      });
+    }
+  }
+
+  return changes;
+}
+
+export {
+  LOCK_FILE_NAME,
+  readLockFile,
+  writeLockFile,
+  createLockState,
+  findLockEntry,
+  getLockedEntry,
+  recordLockEntry,
+  buildLock,
+  removeLockEntries,
+  isLockEntryEnabled,
+  diffLockEntries
+};
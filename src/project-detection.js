@@ -0,0 +1,181 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { glob } from 'glob';
+import { evaluateValidationRules } from './validation.js';
+
+/**
+ * Points awarded for each kind of evidence.
+ * Passing a project's validation rules is the strongest signal.
+ */
+const DETECTION_WEIGHTS = {
+  requiredFile: 2,
+  requiredContent: 3,
+  contentMatches: 3,
+  pathRule: 3,
+  requiredAnyOf: 2,
+  optionalFile: 1,
+  composerPackage: 3,
+  npmPackage: 2,
+  file: 2
+};
+
+/**
+ * Read a JSON file from the project, ignoring missing or invalid files.
+ *
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Promise<Object|null>} Parsed JSON or null
+ */
+async function readJsonFile(filePath) {
+  try {
+    return await fs.readJson(filePath);
+  } catch (_error) {
+    return null;
+  }
+}
+
+/**
+ * Read the dependency manifests used by the detection heuristics.
+ *
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Object>} Package names required by composer.json and package.json
+ */
+async function readManifests(projectRoot) {
+  const composer = await readJsonFile(path.join(projectRoot, 'composer.json'));
+  const npm = await readJsonFile(path.join(projectRoot, 'package.json'));
+
+  return {
+    composerPackages: Object.keys({
+      ...composer?.require,
+      ...composer?.['require-dev']
+    }),
+    npmPackages: Object.keys({
+      ...npm?.dependencies,
+      ...npm?.devDependencies,
+      ...npm?.peerDependencies
+    })
+  };
+}
+
+/**
+ * Score a project type against its validation rules.
+ * Validation only counts when every rule passes, since a failing rule means
+ * the project is not of this type.
+ *
+ * @param {Object} validation - Project validation rules from config
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Object>} Score and evidence
+ */
+async function scoreValidation(validation, projectRoot) {
+  if (!validation) {
+    return { score: 0, evidence: [] };
+  }
+
+  const { issues, passed } = await evaluateValidationRules(
+    validation,
+    projectRoot
+  );
+  if (
+    issues.length > 0 ||
+    !passed.some(({ kind }) => kind !== 'optionalFile')
+  ) {
+    return { score: 0, evidence: [] };
+  }
+
+  return {
+    score: passed.reduce(
+      (total, { kind }) => total + (DETECTION_WEIGHTS[kind] || 2),
+      0
+    ),
+    evidence: passed.map(({ message }) => message)
+  };
+}
+
+/**
+ * Score a project type against its detection heuristics.
+ *
+ * @param {Object} detection - Project detection rules from config
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} manifests - Package names from readManifests
+ * @returns {Promise<Object>} Score and evidence
+ */
+async function scoreDetection(detection, projectRoot, manifests) {
+  const evidence = [];
+  let score = 0;
+
+  for (const name of detection?.composerPackages || []) {
+    if (manifests.composerPackages.includes(name)) {
+      score += DETECTION_WEIGHTS.composerPackage;
+      evidence.push(`composer.json requires ${name}`);
+    }
+  }
+
+  for (const name of detection?.npmPackages || []) {
+    if (manifests.npmPackages.includes(name)) {
+      score += DETECTION_WEIGHTS.npmPackage;
+      evidence.push(`package.json depends on ${name}`);
+    }
+  }
+
+  for (const pattern of detection?.files || []) {
+    const matches = await glob(pattern, {
+      cwd: projectRoot,
+      dot: true,
+      ignore: ['node_modules/**', 'vendor/**', '.git/**']
+    });
+    if (matches.length > 0) {
+      score += DETECTION_WEIGHTS.file;
+      const [first] = matches.sort();
+      evidence.push(
+        matches.length > 1
+          ? `${first} (+${matches.length - 1} more) found`
+          : `${first} found`
+      );
+    }
+  }
+
+  return { score, evidence };
+}
+
+/**
+ * Detect which project types the current directory looks like.
+ * Each project type is scored using its `validation` rules and its `detection`
+ * heuristics (composer packages, npm packages and file patterns).
+ *
+ * @param {Object} config - Full configuration object
+ * @param {string} projectRoot - Project root directory (defaults to cwd)
+ * @returns {Promise<Object[]>} Matching project types with projectType, name,
+ *   score and evidence, best match first
+ */
+async function detectProjectTypes(config, projectRoot = process.cwd()) {
+  const manifests = await readManifests(projectRoot);
+  const detections = [];
+
+  for (const [projectType, projectConfig] of Object.entries(
+    config.projects || {}
+  )) {
+    const validation = await scoreValidation(
+      projectConfig.validation,
+      projectRoot
+    );
+    const heuristics = await scoreDetection(
+      projectConfig.detection,
+      projectRoot,
+      manifests
+    );
+    const score = validation.score + heuristics.score;
+
+    if (score > 0) {
+      detections.push({
+        projectType,
+        name: projectConfig.name || projectType,
+        score,
+        evidence: [...validation.evidence, ...heuristics.evidence]
+      });
+    }
+  }
+
+  // Stable sort keeps config order for equal scores
+  return detections.sort((a, b) => b.score - a.score);
+}
+
+export { DETECTION_WEIGHTS, detectProjectTypes };
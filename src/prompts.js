@@ -17,19 +17,36 @@
  * @param {Object} config - Full configuration object with available options
  * @param {Function} promptFn - Function to handle user prompts (inquirer.prompt)
  * @param {Function} getTasksFn - Function to get tasks (from tool-config)
+ * @param {Function} detectFn - Function to detect project types (optional)
  * @returns {Promise<Object>} User configuration object
  */
-async function promptUser(options, config, promptFn, getTasksFn) {
+async function promptUser(
+  options,
+  config,
+  promptFn,
+  getTasksFn,
+  detectFn = null
+) {
   const userConfig = {};
 
-  // Get tool selection
-  userConfig.tool = await getToolSelection(options, config, promptFn);
+  // Get tool selection (the first tool is the primary one)
+  userConfig.tools = await getToolSelection(options, config, promptFn);
+  userConfig.tool = userConfig.tools[0];
 
   // Get project type selection
-  userConfig.project = await getProjectSelection(options, config, promptFn);
+  userConfig.project = await getProjectSelection(
+    options,
+    config,
+    promptFn,
+    detectFn
+  );
 
-  // Get task preferences
-  const tasks = await getTasksFn(userConfig.tool, userConfig.project, config);
+  // Get task preferences (tasks of several tools are merged)
+  const tasks = await getTasksFn(
+    userConfig.tools.length > 1 ? userConfig.tools : userConfig.tool,
+    userConfig.project,
+    config
+  );
   userConfig.taskPreferences = await getTaskPreferences(
     options,
     tasks,
@@ -41,23 +58,34 @@ async function promptUser(options, config, promptFn, getTasksFn) {
 
 /**
  * Get tool selection from user or command line options.
- * Validates the tool against available options and provides interactive selection.
+ * Validates the tools against available options and provides interactive selection.
+ * Several tools can be given as a comma-separated list (e.g. "claude,cursor").
  *
  * @param {Object} options - Command line options
  * @param {Object} config - Full configuration object
  * @param {Function} promptFn - Function to handle user prompts
- * @returns {Promise<string>} Selected tool identifier
- * @throws {Error} If tool is not supported
+ * @returns {Promise<string[]>} Selected tool identifiers
+ * @throws {Error} If a tool is not supported
  */
 async function getToolSelection(options, config, promptFn) {
-  // If tool is provided via command line, use it
+  // If tools are provided via command line, use them
   if (options.tool) {
-    if (!config.tools?.[options.tool]) {
+    const tools = [
+      ...new Set(
+        options.tool
+          .split(',')
+          .map((tool) => tool.trim())
+          .filter(Boolean)
+      )
+    ];
+    const unsupportedTools = tools.filter((tool) => !config.tools?.[tool]);
+
+    if (unsupportedTools.length > 0) {
       throw new Error(
-        `Unsupported tool: ${options.tool}. Available tools: ${Object.keys(config.tools || {}).join(', ')}`
+        `Unsupported tool: ${unsupportedTools.join(', ')}. Available tools: ${Object.keys(config.tools || {}).join(', ')}`
       );
     }
-    return options.tool;
+    return tools;
   }
 
   // Otherwise, prompt user with available tool choices
@@ -66,30 +94,42 @@ async function getToolSelection(options, config, promptFn) {
     value: toolKey
   }));
 
-  const { tool } = await promptFn([
+  const { tools } = await promptFn([
     {
-      type: 'list',
-      name: 'tool',
-      message: 'Which tool are you using?',
+      type: 'checkbox',
+      name: 'tools',
+      message: 'Which tools are you using?',
       choices: toolChoices,
-      default: 'cursor'
+      default: ['cursor'],
+      validate: (answer) =>
+        answer.length > 0 || 'Please select at least one tool.'
     }
   ]);
 
-  return tool;
+  return tools;
 }
 
 /**
  * Get project type selection from user or command line options.
  * Validates the project type against available options and provides interactive selection.
+ * When a detector is given, the best detected match is pre-selected, or used
+ * without asking when options.auto is set.
  *
  * @param {Object} options - Command line options
  * @param {Object} config - Full configuration object
  * @param {Function} promptFn - Function to handle user prompts
+ * @param {Function} detectFn - Function to detect project types (optional)
+ * @param {Function} logFn - Function to print detection evidence
  * @returns {Promise<string|null>} Selected project type identifier or null for "None"
  * @throws {Error} If project type is not supported
  */
-async function getProjectSelection(options, config, promptFn) {
+async function getProjectSelection(
+  options,
+  config,
+  promptFn,
+  detectFn = null,
+  logFn = console.log
+) {
   // If project type is provided via command line, validate it
   if (options.project) {
     if (options.project === 'none') {
@@ -104,11 +144,37 @@ async function getProjectSelection(options, config, promptFn) {
     return options.project;
   }
 
+  const detections = detectFn ? await detectFn(config) : [];
+  const [bestMatch] = detections;
+
+  if (options.auto) {
+    if (!bestMatch) {
+      logFn('🔍 No project type detected - skipping project-specific tasks');
+      return null;
+    }
+    logFn(
+      `🔍 Detected project type: ${bestMatch.name} (${bestMatch.evidence.join(', ')})`
+    );
+    return bestMatch.projectType;
+  }
+
+  if (detections.length > 0) {
+    logFn('🔍 Detected project types:');
+    for (const detection of detections) {
+      logFn(
+        `  • ${detection.name} (score ${detection.score}): ${detection.evidence.join(', ')}`
+      );
+    }
+  }
+
   // Otherwise, prompt user with available project type choices
   const projectChoices = [
     { name: 'None (skip project-specific tasks)', value: null },
     ...Object.entries(config.projects || {}).map(([key, project]) => ({
-      name: project.name,
+      name:
+        key === bestMatch?.projectType
+          ? `${project.name} (detected)`
+          : project.name,
       value: key
     }))
   ];
@@ -119,7 +185,7 @@ async function getProjectSelection(options, config, promptFn) {
       name: 'project',
       message: 'What type of project is this?',
       choices: projectChoices,
-      default: null
+      default: bestMatch?.projectType ?? null
     }
   ]);
 
@@ -147,10 +213,15 @@ async function getTaskPreferences(options, tasks, promptFn) {
   }
 
   // If --tasks is specified, only enable those tasks
+  // Tool variants of a task (e.g. "claude:wrapper") also match their base ID
+  const matchesTask = (taskList, taskId, task) =>
+    taskList.includes(taskId) ||
+    Boolean(task.baseId && taskList.includes(task.baseId));
+
   if (options.tasks) {
     const taskList = options.tasks.split(',').map((t) => t.trim());
-    for (const [taskId] of Object.entries(tasks)) {
-      taskPreferences[taskId] = taskList.includes(taskId);
+    for (const [taskId, task] of Object.entries(tasks)) {
+      taskPreferences[taskId] = matchesTask(taskList, taskId, task);
     }
     return taskPreferences;
   }
@@ -165,13 +236,18 @@ async function getTaskPreferences(options, tasks, promptFn) {
     if (task.required) {
       // Required tasks are always enabled
       taskPreferences[taskId] = true;
-    } else if (skipTasks.includes(taskId)) {
+    } else if (matchesTask(skipTasks, taskId, task)) {
       // Skip tasks that are explicitly disabled
       taskPreferences[taskId] = false;
     } else {
       // Prompt user for optional tasks
       let message = task.prompt || `Would you like to run: ${task.name}?`;
 
+      // Tell tool variants of the same task apart
+      if (task.baseId) {
+        message += ` [${task.tools.join(', ')}]`;
+      }
+
       // Add clickable link if available
       if (task.link) {
         // Use terminal link formatting: \x1b]8;;URL\x1b\\Clickable Text\x1b]8;;\x1b\\
@@ -284,7 +360,9 @@ async function confirmSetup(
   logFn = console.log
 ) {
   logFn(`\n${chalk.blue('📋 Setup Summary:')}`);
-  logFn(`• Tool: ${chalk.cyan(config.tool)}`);
+  logFn(
+    `• ${config.tools?.length > 1 ? 'Tools' : 'Tool'}: ${chalk.cyan((config.tools || [config.tool]).join(', '))}`
+  );
   logFn(`• Project Type: ${chalk.cyan(config.project)}`);
 
   // Display enabled tasks
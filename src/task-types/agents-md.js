@@ -3,6 +3,7 @@ import path from 'path';
 import crypto from 'crypto';
 import chalk from 'chalk';
 import { cloneAndCopyFiles } from '../git-operations.js';
+import { resolveProjectPath } from '../utils/project-paths.js';
 
 const LULLABOT_COMMENT_START = '<!-- Lullabot Project Start -->';
 const LULLABOT_COMMENT_END = '<!-- Lullabot Project End -->';
@@ -157,7 +158,7 @@ async function execute(
     try {
       copyResult = await cloneAndCopyFiles(
         source,
-        target,
+        resolveProjectPath(target, dependencies),
         verbose,
         [], // No items needed since source is already the specific file
         dependencies
@@ -264,7 +265,7 @@ async function execute(
         )
       );
     }
-  } else {
+  } else if (!dependencies.quiet) {
     console.log(chalk.green(`AGENTS.md created/updated.`));
   }
 
@@ -275,4 +276,31 @@ async function execute(
   };
 }
 
-export { execute };
+/**
+ * Rewrite the file references in an existing AGENTS.md, e.g. after some .ai/
+ * files were removed. Keeps the link format the section already uses.
+ *
+ * @param {string} filePath - Path to the AGENTS.md file
+ * @param {string[]} aiFiles - Array of .ai/ file paths to reference
+ * @returns {Promise<string|null>} New file hash, or null if the file doesn't exist
+ */
+async function refreshAgentsMdReferences(filePath, aiFiles) {
+  if (!(await fs.pathExists(filePath))) {
+    return null;
+  }
+
+  const content = await fs.readFile(filePath, 'utf8');
+  const start = content.indexOf(LULLABOT_COMMENT_START);
+  const section = start === -1 ? '' : content.slice(start);
+  const linkType = /^@\S/m.test(section) ? '@' : 'markdown';
+
+  await updateAgentsMdFile(filePath, aiFiles, linkType);
+  return calculateFileHash(filePath);
+}
+
+export {
+  execute,
+  refreshAgentsMdReferences,
+  LULLABOT_COMMENT_START,
+  LULLABOT_COMMENT_END
+};
@@ -6,8 +6,15 @@ import { expandPatterns } from '../utils/pattern-matcher.js';
 import {
   processContent,
   shouldProcessFile,
+  getFilteredFileName,
+  getFilterWarnings,
+  isSkippedByFilters,
   validateFilterConfig
 } from '../utils/content-filters.js';
+import {
+  getProjectRelativePath,
+  resolveProjectPath
+} from '../utils/project-paths.js';
 
 /**
  * Copy files from Git repository to the appropriate location.
@@ -157,7 +164,7 @@ async function copyFiles(
   for (const fileName of itemsToCopy) {
     const sourceItem = path.join(sourceDir, fileName);
     const targetFileName = renameMap[fileName] || fileName;
-    const targetItem = path.join(targetDir, targetFileName);
+    let targetItem = path.join(targetDir, targetFileName);
 
     // Check if the item exists in the source directory
     try {
@@ -208,8 +215,21 @@ async function copyFiles(
         );
       }
 
+      // Filters can change the file type, e.g. to Cursor's .mdc rules
+      targetItem = path.join(
+        targetDir,
+        getFilteredFileName(targetFileName, taskConfig.filters)
+      );
+
       // Read content and apply filters
       const content = await fs.readFile(sourceItem, 'utf8');
+      if (isSkippedByFilters(content, taskConfig.filters)) {
+        if (verbose) {
+          console.log(chalk.gray(`  Skipped by filters: ${fileName}`));
+        }
+        continue;
+      }
+
       const processedContent = await processContent(
         content,
         taskConfig.filters,
@@ -220,6 +240,18 @@ async function copyFiles(
       // Write filtered content
       await fs.writeFile(targetItem, processedContent);
 
+      // Tool limits are reported even without verbose output
+      const warnings = dependencies.quiet
+        ? []
+        : getFilterWarnings(
+            processedContent,
+            taskConfig.filters,
+            path.basename(targetItem)
+          );
+      for (const warning of warnings) {
+        console.log(chalk.yellow(`  ⚠️  ${warning}`));
+      }
+
       if (verbose) {
         console.log(chalk.green(`  ✅ Content filtered: ${fileName}`));
       }
@@ -229,7 +261,7 @@ async function copyFiles(
     }
 
     // Track the file
-    const relativePath = path.relative(process.cwd(), targetItem);
+    const relativePath = getProjectRelativePath(targetItem, dependencies);
     if (dependencies.trackInstalledFile) {
       const fileInfo = await dependencies.trackInstalledFile(
         relativePath,
@@ -271,7 +303,10 @@ async function execute(
   const source = task.source
     .replace('{tool}', tool)
     .replace('{project-type}', projectType || '');
-  const target = task.target.replace('{project-type}', projectType || '');
+  const target = resolveProjectPath(
+    task.target.replace('{project-type}', projectType || ''),
+    dependencies
+  );
 
   if (verbose) {
     console.log(chalk.gray(`Copying files from ${source} to ${target}`));
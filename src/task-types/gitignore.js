@@ -0,0 +1,120 @@
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import {
+  removeManagedBlock,
+  writeManagedBlock
+} from '../utils/managed-block.js';
+import {
+  getProjectRelativePath,
+  getProjectRoot
+} from '../utils/project-paths.js';
+import { isOwnedByTasks } from '../utils/tracked-files.js';
+
+const GITIGNORE_FILE_NAME = '.gitignore';
+
+/**
+ * Collect the entries of the block: the configured entries and the tracked
+ * files of the selected tasks.
+ *
+ * @param {Object} task - Task configuration object
+ * @param {string} tool - The tool identifier
+ * @param {string|null} projectType - The project type
+ * @param {Object[]} trackedFiles - Files tracked by the tasks that ran before
+ * @returns {string[]} Unique entries in order
+ */
+function getGitignoreEntries(task, tool, projectType, trackedFiles = []) {
+  const entries = (task.entries || []).map((entry) =>
+    entry.replace(/{tool}/g, tool).replace(/{project-type}/g, projectType || '')
+  );
+
+  const trackedTasks = task['tracked-files'];
+  if (trackedTasks) {
+    for (const fileInfo of trackedFiles) {
+      const filePath = typeof fileInfo === 'string' ? fileInfo : fileInfo?.path;
+      if (
+        !filePath ||
+        filePath === GITIGNORE_FILE_NAME ||
+        (Array.isArray(trackedTasks) && !isOwnedByTasks(fileInfo, trackedTasks))
+      ) {
+        continue;
+      }
+      // Anchored so only the tracked file is ignored, not namesakes below it
+      entries.push(`/${filePath.split(path.sep).join('/')}`);
+    }
+  }
+
+  return [...new Set(entries)];
+}
+
+/**
+ * Execute the gitignore task.
+ * Maintains a marked block in .gitignore listing configured paths and the
+ * files installed by earlier tasks, leaving the rest of the file alone.
+ *
+ * @param {Object} task - Task configuration object
+ * @param {string} tool - The tool identifier
+ * @param {string} projectType - The project type
+ * @param {boolean} verbose - Whether to show detailed output
+ * @param {Object} dependencies - Injected dependencies with config and file tracking
+ * @returns {Promise<Object>} Task execution result
+ */
+async function execute(
+  task,
+  tool,
+  projectType,
+  verbose = false,
+  dependencies = {}
+) {
+  const gitignorePath = path.join(
+    getProjectRoot(dependencies),
+    GITIGNORE_FILE_NAME
+  );
+  const relativePath = getProjectRelativePath(gitignorePath, dependencies);
+  const entries = getGitignoreEntries(
+    task,
+    tool,
+    projectType,
+    dependencies.config?.files
+  );
+
+  const exists = await fs.pathExists(gitignorePath);
+  const content = exists ? await fs.readFile(gitignorePath, 'utf8') : '';
+  const updated = writeManagedBlock(content, [
+    '# Managed by lullabot-project, changes here are replaced on update',
+    ...entries
+  ]);
+  if (updated !== content) {
+    await fs.writeFile(gitignorePath, updated);
+  }
+
+  if (verbose) {
+    console.log(
+      chalk.gray(`  Ignoring ${entries.length} entries in ${relativePath}`)
+    );
+  }
+
+  // A .gitignore that only had the block before counts as created by the tool
+  const previous = [
+    ...(dependencies.previousFiles || []),
+    ...(dependencies.config?.files || [])
+  ].find((fileInfo) => fileInfo?.path === relativePath);
+  const preExisting = previous
+    ? previous.preExisting === true
+    : exists && removeManagedBlock(content).trim() !== '';
+
+  const fileInfo = dependencies.trackInstalledFile
+    ? await dependencies.trackInstalledFile(relativePath, dependencies)
+    : { path: relativePath };
+  fileInfo.managedBlock = true;
+  if (preExisting) {
+    fileInfo.preExisting = true;
+  }
+
+  return {
+    output: `Updated the managed block in ${relativePath} (${entries.length} entries)`,
+    files: [fileInfo]
+  };
+}
+
+export { getGitignoreEntries, execute };
@@ -3,21 +3,75 @@ import { execute as packageInstallExecute } from './package-install.js';
 import { execute as agentsMdExecute } from './agents-md.js';
 import { execute as remoteCopyFilesExecute } from './remote-copy-files.js';
 import { execute as multiStepExecute } from './multi-step.js';
+import { execute as templateExecute } from './template.js';
+import { execute as jsonMergeExecute } from './json-merge.js';
+import { execute as yamlMergeExecute } from './yaml-merge.js';
+import { execute as gitignoreExecute } from './gitignore.js';
+import { execute as mcpServersExecute } from './mcp-servers.js';
+import { execute as rulesConfigExecute } from './rules-config.js';
+import {
+  getTaskTypePlugin,
+  loadTaskTypePlugins as loadPlugins,
+  pluginTaskTypes
+} from './plugins.js';
 
 /**
  * Registry of available task types.
- * Maps task type names to their execution functions.
+ * Maps task type names to their execution functions. Types marked with
+ * tracksFiles return the files they write so they are tracked in the
+ * project configuration.
  *
  * Note: 'command' task type has been removed for security reasons.
  */
 const taskTypes = {
-  'copy-files': { execute: copyFilesExecute },
+  'copy-files': { execute: copyFilesExecute, tracksFiles: true },
   'package-install': { execute: packageInstallExecute },
-  'agents-md': { execute: agentsMdExecute },
-  'remote-copy-files': { execute: remoteCopyFilesExecute },
-  'multi-step': { execute: multiStepExecute }
+  'agents-md': { execute: agentsMdExecute, tracksFiles: true },
+  'remote-copy-files': { execute: remoteCopyFilesExecute, tracksFiles: true },
+  'multi-step': { execute: multiStepExecute, tracksFiles: true },
+  template: { execute: templateExecute, tracksFiles: true },
+  'json-merge': { execute: jsonMergeExecute, tracksFiles: true },
+  'yaml-merge': { execute: yamlMergeExecute, tracksFiles: true },
+  gitignore: { execute: gitignoreExecute, tracksFiles: true },
+  'mcp-servers': { execute: mcpServersExecute, tracksFiles: true },
+  'rules-config': { execute: rulesConfigExecute, tracksFiles: true }
 };
 
+/**
+ * Load the task type plugins declared in configuration.
+ * Plugin types are available alongside the built-in ones once loaded.
+ *
+ * @param {Object} definitions - Map of task type names to module paths or package names
+ * @returns {Promise<string[]>} Names of the registered plugin task types
+ * @throws {Error} If a plugin cannot be loaded, is invalid or replaces a built-in type
+ */
+async function loadTaskTypePlugins(definitions) {
+  return loadPlugins(definitions, Object.keys(taskTypes));
+}
+
+/**
+ * Check if a task type is provided by a plugin.
+ *
+ * @param {string} taskType - The task type name
+ * @returns {boolean} True if a plugin provides the task type
+ */
+function isPluginTaskType(taskType) {
+  return !(taskType in taskTypes) && getTaskTypePlugin(taskType) !== null;
+}
+
+/**
+ * Check if a task type writes files that should be tracked.
+ * Plugin task types are tracked like the built-in file tasks.
+ *
+ * @param {string} taskType - The task type name
+ * @returns {boolean} True if the files a task returns should be tracked
+ */
+function tracksFiles(taskType) {
+  return (
+    taskTypes[taskType]?.tracksFiles === true || isPluginTaskType(taskType)
+  );
+}
+
 /**
  * Get a task executor by task type.
  *
@@ -26,7 +80,7 @@ const taskTypes = {
  * @throws {Error} If task type is not found
  */
 function getTaskExecutor(taskType) {
-  const executor = taskTypes[taskType];
+  const executor = taskTypes[taskType] || getTaskTypePlugin(taskType);
   if (!executor) {
     throw new Error(`Unknown task type: ${taskType}`);
   }
@@ -40,20 +94,25 @@ function getTaskExecutor(taskType) {
  * @returns {boolean} True if task type is supported
  */
 function isTaskTypeSupported(taskType) {
-  return taskType in taskTypes;
+  return taskType in taskTypes || getTaskTypePlugin(taskType) !== null;
 }
 
 /**
- * Get list of all supported task types.
+ * Get list of all supported task types, including plugin types.
  *
  * @returns {string[]} Array of supported task type names
  */
 function getSupportedTaskTypes() {
-  return Object.keys(taskTypes);
+  return [
+    ...new Set([...Object.keys(taskTypes), ...Object.keys(pluginTaskTypes)])
+  ];
 }
 
 export {
   taskTypes,
+  loadTaskTypePlugins,
+  isPluginTaskType,
+  tracksFiles,
   getTaskExecutor,
   isTaskTypeSupported,
   getSupportedTaskTypes
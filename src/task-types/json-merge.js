@@ -0,0 +1,25 @@
+import { executeMerge } from './structured-merge.js';
+
+/**
+ * Execute the json-merge task.
+ * Deep merges a JSON fragment into an existing JSON or JSONC file, keeping
+ * the user's values, and records the added keys so remove can take them out.
+ *
+ * @param {Object} task - Task configuration object
+ * @param {string} tool - The tool identifier
+ * @param {string} projectType - The project type
+ * @param {boolean} verbose - Whether to show detailed output
+ * @param {Object} dependencies - Injected dependencies with tracked files and file tracking
+ * @returns {Promise<Object>} Task execution result
+ */
+async function execute(
+  task,
+  tool,
+  projectType,
+  verbose = false,
+  dependencies = {}
+) {
+  return executeMerge('json', task, tool, projectType, verbose, dependencies);
+}
+
+export { execute };
@@ -0,0 +1,196 @@
+import path from 'path';
+import chalk from 'chalk';
+import { mergeIntoFile } from './structured-merge.js';
+import { getProjectRelativePath } from '../utils/project-paths.js';
+
+/**
+ * Native MCP configuration formats.
+ * Each format has its default file, the key servers are listed under, and a
+ * converter from the tool-neutral server definition.
+ */
+const MCP_FORMATS = {
+  claude: {
+    target: '.mcp.json',
+    key: 'mcpServers',
+    convert: (server) =>
+      server.url
+        ? { type: server.type, url: server.url, headers: server.headers }
+        : { command: server.command, args: server.args, env: server.env }
+  },
+  cursor: {
+    target: '.cursor/mcp.json',
+    key: 'mcpServers',
+    convert: (server) =>
+      server.url
+        ? { url: server.url, headers: server.headers }
+        : { command: server.command, args: server.args, env: server.env }
+  },
+  vscode: {
+    target: '.vscode/mcp.json',
+    key: 'servers',
+    convert: (server) =>
+      server.url
+        ? { type: server.type, url: server.url, headers: server.headers }
+        : {
+            type: 'stdio',
+            command: server.command,
+            args: server.args,
+            env: server.env
+          }
+  },
+  gemini: {
+    target: '.gemini/settings.json',
+    key: 'mcpServers',
+    convert: (server) => {
+      if (!server.url) {
+        return { command: server.command, args: server.args, env: server.env };
+      }
+      // Gemini CLI tells streamable HTTP servers apart by their key
+      return server.type === 'sse'
+        ? { url: server.url, headers: server.headers }
+        : { httpUrl: server.url, headers: server.headers };
+    }
+  }
+};
+
+/**
+ * Format used by each tool when the task doesn't set one.
+ */
+const TOOL_MCP_FORMATS = {
+  claude: 'claude',
+  cursor: 'cursor',
+  'github-copilot': 'vscode',
+  vscode: 'vscode',
+  gemini: 'gemini'
+};
+
+/**
+ * Check a tool-neutral server definition and fill in its transport type.
+ *
+ * @param {string} name - Server name
+ * @param {Object} server - Server definition from mcp_servers
+ * @returns {Object} Server definition with its type
+ * @throws {Error} If the definition is incomplete
+ */
+function normalizeServer(name, server) {
+  if (!server || typeof server !== 'object' || Array.isArray(server)) {
+    throw new Error(`MCP server '${name}' must be a mapping`);
+  }
+  if (!server.command === !server.url) {
+    throw new Error(`MCP server '${name}' requires either command or url`);
+  }
+
+  const type = server.type || (server.url ? 'http' : 'stdio');
+  if (!['stdio', 'http', 'sse'].includes(type)) {
+    throw new Error(
+      `Invalid type for MCP server '${name}': ${type}. Use one of: stdio, http, sse`
+    );
+  }
+  if ((type === 'stdio') !== Boolean(server.command)) {
+    throw new Error(
+      `MCP server '${name}' of type ${type} requires ${type === 'stdio' ? 'command' : 'url'}`
+    );
+  }
+
+  return { ...server, type };
+}
+
+/**
+ * Convert the selected servers to a tool's native format.
+ * Empty options are left out so the written entries stay minimal.
+ *
+ * @param {Object} servers - Server definitions from mcp_servers, by name
+ * @param {string[]|undefined} names - Servers to include, or all of them
+ * @param {string} format - Native format name (see MCP_FORMATS)
+ * @returns {Object} Servers in the native format, by name
+ * @throws {Error} If a selected server is not defined
+ */
+function convertServers(servers = {}, names, format) {
+  const converted = {};
+
+  for (const name of names || Object.keys(servers)) {
+    if (!servers[name]) {
+      throw new Error(`MCP server not found in mcp_servers: ${name}`);
+    }
+
+    const entry = MCP_FORMATS[format].convert(
+      normalizeServer(name, servers[name])
+    );
+    converted[name] = Object.fromEntries(
+      Object.entries(entry).filter(
+        ([, value]) =>
+          value !== undefined &&
+          !(typeof value === 'object' && Object.keys(value).length === 0)
+      )
+    );
+  }
+
+  return converted;
+}
+
+/**
+ * Execute the mcp-servers task.
+ * Writes the servers defined under mcp_servers in the tool's native MCP
+ * configuration, merged with the servers the project already has.
+ *
+ * @param {Object} task - Task configuration object
+ * @param {string} tool - The tool identifier
+ * @param {string} projectType - The project type
+ * @param {boolean} verbose - Whether to show detailed output
+ * @param {Object} dependencies - Injected dependencies with MCP servers and file tracking
+ * @returns {Promise<Object>} Task execution result
+ */
+async function execute(
+  task,
+  tool,
+  projectType,
+  verbose = false,
+  dependencies = {}
+) {
+  const format = task.format || TOOL_MCP_FORMATS[tool];
+  if (!MCP_FORMATS[format]) {
+    throw new Error(
+      `No MCP configuration format for ${tool}. Set the task format to one of: ${Object.keys(MCP_FORMATS).join(', ')}`
+    );
+  }
+
+  const servers = convertServers(dependencies.mcpServers, task.servers, format);
+  if (Object.keys(servers).length === 0) {
+    throw new Error('No MCP servers are defined in mcp_servers');
+  }
+
+  const target = (task.target || MCP_FORMATS[format].target)
+    .replace(/{tool}/g, tool)
+    .replace(/{project-type}/g, projectType || '');
+  const targetPath = path.resolve(dependencies.projectRoot || '.', target);
+
+  if (verbose) {
+    console.log(
+      chalk.gray(
+        `Configuring MCP servers in ${getProjectRelativePath(targetPath, dependencies)}: ${Object.keys(servers).join(', ')}`
+      )
+    );
+  }
+
+  // Servers the user configured are kept whole instead of being merged into
+  const { key } = MCP_FORMATS[format];
+  const { fileInfo, added } = await mergeIntoFile(
+    'json',
+    (base) => ({
+      [key]: Object.fromEntries(
+        Object.entries(servers).filter(([name]) => !base[key]?.[name])
+      )
+    }),
+    targetPath,
+    { arrays: 'append' },
+    verbose,
+    dependencies
+  );
+
+  return {
+    output: `Configured ${Object.keys(servers).length} MCP servers in ${fileInfo.path} (${added.length} additions)`,
+    files: [fileInfo]
+  };
+}
+
+export { MCP_FORMATS, TOOL_MCP_FORMATS, convertServers, execute };
@@ -2,7 +2,7 @@ import chalk from 'chalk';
 import { resolveTaskConfig } from '../tool-config.js';
 import { substituteVariables } from '../utils/variable-substitution.js';
 import { validateTaskConfig } from '../validation.js';
-import { taskTypes } from './index.js';
+import { getTaskExecutor, isTaskTypeSupported } from './index.js';
 
 /**
  * Resolves a step configuration, handling shared task references, extends, and inline definitions
@@ -59,7 +59,7 @@ function validateStepConfig(stepConfig) {
   }
 
   // Validate task type exists (upfront validation)
-  if (!taskTypes[stepConfig.type]) {
+  if (!isTaskTypeSupported(stepConfig.type)) {
     throw new Error(`Unknown task type: ${stepConfig.type}`);
   }
 
@@ -83,10 +83,7 @@ async function executeTaskType(
   verbose,
   dependencies
 ) {
-  const taskType = taskTypes[stepConfig.type];
-  if (!taskType) {
-    throw new Error(`Unknown task type: ${stepConfig.type}`);
-  }
+  const taskType = getTaskExecutor(stepConfig.type);
 
   // Call the task type's execute function directly
   return await taskType.execute(
@@ -0,0 +1,118 @@
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+
+/**
+ * Registry of task types provided by plugins.
+ * Maps task type names to their hooks: execute and the optional validate and remove.
+ * Kept apart from the built-in registry so validation can look up plugins
+ * without importing every task type.
+ */
+const pluginTaskTypes = {};
+
+/**
+ * Get the plugin registered for a task type.
+ *
+ * @param {string} taskType - The task type name
+ * @returns {Object|null} Plugin hooks or null if the type is not a plugin
+ */
+function getTaskTypePlugin(taskType) {
+  return Object.hasOwn(pluginTaskTypes, taskType)
+    ? pluginTaskTypes[taskType]
+    : null;
+}
+
+/**
+ * Check the hooks exported by a plugin module.
+ * Plugins may export their hooks by name or as the default export.
+ *
+ * @param {Object} pluginModule - Imported plugin module
+ * @returns {Object} Plugin hooks
+ * @throws {Error} If execute is missing or a hook is not a function
+ */
+function getPluginHooks(pluginModule) {
+  const hooks =
+    typeof pluginModule.default?.execute === 'function'
+      ? pluginModule.default
+      : pluginModule;
+
+  if (typeof hooks.execute !== 'function') {
+    throw new Error('plugin must export an execute function');
+  }
+
+  for (const hook of ['validate', 'remove']) {
+    if (hooks[hook] !== undefined && typeof hooks[hook] !== 'function') {
+      throw new Error(`plugin ${hook} export must be a function`);
+    }
+  }
+
+  return {
+    execute: hooks.execute,
+    ...(hooks.validate && { validate: hooks.validate }),
+    ...(hooks.remove && { remove: hooks.remove })
+  };
+}
+
+/**
+ * Import a plugin module from a local path or an npm package.
+ * Packages are resolved from the project first, then from lullabot-project itself.
+ *
+ * @param {string} specifier - Absolute path or npm package name
+ * @returns {Promise<Object>} Imported plugin module
+ */
+async function importPlugin(specifier) {
+  if (path.isAbsolute(specifier)) {
+    return import(pathToFileURL(specifier).href);
+  }
+
+  try {
+    const projectRequire = createRequire(
+      path.join(process.cwd(), 'package.json')
+    );
+    return await import(pathToFileURL(projectRequire.resolve(specifier)).href);
+  } catch (_error) {
+    // Not installed in the project (or ESM-only); try a regular import
+    return import(specifier);
+  }
+}
+
+/**
+ * Load the task type plugins declared in configuration and register them.
+ *
+ * @param {Object} definitions - Map of task type names to module paths or package names
+ * @param {string[]} builtInTypes - Built-in task type names, which plugins cannot replace
+ * @returns {Promise<string[]>} Names of the registered plugin task types
+ * @throws {Error} If a plugin cannot be loaded or is invalid
+ */
+async function loadTaskTypePlugins(definitions, builtInTypes = []) {
+  const registered = [];
+
+  for (const [taskType, specifier] of Object.entries(definitions || {})) {
+    if (builtInTypes.includes(taskType)) {
+      throw new Error(
+        `Task type plugin '${taskType}' cannot replace the built-in task type`
+      );
+    }
+    if (typeof specifier !== 'string' || specifier.trim() === '') {
+      throw new Error(
+        `Task type plugin '${taskType}' must be a module path or package name`
+      );
+    }
+
+    try {
+      pluginTaskTypes[taskType] = {
+        ...getPluginHooks(await importPlugin(specifier)),
+        source: specifier
+      };
+    } catch (error) {
+      throw new Error(
+        `Failed to load task type plugin '${taskType}' from ${specifier}: ${error.message}`
+      );
+    }
+    registered.push(taskType);
+  }
+
+  return registered;
+}
+
+export { pluginTaskTypes, getTaskTypePlugin, loadTaskTypePlugins };
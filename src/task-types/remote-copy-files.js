@@ -1,8 +1,12 @@
+import chalk from 'chalk';
 import {
   getOrCloneRepository,
+  getRepositoryCommit,
   copyFilesFromRemote,
   validateRepository
 } from '../git-operations.js';
+import { getLockedEntry, recordLockEntry } from '../lockfile.js';
+import { resolveProjectPath } from '../utils/project-paths.js';
 
 /**
  * Execute the remote-copy-files task.
@@ -12,7 +16,7 @@ import {
  * @param {string} tool - The tool identifier (unused but kept for interface consistency)
  * @param {string} projectType - The project type for placeholder replacement
  * @param {boolean} verbose - Whether to show detailed output
- * @param {Object} dependencies - Injected dependencies for file tracking
+ * @param {Object} dependencies - Injected dependencies for file tracking and the lock state
  * @returns {Promise<Object>} Task execution result
  */
 async function execute(
@@ -27,23 +31,61 @@ async function execute(
   // Replace project type placeholder
   const remoteSource = source.replace('{project-type}', projectType);
 
-  // Validate repository accessibility
-  await validateRepository(repository, verbose);
+  // Validate repository accessibility (offline runs use the clone cache only)
+  const offline = dependencies.offline || false;
+  if (!offline) {
+    await validateRepository(repository, verbose);
+  }
+
+  // Reproduce the locked commit unless the lock is being refreshed
+  const { lockState } = dependencies;
+  const lockedEntry = getLockedEntry(
+    lockState,
+    repository.url,
+    remoteSource,
+    target
+  );
 
-  // Clone remote repository (with caching)
-  const tempDir = await getOrCloneRepository(repository, verbose);
+  // Get the repository from the persistent clone cache
+  const tempDir = await getOrCloneRepository(
+    repository,
+    verbose,
+    lockedEntry?.commit,
+    { offline }
+  );
 
   try {
     // Copy files from remote repository with smart filtering
     const trackedFiles = await copyFilesFromRemote(
       tempDir,
       remoteSource,
-      target,
+      resolveProjectPath(target, dependencies),
       verbose,
       { ...dependencies, task }, // Pass the task configuration
       items
     );
 
+    if (lockState) {
+      const files = {};
+      for (const file of trackedFiles) {
+        files[file.path] = file.originalHash || null;
+      }
+
+      if (lockedEntry && !dependencies.quiet) {
+        warnOnLockMismatch(lockedEntry, files);
+      }
+
+      recordLockEntry(lockState, {
+        repository: repository.url,
+        ref: repository.target,
+        commit: await getRepositoryCommit(tempDir),
+        source: remoteSource,
+        target,
+        files,
+        ...(task.id && { task: task.id })
+      });
+    }
+
     return {
       output: `Successfully copied ${trackedFiles.length} files from remote repository`,
       files: trackedFiles
@@ -53,4 +95,26 @@ async function execute(
   }
 }
 
+/**
+ * Warn when files copied from a locked commit differ from the hashes in the lock.
+ * This happens when the task configuration (items, filters) changed since locking.
+ *
+ * @param {Object} lockedEntry - Lock entry for the remote source
+ * @param {Object} files - Map of copied file paths to their hashes
+ */
+function warnOnLockMismatch(lockedEntry, files) {
+  const lockedFiles = lockedEntry.files || {};
+  const mismatched = Object.keys(files).filter(
+    (file) => file in lockedFiles && lockedFiles[file] !== files[file]
+  );
+
+  if (mismatched.length > 0) {
+    console.log(
+      chalk.yellow(
+        `⚠️  ${mismatched.length} file(s) differ from the lock file: ${mismatched.join(', ')}`
+      )
+    );
+  }
+}
+
 export { execute };
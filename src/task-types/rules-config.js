@@ -0,0 +1,222 @@
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import { mergeIntoFile } from './structured-merge.js';
+import { getRuleGlobs, parseFrontmatter } from '../utils/content-filters.js';
+import {
+  BLOCK_MARKERS,
+  removeManagedBlock,
+  writeManagedBlock
+} from '../utils/managed-block.js';
+import { getProjectRelativePath } from '../utils/project-paths.js';
+import { isOwnedByTasks } from '../utils/tracked-files.js';
+
+/**
+ * Read the rule files without their frontmatter.
+ * Marker lines are dropped so the content can sit inside a managed block.
+ */
+async function readRules(files, projectRoot) {
+  const markers = Object.values(BLOCK_MARKERS).flat();
+  const rules = [];
+
+  for (const filePath of files) {
+    const content = await fs.readFile(
+      path.resolve(projectRoot, filePath),
+      'utf8'
+    );
+    const { metadata, body } = parseFrontmatter(content);
+    rules.push({
+      path: filePath,
+      globs: getRuleGlobs(metadata),
+      body: body
+        .split('\n')
+        .filter((line) => !markers.includes(line.trim()))
+        .join('\n')
+        .trim()
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * Write a managed block into a file shared with the user and track it.
+ */
+async function writeBlockFile(targetPath, lines, dependencies) {
+  const relativePath = getProjectRelativePath(targetPath, dependencies);
+  const exists = await fs.pathExists(targetPath);
+  const content = exists ? await fs.readFile(targetPath, 'utf8') : '';
+  const updated = writeManagedBlock(content, lines, 'html');
+  if (updated !== content) {
+    await fs.outputFile(targetPath, updated);
+  }
+
+  // A file that only had the block before counts as created by the tool
+  const previous = [
+    ...(dependencies.previousFiles || []),
+    ...(dependencies.config?.files || [])
+  ].find((fileInfo) => fileInfo?.path === relativePath);
+  const preExisting = previous
+    ? previous.preExisting === true
+    : exists && removeManagedBlock(content, 'html').trim() !== '';
+
+  const fileInfo = dependencies.trackInstalledFile
+    ? await dependencies.trackInstalledFile(relativePath, dependencies)
+    : { path: relativePath };
+  fileInfo.managedBlock = 'html';
+  if (preExisting) {
+    fileInfo.preExisting = true;
+  }
+  return fileInfo;
+}
+
+/**
+ * Tool configuration formats that list or embed the project rules.
+ * Each format has its default file and a writer returning the tracked file.
+ */
+const RULES_FORMATS = {
+  // Aider loads the files listed under read as read-only context
+  aider: {
+    target: '.aider.conf.yml',
+    write: async (files, targetPath, verbose, dependencies) => {
+      const { fileInfo } = await mergeIntoFile(
+        'yaml',
+        { read: files },
+        targetPath,
+        { arrays: 'append' },
+        verbose,
+        dependencies
+      );
+      return fileInfo;
+    }
+  },
+
+  // Continue loads rules blocks from .continue/rules, with globs to attach
+  // them. Its config.yaml is per user, but takes the same rules entries
+  continue: {
+    target: '.continue/rules/lullabot-project.yaml',
+    write: async (files, targetPath, verbose, dependencies) => {
+      const rules = await readRules(files, dependencies.projectRoot || '.');
+      const { fileInfo } = await mergeIntoFile(
+        'yaml',
+        {
+          name: 'Lullabot Project rules',
+          version: '1.0.0',
+          schema: 'v1',
+          rules: rules.map((rule) => ({
+            name: rule.path,
+            rule: rule.body,
+            ...(rule.globs.length > 0 && {
+              globs: rule.globs.length === 1 ? rule.globs[0] : rule.globs
+            })
+          }))
+        },
+        targetPath,
+        { arrays: 'merge', key: 'name' },
+        verbose,
+        dependencies
+      );
+      return fileInfo;
+    }
+  },
+
+  // Zed reads a single .rules file and doesn't follow links to other files
+  zed: {
+    target: '.rules',
+    write: async (files, targetPath, verbose, dependencies) => {
+      const rules = await readRules(files, dependencies.projectRoot || '.');
+      const lines = rules.flatMap((rule, index) => [
+        ...(index > 0 ? [''] : []),
+        `<!-- ${rule.path} -->`,
+        rule.body
+      ]);
+      return writeBlockFile(targetPath, lines, dependencies);
+    }
+  }
+};
+
+/**
+ * Get the Markdown files tracked by the selected tasks.
+ *
+ * @param {boolean|string[]} trackedTasks - true for every task, or task IDs
+ * @param {Object[]} trackedFiles - Files tracked by the tasks that ran before
+ * @param {string} target - Path of the file being written, left out
+ * @returns {string[]} File paths with forward slashes
+ */
+function getRuleFiles(trackedTasks = true, trackedFiles = [], target) {
+  const files = [];
+
+  for (const fileInfo of trackedFiles) {
+    const filePath = typeof fileInfo === 'string' ? fileInfo : fileInfo?.path;
+    if (
+      !filePath ||
+      !/\.mdc?$/.test(filePath) ||
+      path.resolve(filePath) === path.resolve(target) ||
+      (Array.isArray(trackedTasks) && !isOwnedByTasks(fileInfo, trackedTasks))
+    ) {
+      continue;
+    }
+    files.push(filePath.split(path.sep).join('/'));
+  }
+
+  return [...new Set(files)];
+}
+
+/**
+ * Execute the rules-config task.
+ * Writes AGENTS.md and the rule files installed by earlier tasks into the
+ * configuration of tools that don't follow the links in AGENTS.md.
+ *
+ * @param {Object} task - Task configuration object
+ * @param {string} tool - The tool identifier
+ * @param {string} projectType - The project type
+ * @param {boolean} verbose - Whether to show detailed output
+ * @param {Object} dependencies - Injected dependencies with tracked files and file tracking
+ * @returns {Promise<Object>} Task execution result
+ */
+async function execute(
+  task,
+  tool,
+  projectType,
+  verbose = false,
+  dependencies = {}
+) {
+  const format = task.format || tool;
+  if (!RULES_FORMATS[format]) {
+    throw new Error(
+      `No rules configuration format for ${tool}. Set the task format to one of: ${Object.keys(RULES_FORMATS).join(', ')}`
+    );
+  }
+
+  const target = (task.target || RULES_FORMATS[format].target)
+    .replace(/{tool}/g, tool)
+    .replace(/{project-type}/g, projectType || '');
+  const targetPath = path.resolve(dependencies.projectRoot || '.', target);
+  const files = getRuleFiles(
+    task['tracked-files'],
+    dependencies.config?.files,
+    targetPath
+  );
+
+  if (verbose) {
+    console.log(
+      chalk.gray(
+        `Writing ${files.length} rule files to ${getProjectRelativePath(targetPath, dependencies)}`
+      )
+    );
+  }
+
+  const fileInfo = await RULES_FORMATS[format].write(
+    files,
+    targetPath,
+    verbose,
+    dependencies
+  );
+
+  return {
+    output: `Wrote ${files.length} rule files to ${fileInfo.path}`,
+    files: [fileInfo]
+  };
+}
+
+export { RULES_FORMATS, getRuleFiles, execute };
@@ -0,0 +1,290 @@
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import yaml from 'js-yaml';
+import { readFileFromGit } from '../git-operations.js';
+import { editJsonc, parseJsonc } from '../utils/jsonc.js';
+import {
+  formatMergePath,
+  isDeepEqual,
+  isPlainObject,
+  mergeData,
+  unmergeData
+} from '../utils/deep-merge.js';
+import { getProjectRelativePath } from '../utils/project-paths.js';
+
+/**
+ * File formats the merge tasks read and write.
+ */
+const formats = {
+  json: {
+    name: 'JSON',
+    parse: (text, label) => parseJsonc(text, label),
+    stringify: (data, existingText) => editJsonc(existingText, data)
+  },
+  yaml: {
+    name: 'YAML',
+    parse: (text, label) => {
+      try {
+        return yaml.load(text) ?? {};
+      } catch (error) {
+        throw new Error(
+          `Invalid YAML in ${label}: ${error.reason || error.message}`
+        );
+      }
+    },
+    stringify: (data) =>
+      yaml.dump(data, { indent: 2, lineWidth: -1, noRefs: true })
+  }
+};
+
+/**
+ * Get the format of a merged file from its extension.
+ *
+ * @param {string} filePath - File path
+ * @returns {string} "yaml" for .yml and .yaml files, otherwise "json"
+ */
+function getFileFormat(filePath) {
+  return /\.ya?ml$/i.test(filePath) ? 'yaml' : 'json';
+}
+
+/**
+ * Read a file that must contain an object (a mapping in YAML).
+ *
+ * @param {string} format - File format ("json" or "yaml")
+ * @param {string} text - File content
+ * @param {string} label - File name for error messages
+ * @returns {Object} Parsed object
+ * @throws {Error} If the content is not an object
+ */
+function parseObject(format, text, label) {
+  const { name, parse } = formats[format];
+  const data = parse(text, label);
+  if (!isPlainObject(data)) {
+    throw new Error(`${label} must contain a ${name} object`);
+  }
+  return data;
+}
+
+/**
+ * Split the path a fragment is inserted at into keys.
+ * Dotted strings are split; lists keep keys that contain dots.
+ *
+ * @param {string|string[]|undefined} insertPath - Task path option
+ * @returns {string[]} Keys leading to the insert position
+ */
+function getInsertKeys(insertPath) {
+  if (Array.isArray(insertPath)) {
+    return insertPath.map(String);
+  }
+  return insertPath ? String(insertPath).split('.') : [];
+}
+
+/**
+ * Find the tracked entry of a file from an earlier run, so the keys added
+ * then can be refreshed instead of being kept as the user's own.
+ */
+function findPreviousEntry(filePath, dependencies) {
+  return [
+    ...(dependencies.previousFiles || []),
+    ...(dependencies.config?.files || [])
+  ].find((fileInfo) => fileInfo?.path === filePath);
+}
+
+/**
+ * Get the data to merge into: the current file without the keys added by the
+ * previous run. Files copied whole by older versions count as ours while
+ * they are unchanged.
+ */
+async function getBaseData(filePath, current, previous, dependencies) {
+  if (Array.isArray(previous?.merged)) {
+    return unmergeData(current, previous.merged);
+  }
+
+  if (previous && dependencies.calculateFileHash) {
+    const hash = await dependencies.calculateFileHash(filePath, dependencies);
+    if (hash === previous.originalHash) {
+      return {};
+    }
+  }
+
+  return current;
+}
+
+/**
+ * Deep merge a fragment into an existing file, keeping the user's values,
+ * and record the added keys so remove and update only touch those.
+ * Shared by the json-merge and yaml-merge task types.
+ *
+ * @param {string} format - File format ("json" or "yaml")
+ * @param {Object} task - Task configuration object
+ * @param {string} tool - The tool identifier
+ * @param {string} projectType - The project type
+ * @param {boolean} verbose - Whether to show detailed output
+ * @param {Object} dependencies - Injected dependencies with tracked files and file tracking
+ * @returns {Promise<Object>} Task execution result
+ */
+async function executeMerge(
+  format,
+  task,
+  tool,
+  projectType,
+  verbose = false,
+  dependencies = {}
+) {
+  const { name } = formats[format];
+
+  if (!task.source || !task.target) {
+    throw new Error(`${name} merge task requires source and target`);
+  }
+
+  // Replace placeholders in source and target paths
+  const source = task.source
+    .replace(/{tool}/g, tool)
+    .replace(/{project-type}/g, projectType || '');
+  let target = task.target
+    .replace(/{tool}/g, tool)
+    .replace(/{project-type}/g, projectType || '');
+
+  // A directory target keeps the fragment's file name
+  if (target === '.' || target.endsWith('/')) {
+    target = path.join(target, path.basename(source));
+  }
+
+  const targetPath = path.resolve(dependencies.projectRoot || '.', target);
+
+  if (verbose) {
+    console.log(
+      chalk.gray(
+        `Merging ${source} into ${getProjectRelativePath(targetPath, dependencies)}`
+      )
+    );
+  }
+
+  // Fragments come from the tool's repository, like copy-files sources
+  const fragmentText = await readFileFromGit(source, verbose, dependencies);
+  if (fragmentText === null) {
+    throw new Error(`${name} fragment not found: ${source}`);
+  }
+
+  // Fragments with a path are inserted below those keys
+  const fragment = getInsertKeys(task.path).reduceRight(
+    (value, key) => ({ [key]: value }),
+    parseObject(format, fragmentText, source)
+  );
+
+  const { fileInfo, added } = await mergeIntoFile(
+    format,
+    fragment,
+    targetPath,
+    { arrays: task.arrays, key: task['merge-key'] },
+    verbose,
+    dependencies
+  );
+
+  return {
+    output: `Merged ${added.length} additions into ${fileInfo.path}`,
+    files: [fileInfo]
+  };
+}
+
+/**
+ * Merge data into a file, keeping the user's values, and track the file with
+ * the keys it received. Files that don't exist yet are created.
+ *
+ * @param {string} format - File format ("json" or "yaml")
+ * @param {Object|Function} fragment - Data to merge in, or a function that
+ *   builds it from the data being merged into
+ * @param {string} targetPath - Absolute path of the file
+ * @param {Object} options - Merge options passed to mergeData
+ * @param {boolean} verbose - Whether to show detailed output
+ * @param {Object} dependencies - Injected dependencies with tracked files and file tracking
+ * @returns {Promise<Object>} Tracked file info and the recorded additions
+ */
+async function mergeIntoFile(
+  format,
+  fragment,
+  targetPath,
+  options,
+  verbose,
+  dependencies
+) {
+  const relativePath = getProjectRelativePath(targetPath, dependencies);
+  const exists = await fs.pathExists(targetPath);
+  const currentText = exists ? await fs.readFile(targetPath, 'utf8') : null;
+  const current = exists ? parseObject(format, currentText, relativePath) : {};
+
+  const previous = findPreviousEntry(relativePath, dependencies);
+  const base = exists
+    ? await getBaseData(relativePath, current, previous, dependencies)
+    : {};
+  const { result, added } = mergeData(
+    base,
+    typeof fragment === 'function' ? fragment(base) : fragment,
+    options
+  );
+
+  // Unchanged files are left alone so their comments survive
+  if (!exists || !isDeepEqual(result, current)) {
+    await fs.outputFile(
+      targetPath,
+      formats[format].stringify(result, currentText)
+    );
+  }
+
+  if (verbose) {
+    for (const { path: keyPath } of added) {
+      console.log(chalk.gray(`  Added ${formatMergePath(keyPath)}`));
+    }
+  }
+
+  // Track the file with the keys it received
+  const fileInfo = dependencies.trackInstalledFile
+    ? await dependencies.trackInstalledFile(relativePath, dependencies)
+    : { path: relativePath };
+  fileInfo.merged = added;
+  if (getFileFormat(relativePath) !== format) {
+    fileInfo.format = format;
+  }
+  if (previous ? previous.preExisting === true : exists) {
+    fileInfo.preExisting = true;
+  }
+
+  return { fileInfo, added };
+}
+
+/**
+ * Take the keys a merge task added out of a file again.
+ * Files the task created are deleted once nothing else is left in them.
+ *
+ * @param {Object} fileInfo - Tracked file with its merged additions and format
+ * @returns {Promise<string|null>} "removed", "reverted", or null if the file is missing
+ */
+async function revertMergedFile(fileInfo) {
+  if (!(await fs.pathExists(fileInfo.path))) {
+    return null;
+  }
+
+  const format = fileInfo.format || getFileFormat(fileInfo.path);
+  const text = await fs.readFile(fileInfo.path, 'utf8');
+  const current = parseObject(format, text, fileInfo.path);
+  const result = unmergeData(current, fileInfo.merged);
+
+  if (fileInfo.preExisting !== true && Object.keys(result).length === 0) {
+    await fs.remove(fileInfo.path);
+    return 'removed';
+  }
+
+  if (!isDeepEqual(result, current)) {
+    await fs.writeFile(fileInfo.path, formats[format].stringify(result, text));
+  }
+  return 'reverted';
+}
+
+export {
+  getFileFormat,
+  getInsertKeys,
+  executeMerge,
+  mergeIntoFile,
+  revertMergedFile
+};
@@ -0,0 +1,118 @@
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import { readFileFromGit } from '../git-operations.js';
+import { getProjectTools } from '../tool-config.js';
+import { renderTemplate } from '../utils/template-renderer.js';
+import { getProjectRelativePath } from '../utils/project-paths.js';
+
+/**
+ * Build the values available to a template: the task's data, the selected
+ * tools, the project type and the .ai/ files tracked so far.
+ *
+ * @param {Object} task - Task configuration object
+ * @param {string} tool - The tool identifier
+ * @param {string|null} projectType - The project type
+ * @param {Object} config - Project configuration with the files tracked so far
+ * @returns {Object} Template data
+ */
+function buildTemplateData(task, tool, projectType, config = {}) {
+  const projectTools = getProjectTools(config);
+  const tools = projectTools.length > 0 ? [...projectTools] : [tool];
+
+  const aiFiles = (config.files || [])
+    .map((file) => (typeof file === 'string' ? file : file?.path))
+    .filter((filePath) => filePath?.startsWith('.ai/'))
+    .map((filePath) => ({
+      path: filePath,
+      name: path.basename(filePath, path.extname(filePath)),
+      directory: path.dirname(filePath).replace(/^\.ai\/?/, '')
+    }));
+
+  return {
+    ...task.data,
+    tool,
+    tools,
+    projectType: projectType || '',
+    hasTool: Object.fromEntries(tools.map((toolId) => [toolId, true])),
+    isProjectType: projectType ? { [projectType]: true } : {},
+    aiFiles
+  };
+}
+
+/**
+ * Execute the template task.
+ * Renders a template and writes the result to the target, tracking the file
+ * like copy-files does.
+ *
+ * @param {Object} task - Task configuration object
+ * @param {string} tool - The tool identifier
+ * @param {string} projectType - The project type
+ * @param {boolean} verbose - Whether to show detailed output
+ * @param {Object} dependencies - Injected dependencies with config and file tracking
+ * @returns {Promise<Object>} Task execution result
+ */
+async function execute(
+  task,
+  tool,
+  projectType,
+  verbose = false,
+  dependencies = {}
+) {
+  if (!task.source || !task.target) {
+    throw new Error('Template task requires source and target');
+  }
+
+  // Replace placeholders in source and target paths
+  const source = task.source
+    .replace(/{tool}/g, tool)
+    .replace(/{project-type}/g, projectType || '');
+  let target = task.target
+    .replace(/{tool}/g, tool)
+    .replace(/{project-type}/g, projectType || '');
+
+  // A directory target keeps the template's file name
+  if (target === '.' || target.endsWith('/')) {
+    target = path.join(target, path.basename(source));
+  }
+
+  if (verbose) {
+    console.log(chalk.gray(`Rendering template ${source} to ${target}`));
+  }
+
+  // Templates come from the tool's repository, like copy-files sources
+  const template = await readFileFromGit(source, verbose, dependencies);
+  if (template === null) {
+    throw new Error(`Template not found: ${source}`);
+  }
+
+  let content;
+  try {
+    content = renderTemplate(
+      template,
+      buildTemplateData(task, tool, projectType, dependencies.config)
+    );
+  } catch (error) {
+    throw new Error(`Invalid template ${source}: ${error.message}`);
+  }
+
+  const targetPath = path.resolve(dependencies.projectRoot || '.', target);
+  await fs.outputFile(targetPath, content);
+
+  // Track the file
+  const relativePath = getProjectRelativePath(targetPath, dependencies);
+  const fileInfo = dependencies.trackInstalledFile
+    ? await dependencies.trackInstalledFile(relativePath, dependencies)
+    : { path: relativePath };
+
+  if (verbose) {
+    console.log(chalk.green(`✅ Rendered ${relativePath}`));
+  }
+
+  return {
+    output: `Successfully rendered ${relativePath}`,
+    files: [fileInfo]
+  };
+}
+
+export { execute, buildTemplateData };
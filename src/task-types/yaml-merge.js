@@ -0,0 +1,26 @@
+import { executeMerge } from './structured-merge.js';
+
+/**
+ * Execute the yaml-merge task.
+ * Deep merges a YAML fragment into an existing YAML file, optionally below a
+ * path of keys, keeping unrelated keys, and records the added keys so remove
+ * and update only touch those.
+ *
+ * @param {Object} task - Task configuration object
+ * @param {string} tool - The tool identifier
+ * @param {string} projectType - The project type
+ * @param {boolean} verbose - Whether to show detailed output
+ * @param {Object} dependencies - Injected dependencies with tracked files and file tracking
+ * @returns {Promise<Object>} Task execution result
+ */
+async function execute(
+  task,
+  tool,
+  projectType,
+  verbose = false,
+  dependencies = {}
+) {
+  return executeMerge('yaml', task, tool, projectType, verbose, dependencies);
+}
+
+export { execute };
@@ -2,19 +2,23 @@ import fs from 'fs-extra';
 import path from 'path';
 import yaml from 'js-yaml';
 import chalk from 'chalk';
+import os from 'os';
+import { evaluateValidationRules } from './validation.js';
 import {
   substituteVariables,
   validateTaskVariables
 } from './utils/variable-substitution.js';
 
+const PROJECT_CONFIG_FILE_NAME = '.lullabot-project.config.yml';
+
 /**
- * Load configuration from YAML file.
+ * Load the configuration bundled with the package.
  * Reads the main configuration file that contains tool and project definitions.
  *
- * @returns {Promise<Object>} Parsed configuration object
+ * @returns {Promise<Object>} Path and parsed contents of the bundled configuration
  * @throws {Error} If configuration file cannot be loaded or parsed
  */
-async function loadConfig() {
+async function loadBundledConfig() {
   try {
     // Get the directory where the tool is located
     const toolDir = path.dirname(new URL(import.meta.url).pathname);
@@ -35,7 +39,7 @@ async function loadConfig() {
 
     // Try to read the config file
     const configContent = await fs.readFile(configPath, 'utf8');
-    return yaml.load(configContent);
+    return { path: configPath, config: yaml.load(configContent) };
   } catch (error) {
     // If the above fails, try alternative path resolution
     try {
@@ -73,7 +77,7 @@ async function loadConfig() {
               .catch(() => false)
           ) {
             const configContent = await fs.readFile(possiblePath, 'utf8');
-            return yaml.load(configContent);
+            return { path: possiblePath, config: yaml.load(configContent) };
           }
         } catch (_error) {
           // Continue to next path
@@ -89,6 +93,237 @@ async function loadConfig() {
   }
 }
 
+/**
+ * Get the path of the user-level configuration overlay.
+ * Honours LULLABOT_PROJECT_CONFIG_DIR, then the platform's configuration directory.
+ *
+ * @returns {string} Absolute path to the user configuration file
+ */
+function getUserConfigPath() {
+  if (process.env.LULLABOT_PROJECT_CONFIG_DIR) {
+    return path.join(process.env.LULLABOT_PROJECT_CONFIG_DIR, 'config.yml');
+  }
+
+  const configHome =
+    process.platform === 'win32'
+      ? process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming')
+      : process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+
+  return path.join(configHome, 'lullabot-project', 'config.yml');
+}
+
+/**
+ * Get the path of the project configuration overlay committed to the repository.
+ *
+ * @returns {string} Absolute path to the project configuration file
+ */
+function getProjectConfigPath() {
+  return path.join(process.cwd(), PROJECT_CONFIG_FILE_NAME);
+}
+
+/**
+ * Read a configuration overlay.
+ * Returns null if the overlay doesn't exist.
+ *
+ * @param {string} overlayPath - Path to the overlay file
+ * @returns {Promise<Object|null>} Parsed overlay or null if not found
+ * @throws {Error} If the overlay is not a YAML mapping
+ */
+async function readConfigOverlay(overlayPath) {
+  if (!(await fs.pathExists(overlayPath))) {
+    return null;
+  }
+
+  let overlay;
+  try {
+    overlay = yaml.load(await fs.readFile(overlayPath, 'utf8'));
+  } catch (error) {
+    throw new Error(
+      `Failed to read configuration overlay ${overlayPath}: ${error.message}`
+    );
+  }
+
+  if (overlay === null || overlay === undefined) {
+    return {};
+  }
+  if (!isPlainObject(overlay)) {
+    throw new Error(
+      `Failed to read configuration overlay ${overlayPath}: expected a mapping at the top level`
+    );
+  }
+
+  return overlay;
+}
+
+/**
+ * Check whether a value is a plain object (a YAML mapping).
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is a plain object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep merge a configuration overlay into a base configuration.
+ * Maps are merged key by key; arrays and scalar values in the overlay replace
+ * those of the base.
+ *
+ * @param {Object} base - Base configuration
+ * @param {Object} overlay - Overlay configuration
+ * @returns {Object} New merged configuration
+ */
+function mergeConfig(base, overlay) {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(overlay || {})) {
+    merged[key] =
+      isPlainObject(value) && isPlainObject(merged[key])
+        ? mergeConfig(merged[key], value)
+        : value;
+  }
+
+  return merged;
+}
+
+/**
+ * Load every configuration layer in the order they are applied:
+ * the bundled configuration, the user overlay, then the project overlay.
+ * Overlays that don't exist are left out.
+ *
+ * @returns {Promise<Object[]>} Layers with name, path and parsed config
+ * @throws {Error} If a layer cannot be loaded or parsed
+ */
+async function loadConfigLayers() {
+  const bundled = await loadBundledConfig();
+  const layers = [{ name: 'bundled', ...bundled }];
+
+  for (const [name, overlayPath] of [
+    ['user', getUserConfigPath()],
+    ['project', getProjectConfigPath()]
+  ]) {
+    const overlay = await readConfigOverlay(overlayPath);
+    if (overlay) {
+      layers.push({
+        name,
+        path: overlayPath,
+        config: resolvePluginPaths(overlay, path.dirname(overlayPath))
+      });
+    }
+  }
+
+  return layers;
+}
+
+/**
+ * Resolve relative task type plugin paths against the directory of the
+ * configuration file that declares them.
+ *
+ * @param {Object} config - Configuration layer
+ * @param {string} baseDir - Directory of the configuration file
+ * @returns {Object} Configuration layer with absolute plugin paths
+ */
+function resolvePluginPaths(config, baseDir) {
+  if (!isPlainObject(config.task_types)) {
+    return config;
+  }
+
+  const taskTypes = {};
+  for (const [taskType, specifier] of Object.entries(config.task_types)) {
+    taskTypes[taskType] =
+      typeof specifier === 'string' && specifier.startsWith('.')
+        ? path.resolve(baseDir, specifier)
+        : specifier;
+  }
+
+  return { ...config, task_types: taskTypes };
+}
+
+/**
+ * Load configuration from YAML files.
+ * Merges the user and project overlays on top of the bundled configuration so
+ * teams can add or adjust tools, shared tasks and project types, and loads
+ * the task type plugins they declare.
+ *
+ * @returns {Promise<Object>} Merged configuration object
+ * @throws {Error} If a configuration file cannot be loaded or parsed
+ */
+async function loadConfig() {
+  const layers = await loadConfigLayers();
+  const config = layers.reduce(
+    (merged, layer) => mergeConfig(merged, layer.config),
+    {}
+  );
+
+  // Register task type plugins so their tasks can run and be validated
+  if (config.task_types) {
+    const { loadTaskTypePlugins } = await import('./task-types/index.js');
+    await loadTaskTypePlugins(config.task_types);
+  }
+
+  return config;
+}
+
+/**
+ * Work out which configuration layers define each tool, project type and task.
+ *
+ * @param {Object[]} layers - Layers from loadConfigLayers
+ * @returns {Object} Layer names per tool, project type, task, shared task, plugin task type and MCP server
+ */
+function getConfigSources(layers) {
+  const sources = {
+    layers: layers.map(({ name, path: layerPath }) => ({
+      name,
+      path: layerPath
+    })),
+    tools: {},
+    projects: {},
+    shared_tasks: {},
+    task_types: {},
+    mcp_servers: {}
+  };
+
+  const addSource = (entries, id, layerName) => {
+    entries[id] = entries[id] || { layers: [], tasks: {} };
+    if (!entries[id].layers.includes(layerName)) {
+      entries[id].layers.push(layerName);
+    }
+    return entries[id];
+  };
+
+  for (const layer of layers) {
+    for (const section of ['tools', 'projects']) {
+      for (const [id, definition] of Object.entries(
+        layer.config[section] || {}
+      )) {
+        const entry = addSource(sources[section], id, layer.name);
+        for (const taskId of Object.keys(definition?.tasks || {})) {
+          entry.tasks[taskId] = [...(entry.tasks[taskId] || []), layer.name];
+        }
+      }
+    }
+
+    for (const section of ['shared_tasks', 'task_types', 'mcp_servers']) {
+      for (const id of Object.keys(layer.config[section] || {})) {
+        sources[section][id] = [...(sources[section][id] || []), layer.name];
+      }
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * Load the configuration layers and report where each definition came from.
+ *
+ * @returns {Promise<Object>} Configuration sources (see getConfigSources)
+ * @throws {Error} If a configuration file cannot be loaded or parsed
+ */
+async function loadConfigSources() {
+  return getConfigSources(await loadConfigLayers());
+}
+
 /**
  * Load tool configuration from YAML file (backward compatibility).
  * Returns a simplified structure for legacy code that expects only tool settings.
@@ -140,46 +375,10 @@ async function validateProject(projectType, tool, config) {
     return;
   }
 
-  const currentDir = process.cwd();
-  const issues = [];
-
-  // Check required files
-  if (projectValidation.requiredFiles) {
-    for (const file of projectValidation.requiredFiles) {
-      const filePath = path.join(currentDir, file);
-      if (!(await fs.pathExists(filePath))) {
-        issues.push(`Missing required file: ${file}`);
-      }
-    }
-  }
-
-  // Check required content in files
-  if (projectValidation.requiredContent) {
-    for (const [file, content] of Object.entries(
-      projectValidation.requiredContent
-    )) {
-      const filePath = path.join(currentDir, file);
-      if (await fs.pathExists(filePath)) {
-        const fileContent = await fs.readFile(filePath, 'utf8');
-        if (!fileContent.includes(content)) {
-          issues.push(`Required content not found in ${file}: ${content}`);
-        }
-      } else {
-        issues.push(`Cannot check content in missing file: ${file}`);
-      }
-    }
-  }
-
-  // Check optional files (for warnings)
-  const warnings = [];
-  if (projectValidation.optionalFiles) {
-    for (const file of projectValidation.optionalFiles) {
-      const filePath = path.join(currentDir, file);
-      if (!(await fs.pathExists(filePath))) {
-        warnings.push(`Optional file not found: ${file}`);
-      }
-    }
-  }
+  const { issues, warnings } = await evaluateValidationRules(
+    projectValidation,
+    process.cwd()
+  );
 
   // Display warnings if any
   if (warnings.length > 0) {
@@ -362,13 +561,20 @@ function resolveTaskConfig(taskConfig, sharedTasks, tool, projectType) {
  * Filters out tasks based on their projects array configuration.
  * Resolves shared task references and extends functionality.
  *
- * @param {string} tool - The tool identifier
+ * @param {string|string[]} tool - The tool identifier, or a list of tools
  * @param {string|null} projectType - The project type or null for "None"
  * @param {Object} config - Full configuration object
  * @returns {Object} Object containing all available tasks
  * @throws {Error} If tool configuration is not found or projects array is invalid
  */
 function getTasks(tool, projectType, config) {
+  // Multiple tools: merge their tasks, de-duplicating shared ones
+  if (Array.isArray(tool)) {
+    return tool.length === 1
+      ? getTasks(tool[0], projectType, config)
+      : getTasksForTools(tool, projectType, config);
+  }
+
   const toolSettings = config.tools[tool];
   if (!toolSettings) {
     throw new Error(`Tool configuration not found for: ${tool}`);
@@ -446,14 +652,122 @@ function getTasks(tool, projectType, config) {
   return tasks;
 }
 
+/**
+ * Get a signature identifying what a resolved task does.
+ * Tasks with the same signature produce the same result for any tool.
+ *
+ * @param {Object} task - Resolved task configuration
+ * @returns {string} Task signature
+ */
+function getTaskSignature(task) {
+  // eslint-disable-next-line no-unused-vars
+  const { id: _id, taskSource: _taskSource, ...definition } = task;
+  return JSON.stringify(definition);
+}
+
+/**
+ * Get the merged tasks for several tools.
+ * Tasks that resolve identically for more than one tool (e.g. shared rules)
+ * are kept once and list every tool in `tools`. When tools define different
+ * tasks under the same ID, each variant is prefixed with its first tool
+ * (e.g. "claude:wrapper") and keeps the original ID in `baseId`.
+ *
+ * @param {string[]} tools - Tool identifiers
+ * @param {string|null} projectType - The project type or null for "None"
+ * @param {Object} config - Full configuration object
+ * @returns {Object} Object containing the merged tasks
+ * @throws {Error} If a tool configuration is not found
+ */
+function getTasksForTools(tools, projectType, config) {
+  const variantsById = new Map();
+
+  for (const tool of tools) {
+    for (const [taskId, task] of Object.entries(
+      getTasks(tool, projectType, config)
+    )) {
+      const signature = getTaskSignature(task);
+      const variants = variantsById.get(taskId) || [];
+      const existing = variants.find(
+        (variant) => variant.signature === signature
+      );
+
+      if (existing) {
+        existing.tools.push(tool);
+      } else {
+        variants.push({ signature, task, tools: [tool] });
+      }
+      variantsById.set(taskId, variants);
+    }
+  }
+
+  const tasks = {};
+  for (const [taskId, variants] of variantsById) {
+    if (variants.length === 1) {
+      tasks[taskId] = { ...variants[0].task, tools: variants[0].tools };
+      continue;
+    }
+
+    for (const { task, tools: variantTools } of variants) {
+      const variantId = `${variantTools[0]}:${taskId}`;
+      tasks[variantId] = {
+        ...task,
+        id: variantId,
+        baseId: taskId,
+        tools: variantTools
+      };
+    }
+  }
+
+  return tasks;
+}
+
+/**
+ * Get the tools configured for a project.
+ * Supports the tools list and the single tool of older configuration files.
+ *
+ * @param {Object} config - Project configuration (stored or from prompts)
+ * @returns {string[]} Tool identifiers
+ */
+function getProjectTools(config) {
+  const tools = config?.project?.tools || config?.tools;
+  if (Array.isArray(tools) && tools.length > 0) {
+    return tools;
+  }
+
+  const tool = config?.project?.tool || config?.tool;
+  return tool ? [tool] : [];
+}
+
+/**
+ * Get the tool argument for getTasks from a project configuration:
+ * the tools list for multi-tool projects, otherwise the single tool.
+ *
+ * @param {Object} config - Project configuration (stored or from prompts)
+ * @returns {string|string[]} Tool identifier or list of tool identifiers
+ */
+function getTaskTools(config) {
+  const tools = getProjectTools(config);
+  return tools.length > 1 ? tools : tools[0];
+}
+
 export {
+  PROJECT_CONFIG_FILE_NAME,
   loadConfig,
+  loadConfigLayers,
+  loadConfigSources,
+  getConfigSources,
+  getUserConfigPath,
+  getProjectConfigPath,
+  mergeConfig,
   loadToolConfig,
   validateProject,
   getToolSettings,
   getAvailableTools,
   getAvailableProjectTypes,
   getTasks,
+  getTasksForTools,
+  getProjectTools,
+  getTaskTools,
   validateTaskProjects,
   resolveSharedTaskReference,
   resolveTaskWithExtends,
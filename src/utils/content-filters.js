@@ -3,15 +3,27 @@
  */
 
 import path from 'path';
+import yaml from 'js-yaml';
 
 // Filter types
 const FILTER_TYPES = {
   FRONTMATTER_REMOVAL: 'frontmatter-removal',
   EXTRACT_CONTENT: 'extract-content',
   LINE_RANGE: 'line-range',
-  REMOVE_LINES: 'remove-lines'
+  REMOVE_LINES: 'remove-lines',
+  CURSOR_RULE: 'cursor-rule',
+  COPILOT_INSTRUCTIONS: 'copilot-instructions',
+  WINDSURF_RULE: 'windsurf-rule',
+  CLAUDE_AGENT: 'claude-agent',
+  CLAUDE_COMMAND: 'claude-command'
 };
 
+// Windsurf rule activation modes
+const WINDSURF_TRIGGERS = ['always_on', 'glob', 'model_decision', 'manual'];
+
+// Windsurf ignores the content of rule files past this many characters
+const WINDSURF_RULE_LIMIT = 6000;
+
 // Common regex patterns library
 const COMMON_PATTERNS = {
   QUINTUPLE_BACKTICKS: '`````.*?`````',
@@ -77,6 +89,296 @@ function removeLines(content, pattern, flags = '') {
   }
 }
 
+/**
+ * Split YAML frontmatter from content
+ *
+ * @returns {Object} Frontmatter metadata and the content after it
+ */
+function parseFrontmatter(content) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(content);
+  if (!match) {
+    return { metadata: {}, body: content };
+  }
+
+  let metadata;
+  try {
+    metadata = yaml.load(match[1]);
+  } catch (error) {
+    throw new Error(`Invalid frontmatter: ${error.reason || error.message}`);
+  }
+
+  return {
+    metadata:
+      metadata && typeof metadata === 'object' && !Array.isArray(metadata)
+        ? metadata
+        : {},
+    body: content.slice(match[0].length).replace(/^\s*\n/, '')
+  };
+}
+
+/**
+ * Get the globs a rule applies to from its metadata (globs, or applyTo as
+ * written for Copilot), falling back to the filter's defaults.
+ * Comma-separated globs are split.
+ */
+function getRuleGlobs(metadata, defaults = {}) {
+  return []
+    .concat(metadata.globs ?? metadata.applyTo ?? defaults.globs ?? [])
+    .flatMap((glob) => String(glob).split(','))
+    .map((glob) => glob.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Convert a rule to Cursor's .mdc format.
+ * Frontmatter comes from the rule's own metadata, falling back to the
+ * filter's defaults. Rules without globs are always applied unless set
+ * otherwise, like the rules AGENTS.md points to.
+ */
+function toCursorRule(content, defaults = {}) {
+  const { metadata, body } = parseFrontmatter(content);
+
+  const description = metadata.description ?? defaults.description ?? '';
+  const globs = getRuleGlobs(metadata, defaults);
+  const alwaysApply =
+    metadata.alwaysApply ??
+    metadata['always-apply'] ??
+    defaults['always-apply'] ??
+    globs.length === 0;
+
+  // Cursor reads these values unquoted, so they are written as plain text
+  return [
+    '---',
+    `description: ${String(description).replace(/\s*\n\s*/g, ' ')}`,
+    `globs: ${globs.join(',')}`,
+    `alwaysApply: ${alwaysApply === true}`,
+    '---',
+    body
+  ].join('\n');
+}
+
+/**
+ * Convert a rule to a path-scoped GitHub Copilot instructions file.
+ * The applyTo frontmatter lists the rule's globs.
+ */
+function toCopilotInstructions(content, defaults = {}) {
+  const { metadata, body } = parseFrontmatter(content);
+  const description = metadata.description ?? defaults.description;
+
+  return [
+    '---',
+    `applyTo: ${JSON.stringify(getRuleGlobs(metadata, defaults).join(','))}`,
+    ...(description
+      ? [`description: ${JSON.stringify(String(description).trim())}`]
+      : []),
+    '---',
+    body
+  ].join('\n');
+}
+
+/**
+ * Convert a rule to Windsurf's rule format with its activation trigger.
+ * Rules with globs are attached by glob and the others are always on,
+ * unless the rule or the filter sets a trigger.
+ */
+function toWindsurfRule(content, defaults = {}) {
+  const { metadata, body } = parseFrontmatter(content);
+  const globs = getRuleGlobs(metadata, defaults);
+  const description = metadata.description ?? defaults.description;
+  const trigger =
+    metadata.trigger ??
+    defaults.trigger ??
+    (globs.length > 0 ? 'glob' : 'always_on');
+
+  if (!WINDSURF_TRIGGERS.includes(trigger)) {
+    throw new Error(
+      `Invalid Windsurf trigger: ${trigger}. Use one of: ${WINDSURF_TRIGGERS.join(', ')}`
+    );
+  }
+
+  const frontmatter = [`trigger: ${trigger}`];
+  if (trigger === 'glob') {
+    frontmatter.push(`globs: ${globs.join(',')}`);
+  }
+  if (description && trigger === 'model_decision') {
+    frontmatter.push(
+      `description: ${String(description).replace(/\s*\n\s*/g, ' ')}`
+    );
+  }
+
+  return ['---', ...frontmatter, '---', body].join('\n');
+}
+
+/**
+ * Split a prompt library entry into the metadata and body Claude Code needs.
+ * The agent or command itself is the fenced block when there is one, and
+ * its own frontmatter wins over the entry's.
+ */
+function parsePromptEntry(content) {
+  const entry = parseFrontmatter(content);
+  const fenced = /`````[^\n]*\n([\s\S]*?)\n?`````/.exec(entry.body);
+  if (!fenced) {
+    return { metadata: entry.metadata, body: entry.body.trim() };
+  }
+
+  const inner = parseFrontmatter(fenced[1]);
+  return {
+    metadata: { ...entry.metadata, ...inner.metadata },
+    body: inner.body.trim()
+  };
+}
+
+/**
+ * Write Claude Code frontmatter, leaving out empty values.
+ * Tool lists are written as the comma-separated string Claude expects.
+ */
+function toClaudeMarkdown(fields, body) {
+  const frontmatter = {};
+  for (const [key, value] of Object.entries(fields)) {
+    const text = Array.isArray(value) ? value.join(', ') : value;
+    if (text !== undefined && text !== null && String(text).trim() !== '') {
+      frontmatter[key] = String(text)
+        .replace(/\s*\n\s*/g, ' ')
+        .trim();
+    }
+  }
+
+  if (Object.keys(frontmatter).length === 0) {
+    return `${body}\n`;
+  }
+  return `---\n${yaml.dump(frontmatter, { lineWidth: -1 })}---\n\n${body}\n`;
+}
+
+/**
+ * Get the base name of a file without its extension.
+ */
+function getBaseName(filePath) {
+  return filePath ? path.basename(filePath, path.extname(filePath)) : '';
+}
+
+/**
+ * Convert a prompt library agent to a Claude Code sub-agent.
+ * The name must be lowercase letters and hyphens, so it is derived from the
+ * agent's name or file name. Sub-agents without a description are never
+ * picked by Claude, so the title is used when the agent has none.
+ */
+function toClaudeAgent(content, defaults = {}, filePath) {
+  const { metadata, body } = parsePromptEntry(content);
+  const name = String(metadata.name ?? getBaseName(filePath))
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  if (!name) {
+    throw new Error('Claude agent needs a name or a file name');
+  }
+
+  return toClaudeMarkdown(
+    {
+      name,
+      description:
+        metadata.description ?? defaults.description ?? metadata.title ?? name,
+      tools: metadata.tools ?? defaults.tools,
+      model: metadata.model ?? defaults.model
+    },
+    body
+  );
+}
+
+/**
+ * Convert a prompt library entry to a Claude Code slash command.
+ * Commands are named after their file, so only the description, allowed
+ * tools, argument hint and model are written.
+ */
+function toClaudeCommand(content, defaults = {}) {
+  const { metadata, body } = parsePromptEntry(content);
+
+  return toClaudeMarkdown(
+    {
+      description: metadata.description ?? defaults.description,
+      'allowed-tools':
+        metadata['allowed-tools'] ?? metadata.tools ?? defaults.tools,
+      'argument-hint': metadata['argument-hint'] ?? defaults['argument-hint'],
+      model: metadata.model ?? defaults.model
+    },
+    body
+  );
+}
+
+/**
+ * Check filtered content against the limits of the tools it is written for.
+ *
+ * @param {string} content - Filtered content
+ * @param {Object[]} filters - Filters applied to the file
+ * @param {string} fileName - File name for the warnings
+ * @returns {string[]} Warnings to show
+ */
+function getFilterWarnings(content, filters = [], fileName) {
+  const filter = filters.find(
+    ({ type }) => type === FILTER_TYPES.WINDSURF_RULE
+  );
+  const limit = filter?.['max-characters'] ?? WINDSURF_RULE_LIMIT;
+
+  if (filter && content.length > limit) {
+    return [
+      `${fileName} has ${content.length} characters; Windsurf ignores rule content past ${limit} characters. Consider splitting the rule.`
+    ];
+  }
+  return [];
+}
+
+/**
+ * Check if a file is left out by its filters.
+ * Copilot instructions without globs would never be applied, so rules that
+ * aren't tagged with globs are skipped.
+ *
+ * @param {string} content - File content before filtering
+ * @param {Object[]} filters - Filters applied to the file
+ * @returns {boolean} True if the file should not be written
+ */
+function isSkippedByFilters(content, filters = []) {
+  const filter = filters.find(
+    ({ type }) => type === FILTER_TYPES.COPILOT_INSTRUCTIONS
+  );
+  if (!filter) {
+    return false;
+  }
+  try {
+    return (
+      getRuleGlobs(parseFrontmatter(content).metadata, filter).length === 0
+    );
+  } catch (_error) {
+    // Invalid frontmatter is reported when the filter runs
+    return false;
+  }
+}
+
+/**
+ * Get the name a filtered file is written with.
+ * Files converted to Cursor rules get the .mdc extension, and Copilot
+ * instructions the .instructions.md extension.
+ *
+ * @param {string} fileName - Target file name
+ * @param {Object[]} filters - Filters applied to the file
+ * @returns {string} File name to write
+ */
+function getFilteredFileName(fileName, filters = []) {
+  const types = filters.map((filter) => filter.type);
+  const extension = types.includes(FILTER_TYPES.CURSOR_RULE)
+    ? '.mdc'
+    : types.includes(FILTER_TYPES.COPILOT_INSTRUCTIONS)
+      ? '.instructions.md'
+      : null;
+  if (!extension || fileName.endsWith(extension)) {
+    return fileName;
+  }
+  const baseName = fileName.slice(
+    0,
+    fileName.length - path.extname(fileName).length
+  );
+  return `${baseName}${extension}`;
+}
+
 /**
  * Validate filter configuration
  */
@@ -118,6 +420,71 @@ function validateFilterConfig(filters) {
           );
         }
         break;
+      case FILTER_TYPES.CURSOR_RULE:
+      case FILTER_TYPES.COPILOT_INSTRUCTIONS:
+      case FILTER_TYPES.WINDSURF_RULE:
+        if (
+          filter.globs !== undefined &&
+          typeof filter.globs !== 'string' &&
+          !(
+            Array.isArray(filter.globs) &&
+            filter.globs.every((glob) => typeof glob === 'string')
+          )
+        ) {
+          errors.push(
+            `Filter ${index + 1}: Parameter 'globs' for filter type '${filter.type}' must be a glob or a list of globs`
+          );
+        }
+        if (
+          filter['always-apply'] !== undefined &&
+          typeof filter['always-apply'] !== 'boolean'
+        ) {
+          errors.push(
+            `Filter ${index + 1}: Parameter 'always-apply' for filter type '${filter.type}' must be true or false`
+          );
+        }
+        if (
+          filter.trigger !== undefined &&
+          !WINDSURF_TRIGGERS.includes(filter.trigger)
+        ) {
+          errors.push(
+            `Filter ${index + 1}: Parameter 'trigger' for filter type '${filter.type}' must be one of: ${WINDSURF_TRIGGERS.join(', ')}`
+          );
+        }
+        if (
+          filter['max-characters'] !== undefined &&
+          !(
+            Number.isInteger(filter['max-characters']) &&
+            filter['max-characters'] > 0
+          )
+        ) {
+          errors.push(
+            `Filter ${index + 1}: Parameter 'max-characters' for filter type '${filter.type}' must be a positive number`
+          );
+        }
+        break;
+      case FILTER_TYPES.CLAUDE_AGENT:
+      case FILTER_TYPES.CLAUDE_COMMAND:
+        if (
+          filter.tools !== undefined &&
+          typeof filter.tools !== 'string' &&
+          !(
+            Array.isArray(filter.tools) &&
+            filter.tools.every((tool) => typeof tool === 'string')
+          )
+        ) {
+          errors.push(
+            `Filter ${index + 1}: Parameter 'tools' for filter type '${filter.type}' must be a tool or a list of tools`
+          );
+        }
+        for (const key of ['description', 'model', 'argument-hint']) {
+          if (filter[key] !== undefined && typeof filter[key] !== 'string') {
+            errors.push(
+              `Filter ${index + 1}: Parameter '${key}' for filter type '${filter.type}' must be a string`
+            );
+          }
+        }
+        break;
     }
 
     // Validate regex patterns (basic syntax check)
@@ -141,6 +508,7 @@ function validateFilterConfig(filters) {
 function shouldProcessFile(filePath) {
   const textExtensions = [
     '.md',
+    '.mdc',
     '.txt',
     '.yml',
     '.yaml',
@@ -165,7 +533,7 @@ function shouldProcessFile(filePath) {
 /**
  * Preview content after applying filters (without modifying files)
  */
-async function previewContent(content, filters, _filePath) {
+async function previewContent(content, filters, filePath) {
   let processedContent = content;
 
   for (const filter of filters) {
@@ -196,6 +564,21 @@ async function previewContent(content, filters, _filePath) {
             filter.flags || ''
           );
           break;
+        case 'cursor-rule':
+          processedContent = toCursorRule(processedContent, filter);
+          break;
+        case 'copilot-instructions':
+          processedContent = toCopilotInstructions(processedContent, filter);
+          break;
+        case 'windsurf-rule':
+          processedContent = toWindsurfRule(processedContent, filter);
+          break;
+        case 'claude-agent':
+          processedContent = toClaudeAgent(processedContent, filter, filePath);
+          break;
+        case 'claude-command':
+          processedContent = toClaudeCommand(processedContent, filter);
+          break;
         default:
           console.log(`Unknown filter type: ${filter.type}`);
       }
@@ -248,6 +631,21 @@ async function processContent(content, filters, filePath, verbose = false) {
             filter.flags || ''
           );
           break;
+        case 'cursor-rule':
+          processedContent = toCursorRule(processedContent, filter);
+          break;
+        case 'copilot-instructions':
+          processedContent = toCopilotInstructions(processedContent, filter);
+          break;
+        case 'windsurf-rule':
+          processedContent = toWindsurfRule(processedContent, filter);
+          break;
+        case 'claude-agent':
+          processedContent = toClaudeAgent(processedContent, filter, filePath);
+          break;
+        case 'claude-command':
+          processedContent = toClaudeCommand(processedContent, filter);
+          break;
         default:
           if (verbose) {
             console.log(`Unknown filter type: ${filter.type}`);
@@ -301,6 +699,16 @@ export {
   extractContent,
   extractLineRange,
   removeLines,
+  parseFrontmatter,
+  getRuleGlobs,
+  toCursorRule,
+  toCopilotInstructions,
+  toWindsurfRule,
+  toClaudeAgent,
+  toClaudeCommand,
+  getFilterWarnings,
+  isSkippedByFilters,
+  getFilteredFileName,
   validateFilterConfig,
   shouldProcessFile,
   previewContent,
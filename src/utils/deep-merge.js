@@ -0,0 +1,242 @@
+/**
+ * Deep merge utility for settings files.
+ * Merges a fragment into existing data without replacing the user's values,
+ * and records every addition so it can be taken out again.
+ *
+ * Additions are recorded with the path of keys leading to them. Array items
+ * merged by key are addressed with a { key: value } segment, e.g.
+ * ['configurations', { name: 'Listen for XDebug' }, 'port'].
+ */
+
+const ARRAY_STRATEGIES = ['append', 'replace', 'merge'];
+
+/**
+ * Check if a value is a plain object (not an array or null).
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Compare two values structurally.
+ *
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} True if both values have the same content
+ */
+function isDeepEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return (
+      Array.isArray(a) &&
+      Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((item, index) => isDeepEqual(item, b[index]))
+    );
+  }
+  if (!isPlainObject(a) || !isPlainObject(b)) {
+    return false;
+  }
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every((key) => key in b && isDeepEqual(a[key], b[key]))
+  );
+}
+
+/**
+ * Copy a value so merged data doesn't share objects with the fragment.
+ * Settings data comes from JSON or YAML, so a JSON round trip is enough.
+ */
+function clone(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Check if an array item is addressed by a { key: value } path segment.
+ */
+function matchesSegment(item, segment) {
+  const [[key, value]] = Object.entries(segment);
+  return isPlainObject(item) && item[key] === value;
+}
+
+/**
+ * Follow a path of keys and { key: value } segments.
+ *
+ * @returns {any} Value at the path, or undefined if it doesn't exist
+ */
+function resolvePath(data, segments) {
+  let value = data;
+  for (const segment of segments) {
+    if (typeof segment === 'string') {
+      value = isPlainObject(value) ? value[segment] : undefined;
+    } else {
+      value = Array.isArray(value)
+        ? value.find((item) => matchesSegment(item, segment))
+        : undefined;
+    }
+    if (value === undefined) {
+      return undefined;
+    }
+  }
+  return value;
+}
+
+/**
+ * Format a recorded path for display, e.g. "configurations[name=Listen].port".
+ *
+ * @param {Array} segments - Path of keys and { key: value } segments
+ * @returns {string} Readable path
+ */
+function formatMergePath(segments) {
+  return segments
+    .map((segment, index) => {
+      if (typeof segment !== 'string') {
+        const [[key, value]] = Object.entries(segment);
+        return `[${key}=${value}]`;
+      }
+      return index === 0 ? segment : `.${segment}`;
+    })
+    .join('');
+}
+
+/**
+ * Add the items of a fragment array that the existing array doesn't have.
+ */
+function appendItem(existing, item, path, added) {
+  if (!existing.some((current) => isDeepEqual(current, item))) {
+    existing.push(clone(item));
+    added.push({ path, item: clone(item) });
+  }
+}
+
+/**
+ * Merge a fragment array into an existing array with the given strategy.
+ */
+function mergeArray(owner, key, items, path, options, added) {
+  const existing = owner[key];
+
+  if (options.arrays === 'replace') {
+    if (!isDeepEqual(existing, items)) {
+      added.push({ path, previous: clone(existing) });
+      owner[key] = clone(items);
+    }
+    return;
+  }
+
+  for (const item of items) {
+    if (
+      options.arrays === 'merge' &&
+      isPlainObject(item) &&
+      item[options.key] !== undefined
+    ) {
+      const segment = { [options.key]: item[options.key] };
+      const match = existing.find((current) =>
+        matchesSegment(current, segment)
+      );
+      if (match) {
+        mergeObject(match, item, [...path, segment], options, added);
+      } else {
+        existing.push(clone(item));
+        added.push({ path: [...path, segment] });
+      }
+    } else {
+      appendItem(existing, item, path, added);
+    }
+  }
+}
+
+/**
+ * Merge fragment keys into an existing object. Values the user already set
+ * are kept; only missing keys and array items are added.
+ */
+function mergeObject(target, fragment, path, options, added) {
+  for (const [key, value] of Object.entries(fragment)) {
+    const keyPath = [...path, key];
+
+    if (!(key in target)) {
+      target[key] = clone(value);
+      added.push({ path: keyPath });
+    } else if (isPlainObject(target[key]) && isPlainObject(value)) {
+      mergeObject(target[key], value, keyPath, options, added);
+    } else if (Array.isArray(target[key]) && Array.isArray(value)) {
+      mergeArray(target, key, value, keyPath, options, added);
+    }
+  }
+}
+
+/**
+ * Deep merge a fragment into existing data.
+ *
+ * @param {Object} data - Existing data, left unchanged
+ * @param {Object} fragment - Data to merge in
+ * @param {Object} options - Merge options
+ * @param {string} options.arrays - Array strategy: "append", "replace" or "merge"
+ * @param {string} options.key - Item key that identifies array items for "merge"
+ * @returns {Object} Merged data and the list of recorded additions
+ */
+function mergeData(data, fragment, { arrays = 'append', key = 'name' } = {}) {
+  const result = clone(data);
+  const added = [];
+  mergeObject(result, fragment, [], { arrays, key }, added);
+  return { result, added };
+}
+
+/**
+ * Take recorded additions out of merged data again.
+ * Additions the user has since removed are skipped.
+ *
+ * @param {Object} data - Merged data, left unchanged
+ * @param {Object[]} added - Additions recorded by mergeData
+ * @returns {Object} Data without the additions
+ */
+function unmergeData(data, added = []) {
+  const result = clone(data);
+
+  for (const entry of [...added].reverse()) {
+    const segments = entry.path || [];
+    const last = segments[segments.length - 1];
+    const parent = resolvePath(result, segments.slice(0, -1));
+    if (last === undefined || parent === undefined) {
+      continue;
+    }
+
+    if (typeof last !== 'string') {
+      // A whole array item added by key
+      if (Array.isArray(parent)) {
+        const index = parent.findIndex((item) => matchesSegment(item, last));
+        if (index !== -1) {
+          parent.splice(index, 1);
+        }
+      }
+    } else if (!isPlainObject(parent) || !(last in parent)) {
+      continue;
+    } else if ('previous' in entry) {
+      parent[last] = clone(entry.previous);
+    } else if ('item' in entry) {
+      if (Array.isArray(parent[last])) {
+        const index = parent[last].findIndex((item) =>
+          isDeepEqual(item, entry.item)
+        );
+        if (index !== -1) {
+          parent[last].splice(index, 1);
+        }
+      }
+    } else {
+      delete parent[last];
+    }
+  }
+
+  return result;
+}
+
+export {
+  ARRAY_STRATEGIES,
+  isPlainObject,
+  isDeepEqual,
+  formatMergePath,
+  mergeData,
+  unmergeData
+};
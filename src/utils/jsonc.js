@@ -0,0 +1,384 @@
+/**
+ * JSON with comments (JSONC) utility.
+ * Reads JSON files that contain comments and trailing commas, like VS Code
+ * settings and launch configurations, and edits them in place so the
+ * comments survive.
+ */
+
+import { isDeepEqual, isPlainObject } from './deep-merge.js';
+
+/**
+ * Remove comments and trailing commas, leaving strings untouched.
+ *
+ * @param {string} text - JSONC content
+ * @returns {string} Plain JSON content
+ */
+function stripJsonc(text) {
+  let output = '';
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      output += char;
+      if (char === '\\') {
+        output += text[++i] ?? '';
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+      output += char;
+    } else if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') {
+        i++;
+      }
+      output += '\n';
+    } else if (char === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      const comment = text.slice(i, end === -1 ? text.length : end + 2);
+      // Keep line breaks so JSON.parse reports the right positions
+      output += comment.replace(/[^\n]/g, ' ');
+      i = end === -1 ? text.length : end + 1;
+    } else {
+      output += char;
+    }
+  }
+
+  // Trailing commas, now that comments can't sit between them and the bracket
+  let result = '';
+  inString = false;
+  for (let i = 0; i < output.length; i++) {
+    const char = output[i];
+    if (inString) {
+      result += char;
+      if (char === '\\') {
+        result += output[++i] ?? '';
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+      result += char;
+    } else if (char !== ',' || !/^\s*[}\]]/.test(output.slice(i + 1))) {
+      result += char;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse JSON that may contain comments and trailing commas.
+ *
+ * @param {string} text - JSONC content
+ * @param {string} label - File name for error messages
+ * @returns {any} Parsed value, or an empty object for an empty file
+ * @throws {Error} If the content is not valid JSONC
+ */
+function parseJsonc(text, label = 'JSON') {
+  const content = stripJsonc(text.replace(/^\uFEFF/, ''));
+  if (content.trim() === '') {
+    return {};
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${label}: ${error.message}`);
+  }
+}
+
+/**
+ * Serialize a value with the indentation of an existing file.
+ *
+ * @param {any} value - Value to serialize
+ * @param {string|null} existingText - Current file content, if any
+ * @returns {string} JSON content ending with a newline
+ */
+function stringifyJson(value, existingText = null) {
+  const indent = existingText?.match(/^([ \t]+)["}\]]/m)?.[1] || 2;
+  return `${JSON.stringify(value, null, indent)}\n`;
+}
+
+/**
+ * Skip whitespace and comments.
+ *
+ * @returns {number} Position of the next token
+ */
+function skipTrivia(text, position) {
+  let i = position;
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+    } else if (text.startsWith('//', i)) {
+      const end = text.indexOf('\n', i);
+      i = end === -1 ? text.length : end;
+    } else if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 2;
+    } else {
+      break;
+    }
+  }
+  return i;
+}
+
+/**
+ * Find where a string token ends.
+ *
+ * @returns {number} Position after the closing quote
+ */
+function skipString(text, position) {
+  let i = position + 1;
+  while (i < text.length && text[i] !== '"') {
+    i += text[i] === '\\' ? 2 : 1;
+  }
+  return i + 1;
+}
+
+/**
+ * Read the positions of a JSONC value and the values nested in it.
+ * Objects list their members with the key start and value node, arrays
+ * list their item nodes; every node has a start and end position.
+ *
+ * @returns {Object} Node of the value starting at the position
+ */
+function parseNode(text, position) {
+  const start = skipTrivia(text, position);
+  const char = text[start];
+
+  if (char === '{' || char === '[') {
+    const isObject = char === '{';
+    const close = isObject ? '}' : ']';
+    const node = isObject
+      ? { type: 'object', start, members: [] }
+      : { type: 'array', start, items: [] };
+    let i = skipTrivia(text, start + 1);
+
+    while (i < text.length && text[i] !== close) {
+      if (isObject) {
+        const keyEnd = skipString(text, i);
+        const key = JSON.parse(text.slice(i, keyEnd));
+        const value = parseNode(text, skipTrivia(text, keyEnd) + 1);
+        node.members.push({ key, start: i, value });
+        i = value.end;
+      } else {
+        const item = parseNode(text, i);
+        node.items.push(item);
+        i = item.end;
+      }
+      i = skipTrivia(text, i);
+      if (text[i] === ',') {
+        i = skipTrivia(text, i + 1);
+      }
+    }
+
+    node.end = i + 1;
+    return node;
+  }
+
+  let end = start;
+  if (char === '"') {
+    end = skipString(text, start);
+  } else {
+    while (end < text.length && /[^\s,}\]/]/.test(text[end])) {
+      end++;
+    }
+  }
+  return { type: 'value', start, end };
+}
+
+/**
+ * Get the indentation of the line a position is on.
+ */
+function getLineIndent(text, position) {
+  const lineStart = text.lastIndexOf('\n', position - 1) + 1;
+  return text.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Serialize a value to be spliced in at the given indentation.
+ */
+function formatValue(value, indent, unit) {
+  return JSON.stringify(value, null, unit).replace(/\n/g, `\n${indent}`);
+}
+
+/**
+ * Build the text of new members or items, one per line, as they follow an
+ * existing one.
+ */
+function formatEntries(entries, indent, unit) {
+  return entries
+    .map(([key, value]) => {
+      const prefix = key === null ? '' : `${JSON.stringify(key)}: `;
+      return `\n${indent}${prefix}${formatValue(value, indent, unit)}`;
+    })
+    .join(',');
+}
+
+/**
+ * Get the range to cut out to remove a member or item, along with the comma
+ * that separates it from its neighbours. Entries after a kept one take the
+ * comma before them, leading entries the one after them.
+ */
+function getRemovalRange(text, entries, index, isKept) {
+  const entry = entries[index];
+  const start = entry.start;
+  const end = (entry.value || entry).end;
+
+  if (entries.slice(0, index).some(isKept)) {
+    const previous = entries[index - 1];
+    return { start: (previous.value || previous).end, end };
+  }
+  if (index + 1 < entries.length) {
+    return { start, end: entries[index + 1].start };
+  }
+  const next = skipTrivia(text, end);
+  return { start, end: text[next] === ',' ? next + 1 : end };
+}
+
+/**
+ * Add new members or items after the last entry of an object or array, or
+ * inside it when it is empty.
+ */
+function getInsertion(text, node, entries, additions, unit) {
+  if (entries.length > 0) {
+    const last = entries[entries.length - 1];
+    const position = (last.value || last).end;
+    const indent = getLineIndent(text, last.start);
+    return {
+      start: position,
+      end: position,
+      text: `,${formatEntries(additions, indent, unit)}`
+    };
+  }
+
+  const indent = getLineIndent(text, node.start);
+  return {
+    start: node.start + 1,
+    end: node.end - 1,
+    text: `${formatEntries(additions, indent + unit, unit)}\n${indent}`
+  };
+}
+
+/**
+ * Collect the edits that turn one value into another, splicing only the
+ * parts that changed. Values are replaced whole when they change type.
+ */
+function collectEdits(text, node, current, value, unit, edits) {
+  if (isDeepEqual(current, value)) {
+    return;
+  }
+
+  if (
+    node.type === 'object' &&
+    isPlainObject(current) &&
+    isPlainObject(value)
+  ) {
+    const { members } = node;
+    const isKept = (member) => member.key in value;
+    const kept = members.filter(isKept);
+    const additions = Object.keys(value)
+      .filter((key) => !(key in current))
+      .map((key) => [key, value[key]]);
+
+    // Objects that lose all their members are written whole
+    if (kept.length > 0 || members.length === 0) {
+      members.forEach((member, index) => {
+        if (!isKept(member)) {
+          edits.push(getRemovalRange(text, members, index, isKept));
+        } else {
+          collectEdits(
+            text,
+            member.value,
+            current[member.key],
+            value[member.key],
+            unit,
+            edits
+          );
+        }
+      });
+      if (additions.length > 0) {
+        edits.push(getInsertion(text, node, kept, additions, unit));
+      }
+      return;
+    }
+  }
+
+  if (node.type === 'array' && Array.isArray(current) && Array.isArray(value)) {
+    // Items keep their order: match the ones that stay, the rest were
+    // removed, and whatever follows the last match was added
+    const { items } = node;
+    const kept = [];
+    let next = 0;
+    current.forEach((item, index) => {
+      if (next < value.length && isDeepEqual(item, value[next])) {
+        kept.push(items[index]);
+        next++;
+      }
+    });
+
+    if (kept.length === current.length && value.length > current.length) {
+      const additions = value.slice(current.length).map((item) => [null, item]);
+      edits.push(getInsertion(text, node, items, additions, unit));
+      return;
+    }
+    if (next === value.length && kept.length > 0) {
+      const isKept = (item) => kept.includes(item);
+      items.forEach((item, index) => {
+        if (!isKept(item)) {
+          edits.push(getRemovalRange(text, items, index, isKept));
+        }
+      });
+      return;
+    }
+    if (current.length === value.length) {
+      items.forEach((item, index) =>
+        collectEdits(text, item, current[index], value[index], unit, edits)
+      );
+      return;
+    }
+  }
+
+  edits.push({
+    start: node.start,
+    end: node.end,
+    text: formatValue(value, getLineIndent(text, node.start), unit)
+  });
+}
+
+/**
+ * Write a value into existing JSONC content, keeping its comments and
+ * formatting. Only the members and items that changed are rewritten.
+ *
+ * @param {string|null} existingText - Current file content, if any
+ * @param {any} value - Value the file should contain
+ * @returns {string} Updated content
+ */
+function editJsonc(existingText, value) {
+  const text = existingText ?? '';
+  if (stripJsonc(text).trim() === '') {
+    return stringifyJson(value, existingText);
+  }
+
+  const unit = text.match(/^([ \t]+)["}\]]/m)?.[1] || '  ';
+  const root = parseNode(text, text.startsWith('\uFEFF') ? 1 : 0);
+  const edits = [];
+  collectEdits(text, root, parseJsonc(text), value, unit, edits);
+
+  // Apply from the end so earlier positions stay valid, removals before
+  // insertions at the same position
+  return edits
+    .sort((a, b) => b.start - a.start || b.end - a.end)
+    .reduce(
+      (result, edit) =>
+        result.slice(0, edit.start) +
+        (edit.text ?? '') +
+        result.slice(edit.end),
+      text
+    );
+}
+
+export { stripJsonc, parseJsonc, stringifyJson, editJsonc };
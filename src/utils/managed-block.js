@@ -0,0 +1,118 @@
+/**
+ * Managed block utilities for files shared with the user.
+ * The tool's content sits between start and end markers so it can be
+ * replaced on update and stripped on remove, leaving the rest of the file
+ * alone.
+ */
+
+import fs from 'fs-extra';
+
+// Marker lines by comment style
+const BLOCK_MARKERS = {
+  hash: ['# Lullabot Project Start', '# Lullabot Project End'],
+  html: ['<!-- Lullabot Project Start -->', '<!-- Lullabot Project End -->']
+};
+
+/**
+ * Split content around the managed block.
+ *
+ * @param {string} content - File content
+ * @param {string} style - Marker style ("hash" or "html")
+ * @returns {Object|null} Content before and after the block, or null if there is none
+ */
+function findManagedBlock(content, style = 'hash') {
+  const [startMarker, endMarker] = BLOCK_MARKERS[style];
+  const start = content.indexOf(startMarker);
+  const end = content.indexOf(endMarker, start);
+  if (start === -1 || end === -1) {
+    return null;
+  }
+
+  const afterEnd = content.indexOf('\n', end);
+  return {
+    before: content.slice(0, start),
+    after: afterEnd === -1 ? '' : content.slice(afterEnd + 1)
+  };
+}
+
+/**
+ * Write the managed block, replacing the previous one or appending it after
+ * a blank line.
+ *
+ * @param {string} content - Current file content
+ * @param {string[]} lines - Lines inside the block
+ * @param {string} style - Marker style ("hash" or "html")
+ * @returns {string} Updated content
+ */
+function writeManagedBlock(content, lines, style = 'hash') {
+  const [startMarker, endMarker] = BLOCK_MARKERS[style];
+  const block = [startMarker, ...lines, endMarker].join('\n');
+
+  const existing = findManagedBlock(content, style);
+  if (existing) {
+    return `${existing.before}${block}\n${existing.after}`;
+  }
+
+  if (content.trim() === '') {
+    return `${block}\n`;
+  }
+  return `${content.replace(/\n*$/, '\n')}\n${block}\n`;
+}
+
+/**
+ * Remove the managed block and the blank line left in front of it.
+ *
+ * @param {string} content - File content
+ * @param {string} style - Marker style ("hash" or "html")
+ * @returns {string} Content without the managed block
+ */
+function removeManagedBlock(content, style = 'hash') {
+  const block = findManagedBlock(content, style);
+  if (!block) {
+    return content;
+  }
+
+  return block.before.replace(/\n\n$/, '\n') + block.after;
+}
+
+/**
+ * Get the marker style of a tracked file with a managed block.
+ * Files tracked with managedBlock: true use hash comments.
+ */
+function getBlockStyle(fileInfo) {
+  return fileInfo.managedBlock === 'html' ? 'html' : 'hash';
+}
+
+/**
+ * Strip the managed block from a tracked file. The file is deleted if the
+ * tool created it and nothing else was added since.
+ *
+ * @param {Object} fileInfo - Tracked file with managedBlock set
+ * @returns {Promise<string|null>} "removed", "reverted", or null if the file is missing
+ */
+async function revertManagedBlock(fileInfo) {
+  if (!(await fs.pathExists(fileInfo.path))) {
+    return null;
+  }
+
+  const content = await fs.readFile(fileInfo.path, 'utf8');
+  const cleaned = removeManagedBlock(content, getBlockStyle(fileInfo));
+
+  if (fileInfo.preExisting !== true && cleaned.trim() === '') {
+    await fs.remove(fileInfo.path);
+    return 'removed';
+  }
+
+  if (cleaned !== content) {
+    await fs.writeFile(fileInfo.path, cleaned);
+  }
+  return 'reverted';
+}
+
+export {
+  BLOCK_MARKERS,
+  findManagedBlock,
+  writeManagedBlock,
+  removeManagedBlock,
+  revertManagedBlock
+};
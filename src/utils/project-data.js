@@ -0,0 +1,27 @@
+/**
+ * Project data directory utility.
+ * Stored upstream content and backups live in .lullabot-project/, which holds
+ * copies of every overwritten file, so the directory ignores itself in git.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+
+const PROJECT_DATA_DIR = '.lullabot-project';
+
+/**
+ * Create the project data directory with a .gitignore that ignores its
+ * content. An existing directory is left as it is.
+ *
+ * @returns {Promise<void>}
+ */
+async function ensureProjectDataDir() {
+  const dataDir = path.join(process.cwd(), PROJECT_DATA_DIR);
+  if (await fs.pathExists(dataDir)) {
+    return;
+  }
+
+  await fs.outputFile(path.join(dataDir, '.gitignore'), '*\n');
+}
+
+export { PROJECT_DATA_DIR, ensureProjectDataDir };
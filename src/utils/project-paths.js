@@ -0,0 +1,53 @@
+/**
+ * Project path utilities for tasks.
+ * Tasks write into the project root passed in their dependencies, which is
+ * the working directory unless a command stages the files elsewhere (as
+ * diff does), and track files relative to that root.
+ */
+
+import path from 'path';
+
+/**
+ * Get the root directory tasks write into.
+ *
+ * @param {Object} dependencies - Task dependencies with an optional projectRoot
+ * @returns {string} Project root directory
+ */
+function getProjectRoot(dependencies = {}) {
+  return dependencies.projectRoot || process.cwd();
+}
+
+/**
+ * Resolve a task target against the project root.
+ * Targets stay as configured when the root is the working directory, and
+ * directory targets (".", or ending with a slash) keep their trailing
+ * separator.
+ *
+ * @param {string} target - Target path from the task configuration
+ * @param {Object} dependencies - Task dependencies with an optional projectRoot
+ * @returns {string} Target path to write to
+ */
+function resolveProjectPath(target, dependencies = {}) {
+  const root = getProjectRoot(dependencies);
+  if (path.resolve(root) === process.cwd()) {
+    return target;
+  }
+
+  const resolved = path.resolve(root, target);
+  return target === '.' || /[\\/]$/.test(target)
+    ? `${resolved}${path.sep}`
+    : resolved;
+}
+
+/**
+ * Get the path a written file is tracked with, relative to the project root.
+ *
+ * @param {string} filePath - Path of the written file
+ * @param {Object} dependencies - Task dependencies with an optional projectRoot
+ * @returns {string} Path relative to the project root
+ */
+function getProjectRelativePath(filePath, dependencies = {}) {
+  return path.relative(getProjectRoot(dependencies), filePath);
+}
+
+export { getProjectRoot, resolveProjectPath, getProjectRelativePath };
@@ -0,0 +1,233 @@
+/**
+ * Logic-less template renderer for generated files.
+ * Supports {{variable}} output with dotted paths, {{#if}}/{{#unless}} blocks
+ * with {{else}}, {{#each}} loops with {{this}}, {{@index}}, {{@first}} and
+ * {{@last}}, and {{! comments }}. Block tags on a line of their own don't
+ * leave an empty line behind.
+ */
+
+const TAG_PATTERN = /\{\{\s*([#/!]?)\s*([\s\S]*?)\s*\}\}/g;
+const BLOCK_HELPERS = ['if', 'unless', 'each'];
+
+/**
+ * Get the line number of a position in the template, for error messages.
+ */
+function getLineNumber(template, index) {
+  return template.slice(0, index).split('\n').length;
+}
+
+/**
+ * Find the line around a block tag that is alone on its line, so the whole
+ * line can be dropped from the output.
+ *
+ * @returns {Object|null} Start and end of the line, or null if it has other content
+ */
+function getStandaloneLine(template, start, end) {
+  const lineStart = template.lastIndexOf('\n', start - 1) + 1;
+  const newline = template.indexOf('\n', end);
+  const lineEnd = newline === -1 ? template.length : newline + 1;
+
+  if (
+    /^[ \t]*$/.test(template.slice(lineStart, start)) &&
+    /^[ \t]*\r?\n?$/.test(template.slice(end, lineEnd))
+  ) {
+    return { lineStart, lineEnd };
+  }
+  return null;
+}
+
+/**
+ * Parse a template into a tree of text, variable and block nodes.
+ *
+ * @param {string} template - Template source
+ * @returns {Object[]} Parsed nodes
+ * @throws {Error} If blocks are unknown, unclosed or closed in the wrong order
+ */
+function parseTemplate(template) {
+  const root = { children: [] };
+  const stack = [root];
+  let position = 0;
+
+  for (const match of template.matchAll(TAG_PATTERN)) {
+    const [tag, kind, expression] = match;
+    const line = getLineNumber(template, match.index);
+    const current = stack[stack.length - 1];
+    const target = current.inElse ? current.otherwise : current.children;
+
+    let textEnd = match.index;
+    let tagEnd = match.index + tag.length;
+    const standalone =
+      (kind || expression === 'else') &&
+      getStandaloneLine(template, textEnd, tagEnd);
+    if (standalone && standalone.lineStart >= position) {
+      textEnd = standalone.lineStart;
+      tagEnd = standalone.lineEnd;
+    }
+
+    if (textEnd > position) {
+      target.push({ type: 'text', value: template.slice(position, textEnd) });
+    }
+    position = tagEnd;
+
+    if (kind === '!') {
+      continue;
+    }
+
+    if (kind === '#') {
+      const [helper, ...args] = expression.split(/\s+/);
+      if (!BLOCK_HELPERS.includes(helper) || args.length !== 1) {
+        throw new Error(`Invalid block {{#${expression}}} (line ${line})`);
+      }
+      const block = {
+        type: helper,
+        path: args[0],
+        line,
+        children: [],
+        otherwise: [],
+        inElse: false
+      };
+      target.push(block);
+      stack.push(block);
+    } else if (kind === '/') {
+      if (stack.length === 1 || current.type !== expression) {
+        throw new Error(`Unexpected {{/${expression}}} (line ${line})`);
+      }
+      stack.pop();
+    } else if (expression === 'else') {
+      if (stack.length === 1 || current.inElse) {
+        throw new Error(`Unexpected {{else}} (line ${line})`);
+      }
+      current.inElse = true;
+    } else {
+      target.push({ type: 'variable', path: expression, line });
+    }
+  }
+
+  if (stack.length > 1) {
+    const block = stack[stack.length - 1];
+    throw new Error(`Unclosed {{#${block.type}}} block (line ${block.line})`);
+  }
+
+  if (position < template.length) {
+    root.children.push({ type: 'text', value: template.slice(position) });
+  }
+
+  return root.children;
+}
+
+/**
+ * Look up a dotted path in the scopes, innermost first.
+ * "this" is the current loop item and "@index", "@first" and "@last"
+ * describe its position. Only own properties count, so names like
+ * "constructor" aren't found on the prototype.
+ *
+ * @param {string} path - Variable path (e.g. "project.type")
+ * @param {Object[]} scopes - Scopes from the outermost to the innermost
+ * @returns {any} Value, or undefined if it isn't defined
+ */
+function lookup(path, scopes) {
+  const [first, ...rest] = path.split('.');
+  let value;
+
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (first === 'this' && 'this' in scope) {
+      value = scope.this;
+      break;
+    }
+    if (first.startsWith('@') && first in scope) {
+      value = scope[first];
+      break;
+    }
+    const data = 'this' in scope ? scope.this : scope.data;
+    if (
+      data !== null &&
+      typeof data === 'object' &&
+      Object.hasOwn(data, first)
+    ) {
+      value = data[first];
+      break;
+    }
+  }
+
+  for (const key of rest) {
+    if (value === null || value === undefined || !Object.hasOwn(value, key)) {
+      return undefined;
+    }
+    value = value[key];
+  }
+
+  return value;
+}
+
+/**
+ * Check if a value counts as true in {{#if}}. Empty lists are false.
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Render parsed nodes with the given scopes.
+ */
+function renderNodes(nodes, scopes) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'variable') {
+      const value = lookup(node.path, scopes);
+      if (value === undefined) {
+        throw new Error(
+          `Unknown template variable "${node.path}" (line ${node.line})`
+        );
+      }
+      if (value !== null && typeof value === 'object') {
+        output += Array.isArray(value)
+          ? value.join(', ')
+          : JSON.stringify(value);
+      } else {
+        output += value === null ? '' : String(value);
+      }
+    } else if (node.type === 'each') {
+      const items = lookup(node.path, scopes);
+      if (!isTruthy(items)) {
+        output += renderNodes(node.otherwise, scopes);
+        continue;
+      }
+      const list = Array.isArray(items) ? items : Object.values(items);
+      list.forEach((item, index) => {
+        output += renderNodes(node.children, [
+          ...scopes,
+          {
+            this: item,
+            '@index': index,
+            '@first': index === 0,
+            '@last': index === list.length - 1
+          }
+        ]);
+      });
+    } else {
+      const condition = isTruthy(lookup(node.path, scopes));
+      const branch = condition === (node.type === 'if');
+      output += renderNodes(branch ? node.children : node.otherwise, scopes);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render a template with the given data.
+ *
+ * @param {string} template - Template source
+ * @param {Object} data - Values available to the template
+ * @returns {string} Rendered content
+ * @throws {Error} If the template is invalid or uses an unknown variable
+ */
+function renderTemplate(template, data = {}) {
+  return renderNodes(parseTemplate(template), [{ data }]);
+}
+
+export { parseTemplate, renderTemplate };
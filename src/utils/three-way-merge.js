@@ -0,0 +1,154 @@
+/**
+ * Line-based three-way merge utility.
+ * Merges local edits and upstream changes against a common base and writes
+ * git-style conflict markers where both sides changed the same lines.
+ */
+
+const CONFLICT_MARKERS = {
+  LOCAL: '<<<<<<< local',
+  SEPARATOR: '=======',
+  UPSTREAM: '>>>>>>> upstream'
+};
+
+/**
+ * Split content into lines for merging.
+ *
+ * @param {string} content - Text content
+ * @returns {string[]} Array of lines
+ */
+function splitLines(content) {
+  return (content || '').split('\n');
+}
+
+/**
+ * Match lines between two arrays using the longest common subsequence.
+ * Returns an array where each entry is the index of the matching line in
+ * `right`, or -1 when the line in `left` has no match.
+ *
+ * @param {string[]} left - Lines to match from
+ * @param {string[]} right - Lines to match against
+ * @returns {number[]} Matching index in `right` for each line of `left`
+ */
+function matchLines(left, right) {
+  const rows = left.length + 1;
+  const cols = right.length + 1;
+  const lengths = new Uint32Array(rows * cols);
+
+  // Fill the LCS table from the end so matches can be walked forwards
+  for (let i = left.length - 1; i >= 0; i--) {
+    for (let j = right.length - 1; j >= 0; j--) {
+      lengths[i * cols + j] =
+        left[i] === right[j]
+          ? lengths[(i + 1) * cols + j + 1] + 1
+          : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+    }
+  }
+
+  const matches = new Array(left.length).fill(-1);
+  let i = 0;
+  let j = 0;
+  while (i < left.length && j < right.length) {
+    if (left[i] === right[j]) {
+      matches[i] = j;
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Check whether two line arrays are identical.
+ */
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, index) => line === b[index]);
+}
+
+/**
+ * Resolve a chunk where base, local and upstream may differ.
+ * Returns the merged lines, or null when both sides changed the chunk differently.
+ */
+function resolveChunk(baseChunk, localChunk, upstreamChunk) {
+  if (sameLines(localChunk, baseChunk)) {
+    return upstreamChunk;
+  }
+  if (sameLines(upstreamChunk, baseChunk)) {
+    return localChunk;
+  }
+  if (sameLines(localChunk, upstreamChunk)) {
+    return localChunk;
+  }
+  return null;
+}
+
+/**
+ * Merge local and upstream content against their common base.
+ *
+ * @param {string} base - Original upstream content the local copy started from
+ * @param {string} local - Current local content
+ * @param {string} upstream - New upstream content
+ * @returns {Object} Result with merged content, conflict count and clean flag
+ */
+function mergeThreeWay(base, local, upstream) {
+  const baseLines = splitLines(base);
+  const localLines = splitLines(local);
+  const upstreamLines = splitLines(upstream);
+
+  const localMatches = matchLines(baseLines, localLines);
+  const upstreamMatches = matchLines(baseLines, upstreamLines);
+
+  const merged = [];
+  let conflicts = 0;
+  let baseIndex = 0;
+  let localIndex = 0;
+  let upstreamIndex = 0;
+
+  const emitChunk = (baseEnd, localEnd, upstreamEnd) => {
+    const baseChunk = baseLines.slice(baseIndex, baseEnd);
+    const localChunk = localLines.slice(localIndex, localEnd);
+    const upstreamChunk = upstreamLines.slice(upstreamIndex, upstreamEnd);
+
+    const resolved = resolveChunk(baseChunk, localChunk, upstreamChunk);
+    if (resolved) {
+      merged.push(...resolved);
+    } else {
+      conflicts++;
+      merged.push(
+        CONFLICT_MARKERS.LOCAL,
+        ...localChunk,
+        CONFLICT_MARKERS.SEPARATOR,
+        ...upstreamChunk,
+        CONFLICT_MARKERS.UPSTREAM
+      );
+    }
+  };
+
+  for (let i = 0; i < baseLines.length; i++) {
+    // A base line kept by both sides is a stable point in the merge
+    if (localMatches[i] === -1 || upstreamMatches[i] === -1) {
+      continue;
+    }
+
+    emitChunk(i, localMatches[i], upstreamMatches[i]);
+    merged.push(baseLines[i]);
+
+    baseIndex = i + 1;
+    localIndex = localMatches[i] + 1;
+    upstreamIndex = upstreamMatches[i] + 1;
+  }
+
+  emitChunk(baseLines.length, localLines.length, upstreamLines.length);
+
+  return {
+    content: merged.join('\n'),
+    conflicts,
+    clean: conflicts === 0
+  };
+}
+
+export { CONFLICT_MARKERS, matchLines, mergeThreeWay };
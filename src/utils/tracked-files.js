@@ -0,0 +1,36 @@
+/**
+ * Tracked file ownership utility.
+ * Every file in .lullabot-project.yml lists the tasks that installed it, so a
+ * file written by several tasks (e.g. the rules shared by two tools) stays
+ * until the last of them is removed.
+ */
+
+/**
+ * Get the tasks that own a tracked file.
+ * Files tracked by older versions name a single task, or none.
+ *
+ * @param {Object|string} fileInfo - Tracked file object or legacy path
+ * @returns {string[]} Task IDs
+ */
+function getFileTasks(fileInfo) {
+  if (!fileInfo || typeof fileInfo !== 'object') {
+    return [];
+  }
+  if (Array.isArray(fileInfo.tasks)) {
+    return fileInfo.tasks;
+  }
+  return fileInfo.task ? [fileInfo.task] : [];
+}
+
+/**
+ * Check if any of the given tasks owns a tracked file.
+ *
+ * @param {Object|string} fileInfo - Tracked file object or legacy path
+ * @param {string[]} taskIds - Task IDs
+ * @returns {boolean} True if one of the tasks installed the file
+ */
+function isOwnedByTasks(fileInfo, taskIds) {
+  return getFileTasks(fileInfo).some((taskId) => taskIds.includes(taskId));
+}
+
+export { getFileTasks, isOwnedByTasks };
@@ -0,0 +1,136 @@
+/**
+ * Unified diff utility.
+ * Produces `diff -u` style output between two versions of a text file, using
+ * the same line matching as the three-way merge.
+ */
+
+import { matchLines } from './three-way-merge.js';
+
+/**
+ * Split content into lines, ignoring the final newline.
+ *
+ * @param {string|null} content - Text content, or null for a missing file
+ * @returns {string[]} Array of lines
+ */
+function splitLines(content) {
+  if (!content) {
+    return [];
+  }
+  return content.replace(/\n$/, '').split('\n');
+}
+
+/**
+ * List the line operations that turn one version into the other.
+ *
+ * @param {string[]} oldLines - Lines of the old version
+ * @param {string[]} newLines - Lines of the new version
+ * @returns {Object[]} Operations with type (' ', '-' or '+') and line
+ */
+function diffLines(oldLines, newLines) {
+  const matches = matchLines(oldLines, newLines);
+  const operations = [];
+  let j = 0;
+
+  for (let i = 0; i < oldLines.length; i++) {
+    if (matches[i] === -1) {
+      operations.push({ type: '-', line: oldLines[i] });
+      continue;
+    }
+    while (j < matches[i]) {
+      operations.push({ type: '+', line: newLines[j++] });
+    }
+    operations.push({ type: ' ', line: oldLines[i] });
+    j++;
+  }
+  while (j < newLines.length) {
+    operations.push({ type: '+', line: newLines[j++] });
+  }
+
+  return operations;
+}
+
+/**
+ * Format the start and length of a hunk range. Empty ranges start at the line
+ * before, like `diff -u`.
+ */
+function formatRange(start, length) {
+  return `${length === 0 ? start - 1 : start},${length}`;
+}
+
+/**
+ * Create a unified diff between two versions of a file.
+ *
+ * @param {string|null} oldContent - Old content, or null if the file is new
+ * @param {string|null} newContent - New content, or null if the file is removed
+ * @param {Object} options - Diff options
+ * @param {string} options.oldLabel - Label of the old version (e.g. "a/path")
+ * @param {string} options.newLabel - Label of the new version (e.g. "b/path")
+ * @param {number} options.context - Number of unchanged lines around changes
+ * @returns {Object} Result with the diff text and added and deleted line counts
+ */
+function createUnifiedDiff(
+  oldContent,
+  newContent,
+  { oldLabel = 'a', newLabel = 'b', context = 3 } = {}
+) {
+  const operations = diffLines(splitLines(oldContent), splitLines(newContent));
+  const changes = operations
+    .map((operation, index) => (operation.type === ' ' ? -1 : index))
+    .filter((index) => index !== -1);
+
+  const additions = operations.filter(({ type }) => type === '+').length;
+  const deletions = operations.filter(({ type }) => type === '-').length;
+  if (changes.length === 0) {
+    return { diff: '', additions, deletions };
+  }
+
+  // Group changes whose context overlaps into hunks
+  const groups = [];
+  for (const index of changes) {
+    const group = groups[groups.length - 1];
+    if (group && index - group.last <= context * 2) {
+      group.last = index;
+    } else {
+      groups.push({ first: index, last: index });
+    }
+  }
+
+  const lines = [
+    `--- ${oldContent === null ? '/dev/null' : oldLabel}`,
+    `+++ ${newContent === null ? '/dev/null' : newLabel}`
+  ];
+  let oldLine = 1;
+  let newLine = 1;
+  let position = 0;
+
+  for (const { first, last } of groups) {
+    const start = Math.max(0, first - context);
+    const end = Math.min(operations.length, last + context + 1);
+
+    // Count the lines before the hunk
+    for (; position < start; position++) {
+      if (operations[position].type !== '+') {
+        oldLine++;
+      }
+      if (operations[position].type !== '-') {
+        newLine++;
+      }
+    }
+
+    const hunk = operations.slice(start, end);
+    const oldLength = hunk.filter(({ type }) => type !== '+').length;
+    const newLength = hunk.filter(({ type }) => type !== '-').length;
+    lines.push(
+      `@@ -${formatRange(oldLine, oldLength)} +${formatRange(newLine, newLength)} @@`
+    );
+    hunk.forEach(({ type, line }) => lines.push(`${type}${line}`));
+
+    oldLine += oldLength;
+    newLine += newLength;
+    position = end;
+  }
+
+  return { diff: lines.join('\n'), additions, deletions };
+}
+
+export { diffLines, createUnifiedDiff };
@@ -0,0 +1,210 @@
+/**
+ * Version constraint utility.
+ * Checks versions against npm/Composer style ranges such as "^10 || ^11",
+ * ">=10.1 <12", "~10.2.0" or "10.*" without pulling in a semver library.
+ * Pre-release and stability suffixes (e.g. "-beta1", "@dev") are ignored.
+ */
+
+const VERSION_PATTERN = /^v?(\d+|[x*])(?:\.(\d+|[x*]))?(?:\.(\d+|[x*]))?/i;
+
+/**
+ * Parse a version, keeping track of which parts were given.
+ * Wildcards ("x" or "*") and missing parts are left out of `parts`.
+ *
+ * @param {string} version - Version string (e.g. "10.2", "v1.2.3", "10.x")
+ * @returns {Object|null} Parsed version with numbers [major, minor, patch] and
+ *   the number of given parts, or null if it isn't a version
+ */
+function parseVersion(version) {
+  const match = String(version).trim().match(VERSION_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const parts = [];
+  for (const part of match.slice(1)) {
+    if (part === undefined || /^[x*]$/i.test(part)) {
+      break;
+    }
+    parts.push(Number(part));
+  }
+
+  return {
+    numbers: [parts[0] || 0, parts[1] || 0, parts[2] || 0],
+    parts: parts.length
+  };
+}
+
+/**
+ * Compare two version number triples.
+ *
+ * @param {number[]} a - First version numbers
+ * @param {number[]} b - Second version numbers
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+function compareVersions(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i];
+    }
+  }
+  return 0;
+}
+
+/**
+ * Get the exclusive upper bound of a partial version ("10" → 11.0.0, "10.2" → 10.3.0).
+ *
+ * @param {Object} version - Parsed version
+ * @returns {number[]|null} Upper bound, or null for a bare wildcard
+ */
+function nextPartialVersion({ numbers, parts }) {
+  if (parts === 0) {
+    return null;
+  }
+  if (parts === 1) {
+    return [numbers[0] + 1, 0, 0];
+  }
+  if (parts === 2) {
+    return [numbers[0], numbers[1] + 1, 0];
+  }
+  return null;
+}
+
+/**
+ * Turn a single comparator (e.g. "^10.2", ">=9", "10.*") into bounds.
+ *
+ * @param {string} comparator - Comparator string
+ * @returns {Object[]} Bounds with op (">=", ">", "<", "<=" or "=") and version numbers
+ * @throws {Error} If the comparator can't be parsed
+ */
+function parseComparator(comparator) {
+  const [, operator = '', rest] = comparator.match(/^(\^|~|>=|<=|>|<|=)?(.*)$/);
+  const version = parseVersion(rest);
+  if (!version) {
+    throw new Error(`Invalid version constraint: ${comparator}`);
+  }
+
+  const { numbers, parts } = version;
+  if (parts === 0) {
+    // "*" or "x" matches everything
+    return [];
+  }
+
+  switch (operator) {
+    case '^': {
+      const upper =
+        numbers[0] > 0 || parts === 1
+          ? [numbers[0] + 1, 0, 0]
+          : numbers[1] > 0 || parts === 2
+            ? [0, numbers[1] + 1, 0]
+            : [0, 0, numbers[2] + 1];
+      return [
+        { op: '>=', numbers },
+        { op: '<', numbers: upper }
+      ];
+    }
+    case '~':
+      return [
+        { op: '>=', numbers },
+        {
+          op: '<',
+          numbers:
+            parts === 1
+              ? [numbers[0] + 1, 0, 0]
+              : [numbers[0], numbers[1] + 1, 0]
+        }
+      ];
+    case '>=':
+    case '>':
+    case '<':
+    case '<=':
+      return [{ op: operator, numbers }];
+    default: {
+      // Exact version, or a partial/wildcard version such as "10" or "10.2.*"
+      const upper = nextPartialVersion(version);
+      return upper
+        ? [
+            { op: '>=', numbers },
+            { op: '<', numbers: upper }
+          ]
+        : [{ op: '=', numbers }];
+    }
+  }
+}
+
+/**
+ * Split a range into alternatives ("||" or Composer's "|"), each a list of
+ * comparators that must all match (separated by spaces or commas).
+ *
+ * @param {string} range - Version range
+ * @returns {string[][]} Comparators per alternative
+ */
+function splitRange(range) {
+  return String(range)
+    .split(/\|\|?/)
+    .map((alternative) =>
+      alternative
+        .trim()
+        // Join operators to their version (e.g. ">= 10" → ">=10")
+        .replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1')
+        .split(/[\s,]+/)
+        .filter(Boolean)
+    );
+}
+
+/**
+ * Check whether a version satisfies a range.
+ *
+ * @param {string} version - Version to check (e.g. "10.3.1")
+ * @param {string} range - Version range (e.g. "^10 || ^11")
+ * @returns {boolean} True if the version is within the range
+ * @throws {Error} If the version or range can't be parsed
+ */
+function satisfiesVersion(version, range) {
+  const parsed = parseVersion(version);
+  if (!parsed || parsed.parts === 0) {
+    throw new Error(`Invalid version: ${version}`);
+  }
+
+  return splitRange(range).some((comparators) =>
+    comparators.flatMap(parseComparator).every(({ op, numbers }) => {
+      const comparison = compareVersions(parsed.numbers, numbers);
+      switch (op) {
+        case '>=':
+          return comparison >= 0;
+        case '>':
+          return comparison > 0;
+        case '<':
+          return comparison < 0;
+        case '<=':
+          return comparison <= 0;
+        default:
+          return comparison === 0;
+      }
+    })
+  );
+}
+
+/**
+ * Get the lowest version allowed by a declared constraint, e.g. the "^10.3"
+ * required in composer.json gives 10.3.0.
+ *
+ * @param {string} constraint - Declared version or constraint
+ * @returns {string|null} Lowest version, or null if there is no version in it
+ */
+function getMinimumVersion(constraint) {
+  const versions = splitRange(constraint)
+    .map((comparators) => {
+      const lowerBounds = comparators
+        .filter((comparator) => !/^(<|<=)/.test(comparator))
+        .map((comparator) => parseVersion(comparator.replace(/^[\^~>=]+/, '')))
+        .filter(Boolean);
+      return lowerBounds[0]?.numbers;
+    })
+    .filter(Boolean)
+    .sort(compareVersions);
+
+  return versions.length > 0 ? versions[0].join('.') : null;
+}
+
+export { parseVersion, satisfiesVersion, getMinimumVersion };
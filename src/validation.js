@@ -1,7 +1,17 @@
 import fs from 'fs-extra';
 import path from 'path';
 import chalk from 'chalk';
+import yaml from 'js-yaml';
+import { glob } from 'glob';
 import { validatePatterns } from './utils/pattern-matcher.js';
+import { ARRAY_STRATEGIES } from './utils/deep-merge.js';
+import {
+  satisfiesVersion,
+  getMinimumVersion
+} from './utils/version-constraints.js';
+import { getTaskTypePlugin } from './task-types/plugins.js';
+import { MCP_FORMATS } from './task-types/mcp-servers.js';
+import { RULES_FORMATS } from './task-types/rules-config.js';
 
 /**
  * Validate current directory for common project indicators.
@@ -156,6 +166,289 @@ async function validateFileContent(
   return true;
 }
 
+/**
+ * Turn a validation pattern into a regular expression.
+ * Accepts "/pattern/flags" or a plain pattern string.
+ *
+ * @param {string} pattern - Pattern from a validation rule
+ * @returns {RegExp} Regular expression
+ * @throws {Error} If the pattern is not a valid regular expression
+ */
+function toRegExp(pattern) {
+  const match = String(pattern).match(/^\/(.*)\/([gimsuy]*)$/s);
+  return match ? new RegExp(match[1], match[2]) : new RegExp(pattern);
+}
+
+/**
+ * Look up a dot-separated path (e.g. "require.drupal/core") in parsed data.
+ *
+ * @param {*} data - Parsed JSON or YAML
+ * @param {string} dataPath - Dot-separated path
+ * @returns {Object} Whether the path was found and its value
+ */
+function lookupPath(data, dataPath) {
+  let value = data;
+  for (const key of dataPath.split('.')) {
+    if (value === null || typeof value !== 'object' || !(key in value)) {
+      return { found: false };
+    }
+    value = value[key];
+  }
+  return { found: true, value };
+}
+
+/**
+ * Check one JSON or YAML path rule.
+ * A rule is `true` (the path must exist), a version range string, or an
+ * object with any of `equals`, `matches` and `version`.
+ *
+ * @param {string} file - File the path belongs to
+ * @param {string} dataPath - Dot-separated path
+ * @param {*} rule - Rule for the value at the path
+ * @param {*} data - Parsed file contents
+ * @returns {Object} Issue message or passed message
+ */
+function checkPathRule(file, dataPath, rule, data) {
+  const { found, value } = lookupPath(data, dataPath);
+  const label = `${file} ${dataPath}`;
+  if (!found) {
+    return { issue: `Missing ${dataPath} in ${file}` };
+  }
+
+  const checks =
+    typeof rule === 'string'
+      ? { version: rule }
+      : rule !== null && typeof rule === 'object'
+        ? rule
+        : {};
+  const shown = JSON.stringify(value);
+
+  if (checks.equals !== undefined && value !== checks.equals) {
+    return {
+      issue: `${label} is ${shown}, expected ${JSON.stringify(checks.equals)}`
+    };
+  }
+
+  if (checks.matches !== undefined) {
+    let pattern;
+    try {
+      pattern = toRegExp(checks.matches);
+    } catch (error) {
+      return {
+        issue: `Invalid pattern in validation rule for ${label}: ${error.message}`
+      };
+    }
+    if (!pattern.test(String(value))) {
+      return { issue: `${label} is ${shown}, which does not match ${pattern}` };
+    }
+  }
+
+  if (checks.version !== undefined) {
+    const version = getMinimumVersion(String(value));
+    let satisfied;
+    try {
+      satisfied = version !== null && satisfiesVersion(version, checks.version);
+    } catch (error) {
+      return {
+        issue: `Invalid version rule for ${label}: ${error.message}`
+      };
+    }
+    if (!satisfied) {
+      return {
+        issue: `${label} is ${shown}, which does not satisfy ${checks.version}`
+      };
+    }
+    return { passed: `${label} (${value}) satisfies ${checks.version}` };
+  }
+
+  return { passed: `${label} is ${shown}` };
+}
+
+/**
+ * Normalise a rule value that may be a single item or a list.
+ *
+ * @param {*} value - Rule value
+ * @returns {Array} List of items
+ */
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Evaluate a project's validation rules against a directory.
+ *
+ * Supported rules:
+ * - requiredFiles / optionalFiles / forbiddenFiles: lists of paths
+ * - requiredAnyOf: glob patterns of which at least one must match (or a list of such groups)
+ * - requiredContent / forbiddenContent: file → substring(s)
+ * - contentMatches: file → regular expression(s), e.g. "/^drupal/m"
+ * - jsonPaths / yamlPaths: file → { path: rule }, where a rule is true
+ *   (must exist), a version range such as "^10 || ^11", or
+ *   { equals, matches, version }
+ *
+ * @param {Object} validation - Validation rules from the project config
+ * @param {string} projectRoot - Directory to check (defaults to cwd)
+ * @returns {Promise<Object>} Issues (failed rules), warnings (missing optional
+ *   files) and passed checks with their kind and message
+ */
+async function evaluateValidationRules(
+  validation,
+  projectRoot = process.cwd()
+) {
+  const issues = [];
+  const warnings = [];
+  const passed = [];
+  const resolve = (file) => path.join(projectRoot, file);
+
+  // Read each file once; null marks a missing file
+  const contents = {};
+  const readContent = async (file) => {
+    if (!(file in contents)) {
+      contents[file] = (await fs.pathExists(resolve(file)))
+        ? await fs.readFile(resolve(file), 'utf8')
+        : null;
+    }
+    return contents[file];
+  };
+
+  for (const file of validation?.requiredFiles || []) {
+    if (await fs.pathExists(resolve(file))) {
+      passed.push({ kind: 'requiredFile', message: `${file} exists` });
+    } else {
+      issues.push(`Missing required file: ${file}`);
+    }
+  }
+
+  for (const file of validation?.forbiddenFiles || []) {
+    if (await fs.pathExists(resolve(file))) {
+      issues.push(`File must not exist: ${file}`);
+    }
+  }
+
+  // A flat list is a single group; a list of lists holds several groups
+  const anyOf = validation?.requiredAnyOf || [];
+  const anyOfGroups = anyOf.some(Array.isArray)
+    ? anyOf.map(toList)
+    : anyOf.length > 0
+      ? [anyOf]
+      : [];
+  for (const group of anyOfGroups) {
+    const matches = await glob(group, {
+      cwd: projectRoot,
+      dot: true,
+      ignore: ['node_modules/**', 'vendor/**', '.git/**']
+    });
+    if (matches.length > 0) {
+      passed.push({
+        kind: 'requiredAnyOf',
+        message: `${matches.sort()[0]} found`
+      });
+    } else {
+      issues.push(`None of these files found: ${group.join(', ')}`);
+    }
+  }
+
+  for (const [file, expected] of Object.entries(
+    validation?.requiredContent || {}
+  )) {
+    const content = await readContent(file);
+    if (content === null) {
+      issues.push(`Cannot check content in missing file: ${file}`);
+      continue;
+    }
+    for (const text of toList(expected)) {
+      if (content.includes(text)) {
+        passed.push({
+          kind: 'requiredContent',
+          message: `${file} contains ${text}`
+        });
+      } else {
+        issues.push(`Required content not found in ${file}: ${text}`);
+      }
+    }
+  }
+
+  for (const [file, forbidden] of Object.entries(
+    validation?.forbiddenContent || {}
+  )) {
+    const content = await readContent(file);
+    for (const text of content === null ? [] : toList(forbidden)) {
+      if (content.includes(text)) {
+        issues.push(`Forbidden content found in ${file}: ${text}`);
+      }
+    }
+  }
+
+  for (const [file, patterns] of Object.entries(
+    validation?.contentMatches || {}
+  )) {
+    const content = await readContent(file);
+    if (content === null) {
+      issues.push(`Cannot check content in missing file: ${file}`);
+      continue;
+    }
+    for (const pattern of toList(patterns)) {
+      let regExp;
+      try {
+        regExp = toRegExp(pattern);
+      } catch (error) {
+        issues.push(
+          `Invalid pattern in validation rule for ${file}: ${error.message}`
+        );
+        continue;
+      }
+      if (regExp.test(content)) {
+        passed.push({
+          kind: 'contentMatches',
+          message: `${file} matches ${regExp}`
+        });
+      } else {
+        issues.push(`Content in ${file} does not match ${regExp}`);
+      }
+    }
+  }
+
+  for (const [key, parse] of [
+    ['jsonPaths', JSON.parse],
+    ['yamlPaths', yaml.load]
+  ]) {
+    for (const [file, rules] of Object.entries(validation?.[key] || {})) {
+      const content = await readContent(file);
+      if (content === null) {
+        issues.push(`Cannot check content in missing file: ${file}`);
+        continue;
+      }
+
+      let data;
+      try {
+        data = parse(content);
+      } catch (error) {
+        issues.push(`Cannot parse ${file}: ${error.message}`);
+        continue;
+      }
+
+      for (const [dataPath, rule] of Object.entries(rules || {})) {
+        const result = checkPathRule(file, dataPath, rule, data);
+        if (result.issue) {
+          issues.push(result.issue);
+        } else {
+          passed.push({ kind: 'pathRule', message: result.passed });
+        }
+      }
+    }
+  }
+
+  for (const file of validation?.optionalFiles || []) {
+    if (await fs.pathExists(resolve(file))) {
+      passed.push({ kind: 'optionalFile', message: `${file} exists` });
+    } else {
+      warnings.push(`Optional file not found: ${file}`);
+    }
+  }
+
+  return { issues, warnings, passed };
+}
+
 /**
  * Validate multi-step task configuration.
  * Checks for valid steps array and proper configuration.
@@ -234,19 +527,153 @@ function validateMultiStepTask(task) {
 }
 
 /**
- * Validate task configuration for copy-files, remote-copy-files, and multi-step tasks.
+ * Validate task configuration for copy-files, remote-copy-files, multi-step,
+ * template, json-merge, yaml-merge, gitignore, mcp-servers, rules-config
+ * and plugin-provided tasks.
  * Checks for valid patterns and proper configuration.
  *
  * @param {Object} task - Task configuration object
  * @throws {Error} If task configuration is invalid
  */
 function validateTaskConfig(task) {
+  // Plugin task types validate their own configuration
+  const plugin = getTaskTypePlugin(task.type);
+  if (plugin) {
+    if (plugin.validate) {
+      try {
+        plugin.validate(task);
+      } catch (error) {
+        throw new Error(`Invalid ${task.type} task: ${error.message}`);
+      }
+    }
+    return;
+  }
+
   // Validate multi-step tasks
   if (task.type === 'multi-step') {
     validateMultiStepTask(task);
     return;
   }
 
+  // Validate template tasks
+  if (task.type === 'template') {
+    if (typeof task.source !== 'string' || typeof task.target !== 'string') {
+      throw new Error('Template task requires source and target');
+    }
+    if (
+      task.data !== undefined &&
+      (task.data === null ||
+        typeof task.data !== 'object' ||
+        Array.isArray(task.data))
+    ) {
+      throw new Error('Template task data must be a mapping of values');
+    }
+    return;
+  }
+
+  // Validate json-merge and yaml-merge tasks
+  if (task.type === 'json-merge' || task.type === 'yaml-merge') {
+    const format = task.type === 'json-merge' ? 'JSON' : 'YAML';
+    if (typeof task.source !== 'string' || typeof task.target !== 'string') {
+      throw new Error(`${format} merge task requires source and target`);
+    }
+    if (task.arrays !== undefined && !ARRAY_STRATEGIES.includes(task.arrays)) {
+      throw new Error(
+        `Invalid arrays strategy in ${task.type} task: ${task.arrays}. Use one of: ${ARRAY_STRATEGIES.join(', ')}`
+      );
+    }
+    if (
+      task['merge-key'] !== undefined &&
+      typeof task['merge-key'] !== 'string'
+    ) {
+      throw new Error(`${format} merge task merge-key must be a string`);
+    }
+    if (
+      task.path !== undefined &&
+      typeof task.path !== 'string' &&
+      !(
+        Array.isArray(task.path) &&
+        task.path.every((key) => typeof key === 'string')
+      )
+    ) {
+      throw new Error(
+        `${format} merge task path must be a dotted string or a list of keys`
+      );
+    }
+    return;
+  }
+
+  // Validate gitignore tasks
+  if (task.type === 'gitignore') {
+    const isStringList = (value) =>
+      Array.isArray(value) && value.every((item) => typeof item === 'string');
+    if (task.entries !== undefined && !isStringList(task.entries)) {
+      throw new Error('Gitignore task entries must be a list of paths');
+    }
+    if (
+      task['tracked-files'] !== undefined &&
+      typeof task['tracked-files'] !== 'boolean' &&
+      !isStringList(task['tracked-files'])
+    ) {
+      throw new Error(
+        'Gitignore task tracked-files must be true or a list of task IDs'
+      );
+    }
+    if (!task.entries?.length && !task['tracked-files']) {
+      throw new Error('Gitignore task requires entries or tracked-files');
+    }
+    return;
+  }
+
+  // Validate mcp-servers tasks
+  if (task.type === 'mcp-servers') {
+    if (
+      task.servers !== undefined &&
+      !(
+        Array.isArray(task.servers) &&
+        task.servers.every((name) => typeof name === 'string')
+      )
+    ) {
+      throw new Error(
+        'MCP servers task servers must be a list of server names'
+      );
+    }
+    if (task.format !== undefined && !MCP_FORMATS[task.format]) {
+      throw new Error(
+        `Invalid format in mcp-servers task: ${task.format}. Use one of: ${Object.keys(MCP_FORMATS).join(', ')}`
+      );
+    }
+    if (task.target !== undefined && typeof task.target !== 'string') {
+      throw new Error('MCP servers task target must be a string');
+    }
+    return;
+  }
+
+  // Validate rules-config tasks
+  if (task.type === 'rules-config') {
+    if (task.format !== undefined && !RULES_FORMATS[task.format]) {
+      throw new Error(
+        `Invalid format in rules-config task: ${task.format}. Use one of: ${Object.keys(RULES_FORMATS).join(', ')}`
+      );
+    }
+    if (
+      task['tracked-files'] !== undefined &&
+      typeof task['tracked-files'] !== 'boolean' &&
+      !(
+        Array.isArray(task['tracked-files']) &&
+        task['tracked-files'].every((taskId) => typeof taskId === 'string')
+      )
+    ) {
+      throw new Error(
+        'Rules config task tracked-files must be true or a list of task IDs'
+      );
+    }
+    if (task.target !== undefined && typeof task.target !== 'string') {
+      throw new Error('Rules config task target must be a string');
+    }
+    return;
+  }
+
   // Validate copy-files and remote-copy-files tasks
   if (task.type === 'copy-files' || task.type === 'remote-copy-files') {
     if (task.items) {
@@ -480,6 +907,7 @@ function validateSharedTaskReferences(config) {
 }
 
 export {
+  evaluateValidationRules,
   validateDirectory,
   isProjectDirectory,
   validateFile,
@@ -49,8 +49,9 @@ describe('Shared Tasks Integration', () => {
 
       expect(tasks.wrapper).toBeDefined();
       expect(tasks.wrapper.name).toBe('AI Tool Wrapper');
-      expect(tasks.wrapper.type).toBe('copy-files');
-      expect(tasks.wrapper.items).toEqual({ "claude.md": "CLAUDE.md" }); // Override applied
+      expect(tasks.wrapper.type).toBe('template'); // Override applied
+      expect(tasks.wrapper.source).toBe('assets/templates/wrapper.md');
+      expect(tasks.wrapper.target).toBe('CLAUDE.md');
       expect(tasks.wrapper.id).toBe('wrapper');
       expect(tasks.wrapper.taskSource).toBe('tool');
     });
@@ -118,6 +119,45 @@ describe('Shared Tasks Integration', () => {
     });
   });
 
+  describe('Additional Tools', () => {
+    it('should resolve the rules task for the added tools', () => {
+      const tools = ['codex', 'aider', 'cline', 'zed', 'continue', 'jetbrains'];
+
+      tools.forEach(tool => {
+        const tasks = getTasks(tool, 'development', config);
+        expect(tasks.rules.type).toBe('multi-step');
+      });
+    });
+
+    it('should write the rules where each tool reads them', () => {
+      expect(getTasks('aider', 'development', config)['aider-conf'].type).toBe('rules-config');
+      expect(getTasks('zed', 'development', config)['zed-rules'].type).toBe('rules-config');
+      expect(getTasks('continue', 'development', config)['continue-rules'].type).toBe('rules-config');
+      expect(getTasks('cline', 'development', config)['cline-rules'].target).toBe('.clinerules');
+      expect(getTasks('jetbrains', 'development', config)['jetbrains-rules'].target).toBe('.aiassistant/rules');
+    });
+  });
+
+  describe('Claude Code Agents and Commands', () => {
+    it('should install the project agents as native sub-agents', () => {
+      const task = getTasks('claude', 'development', config)['project-agents'];
+
+      expect(task.type).toBe('remote-copy-files');
+      expect(task.source).toBe('development/agents/');
+      expect(task.target).toBe('.claude/agents');
+      expect(task.filters).toEqual([{ type: 'claude-agent' }]);
+    });
+
+    it('should install the project commands as native slash commands', () => {
+      const task = getTasks('claude', 'development', config)['project-commands'];
+
+      expect(task.type).toBe('remote-copy-files');
+      expect(task.source).toBe('development/commands/');
+      expect(task.target).toBe('.claude/commands');
+      expect(task.filters).toEqual([{ type: 'claude-command' }]);
+    });
+  });
+
   describe('Task Consistency', () => {
     it('should have consistent rules task across all tools', () => {
       const tools = ['claude', 'cursor', 'gemini', 'github-copilot', 'windsurf'];
@@ -175,7 +215,7 @@ describe('Shared Tasks Integration', () => {
       // Should have tool-specific tasks
       expect(claudeTasks.wrapper).toBeDefined();
       expect(claudeTasks.wrapper.name).toBe('AI Tool Wrapper'); // Now using shared task name
-      expect(claudeTasks.wrapper.type).toBe('copy-files');
+      expect(claudeTasks.wrapper.type).toBe('template');
     });
 
     it('should preserve cursor-specific tasks', () => {
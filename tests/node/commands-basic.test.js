@@ -55,7 +55,12 @@ describe('Commands Module - Basic', () => {
       'initCommand',
       'updateCommand',
       'configCommand',
-      'removeCommand'
+      'doctorCommand',
+      'removeCommand',
+      'enableCommand',
+      'disableCommand',
+      'diffCommand',
+      'rollbackCommand'
     ];
 
     assert.deepStrictEqual(exportedKeys.sort(), expectedKeys.sort());
@@ -51,7 +51,12 @@ describe('Commands Module', () => {
       'initCommand',
       'updateCommand',
       'configCommand',
-      'removeCommand'
+      'doctorCommand',
+      'removeCommand',
+      'enableCommand',
+      'disableCommand',
+      'diffCommand',
+      'rollbackCommand'
     ];
 
     assert.deepStrictEqual(exportedKeys.sort(), expectedKeys.sort());
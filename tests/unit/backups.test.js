@@ -0,0 +1,271 @@
+/**
+ * Unit tests for backups and rollback.
+ * Tests snapshotting files before a command, recording what it changed,
+ * pruning old backups and restoring a backup with the rollback command.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import yaml from 'js-yaml';
+import {
+  createBackup,
+  completeBackup,
+  listBackups,
+  findBackup,
+  restoreBackup
+} from '../../src/backups.js';
+import { removeSetup, removeTasks, rollbackSetup } from '../../src/cli.js';
+import {
+  createConfigFile,
+  readConfigFile
+} from '../../src/file-operations.js';
+
+const chalk = new Proxy({}, { get: () => (text) => text });
+
+describe('Backups', () => {
+  let testDir;
+  let originalCwd;
+  let logFn;
+
+  const rollbackDependencies = () => ({
+    listBackups,
+    findBackup,
+    restoreBackup,
+    confirmAction: jest.fn().mockResolvedValue(true),
+    chalk,
+    logFn
+  });
+
+  beforeEach(async () => {
+    originalCwd = process.cwd();
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'backups-'));
+    process.chdir(testDir);
+    logFn = jest.fn();
+
+    await fs.outputFile('.ai/rules.md', 'my rules');
+    await fs.outputFile('.lullabot-project/base/.ai/rules.md', 'rules');
+    await fs.writeFile('.lullabot-project.yml', 'project: {}\n');
+  });
+
+  afterEach(async () => {
+    process.chdir(originalCwd);
+    await fs.remove(testDir);
+  });
+
+  describe('createBackup', () => {
+    it('should copy files, the configuration and the stored upstream content', async () => {
+      const backup = await createBackup('update', ['.ai/rules.md', '.ai/new.md']);
+      const backupDir = path.join('.lullabot-project/backups', backup.id);
+
+      expect(backup.command).toBe('update');
+      expect(backup.files).toEqual([
+        { path: '.lullabot-project.yml', existed: true },
+        { path: '.lullabot-project.lock', existed: false },
+        { path: '.ai/rules.md', existed: true },
+        { path: '.ai/new.md', existed: false }
+      ]);
+      expect(
+        await fs.readFile(path.join(backupDir, 'files/.ai/rules.md'), 'utf8')
+      ).toBe('my rules');
+      expect(
+        await fs.readFile(path.join(backupDir, 'base/.ai/rules.md'), 'utf8')
+      ).toBe('rules');
+      expect(
+        yaml.load(await fs.readFile(path.join(backupDir, 'manifest.yml'), 'utf8'))
+      ).toEqual(backup);
+    });
+
+    it('should keep the backups out of git', async () => {
+      await fs.remove('.lullabot-project');
+
+      await createBackup('init', []);
+
+      expect(await fs.readFile('.lullabot-project/.gitignore', 'utf8')).toBe(
+        '*\n'
+      );
+    });
+
+    it('should skip paths outside the project', async () => {
+      const backup = await createBackup('update', ['../outside.md', '/etc/passwd']);
+
+      expect(backup.files.map((file) => file.path)).toEqual([
+        '.lullabot-project.yml',
+        '.lullabot-project.lock'
+      ]);
+    });
+
+    it('should keep only the configured number of backups', async () => {
+      const first = await createBackup('init', []);
+      await createBackup('update', [], { retention: 2 });
+      const last = await createBackup('update', [], { retention: 2 });
+
+      const backups = await listBackups();
+      expect(backups.map(({ id }) => id)).toHaveLength(2);
+      expect(backups[0].id).toBe(last.id);
+      expect(backups.map(({ id }) => id)).not.toContain(first.id);
+    });
+
+    it('should not take backups when retention is 0', async () => {
+      expect(await createBackup('update', [], { retention: 0 })).toBeNull();
+      expect(await listBackups()).toEqual([]);
+    });
+  });
+
+  describe('completeBackup', () => {
+    it('should record added, modified and deleted files', async () => {
+      await fs.outputFile('.ai/old.md', 'old');
+      const backup = await createBackup('update', ['.ai/rules.md', '.ai/old.md']);
+
+      await fs.writeFile('.ai/rules.md', 'new rules');
+      await fs.remove('.ai/old.md');
+      await fs.outputFile('.ai/added.md', 'added');
+      await completeBackup(backup, ['.ai/rules.md', '.ai/added.md']);
+
+      expect((await findBackup()).changes).toEqual([
+        { path: '.ai/rules.md', status: 'modified' },
+        { path: '.ai/old.md', status: 'deleted' },
+        { path: '.ai/added.md', status: 'added' }
+      ]);
+    });
+  });
+
+  describe('restoreBackup', () => {
+    it('should restore files and delete the ones added since', async () => {
+      const backup = await createBackup('update', ['.ai/rules.md']);
+      await fs.writeFile('.ai/rules.md', 'overwritten');
+      await fs.outputFile('.ai/added.md', 'added');
+      await fs.writeFile('.lullabot-project.lock', 'version: 1\n');
+      await fs.outputFile('.lullabot-project/base/.ai/added.md', 'added');
+      await completeBackup(backup, ['.ai/rules.md', '.ai/added.md']);
+
+      const result = await restoreBackup(await findBackup(backup.id));
+
+      expect(result.restoredFiles).toEqual([
+        '.lullabot-project.yml',
+        '.ai/rules.md'
+      ]);
+      expect(result.deletedFiles).toEqual([
+        '.lullabot-project.lock',
+        '.ai/added.md'
+      ]);
+      expect(await fs.readFile('.ai/rules.md', 'utf8')).toBe('my rules');
+      expect(
+        await fs.pathExists('.lullabot-project/base/.ai/added.md')
+      ).toBe(false);
+    });
+
+    it('should reject unknown backups', async () => {
+      await expect(findBackup('missing')).rejects.toThrow('No backups found.');
+
+      const backup = await createBackup('update', []);
+      await expect(findBackup('missing')).rejects.toThrow(
+        `Backup not found: missing. Available backups: ${backup.id}`
+      );
+    });
+  });
+
+  describe('rollbackSetup', () => {
+    const installProject = async () => {
+      await fs.writeFile(
+        '.lullabot-project.yml',
+        yaml.dump({
+          project: { type: 'development', tool: 'claude' },
+          features: { taskPreferences: { rules: true } },
+          installation: { created: '2026-01-01T00:00:00.000Z' },
+          files: [{ path: '.ai/rules.md', task: 'rules' }],
+          backups: { retention: 3 }
+        })
+      );
+    };
+
+    it('should undo a task removal', async () => {
+      await installProject();
+      await removeTasks('rules', { force: true }, {
+        readConfigFile,
+        createConfigFile,
+        createBackup,
+        completeBackup,
+        fs,
+        path,
+        chalk,
+        logFn
+      });
+      expect(await fs.pathExists('.ai/rules.md')).toBe(false);
+      expect((await readConfigFile()).backups).toEqual({ retention: 3 });
+
+      const deps = rollbackDependencies();
+      await rollbackSetup({}, deps);
+
+      expect(deps.confirmAction).toHaveBeenCalled();
+      expect(await fs.readFile('.ai/rules.md', 'utf8')).toBe('my rules');
+      expect(
+        (await readConfigFile()).features.taskPreferences.rules
+      ).toBe(true);
+      expect(logFn).toHaveBeenCalledWith(
+        expect.stringContaining('💾 Backup saved: ')
+      );
+      expect(logFn).toHaveBeenCalledWith(
+        expect.stringMatching(/^\n✅ Rolled back to .* \(before remove --tasks rules\)$/)
+      );
+    });
+
+    it('should restore the stored upstream content after a full removal', async () => {
+      await installProject();
+      await removeSetup({ force: true }, {
+        readConfigFile,
+        createBackup,
+        completeBackup,
+        fs,
+        path,
+        chalk,
+        logFn
+      });
+      expect(await fs.pathExists('.lullabot-project/base')).toBe(false);
+      expect(await fs.pathExists('.lullabot-project.yml')).toBe(false);
+
+      await rollbackSetup({ dryRun: true }, rollbackDependencies());
+      expect(logFn).toHaveBeenCalledWith(
+        '\n📚 Stored upstream content that would be restored: .lullabot-project/base/'
+      );
+
+      const result = await rollbackSetup({ force: true }, rollbackDependencies());
+
+      expect(result.restoredBase).toBe(true);
+      expect(
+        await fs.readFile('.lullabot-project/base/.ai/rules.md', 'utf8')
+      ).toBe('rules');
+      expect(await fs.readFile('.ai/rules.md', 'utf8')).toBe('my rules');
+      expect((await readConfigFile()).files).toEqual([
+        { path: '.ai/rules.md', task: 'rules' }
+      ]);
+    });
+
+    it('should list backups with their changes', async () => {
+      const backup = await createBackup('update', ['.ai/rules.md']);
+      await fs.writeFile('.ai/rules.md', 'new rules');
+      await completeBackup(backup, ['.ai/rules.md']);
+
+      await rollbackSetup({ list: true }, rollbackDependencies());
+
+      expect(logFn).toHaveBeenCalledWith(
+        `• ${backup.id} before update (1 modified)`
+      );
+    });
+
+    it('should not restore anything in a dry run or when cancelled', async () => {
+      await createBackup('update', ['.ai/rules.md']);
+      await fs.writeFile('.ai/rules.md', 'new rules');
+
+      await rollbackSetup({ dryRun: true }, rollbackDependencies());
+      expect(logFn).toHaveBeenCalledWith('  • .ai/rules.md');
+
+      const deps = rollbackDependencies();
+      deps.confirmAction.mockResolvedValue(false);
+      await rollbackSetup({}, deps);
+
+      expect(logFn).toHaveBeenCalledWith('Rollback cancelled.');
+      expect(await fs.readFile('.ai/rules.md', 'utf8')).toBe('new rules');
+    });
+  });
+});
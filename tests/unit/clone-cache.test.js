@@ -0,0 +1,192 @@
+/**
+ * Unit tests for the persistent clone cache and offline mode.
+ * Uses local git repositories so no network access is needed.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import { execSync } from 'child_process';
+import {
+  getOrCloneRepository,
+  getCacheDir,
+  pruneCloneCache,
+  cleanupAllClones
+} from '../../src/git-operations.js';
+import { execute as executeRemoteCopyFiles } from '../../src/task-types/remote-copy-files.js';
+
+describe('Clone Cache', () => {
+  let testDir;
+  let repoDir;
+  let originalCwd;
+
+  const git = (command) =>
+    execSync(
+      `git -c user.name=Test -c user.email=test@example.com ${command}`,
+      { cwd: repoDir, stdio: 'pipe' }
+    )
+      .toString()
+      .trim();
+
+  const repository = () => ({
+    url: `file://${repoDir}`,
+    type: 'branch',
+    target: 'main'
+  });
+
+  beforeEach(async () => {
+    originalCwd = process.cwd();
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'clone-cache-'));
+    process.chdir(testDir);
+    process.env.LULLABOT_PROJECT_CACHE_DIR = path.join(testDir, 'cache');
+
+    repoDir = path.join(testDir, 'origin');
+    await fs.ensureDir(repoDir);
+    git('init --quiet --initial-branch=main');
+    await fs.outputFile(path.join(repoDir, 'rules/drupal.md'), 'v1\n');
+    git('add -A');
+    git('commit --quiet -m first');
+  });
+
+  afterEach(async () => {
+    await cleanupAllClones();
+    delete process.env.LULLABOT_PROJECT_CACHE_DIR;
+    process.chdir(originalCwd);
+    await fs.remove(testDir);
+  });
+
+  describe('getCacheDir', () => {
+    it('should honour LULLABOT_PROJECT_CACHE_DIR', () => {
+      expect(getCacheDir()).toBe(path.join(testDir, 'cache'));
+    });
+
+    it('should default to the user cache directory', () => {
+      delete process.env.LULLABOT_PROJECT_CACHE_DIR;
+
+      expect(path.isAbsolute(getCacheDir())).toBe(true);
+      expect(getCacheDir()).toContain('lullabot-project');
+    });
+  });
+
+  describe('getOrCloneRepository', () => {
+    it('should keep clones in the cache between runs and fetch new commits', async () => {
+      const firstClone = await getOrCloneRepository(repository(), false);
+      expect(firstClone.startsWith(getCacheDir())).toBe(true);
+
+      await cleanupAllClones();
+      expect(await fs.pathExists(firstClone)).toBe(true);
+
+      await fs.outputFile(path.join(repoDir, 'rules/drupal.md'), 'v2\n');
+      git('commit --quiet -am second');
+
+      const secondClone = await getOrCloneRepository(repository(), false);
+
+      expect(secondClone).toBe(firstClone);
+      expect(
+        await fs.readFile(path.join(secondClone, 'rules/drupal.md'), 'utf8')
+      ).toBe('v2\n');
+    }, 30000);
+
+    it('should use separate cache entries per ref', async () => {
+      git('branch release');
+
+      const mainClone = await getOrCloneRepository(repository(), false);
+      const releaseClone = await getOrCloneRepository(
+        { ...repository(), target: 'release' },
+        false
+      );
+
+      expect(releaseClone).not.toBe(mainClone);
+    }, 30000);
+
+    it('should fail clearly offline when the repository is not cached', async () => {
+      await expect(
+        getOrCloneRepository(repository(), false, null, { offline: true })
+      ).rejects.toThrow('Offline mode');
+    });
+
+    it('should fail clearly offline when a locked commit is not cached', async () => {
+      await getOrCloneRepository(repository(), false);
+      await cleanupAllClones();
+
+      await expect(
+        getOrCloneRepository(repository(), false, 'f'.repeat(40), {
+          offline: true
+        })
+      ).rejects.toThrow(`commit ${'f'.repeat(40)}`);
+    }, 30000);
+  });
+
+  describe('offline remote-copy-files', () => {
+    it('should copy files from the cache without reaching the repository', async () => {
+      const task = {
+        type: 'remote-copy-files',
+        repository: repository(),
+        source: 'rules/',
+        target: '.ai/rules'
+      };
+
+      await executeRemoteCopyFiles(task, 'claude', 'development', false, {});
+      await cleanupAllClones();
+      await fs.remove('.ai');
+
+      // The origin is gone, so only the cache can provide the files
+      await fs.remove(repoDir);
+
+      const result = await executeRemoteCopyFiles(
+        task,
+        'claude',
+        'development',
+        false,
+        { offline: true }
+      );
+
+      expect(result.files).toHaveLength(1);
+      expect(await fs.readFile('.ai/rules/drupal.md', 'utf8')).toBe('v1\n');
+    }, 30000);
+  });
+
+  describe('pruneCloneCache', () => {
+    const createEntry = async (name, { daysAgo = 0, bytes = 10 } = {}) => {
+      const entryDir = path.join(getCacheDir(), 'repos', name);
+      await fs.outputFile(path.join(entryDir, 'repo', 'file'), 'x'.repeat(bytes));
+      await fs.writeJson(path.join(entryDir, 'cache.json'), {
+        lastUsed: new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString()
+      });
+      return entryDir;
+    };
+
+    it('should return an empty list when there is no cache', async () => {
+      expect(await pruneCloneCache()).toEqual([]);
+    });
+
+    it('should remove entries unused for longer than the maximum age', async () => {
+      const recent = await createEntry('recent', { daysAgo: 1 });
+      const stale = await createEntry('stale', { daysAgo: 40 });
+
+      const removed = await pruneCloneCache({ maxAgeDays: 30 });
+
+      expect(removed).toEqual([stale]);
+      expect(await fs.pathExists(recent)).toBe(true);
+    });
+
+    it('should remove least recently used entries until under the size limit', async () => {
+      const oldest = await createEntry('oldest', { daysAgo: 3, bytes: 600 * 1024 });
+      const middle = await createEntry('middle', { daysAgo: 2, bytes: 600 * 1024 });
+      const newest = await createEntry('newest', { daysAgo: 1, bytes: 600 * 1024 });
+
+      const removed = await pruneCloneCache({ maxSizeMb: 1 });
+
+      expect(removed).toEqual([oldest, middle]);
+      expect(await fs.pathExists(newest)).toBe(true);
+    });
+
+    it('should never remove entries that are kept', async () => {
+      const stale = await createEntry('stale', { daysAgo: 40 });
+
+      const removed = await pruneCloneCache({ maxAgeDays: 30, keep: [stale] });
+
+      expect(removed).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Unit tests for user and project configuration overlays.
+ * Tests deep merging, layer order and the config --sources output.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import yaml from 'js-yaml';
+import {
+  PROJECT_CONFIG_FILE_NAME,
+  loadConfig,
+  loadConfigLayers,
+  getConfigSources,
+  getUserConfigPath,
+  mergeConfig
+} from '../../src/tool-config.js';
+import { showConfig } from '../../src/cli.js';
+
+describe('Configuration Overlays', () => {
+  let testDir;
+  let originalCwd;
+
+  const writeUserConfig = (config) =>
+    fs.outputFile(
+      path.join(testDir, 'user', 'config.yml'),
+      yaml.dump(config)
+    );
+  const writeProjectConfig = (config) =>
+    fs.outputFile(
+      path.join(testDir, 'project', PROJECT_CONFIG_FILE_NAME),
+      yaml.dump(config)
+    );
+
+  beforeEach(async () => {
+    originalCwd = process.cwd();
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'config-overlays-'));
+    await fs.ensureDir(path.join(testDir, 'project'));
+    process.chdir(path.join(testDir, 'project'));
+    process.env.LULLABOT_PROJECT_CONFIG_DIR = path.join(testDir, 'user');
+  });
+
+  afterEach(async () => {
+    delete process.env.LULLABOT_PROJECT_CONFIG_DIR;
+    process.chdir(originalCwd);
+    await fs.remove(testDir);
+  });
+
+  describe('mergeConfig', () => {
+    it('should merge maps deeply and replace arrays and scalars', () => {
+      const base = {
+        tools: {
+          claude: { name: 'Claude', tasks: { rules: { type: 'copy-files' } } }
+        },
+        projects: { development: { validation: { files: ['a'] } } }
+      };
+      const overlay = {
+        tools: {
+          claude: { tasks: { extra: { type: 'command' } } },
+          acme: { name: 'Acme' }
+        },
+        projects: { development: { validation: { files: ['b'] } } }
+      };
+
+      expect(mergeConfig(base, overlay)).toEqual({
+        tools: {
+          claude: {
+            name: 'Claude',
+            tasks: {
+              rules: { type: 'copy-files' },
+              extra: { type: 'command' }
+            }
+          },
+          acme: { name: 'Acme' }
+        },
+        projects: { development: { validation: { files: ['b'] } } }
+      });
+      expect(base.tools.claude.tasks.extra).toBeUndefined();
+    });
+  });
+
+  describe('loadConfig', () => {
+    it('should return the bundled configuration without overlays', async () => {
+      const layers = await loadConfigLayers();
+
+      expect(layers.map((layer) => layer.name)).toEqual(['bundled']);
+      expect(await loadConfig()).toEqual(layers[0].config);
+    });
+
+    it('should apply the user overlay and then the project overlay', async () => {
+      await writeUserConfig({
+        tools: { acme: { name: 'Acme (user)', tasks: {} } },
+        projects: { acme: { name: 'Acme Project' } }
+      });
+      await writeProjectConfig({
+        tools: {
+          acme: { name: 'Acme (project)' },
+          claude: {
+            tasks: {
+              lint: { name: 'Lint', type: 'command', command: 'npm run lint' }
+            }
+          }
+        }
+      });
+
+      const config = await loadConfig();
+
+      expect(config.tools.acme.name).toBe('Acme (project)');
+      expect(config.projects.acme.name).toBe('Acme Project');
+      expect(config.tools.claude.tasks.lint.command).toBe('npm run lint');
+      // Bundled tasks are kept alongside the added one
+      expect(config.tools.claude.tasks.rules).toBeDefined();
+    });
+
+    it('should throw a descriptive error for an invalid overlay', async () => {
+      await writeProjectConfig(['not', 'a', 'mapping']);
+
+      await expect(loadConfig()).rejects.toThrow(
+        'expected a mapping at the top level'
+      );
+    });
+
+    it('should default to the user configuration directory', () => {
+      delete process.env.LULLABOT_PROJECT_CONFIG_DIR;
+
+      expect(getUserConfigPath()).toContain(
+        path.join('lullabot-project', 'config.yml')
+      );
+    });
+  });
+
+  describe('getConfigSources', () => {
+    it('should list the layers defining each tool and task', () => {
+      const sources = getConfigSources([
+        {
+          name: 'bundled',
+          path: '/bundled.yml',
+          config: {
+            tools: { claude: { tasks: { rules: {} } } },
+            shared_tasks: { rules: {} }
+          }
+        },
+        {
+          name: 'project',
+          path: '/project.yml',
+          config: {
+            tools: { claude: { tasks: { rules: {}, lint: {} } } },
+            projects: { acme: { tasks: { setup: {} } } }
+          }
+        }
+      ]);
+
+      expect(sources.layers).toEqual([
+        { name: 'bundled', path: '/bundled.yml' },
+        { name: 'project', path: '/project.yml' }
+      ]);
+      expect(sources.tools.claude).toEqual({
+        layers: ['bundled', 'project'],
+        tasks: { rules: ['bundled', 'project'], lint: ['project'] }
+      });
+      expect(sources.projects.acme).toEqual({
+        layers: ['project'],
+        tasks: { setup: ['project'] }
+      });
+      expect(sources.shared_tasks).toEqual({ rules: ['bundled'] });
+    });
+  });
+
+  describe('config --sources', () => {
+    const chalk = {
+      blue: (text) => text,
+      cyan: (text) => text,
+      gray: (text) => text,
+      yellow: (text) => text
+    };
+    const sources = {
+      layers: [
+        { name: 'bundled', path: '/bundled.yml' },
+        { name: 'project', path: '/project.yml' }
+      ],
+      tools: {
+        claude: {
+          layers: ['bundled', 'project'],
+          tasks: { lint: ['project'] }
+        }
+      },
+      projects: {},
+      shared_tasks: {}
+    };
+
+    it('should show the sources without a project configuration', async () => {
+      const logFn = jest.fn();
+      const readConfigFile = jest.fn();
+
+      await showConfig(
+        { sources: true },
+        {
+          readConfigFile,
+          loadConfigSources: jest.fn().mockResolvedValue(sources),
+          chalk,
+          logFn
+        }
+      );
+
+      const output = logFn.mock.calls.map(([line]) => line).join('\n');
+      expect(output).toContain('• project: /project.yml');
+      expect(output).toContain('• claude: project (overrides bundled)');
+      expect(output).toContain('  - lint: project');
+      expect(readConfigFile).not.toHaveBeenCalled();
+    });
+
+    it('should output the sources as JSON', async () => {
+      const logFn = jest.fn();
+
+      await showConfig(
+        { sources: true, json: true },
+        {
+          loadConfigSources: jest.fn().mockResolvedValue(sources),
+          chalk,
+          logFn
+        }
+      );
+
+      expect(JSON.parse(logFn.mock.calls[0][0])).toEqual(sources);
+    });
+  });
+});
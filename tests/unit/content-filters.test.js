@@ -9,6 +9,14 @@ import {
   extractContent,
   extractLineRange,
   removeLines,
+  toCursorRule,
+  toCopilotInstructions,
+  toWindsurfRule,
+  toClaudeAgent,
+  toClaudeCommand,
+  getFilterWarnings,
+  isSkippedByFilters,
+  getFilteredFileName,
   validateFilterConfig,
   shouldProcessFile,
   previewContent,
@@ -22,6 +30,11 @@ describe('Content Filters', () => {
       expect(FILTER_TYPES.EXTRACT_CONTENT).toBe('extract-content');
       expect(FILTER_TYPES.LINE_RANGE).toBe('line-range');
       expect(FILTER_TYPES.REMOVE_LINES).toBe('remove-lines');
+      expect(FILTER_TYPES.CURSOR_RULE).toBe('cursor-rule');
+      expect(FILTER_TYPES.COPILOT_INSTRUCTIONS).toBe('copilot-instructions');
+      expect(FILTER_TYPES.WINDSURF_RULE).toBe('windsurf-rule');
+      expect(FILTER_TYPES.CLAUDE_AGENT).toBe('claude-agent');
+      expect(FILTER_TYPES.CLAUDE_COMMAND).toBe('claude-command');
     });
   });
 
@@ -316,4 +329,259 @@ This is the content.`;
       expect(result).toBe(content); // Should return original content
     });
   });
+
+  describe('toCursorRule', () => {
+    test('should keep the frontmatter Cursor understands from the rule', () => {
+      const content = `---
+title: Drupal standards
+description: Coding standards
+  for Drupal
+globs: ["**/*.php", "**/*.module"]
+---
+
+# Drupal
+
+Use dependency injection.`;
+
+      expect(toCursorRule(content)).toBe(`---
+description: Coding standards for Drupal
+globs: **/*.php,**/*.module
+alwaysApply: false
+---
+# Drupal
+
+Use dependency injection.`);
+    });
+
+    test('should fill in missing metadata from the filter defaults', () => {
+      const result = toCursorRule('---\napplyTo: "**/*.twig"\n---\nBody', {
+        type: 'cursor-rule',
+        description: 'Theming rules',
+        globs: '**/*.php'
+      });
+
+      expect(result).toBe(
+        '---\ndescription: Theming rules\nglobs: **/*.twig\nalwaysApply: false\n---\nBody'
+      );
+    });
+
+    test('should always apply rules without globs', () => {
+      expect(toCursorRule('# Rule')).toBe(
+        '---\ndescription: \nglobs: \nalwaysApply: true\n---\n# Rule'
+      );
+      expect(toCursorRule('# Rule', { 'always-apply': false })).toContain(
+        'alwaysApply: false'
+      );
+    });
+
+    test('should give converted files the .mdc extension', () => {
+      const filters = [{ type: 'cursor-rule' }];
+      expect(getFilteredFileName('drupal.md', filters)).toBe('drupal.mdc');
+      expect(getFilteredFileName('drupal.md', [])).toBe('drupal.md');
+    });
+
+    test('should validate the cursor-rule parameters', () => {
+      expect(
+        validateFilterConfig([{ type: 'cursor-rule', globs: ['*.php'] }])
+      ).toEqual([]);
+      expect(
+        validateFilterConfig([
+          { type: 'cursor-rule', globs: 5, 'always-apply': 'yes' }
+        ])
+      ).toHaveLength(2);
+    });
+  });
+
+  describe('toCopilotInstructions', () => {
+    test('should write the rule globs as applyTo', () => {
+      const content = `---
+title: Drupal PHP
+description: PHP standards
+globs: ["**/*.php", "**/*.module"]
+---
+
+# Drupal PHP`;
+
+      expect(toCopilotInstructions(content)).toBe(`---
+applyTo: "**/*.php,**/*.module"
+description: "PHP standards"
+---
+# Drupal PHP`);
+    });
+
+    test('should read comma-separated applyTo metadata', () => {
+      expect(
+        toCopilotInstructions('---\napplyTo: "**/*.twig, **/*.html"\n---\nBody')
+      ).toBe('---\napplyTo: "**/*.twig,**/*.html"\n---\nBody');
+    });
+
+    test('should skip rules without globs', () => {
+      const filters = [{ type: 'copilot-instructions' }];
+      expect(isSkippedByFilters('# Untagged rule', filters)).toBe(true);
+      expect(
+        isSkippedByFilters('---\nglobs: "**/*.twig"\n---\n# Twig', filters)
+      ).toBe(false);
+      expect(
+        isSkippedByFilters('# Untagged rule', [
+          { type: 'copilot-instructions', globs: '**/*.php' }
+        ])
+      ).toBe(false);
+      expect(isSkippedByFilters('# Untagged rule', [])).toBe(false);
+    });
+
+    test('should name converted files .instructions.md', () => {
+      const filters = [{ type: 'copilot-instructions' }];
+      expect(getFilteredFileName('twig.md', filters)).toBe(
+        'twig.instructions.md'
+      );
+      expect(getFilteredFileName('twig.instructions.md', filters)).toBe(
+        'twig.instructions.md'
+      );
+    });
+  });
+
+  describe('toWindsurfRule', () => {
+    test('should attach rules with globs by glob', () => {
+      const content = '---\ndescription: Twig\nglobs: ["**/*.twig"]\n---\n# Twig';
+
+      expect(toWindsurfRule(content)).toBe(
+        '---\ntrigger: glob\nglobs: **/*.twig\n---\n# Twig'
+      );
+    });
+
+    test('should keep rules without globs always on', () => {
+      expect(toWindsurfRule('# General')).toBe(
+        '---\ntrigger: always_on\n---\n# General'
+      );
+    });
+
+    test('should use the trigger and description of the rule or filter', () => {
+      expect(
+        toWindsurfRule('---\ndescription: Migrations\n---\n# Migrate', {
+          trigger: 'model_decision'
+        })
+      ).toBe(
+        '---\ntrigger: model_decision\ndescription: Migrations\n---\n# Migrate'
+      );
+      expect(toWindsurfRule('---\ntrigger: manual\n---\n# Manual')).toBe(
+        '---\ntrigger: manual\n---\n# Manual'
+      );
+      expect(() => toWindsurfRule('---\ntrigger: sometimes\n---\n')).toThrow(
+        'Invalid Windsurf trigger: sometimes'
+      );
+    });
+
+    test('should warn about rules over the character limit', () => {
+      const filters = [{ type: 'windsurf-rule' }];
+
+      expect(getFilterWarnings('a'.repeat(6000), filters, 'ok.md')).toEqual([]);
+      expect(getFilterWarnings('a'.repeat(6001), filters, 'big.md')).toEqual([
+        'big.md has 6001 characters; Windsurf ignores rule content past 6000 characters. Consider splitting the rule.'
+      ]);
+      expect(
+        getFilterWarnings(
+          'a'.repeat(200),
+          [{ type: 'windsurf-rule', 'max-characters': 100 }],
+          'small.md'
+        )
+      ).toHaveLength(1);
+      expect(getFilterWarnings('a'.repeat(7000), [], 'other.md')).toEqual([]);
+    });
+
+    test('should validate the windsurf-rule parameters', () => {
+      expect(
+        validateFilterConfig([
+          { type: 'windsurf-rule', trigger: 'glob', 'max-characters': 12000 }
+        ])
+      ).toEqual([]);
+      expect(
+        validateFilterConfig([
+          { type: 'windsurf-rule', trigger: 'always', 'max-characters': 0 }
+        ])
+      ).toHaveLength(2);
+    });
+  });
+
+  describe('toClaudeAgent', () => {
+    const agent = `---
+title: "Testing QA Engineer"
+description: "Reviews test coverage"
+tags: [qa]
+---
+
+# Testing QA Engineer
+
+Copy the block below.
+
+\`\`\`\`\`markdown
+---
+tools: [Read, Grep]
+---
+You are a QA engineer.
+\`\`\`\`\`
+`;
+
+    test('should write the fenced agent with native frontmatter', () => {
+      expect(toClaudeAgent(agent, {}, 'Testing QA Engineer.md')).toBe(
+        '---\nname: testing-qa-engineer\ndescription: Reviews test coverage\ntools: Read, Grep\n---\n\nYou are a QA engineer.\n'
+      );
+    });
+
+    test('should fall back to the filter values and the title', () => {
+      expect(
+        toClaudeAgent(
+          '---\ntitle: Reviewer\nname: Code Reviewer\n---\nReview code.',
+          { tools: 'Read', model: 'sonnet' },
+          'reviewer.md'
+        )
+      ).toBe(
+        '---\nname: code-reviewer\ndescription: Reviewer\ntools: Read\nmodel: sonnet\n---\n\nReview code.\n'
+      );
+      expect(() => toClaudeAgent('Review code.')).toThrow(
+        'Claude agent needs a name or a file name'
+      );
+    });
+  });
+
+  describe('toClaudeCommand', () => {
+    test('should write the command frontmatter Claude reads', () => {
+      expect(
+        toClaudeCommand(
+          '---\ndescription: Fix an issue\ntools: [Bash, Edit]\nargument-hint: "[issue]"\n---\nFix issue $ARGUMENTS.'
+        )
+      ).toBe(
+        "---\ndescription: Fix an issue\nallowed-tools: Bash, Edit\nargument-hint: '[issue]'\n---\n\nFix issue $ARGUMENTS.\n"
+      );
+    });
+
+    test('should leave out the frontmatter when there is none', () => {
+      expect(toClaudeCommand('Summarize the changes.')).toBe(
+        'Summarize the changes.\n'
+      );
+    });
+
+    test('should validate the Claude filter parameters', () => {
+      expect(
+        validateFilterConfig([
+          { type: 'claude-agent', tools: ['Read'], model: 'haiku' },
+          { type: 'claude-command', 'argument-hint': '[file]' }
+        ])
+      ).toEqual([]);
+      expect(
+        validateFilterConfig([
+          { type: 'claude-agent', tools: 3, description: ['x'] }
+        ])
+      ).toHaveLength(2);
+    });
+
+    test('should name the agent after the file when processing', async () => {
+      const result = await processContent(
+        'Review code.',
+        [{ type: 'claude-agent', description: 'Reviews code' }],
+        'code-review.md'
+      );
+
+      expect(result).toContain('name: code-review\ndescription: Reviews code');
+    });
+  });
 });
@@ -0,0 +1,260 @@
+/**
+ * Unit tests for the diff command.
+ * Tests unified diff output and previewing upstream changes per task without
+ * touching the project.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import yaml from 'js-yaml';
+import { diffSetup } from '../../src/cli.js';
+import {
+  readConfigFile,
+  checkFileChanges,
+  calculateFileHash,
+  readBaseContent
+} from '../../src/file-operations.js';
+import { createUnifiedDiff } from '../../src/utils/unified-diff.js';
+
+const chalk = new Proxy({}, { get: () => (text) => text });
+
+const tasks = {
+  rules: { name: 'Rules', type: 'copy-files', target: '.ai/' },
+  wrapper: { name: 'Wrapper', type: 'copy-files', target: '.' },
+  memory: { name: 'Memory Bank', type: 'package-install' }
+};
+
+describe('Diff Command', () => {
+  let testDir;
+  let originalCwd;
+  let logFn;
+  let executeTask;
+
+  const dependencies = () => ({
+    readConfigFile,
+    loadConfig: jest.fn().mockResolvedValue({ shared_tasks: {} }),
+    getTasks: jest.fn().mockResolvedValue(tasks),
+    executeTask,
+    fs,
+    path,
+    chalk,
+    logFn
+  });
+
+  beforeEach(async () => {
+    originalCwd = process.cwd();
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'diff-command-'));
+    process.chdir(testDir);
+    logFn = jest.fn();
+
+    // Upstream now changes one rule, adds one and drops the old guide
+    executeTask = jest.fn(async (task, tool, projectType, verbose, deps) => {
+      const write = (filePath, content) =>
+        fs.outputFile(path.join(deps.projectRoot, filePath), content);
+      if (task.target === '.') {
+        await write('CLAUDE.md', 'Read AGENTS.md\n');
+        return { files: [{ path: 'CLAUDE.md' }] };
+      }
+      await write('.ai/coding.md', '# Coding\n\nUse tabs.\n');
+      await write('.ai/testing.md', '# Testing\n');
+      return { files: [{ path: '.ai/coding.md' }, { path: '.ai/testing.md' }] };
+    });
+
+    await fs.outputFile('.ai/coding.md', '# Coding\n\nUse spaces.\n');
+    await fs.outputFile('.ai/guide.md', '# Guide\n');
+    await fs.outputFile('CLAUDE.md', 'Read AGENTS.md\n');
+    await fs.writeFile(
+      '.lullabot-project.yml',
+      yaml.dump({
+        project: { type: 'development', tool: 'claude' },
+        features: {
+          taskPreferences: { rules: true, wrapper: true, memory: true }
+        },
+        files: [
+          { path: '.ai/coding.md', task: 'rules' },
+          { path: '.ai/guide.md', task: 'rules' },
+          { path: 'CLAUDE.md', task: 'wrapper' }
+        ]
+      })
+    );
+  });
+
+  afterEach(async () => {
+    process.chdir(originalCwd);
+    await fs.remove(testDir);
+  });
+
+  describe('createUnifiedDiff', () => {
+    it('should create hunks with line numbers and context', () => {
+      const oldContent = 'one\ntwo\nthree\nfour\nfive\nsix\nseven\neight\n';
+      const newContent = 'one\n2\nthree\nfour\nfive\nsix\nseven\neight\nnine\n';
+
+      const result = createUnifiedDiff(oldContent, newContent, {
+        oldLabel: 'a/numbers.md',
+        newLabel: 'b/numbers.md',
+        context: 1
+      });
+
+      expect(result.diff).toBe(
+        [
+          '--- a/numbers.md',
+          '+++ b/numbers.md',
+          '@@ -1,3 +1,3 @@',
+          ' one',
+          '-two',
+          '+2',
+          ' three',
+          '@@ -8,1 +8,2 @@',
+          ' eight',
+          '+nine'
+        ].join('\n')
+      );
+      expect(result).toMatchObject({ additions: 2, deletions: 1 });
+    });
+
+    it('should diff new files against /dev/null', () => {
+      expect(createUnifiedDiff(null, 'a\nb\n').diff).toBe(
+        '--- /dev/null\n+++ b\n@@ -0,0 +1,2 @@\n+a\n+b'
+      );
+      expect(createUnifiedDiff('same\n', 'same\n').diff).toBe('');
+    });
+  });
+
+  describe('diffSetup', () => {
+    it('should list added, changed and removed files per task', async () => {
+      const changes = await diffSetup({}, dependencies());
+
+      expect(changes.tasks).toEqual([
+        {
+          id: 'rules',
+          name: 'Rules',
+          added: ['.ai/testing.md'],
+          changed: ['.ai/coding.md'],
+          removed: ['.ai/guide.md']
+        }
+      ]);
+      expect(
+        changes.files.find((file) => file.status === 'changed').diff
+      ).toBe(
+        [
+          '--- a/.ai/coding.md',
+          '+++ b/.ai/coding.md',
+          '@@ -1,3 +1,3 @@',
+          ' # Coding',
+          ' ',
+          '-Use spaces.',
+          '+Use tabs.'
+        ].join('\n')
+      );
+      expect(logFn).toHaveBeenCalledWith('    +Use tabs.');
+      expect(logFn).toHaveBeenCalledWith('\n📋 1 added, 1 changed, 1 removed');
+    });
+
+    it('should leave the project untouched', async () => {
+      await diffSetup({}, dependencies());
+
+      expect(await fs.readFile('.ai/coding.md', 'utf8')).toBe(
+        '# Coding\n\nUse spaces.\n'
+      );
+      expect(await fs.pathExists('.ai/testing.md')).toBe(false);
+      expect(process.cwd()).toBe(await fs.realpath(testDir));
+    });
+
+    it('should run tasks quietly in a staging root without changing directory', async () => {
+      await diffSetup({ json: true }, dependencies());
+
+      const [, , , verbose, taskDependencies] = executeTask.mock.calls[0];
+      expect(verbose).toBe(false);
+      expect(taskDependencies.quiet).toBe(true);
+      expect(taskDependencies.projectRoot).not.toBe(process.cwd());
+    });
+
+    it('should use the lock state update uses', async () => {
+      const readLockFile = jest.fn().mockResolvedValue({ sources: [] });
+
+      await diffSetup({}, { ...dependencies(), readLockFile });
+      expect(executeTask.mock.calls[0][4].lockState.refresh).toBe(false);
+
+      executeTask.mockClear();
+      await diffSetup({ refreshLock: true }, { ...dependencies(), readLockFile });
+      expect(executeTask.mock.calls[0][4].lockState.refresh).toBe(true);
+    });
+
+    it('should merge local edits into the preview like update', async () => {
+      await fs.outputFile(
+        '.lullabot-project/base/.ai/coding.md',
+        '# Coding\n\nUse spaces.\n'
+      );
+      await fs.outputFile(
+        '.ai/coding.md',
+        '# Coding\n\nUse spaces.\n\nLocal note\n'
+      );
+
+      const changes = await diffSetup(
+        {},
+        {
+          ...dependencies(),
+          checkFileChanges,
+          calculateFileHash,
+          readBaseContent,
+          crypto
+        }
+      );
+
+      const { diff } = changes.files.find(
+        (file) => file.path === '.ai/coding.md'
+      );
+      expect(diff).toContain('-Use spaces.\n+Use tabs.');
+      expect(diff).not.toContain('-Local note');
+    });
+
+    it('should skip tasks that install packages or run commands', async () => {
+      await diffSetup({}, dependencies());
+
+      expect(executeTask).toHaveBeenCalledTimes(2);
+    });
+
+    it('should only list files and line counts with --stat', async () => {
+      await diffSetup({ stat: true }, dependencies());
+
+      expect(logFn).toHaveBeenCalledWith('  ~ .ai/coding.md (+1 -1)');
+      expect(logFn).not.toHaveBeenCalledWith('    +Use tabs.');
+    });
+
+    it('should print the changes as JSON with --json', async () => {
+      await diffSetup({ json: true }, dependencies());
+
+      expect(logFn).toHaveBeenCalledTimes(1);
+      const output = JSON.parse(logFn.mock.calls[0][0]);
+      expect(output.files.map(({ path: filePath, status }) => [filePath, status]))
+        .toEqual([
+          ['.ai/coding.md', 'changed'],
+          ['.ai/testing.md', 'added'],
+          ['.ai/guide.md', 'removed']
+        ]);
+      expect(output.failed).toEqual([]);
+    });
+
+    it('should report tasks that fail without listing their files as removed', async () => {
+      executeTask.mockImplementation(async (task) => {
+        if (task.target === '.ai/') {
+          throw new Error('repository unavailable');
+        }
+        return { files: [{ path: 'CLAUDE.md' }] };
+      });
+      await fs.outputFile('CLAUDE.md', 'Read AGENTS.md\n');
+
+      const changes = await diffSetup({}, dependencies());
+
+      expect(changes.files).toEqual([]);
+      expect(changes.failed).toEqual([
+        { id: 'rules', name: 'Rules', error: 'repository unavailable' }
+      ]);
+      expect(logFn).toHaveBeenCalledWith(
+        '  • Rules (rules): repository unavailable'
+      );
+    });
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Unit tests for the doctor command.
+ * Tests problem detection against a mocked configuration and file system.
+ */
+
+import {
+  diagnoseSetup,
+  collectDoctorProblems
+} from '../../src/cli.js';
+
+describe('Doctor', () => {
+  let mockChalk;
+  let mockDependencies;
+  let currentConfig;
+
+  beforeEach(() => {
+    mockChalk = {
+      blue: jest.fn((text) => text),
+      green: jest.fn((text) => text),
+      red: jest.fn((text) => text),
+      gray: jest.fn((text) => text),
+      yellow: jest.fn((text) => text)
+    };
+
+    currentConfig = {
+      project: { tool: 'claude', type: 'development' },
+      features: {
+        taskPreferences: { rules: true, 'ai-task-manager': true }
+      },
+      files: [
+        { path: '.ai/rules/drupal.md', originalHash: 'hash1' },
+        { path: 'AGENTS.md', originalHash: 'hash2' }
+      ]
+    };
+
+    mockDependencies = {
+      readConfigFile: jest.fn().mockResolvedValue(currentConfig),
+      loadConfig: jest.fn().mockResolvedValue({ tools: {} }),
+      getTasks: jest.fn().mockResolvedValue({
+        rules: { type: 'multi-step', name: 'Rules' },
+        'ai-task-manager': {
+          type: 'package-install',
+          name: 'AI Task Manager',
+          package: {
+            name: '@e0ipso/ai-task-manager',
+            'install-command': 'npx @e0ipso/ai-task-manager init'
+          }
+        }
+      }),
+      checkFileChanges: jest.fn().mockResolvedValue([]),
+      getPackageVersion: jest
+        .fn()
+        .mockResolvedValue({ name: '@e0ipso/ai-task-manager', version: '1.0.0' }),
+      fs: {
+        pathExists: jest.fn().mockResolvedValue(true),
+        readFile: jest
+          .fn()
+          .mockResolvedValue(
+            '<!-- Lullabot Project Start -->\n<!-- Lullabot Project End -->'
+          )
+      },
+      LULLABOT_COMMENT_START: '<!-- Lullabot Project Start -->',
+      LULLABOT_COMMENT_END: '<!-- Lullabot Project End -->',
+      chalk: mockChalk,
+      logFn: jest.fn()
+    };
+  });
+
+  describe('collectDoctorProblems', () => {
+    it('should report no problems for a healthy setup', async () => {
+      const problems = await collectDoctorProblems(
+        currentConfig,
+        {},
+        {},
+        mockDependencies
+      );
+
+      expect(problems).toEqual([]);
+    });
+
+    it('should report missing and edited tracked files', async () => {
+      mockDependencies.checkFileChanges.mockResolvedValue([
+        { path: '.ai/rules/drupal.md', originalHash: 'hash1', currentHash: null },
+        { path: '.ai/rules/php.md', originalHash: 'hash3', currentHash: 'new' }
+      ]);
+
+      const problems = await collectDoctorProblems(
+        currentConfig,
+        {},
+        {},
+        mockDependencies
+      );
+
+      expect(problems.map((p) => p.type)).toEqual([
+        'missing-file',
+        'modified-file'
+      ]);
+      expect(problems[0].path).toBe('.ai/rules/drupal.md');
+      expect(problems[0].hint).toContain('rollback');
+      expect(problems[1].hint).toContain('"lullabot-project update" keeps your edits');
+      expect(problems[1].hint).not.toContain('--force');
+    });
+
+    it('should not report edits to AGENTS.md as modified files', async () => {
+      mockDependencies.checkFileChanges.mockResolvedValue([
+        { path: 'AGENTS.md', originalHash: 'hash2', currentHash: 'edited' }
+      ]);
+
+      const problems = await collectDoctorProblems(
+        currentConfig,
+        {},
+        {},
+        mockDependencies
+      );
+
+      expect(problems).toEqual([]);
+    });
+
+    it('should report task preferences that no longer exist', async () => {
+      currentConfig.features.taskPreferences['old-task'] = true;
+
+      const problems = await collectDoctorProblems(
+        currentConfig,
+        {},
+        {},
+        mockDependencies
+      );
+
+      expect(problems).toHaveLength(1);
+      expect(problems[0].type).toBe('unknown-task');
+      expect(problems[0].taskId).toBe('old-task');
+    });
+
+    it('should report package-install tasks whose version command fails', async () => {
+      mockDependencies.getPackageVersion.mockResolvedValue({
+        name: '@e0ipso/ai-task-manager',
+        version: 'unknown',
+        error: 'Command failed'
+      });
+
+      const problems = await collectDoctorProblems(
+        currentConfig,
+        {},
+        {},
+        mockDependencies
+      );
+
+      expect(problems).toHaveLength(1);
+      expect(problems[0].type).toBe('package-version');
+      expect(problems[0].hint).toContain('npx @e0ipso/ai-task-manager init');
+    });
+
+    it('should skip version checks for disabled package-install tasks', async () => {
+      currentConfig.features.taskPreferences['ai-task-manager'] = false;
+
+      await collectDoctorProblems(currentConfig, {}, {}, mockDependencies);
+
+      expect(mockDependencies.getPackageVersion).not.toHaveBeenCalled();
+    });
+
+    it('should report AGENTS.md files without a managed section', async () => {
+      mockDependencies.fs.readFile.mockResolvedValue('# My agents file');
+
+      const problems = await collectDoctorProblems(
+        currentConfig,
+        {},
+        {},
+        mockDependencies
+      );
+
+      expect(problems).toHaveLength(1);
+      expect(problems[0].type).toBe('agents-md-section');
+      expect(problems[0].path).toBe('AGENTS.md');
+    });
+
+    it('should report an unknown tool once instead of throwing', async () => {
+      mockDependencies.getTasks.mockRejectedValue(
+        new Error('Tool configuration not found for: claude')
+      );
+
+      const problems = await collectDoctorProblems(
+        currentConfig,
+        {},
+        {},
+        mockDependencies
+      );
+
+      // The saved preferences aren't reported as unknown tasks as well
+      expect(problems).toHaveLength(1);
+      expect(problems[0].type).toBe('unknown-tool');
+      expect(mockDependencies.getPackageVersion).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('diagnoseSetup', () => {
+    it('should report a missing configuration file', async () => {
+      mockDependencies.readConfigFile.mockResolvedValue(null);
+
+      const report = await diagnoseSetup({}, mockDependencies);
+
+      expect(report.healthy).toBe(false);
+      expect(report.problems[0].type).toBe('missing-config');
+      expect(mockDependencies.loadConfig).not.toHaveBeenCalled();
+    });
+
+    it('should print a fix hint for each problem', async () => {
+      mockDependencies.checkFileChanges.mockResolvedValue([
+        { path: '.ai/rules/drupal.md', originalHash: 'hash1', currentHash: null }
+      ]);
+
+      await diagnoseSetup({}, mockDependencies);
+
+      const output = mockDependencies.logFn.mock.calls.flat().join('\n');
+      expect(output).toContain('Tracked file is missing: .ai/rules/drupal.md');
+      expect(output).toContain('💡 Run "lullabot-project update --force"');
+      expect(output).toContain('Found 1 problem(s).');
+    });
+
+    it('should output the report as JSON', async () => {
+      const report = await diagnoseSetup({ json: true }, mockDependencies);
+
+      expect(report.healthy).toBe(true);
+      expect(mockDependencies.logFn).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(mockDependencies.logFn.mock.calls[0][0])).toEqual({
+        healthy: true,
+        problems: []
+      });
+    });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Unit tests for enabling individual tasks in an existing setup.
+ * Tests running only the given tasks, tracking their files, AGENTS.md
+ * references and failed tasks.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import yaml from 'js-yaml';
+import { enableTasks } from '../../src/cli.js';
+import {
+  createConfigFile,
+  readConfigFile,
+  saveBaseContent
+} from '../../src/file-operations.js';
+
+const chalk = new Proxy({}, { get: () => (text) => text });
+
+const tasks = {
+  rules: { name: 'Rules', type: 'copy-files', target: '.ai/' },
+  'vscode-xdebug': {
+    name: 'VSCode XDebug',
+    type: 'copy-files',
+    target: '.vscode/'
+  },
+  'project-agents': {
+    name: 'Project Agents',
+    type: 'copy-files',
+    target: '.ai/'
+  }
+};
+
+describe('Enable Task', () => {
+  let testDir;
+  let originalCwd;
+  let logFn;
+  let executeTask;
+
+  const dependencies = () => ({
+    readConfigFile,
+    createConfigFile,
+    saveBaseContent,
+    loadConfig: jest.fn().mockResolvedValue({ shared_tasks: {} }),
+    getTasks: jest.fn().mockResolvedValue(tasks),
+    executeTask,
+    fs,
+    path,
+    chalk,
+    logFn
+  });
+
+  beforeEach(async () => {
+    originalCwd = process.cwd();
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'enable-task-'));
+    process.chdir(testDir);
+    logFn = jest.fn();
+
+    executeTask = jest.fn(async (task) => {
+      const filePath =
+        task.target === '.vscode/' ? '.vscode/launch.json' : '.ai/agents.md';
+      await fs.outputFile(filePath, `${task.name} content`);
+      return { files: [{ path: filePath, originalHash: 'new' }] };
+    });
+
+    await fs.outputFile('.ai/rules.md', 'rules');
+    await fs.outputFile('.lullabot-project/base/.ai/rules.md', 'rules');
+    await fs.writeFile(
+      'AGENTS.md',
+      '<!-- Lullabot Project Start -->\n- [.ai/rules.md](.ai/rules.md)\n<!-- Lullabot Project End -->'
+    );
+    await fs.writeFile(
+      '.lullabot-project.yml',
+      yaml.dump({
+        project: { type: 'development', tool: 'claude' },
+        features: {
+          taskPreferences: {
+            rules: true,
+            'vscode-xdebug': false,
+            'project-agents': false
+          }
+        },
+        installation: { created: '2026-01-01T00:00:00.000Z' },
+        files: [
+          { path: '.ai/rules.md', originalHash: 'rules', task: 'rules' },
+          { path: 'AGENTS.md', originalHash: 'agents', task: 'agents-md' }
+        ]
+      })
+    );
+  });
+
+  afterEach(async () => {
+    process.chdir(originalCwd);
+    await fs.remove(testDir);
+  });
+
+  it('should run only the given task and add its files', async () => {
+    await enableTasks('vscode-xdebug', {}, dependencies());
+
+    expect(executeTask).toHaveBeenCalledTimes(1);
+    expect(executeTask.mock.calls[0][0]).toBe(tasks['vscode-xdebug']);
+
+    const config = await readConfigFile();
+    expect(config.features.taskPreferences['vscode-xdebug']).toBe(true);
+    expect(config.files).toEqual([
+      { path: '.ai/rules.md', originalHash: 'rules', task: 'rules' },
+      { path: 'AGENTS.md', originalHash: 'agents', task: 'agents-md' },
+      {
+        path: '.vscode/launch.json',
+        originalHash: 'new',
+        tasks: ['vscode-xdebug']
+      }
+    ]);
+    expect(
+      await fs.pathExists('.lullabot-project/base/.vscode/launch.json')
+    ).toBe(true);
+    expect(await fs.pathExists('.lullabot-project/base/.ai/rules.md')).toBe(
+      true
+    );
+    expect(logFn).toHaveBeenCalledWith('  • .vscode/launch.json');
+  });
+
+  it('should reference new .ai/ files in AGENTS.md', async () => {
+    await enableTasks('project-agents', {}, dependencies());
+
+    const agentsMd = await fs.readFile('AGENTS.md', 'utf8');
+    expect(agentsMd).toContain('- [.ai/rules.md](.ai/rules.md)');
+    expect(agentsMd).toContain('- [.ai/agents.md](.ai/agents.md)');
+
+    const config = await readConfigFile();
+    expect(
+      config.files.find((file) => file.path === 'AGENTS.md').originalHash
+    ).toMatch(/^[a-f0-9]{64}$/);
+  });
+
+  it('should track every task that writes the same file', async () => {
+    executeTask = jest.fn(async () => ({
+      files: [{ path: '.ai/rules.md', originalHash: 'agents' }]
+    }));
+
+    await enableTasks('project-agents', {}, dependencies());
+
+    const config = await readConfigFile();
+    expect(config.files[0]).toEqual({
+      path: '.ai/rules.md',
+      originalHash: 'agents',
+      tasks: ['rules', 'project-agents']
+    });
+  });
+
+  it('should leave a failing task disabled', async () => {
+    executeTask.mockRejectedValue(new Error('source not found'));
+
+    await enableTasks('vscode-xdebug', {}, dependencies());
+
+    const config = await readConfigFile();
+    expect(config.features.taskPreferences['vscode-xdebug']).toBe(false);
+    expect(config.files).toHaveLength(2);
+    expect(logFn).toHaveBeenCalledWith(
+      '  • VSCode XDebug: source not found'
+    );
+  });
+
+  it('should reject tasks that are not available', async () => {
+    await expect(
+      enableTasks('memory-bank', {}, dependencies())
+    ).rejects.toThrow(
+      'Unknown task: memory-bank. Available tasks: rules, vscode-xdebug, project-agents'
+    );
+  });
+
+  it('should not run anything in a dry run', async () => {
+    await enableTasks('vscode-xdebug', { dryRun: true }, dependencies());
+
+    expect(executeTask).not.toHaveBeenCalled();
+    expect(logFn).toHaveBeenCalledWith('• VSCode XDebug (vscode-xdebug)');
+  });
+});
@@ -230,6 +230,70 @@ This is the actual content we want to keep.`;
       expect(filteredContent).not.toContain('title: "Test Document"');
     });
 
+    test('should write Cursor rules with the .mdc extension', async () => {
+      const sourceDir = path.join(testDir, 'test-source');
+      await fs.ensureDir(sourceDir);
+      await fs.writeFile(
+        path.join(sourceDir, 'drupal.md'),
+        `---
+description: "Drupal standards"
+globs: "**/*.php"
+---
+
+# Drupal`
+      );
+
+      const task = {
+        type: 'copy-files',
+        source: sourceDir,
+        target: path.join(testDir, 'test-target'),
+        filters: [{ type: 'cursor-rule' }]
+      };
+
+      await fileOperations.executeTask(task, 'cursor', 'drupal', false, {});
+
+      const targetDir = path.join(testDir, 'test-target');
+      expect(await fs.readdir(targetDir)).toEqual(['drupal.mdc']);
+      expect(await fs.readFile(path.join(targetDir, 'drupal.mdc'), 'utf8')).toBe(
+        `---
+description: Drupal standards
+globs: **/*.php
+alwaysApply: false
+---
+# Drupal`
+      );
+    });
+
+    test('should only write Copilot instructions for tagged rules', async () => {
+      const sourceDir = path.join(testDir, 'test-source');
+      await fs.ensureDir(sourceDir);
+      await fs.writeFile(
+        path.join(sourceDir, 'twig.md'),
+        '---\nglobs: "**/*.twig"\n---\n# Twig'
+      );
+      await fs.writeFile(path.join(sourceDir, 'general.md'), '# General');
+
+      const task = {
+        type: 'copy-files',
+        source: sourceDir,
+        target: path.join(testDir, 'test-target'),
+        filters: [{ type: 'copilot-instructions' }]
+      };
+
+      const result = await fileOperations.executeTask(
+        task,
+        'github-copilot',
+        'drupal',
+        false,
+        {}
+      );
+
+      expect(result.files).toHaveLength(1);
+      expect(await fs.readdir(path.join(testDir, 'test-target'))).toEqual([
+        'twig.instructions.md'
+      ]);
+    });
+
     test('should handle filter validation errors', async () => {
       // Create test source directory
       const sourceDir = path.join(testDir, 'test-source');
@@ -342,7 +342,7 @@ describe('Git Operations - Remote Repository Functions', () => {
   });
 
   describe('cleanupAllClones', () => {
-    it('should clean up all cached repositories', async () => {
+    it('should keep cached repositories for later runs', async () => {
       const repository = {
         url: 'https://github.com/Lullabot/prompt_library',
         type: 'branch',
@@ -356,8 +356,8 @@ describe('Git Operations - Remote Repository Functions', () => {
       // Clean up
       await cleanupAllClones();
 
-      // Verify directory was removed
-      expect(await fs.pathExists(tempDir)).toBe(false);
+      // Verify the clone stays in the persistent cache
+      expect(await fs.pathExists(tempDir)).toBe(true);
     }, 60000);
 
     it('should handle cleanup when no repositories are cached', async () => {
@@ -0,0 +1,210 @@
+/**
+ * Unit tests for the gitignore task type.
+ * Tests writing the managed block, refreshing it in place, and stripping it
+ * on remove without touching the user's own entries.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import {
+  execute,
+  getGitignoreEntries
+} from '../../src/task-types/gitignore.js';
+import { revertManagedBlock } from '../../src/utils/managed-block.js';
+import { validateTaskConfig } from '../../src/validation.js';
+
+const USER_GITIGNORE = `node_modules/
+.env
+`;
+
+const trackedFiles = [
+  { path: '.claude/rules/drupal.md', task: 'rules' },
+  { path: 'CLAUDE.md', task: 'wrapper' },
+  { path: '.gitignore', task: 'gitignore' }
+];
+
+describe('Gitignore Task Type', () => {
+  let testDir;
+  let originalCwd;
+
+  beforeEach(async () => {
+    originalCwd = process.cwd();
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gitignore-'));
+    process.chdir(testDir);
+  });
+
+  afterEach(async () => {
+    process.chdir(originalCwd);
+    await fs.remove(testDir);
+  });
+
+  describe('getGitignoreEntries', () => {
+    it('should replace placeholders in entries', () => {
+      expect(
+        getGitignoreEntries(
+          { entries: ['.{tool}/settings.local.json', '{project-type}.log'] },
+          'claude',
+          'drupal'
+        )
+      ).toEqual(['.claude/settings.local.json', 'drupal.log']);
+    });
+
+    it('should anchor the files of all tracked tasks except .gitignore', () => {
+      expect(
+        getGitignoreEntries(
+          { 'tracked-files': true },
+          'claude',
+          null,
+          trackedFiles
+        )
+      ).toEqual(['/.claude/rules/drupal.md', '/CLAUDE.md']);
+    });
+
+    it('should limit tracked files to the listed tasks and skip duplicates', () => {
+      expect(
+        getGitignoreEntries(
+          { entries: ['/CLAUDE.md'], 'tracked-files': ['wrapper'] },
+          'claude',
+          null,
+          trackedFiles
+        )
+      ).toEqual(['/CLAUDE.md']);
+    });
+  });
+
+  describe('execute', () => {
+    it('should append the block after the user entries', async () => {
+      await fs.writeFile('.gitignore', USER_GITIGNORE);
+
+      const result = await execute(
+        { type: 'gitignore', entries: ['.claude/'] },
+        'claude',
+        null,
+        false,
+        {}
+      );
+
+      expect(await fs.readFile('.gitignore', 'utf8')).toBe(
+        `${USER_GITIGNORE}
+# Lullabot Project Start
+# Managed by lullabot-project, changes here are replaced on update
+.claude/
+# Lullabot Project End
+`
+      );
+      expect(result.files).toEqual([
+        { path: '.gitignore', managedBlock: true, preExisting: true }
+      ]);
+    });
+
+    it('should replace the block in place on update', async () => {
+      await fs.writeFile('.gitignore', USER_GITIGNORE);
+      const [first] = (
+        await execute(
+          { type: 'gitignore', entries: ['.claude/'] },
+          'claude',
+          null,
+          false,
+          {}
+        )
+      ).files;
+      await fs.appendFile('.gitignore', 'dist/\n');
+
+      const [second] = (
+        await execute(
+          { type: 'gitignore', entries: ['.cursor/'] },
+          'cursor',
+          null,
+          false,
+          { previousFiles: [first] }
+        )
+      ).files;
+
+      const content = await fs.readFile('.gitignore', 'utf8');
+      expect(content).toContain('.cursor/\n# Lullabot Project End\ndist/\n');
+      expect(content).not.toContain('.claude/');
+      expect(content.match(/# Lullabot Project Start/g)).toHaveLength(1);
+      expect(second.preExisting).toBe(true);
+    });
+
+    it('should list files tracked by earlier tasks', async () => {
+      await execute(
+        { type: 'gitignore', 'tracked-files': true },
+        'claude',
+        null,
+        false,
+        { config: { files: trackedFiles } }
+      );
+
+      expect(await fs.readFile('.gitignore', 'utf8')).toContain(
+        '/.claude/rules/drupal.md\n/CLAUDE.md\n'
+      );
+    });
+  });
+
+  describe('revertManagedBlock', () => {
+    it('should strip the block and keep the user entries', async () => {
+      await fs.writeFile('.gitignore', USER_GITIGNORE);
+      const [fileInfo] = (
+        await execute(
+          { type: 'gitignore', entries: ['.claude/'] },
+          'claude',
+          null,
+          false,
+          {}
+        )
+      ).files;
+
+      expect(await revertManagedBlock(fileInfo)).toBe('reverted');
+      expect(await fs.readFile('.gitignore', 'utf8')).toBe(USER_GITIGNORE);
+    });
+
+    it('should delete a .gitignore the task created', async () => {
+      const [fileInfo] = (
+        await execute(
+          { type: 'gitignore', entries: ['.claude/'] },
+          'claude',
+          null,
+          false,
+          {}
+        )
+      ).files;
+      expect(fileInfo.preExisting).toBeUndefined();
+
+      expect(await revertManagedBlock(fileInfo)).toBe('removed');
+      expect(await fs.pathExists('.gitignore')).toBe(false);
+    });
+
+    it('should keep a created .gitignore the user added entries to', async () => {
+      const [fileInfo] = (
+        await execute(
+          { type: 'gitignore', entries: ['.claude/'] },
+          'claude',
+          null,
+          false,
+          {}
+        )
+      ).files;
+      await fs.appendFile('.gitignore', 'dist/\n');
+
+      expect(await revertManagedBlock(fileInfo)).toBe('reverted');
+      expect(await fs.readFile('.gitignore', 'utf8')).toBe('dist/\n');
+    });
+  });
+
+  it('should validate the entries and tracked-files options', () => {
+    expect(() =>
+      validateTaskConfig({ type: 'gitignore', 'tracked-files': ['rules'] })
+    ).not.toThrow();
+    expect(() => validateTaskConfig({ type: 'gitignore' })).toThrow(
+      'Gitignore task requires entries or tracked-files'
+    );
+    expect(() =>
+      validateTaskConfig({ type: 'gitignore', entries: '.claude/' })
+    ).toThrow('Gitignore task entries must be a list of paths');
+    expect(() =>
+      validateTaskConfig({ type: 'gitignore', 'tracked-files': 'rules' })
+    ).toThrow('Gitignore task tracked-files must be true or a list of task IDs');
+  });
+});
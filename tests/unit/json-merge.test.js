@@ -0,0 +1,394 @@
+/**
+ * Unit tests for the json-merge task type.
+ * Tests JSONC parsing, deep merging with recorded additions, merging into
+ * existing files and removing only the merged keys.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import yaml from 'js-yaml';
+import { parseJsonc, stringifyJson } from '../../src/utils/jsonc.js';
+import { mergeData, unmergeData } from '../../src/utils/deep-merge.js';
+import { execute } from '../../src/task-types/json-merge.js';
+import { removeTasks } from '../../src/cli.js';
+import {
+  calculateFileHash,
+  createConfigFile,
+  readConfigFile,
+  trackInstalledFile
+} from '../../src/file-operations.js';
+import { validateTaskConfig } from '../../src/validation.js';
+
+const chalk = new Proxy({}, { get: () => (text) => text });
+
+const USER_LAUNCH_JSON = `{
+  // Debug configurations
+  "version": "0.2.0",
+  "configurations": [
+    {
+      "name": "Run tests", /* added by hand */
+      "type": "node",
+      "url": "http://localhost//path",
+    },
+  ],
+}
+`;
+
+const readLaunchJson = async () =>
+  parseJsonc(await fs.readFile('.vscode/launch.json', 'utf8'));
+
+const task = {
+  type: 'json-merge',
+  source: 'assets/vscode/launch.json',
+  target: '.vscode/launch.json',
+  arrays: 'merge',
+  'merge-key': 'name'
+};
+
+describe('JSON Merge Task Type', () => {
+  describe('parseJsonc', () => {
+    it('should ignore comments and trailing commas outside strings', () => {
+      expect(parseJsonc(USER_LAUNCH_JSON)).toEqual({
+        version: '0.2.0',
+        configurations: [
+          {
+            name: 'Run tests',
+            type: 'node',
+            url: 'http://localhost//path'
+          }
+        ]
+      });
+      expect(parseJsonc('{"a": "x, }", "b": "/* not a comment */"}')).toEqual({
+        a: 'x, }',
+        b: '/* not a comment */'
+      });
+      expect(parseJsonc('')).toEqual({});
+    });
+
+    it('should name the file when the JSON is invalid', () => {
+      expect(() => parseJsonc('{"a": }', 'settings.json')).toThrow(
+        /^Invalid JSON in settings\.json:/
+      );
+    });
+
+    it('should keep the indentation of the existing file', () => {
+      expect(stringifyJson({ a: 1 }, '{\n    "b": 2\n}')).toBe(
+        '{\n    "a": 1\n}\n'
+      );
+      expect(stringifyJson({ a: 1 })).toBe('{\n  "a": 1\n}\n');
+    });
+  });
+
+  describe('mergeData', () => {
+    const data = {
+      editor: { tabSize: 4 },
+      list: ['a'],
+      items: [{ name: 'one', value: 1 }]
+    };
+
+    it('should add missing keys and keep the user values', () => {
+      const { result, added } = mergeData(data, {
+        editor: { tabSize: 2, rulers: [80] },
+        files: { eol: '\n' }
+      });
+
+      expect(result.editor).toEqual({ tabSize: 4, rulers: [80] });
+      expect(result.files).toEqual({ eol: '\n' });
+      expect(added).toEqual([
+        { path: ['editor', 'rulers'] },
+        { path: ['files'] }
+      ]);
+      expect(data.editor).toEqual({ tabSize: 4 });
+    });
+
+    it('should append, replace or merge arrays by key', () => {
+      const fragment = {
+        list: ['a', 'b'],
+        items: [
+          { name: 'one', value: 2, extra: true },
+          { name: 'two', value: 3 }
+        ]
+      };
+
+      expect(mergeData(data, fragment, { arrays: 'append' }).result.list).toEqual(
+        ['a', 'b']
+      );
+      expect(
+        mergeData(data, fragment, { arrays: 'replace' }).added
+      ).toEqual([
+        { path: ['list'], previous: ['a'] },
+        { path: ['items'], previous: [{ name: 'one', value: 1 }] }
+      ]);
+
+      const { result, added } = mergeData(data, fragment, {
+        arrays: 'merge',
+        key: 'name'
+      });
+      expect(result.items).toEqual([
+        { name: 'one', value: 1, extra: true },
+        { name: 'two', value: 3 }
+      ]);
+      expect(added).toEqual([
+        { path: ['list'], item: 'b' },
+        { path: ['items', { name: 'one' }, 'extra'] },
+        { path: ['items', { name: 'two' }] }
+      ]);
+    });
+
+    it('should take out exactly the recorded additions', () => {
+      for (const arrays of ['append', 'replace', 'merge']) {
+        const { result, added } = mergeData(
+          data,
+          {
+            editor: { rulers: [80] },
+            list: ['b'],
+            items: [{ name: 'one', extra: true }, { name: 'two' }]
+          },
+          { arrays }
+        );
+        result.editor.fontSize = 14;
+
+        expect(unmergeData(result, added)).toEqual({
+          ...data,
+          editor: { tabSize: 4, fontSize: 14 }
+        });
+      }
+    });
+  });
+
+  describe('execute', () => {
+    let testDir;
+    let originalCwd;
+
+    const dependencies = (extra = {}) => ({
+      offline: true,
+      crypto,
+      fs,
+      calculateFileHash,
+      trackInstalledFile,
+      ...extra
+    });
+
+    beforeEach(async () => {
+      originalCwd = process.cwd();
+      testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-merge-'));
+      process.chdir(testDir);
+    });
+
+    afterEach(async () => {
+      process.chdir(originalCwd);
+      await fs.remove(testDir);
+    });
+
+    it('should create the file and track the added keys', async () => {
+      const result = await execute(task, 'vscode', null, false, dependencies());
+
+      const launch = await readLaunchJson();
+      expect(launch.configurations[0].name).toBe('Listen for XDebug');
+      expect(result.files).toEqual([
+        {
+          path: path.join('.vscode', 'launch.json'),
+          originalHash: expect.any(String),
+          merged: [{ path: ['version'] }, { path: ['configurations'] }]
+        }
+      ]);
+    });
+
+    it('should merge into existing configurations without replacing them', async () => {
+      await fs.outputFile('.vscode/launch.json', USER_LAUNCH_JSON);
+
+      const result = await execute(task, 'vscode', null, false, dependencies());
+
+      const launch = await readLaunchJson();
+      expect(launch.configurations.map(({ name }) => name)).toEqual([
+        'Run tests',
+        'Listen for XDebug'
+      ]);
+      expect(result.files[0]).toMatchObject({
+        preExisting: true,
+        merged: [
+          { path: ['configurations', { name: 'Listen for XDebug' }] }
+        ]
+      });
+    });
+
+    it('should keep the comments and formatting of the existing file', async () => {
+      const userLaunch = `{
+  // My configs
+  "version": "0.2.0",
+  "configurations": [
+    {
+      "name": "Run tests", // Jest
+      "type": "node"
+    }
+  ]
+}
+`;
+      await fs.outputFile('.vscode/launch.json', userLaunch);
+
+      const [fileInfo] = (
+        await execute(task, 'vscode', null, false, dependencies())
+      ).files;
+
+      const content = await fs.readFile('.vscode/launch.json', 'utf8');
+      expect(content).toContain('  // My configs\n  "version": "0.2.0",');
+      expect(content).toContain(
+        '      "name": "Run tests", // Jest\n      "type": "node"\n    },\n    {\n      "name": "Listen for XDebug",'
+      );
+      expect((await readLaunchJson()).configurations).toHaveLength(2);
+
+      // Updating again refreshes the configuration in place
+      await execute(
+        task,
+        'vscode',
+        null,
+        false,
+        dependencies({ previousFiles: [fileInfo] })
+      );
+      expect(await fs.readFile('.vscode/launch.json', 'utf8')).toBe(content);
+    });
+
+    it('should refresh its own keys and leave unchanged files alone', async () => {
+      await fs.outputFile('.vscode/launch.json', USER_LAUNCH_JSON);
+      const [first] = (
+        await execute(task, 'vscode', null, false, dependencies())
+      ).files;
+
+      // The user edits the added configuration, then updates
+      const launch = await readLaunchJson();
+      launch.configurations[1].port = 9000;
+      await fs.writeJson('.vscode/launch.json', launch, { spaces: 2 });
+
+      const [second] = (
+        await execute(
+          task,
+          'vscode',
+          null,
+          false,
+          dependencies({ previousFiles: [first] })
+        )
+      ).files;
+
+      const updated = await readLaunchJson();
+      expect(updated.configurations).toHaveLength(2);
+      expect(updated.configurations[1].port).toBe(9003);
+      expect(second.merged).toEqual(first.merged);
+      expect(second.preExisting).toBe(true);
+
+      const content = await fs.readFile('.vscode/launch.json', 'utf8');
+      await execute(
+        task,
+        'vscode',
+        null,
+        false,
+        dependencies({ previousFiles: [second] })
+      );
+      expect(await fs.readFile('.vscode/launch.json', 'utf8')).toBe(content);
+    });
+
+    it('should reject files that are not JSON objects', async () => {
+      await fs.outputFile('.vscode/launch.json', '[1, 2]');
+
+      await expect(
+        execute(task, 'vscode', null, false, dependencies())
+      ).rejects.toThrow('.vscode/launch.json must contain a JSON object');
+    });
+
+    it('should validate the task configuration', () => {
+      expect(() => validateTaskConfig(task)).not.toThrow();
+      expect(() =>
+        validateTaskConfig({ ...task, arrays: 'concat' })
+      ).toThrow(
+        'Invalid arrays strategy in json-merge task: concat. Use one of: append, replace, merge'
+      );
+      expect(() =>
+        validateTaskConfig({ type: 'json-merge', source: 'a.json' })
+      ).toThrow('JSON merge task requires source and target');
+    });
+  });
+
+  describe('remove', () => {
+    let testDir;
+    let originalCwd;
+    let logFn;
+
+    const dependencies = () => ({
+      readConfigFile,
+      createConfigFile,
+      fs,
+      path,
+      chalk,
+      logFn
+    });
+
+    const installProject = async (fileInfo) => {
+      await fs.writeFile(
+        '.lullabot-project.yml',
+        yaml.dump({
+          project: { type: 'development', tool: 'vscode' },
+          features: { taskPreferences: { 'vscode-xdebug': true } },
+          installation: { created: '2026-01-01T00:00:00.000Z' },
+          files: [{ ...fileInfo, task: 'vscode-xdebug' }]
+        })
+      );
+    };
+
+    beforeEach(async () => {
+      originalCwd = process.cwd();
+      testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-merge-remove-'));
+      process.chdir(testDir);
+      logFn = jest.fn();
+    });
+
+    afterEach(async () => {
+      process.chdir(originalCwd);
+      await fs.remove(testDir);
+    });
+
+    it('should strip only the merged keys from existing files', async () => {
+      await fs.outputFile('.vscode/launch.json', USER_LAUNCH_JSON);
+      const [fileInfo] = (
+        await execute(task, 'vscode', null, false, {
+          offline: true,
+          crypto,
+          fs,
+          calculateFileHash,
+          trackInstalledFile
+        })
+      ).files;
+      await installProject(fileInfo);
+
+      await removeTasks('vscode-xdebug', { force: true }, dependencies());
+
+      expect(await fs.readFile('.vscode/launch.json', 'utf8')).toBe(
+        USER_LAUNCH_JSON
+      );
+      expect((await readConfigFile()).files).toEqual([]);
+    });
+
+    it('should delete files it created once they are empty again', async () => {
+      const [fileInfo] = (
+        await execute(task, 'vscode', null, false, { offline: true })
+      ).files;
+      await installProject(fileInfo);
+
+      await removeTasks('vscode-xdebug', { force: true }, dependencies());
+
+      expect(await fs.pathExists('.vscode/launch.json')).toBe(false);
+    });
+
+    it('should list merged files as reverted in the dry run', async () => {
+      await installProject({
+        path: '.vscode/settings.json',
+        preExisting: true,
+        merged: [{ path: ['editor.tabSize'] }]
+      });
+
+      await removeTasks('vscode-xdebug', { dryRun: true }, dependencies());
+
+      expect(logFn).toHaveBeenCalledWith('  - .vscode/settings.json (reverted)');
+    });
+  });
+});
@@ -0,0 +1,564 @@
+/**
+ * Unit tests for the remote source lock file.
+ * Tests lock file helpers, lock handling during update and commit pinning
+ * of remote-copy-files tasks against a local git repository.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import { execSync } from 'child_process';
+import yaml from 'js-yaml';
+import {
+  LOCK_FILE_NAME,
+  readLockFile,
+  writeLockFile,
+  createLockState,
+  findLockEntry,
+  getLockedEntry,
+  recordLockEntry,
+  buildLock,
+  removeLockEntries,
+  diffLockEntries
+} from '../../src/lockfile.js';
+import {
+  loadLockState,
+  saveLockState,
+  displayLockChanges,
+  updateSetup,
+  removeTasks
+} from '../../src/cli.js';
+import {
+  createConfigFile,
+  readConfigFile
+} from '../../src/file-operations.js';
+import { execute as executeRemoteCopyFiles } from '../../src/task-types/remote-copy-files.js';
+import {
+  cleanupAllClones,
+  getRemoteCommit
+} from '../../src/git-operations.js';
+
+const entry = (overrides = {}) => ({
+  repository: 'https://github.com/Lullabot/prompt_library',
+  ref: 'main',
+  commit: 'a'.repeat(40),
+  source: 'development/rules/',
+  target: '.ai/rules',
+  files: { '.ai/rules/drupal.md': 'hash-1' },
+  ...overrides
+});
+
+describe('Lock File', () => {
+  let testDir;
+  let originalCwd;
+
+  beforeEach(async () => {
+    originalCwd = process.cwd();
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lockfile-'));
+    process.chdir(testDir);
+  });
+
+  afterEach(async () => {
+    process.chdir(originalCwd);
+    await fs.remove(testDir);
+  });
+
+  describe('readLockFile and writeLockFile', () => {
+    it('should return null when there is no lock file', async () => {
+      expect(await readLockFile()).toBeNull();
+    });
+
+    it('should round-trip lock entries', async () => {
+      await writeLockFile({ sources: [entry()] });
+
+      expect(await fs.pathExists(LOCK_FILE_NAME)).toBe(true);
+      expect(await readLockFile()).toEqual({
+        version: 1,
+        sources: [entry()]
+      });
+    });
+
+    it('should throw a descriptive error for an unreadable lock file', async () => {
+      await fs.writeFile(LOCK_FILE_NAME, 'sources: [unclosed');
+
+      await expect(readLockFile()).rejects.toThrow('Failed to read lock file');
+    });
+  });
+
+  describe('lock state', () => {
+    it('should find entries by repository and source', () => {
+      const sources = [entry(), entry({ source: 'development/agents/' })];
+
+      expect(
+        findLockEntry(sources, entry().repository, 'development/agents/')
+      ).toBe(sources[1]);
+      expect(findLockEntry(sources, 'https://example.com/x', 'a/')).toBeNull();
+    });
+
+    it('should replace resolved entries and carry forward unresolved ones', () => {
+      const locked = entry({ source: 'development/agents/' });
+      const lockState = createLockState({ sources: [entry(), locked] });
+
+      recordLockEntry(lockState, entry({ commit: 'b'.repeat(40) }));
+      recordLockEntry(lockState, entry({ commit: 'c'.repeat(40) }));
+
+      expect(buildLock(lockState).sources).toEqual([
+        entry({ commit: 'c'.repeat(40) }),
+        locked
+      ]);
+    });
+
+    it('should only carry forward entries of enabled tasks when refreshing', () => {
+      const rules = entry({ task: 'rules' });
+      const agents = entry({ source: 'development/agents/', task: 'agents' });
+
+      expect(
+        buildLock(createLockState({ sources: [rules, agents] }), ['rules'])
+          .sources
+      ).toEqual([rules, agents]);
+      expect(
+        buildLock(
+          createLockState({ sources: [rules, agents] }, { refresh: true }),
+          ['rules']
+        ).sources
+      ).toEqual([rules]);
+    });
+
+    it('should remove the entries of tasks', () => {
+      const rules = entry({ task: 'rules' });
+      const agents = entry({ source: 'development/agents/', task: 'agents' });
+      const legacy = entry({ source: 'development/legacy/' });
+
+      expect(
+        removeLockEntries({ version: 1, sources: [rules, agents, legacy] }, [
+          'agents'
+        ])
+      ).toEqual({ version: 1, sources: [rules, legacy] });
+    });
+
+    it('should keep separate entries for tasks sharing a source', () => {
+      const rules = entry();
+      const cursorRules = entry({
+        target: '.cursor/rules',
+        files: { '.cursor/rules/drupal.mdc': 'hash-2' }
+      });
+      const lockState = createLockState({ sources: [rules, cursorRules] });
+
+      expect(
+        getLockedEntry(
+          lockState,
+          rules.repository,
+          'development/rules/',
+          '.cursor/rules'
+        )
+      ).toBe(cursorRules);
+
+      recordLockEntry(lockState, entry({ commit: 'b'.repeat(40) }));
+      recordLockEntry(
+        lockState,
+        entry({ ...cursorRules, commit: 'b'.repeat(40) })
+      );
+
+      const sources = buildLock(lockState).sources;
+      expect(sources).toHaveLength(2);
+      expect(sources.map(({ target }) => target)).toEqual([
+        '.ai/rules',
+        '.cursor/rules'
+      ]);
+      expect(
+        diffLockEntries([rules, cursorRules], sources).map(
+          ({ target }) => target
+        )
+      ).toEqual(['.ai/rules', '.cursor/rules']);
+    });
+
+    it('should list added, changed and removed files per source', () => {
+      const previous = [
+        entry({
+          files: { 'a.md': 'h1', 'b.md': 'h2', 'c.md': 'h3' }
+        })
+      ];
+      const current = [
+        entry({
+          commit: 'b'.repeat(40),
+          files: { 'a.md': 'h1', 'b.md': 'changed', 'd.md': 'h4' }
+        }),
+        entry({ source: 'new/', files: { 'e.md': 'h5' } })
+      ];
+
+      expect(diffLockEntries(previous, current)).toEqual([
+        {
+          repository: entry().repository,
+          source: 'development/rules/',
+          target: '.ai/rules',
+          previousCommit: 'a'.repeat(40),
+          commit: 'b'.repeat(40),
+          added: ['d.md'],
+          removed: ['c.md'],
+          changed: ['b.md']
+        },
+        {
+          repository: entry().repository,
+          source: 'new/',
+          target: '.ai/rules',
+          previousCommit: null,
+          commit: 'a'.repeat(40),
+          added: ['e.md'],
+          removed: [],
+          changed: []
+        }
+      ]);
+    });
+
+    it('should not report unchanged sources', () => {
+      expect(diffLockEntries([entry()], [entry()])).toEqual([]);
+    });
+  });
+
+  describe('loadLockState and saveLockState', () => {
+    it('should not load lock state without lock file support', async () => {
+      expect(await loadLockState({}, {})).toBeNull();
+    });
+
+    it('should honour the refresh option', async () => {
+      const dependencies = {
+        readLockFile: jest.fn().mockResolvedValue({ sources: [entry()] })
+      };
+
+      const lockState = await loadLockState(
+        { refreshLock: true },
+        dependencies
+      );
+
+      expect(lockState.refresh).toBe(true);
+      expect(lockState.sources).toEqual([entry()]);
+    });
+
+    it('should not write a lock file when no remote sources were used', async () => {
+      const writeLockFile = jest.fn();
+
+      const changes = await saveLockState(createLockState(null), {
+        writeLockFile
+      });
+
+      expect(changes).toBeNull();
+      expect(writeLockFile).not.toHaveBeenCalled();
+    });
+
+    it('should write the lock and return changes when refreshing', async () => {
+      const writeLockFile = jest.fn();
+      const lockState = createLockState(
+        { sources: [entry()] },
+        { refresh: true }
+      );
+      recordLockEntry(lockState, entry({ commit: 'b'.repeat(40) }));
+
+      const changes = await saveLockState(lockState, { writeLockFile });
+
+      expect(writeLockFile).toHaveBeenCalledWith({
+        version: 1,
+        sources: [entry({ commit: 'b'.repeat(40) })]
+      });
+      expect(changes).toHaveLength(1);
+      expect(changes[0].previousCommit).toBe('a'.repeat(40));
+    });
+
+    it('should print changed files per source', () => {
+      const logFn = jest.fn();
+      const chalk = {
+        green: (text) => text,
+        yellow: (text) => text,
+        red: (text) => text
+      };
+
+      displayLockChanges(
+        [
+          {
+            repository: 'https://example.com/repo',
+            source: 'rules/',
+            target: '.ai/rules',
+            previousCommit: 'a'.repeat(40),
+            commit: 'b'.repeat(40),
+            added: ['new.md'],
+            changed: ['edited.md'],
+            removed: ['old.md']
+          }
+        ],
+        { chalk, logFn }
+      );
+
+      const output = logFn.mock.calls.map(([line]) => line).join('\n');
+      expect(output).toContain('aaaaaaa → bbbbbbb');
+      expect(output).toContain('+ new.md');
+      expect(output).toContain('~ edited.md');
+      expect(output).toContain('- old.md');
+    });
+  });
+
+  describe('remote-copy-files commit pinning', () => {
+    let repoDir;
+    let firstCommit;
+    let secondCommit;
+
+    const git = (command) =>
+      execSync(
+        `git -c user.name=Test -c user.email=test@example.com ${command}`,
+        { cwd: repoDir, stdio: 'pipe' }
+      )
+        .toString()
+        .trim();
+
+    beforeEach(async () => {
+      process.env.LULLABOT_PROJECT_CACHE_DIR = path.join(testDir, '.cache');
+      repoDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lockfile-repo-'));
+      git('init --quiet --initial-branch=main');
+      await fs.outputFile(path.join(repoDir, 'rules/drupal.md'), 'v1\n');
+      git('add -A');
+      git('commit --quiet -m first');
+      firstCommit = git('rev-parse HEAD');
+      await fs.outputFile(path.join(repoDir, 'rules/drupal.md'), 'v2\n');
+      git('commit --quiet -am second');
+      secondCommit = git('rev-parse HEAD');
+    });
+
+    afterEach(async () => {
+      await cleanupAllClones();
+      delete process.env.LULLABOT_PROJECT_CACHE_DIR;
+      await fs.remove(repoDir);
+    });
+
+    const task = () => ({
+      type: 'remote-copy-files',
+      repository: { url: `file://${repoDir}`, type: 'branch', target: 'main' },
+      source: 'rules/',
+      target: '.ai/rules'
+    });
+
+    it('should record the resolved commit of the latest content', async () => {
+      const lockState = createLockState(null);
+
+      await executeRemoteCopyFiles(task(), 'claude', 'development', false, {
+        lockState
+      });
+
+      expect(lockState.resolved).toEqual([
+        {
+          repository: `file://${repoDir}`,
+          ref: 'main',
+          commit: secondCommit,
+          source: 'rules/',
+          target: '.ai/rules',
+          files: { [path.join('.ai', 'rules', 'drupal.md')]: null }
+        }
+      ]);
+      expect(await fs.readFile('.ai/rules/drupal.md', 'utf8')).toBe('v2\n');
+    }, 30000);
+
+    it('should check out the locked commit', async () => {
+      const lockState = createLockState({
+        sources: [
+          entry({
+            repository: `file://${repoDir}`,
+            commit: firstCommit,
+            source: 'rules/'
+          })
+        ]
+      });
+
+      await executeRemoteCopyFiles(task(), 'claude', 'development', false, {
+        lockState
+      });
+
+      expect(lockState.resolved[0].commit).toBe(firstCommit);
+      expect(await fs.readFile('.ai/rules/drupal.md', 'utf8')).toBe('v1\n');
+    }, 30000);
+
+    describe('update', () => {
+      let logFn;
+
+      const dependencies = () => ({
+        readConfigFile,
+        createConfigFile,
+        loadConfig: jest.fn().mockResolvedValue({ shared_tasks: {} }),
+        getTasks: jest.fn().mockResolvedValue({ rules: task() }),
+        getToolVersion: jest.fn().mockResolvedValue('4.4.0'),
+        executeTask: executeRemoteCopyFiles,
+        readLockFile,
+        writeLockFile,
+        getRemoteCommit,
+        fs,
+        path,
+        chalk: new Proxy({}, { get: () => (text) => text }),
+        logFn
+      });
+
+      beforeEach(async () => {
+        logFn = jest.fn();
+        await fs.outputFile('.ai/rules/drupal.md', 'v1\n');
+        await writeLockFile({
+          sources: [
+            entry({
+              repository: `file://${repoDir}`,
+              commit: firstCommit,
+              source: 'rules/',
+              files: {}
+            })
+          ]
+        });
+        await fs.writeFile(
+          '.lullabot-project.yml',
+          yaml.dump({
+            project: { type: 'development', tool: 'claude' },
+            features: { taskPreferences: { rules: true } },
+            installation: { toolVersion: '4.4.0' },
+            files: [{ path: '.ai/rules/drupal.md', task: 'rules' }]
+          })
+        );
+      });
+
+      it('should report new upstream commits and stay on the locked commit', async () => {
+        await updateSetup({}, dependencies());
+
+        expect((await readLockFile()).sources[0].commit).toBe(firstCommit);
+        expect(await fs.readFile('.ai/rules/drupal.md', 'utf8')).toBe('v1\n');
+        const output = logFn.mock.calls.map(([line]) => line).join('\n');
+        expect(output).toContain(
+          `file://${repoDir} (main) has new commits: ${firstCommit.slice(0, 7)} → ${secondCommit.slice(0, 7)}`
+        );
+        expect(output).toContain('update --refresh-lock');
+      }, 30000);
+
+      it('should keep the locked commit when other changes run the update', async () => {
+        await updateSetup({ force: true }, dependencies());
+
+        expect(logFn).toHaveBeenCalledWith('\n✅ Successfully updated: 1 tasks');
+        expect((await readLockFile()).sources[0].commit).toBe(firstCommit);
+        expect(await fs.readFile('.ai/rules/drupal.md', 'utf8')).toBe('v1\n');
+      }, 30000);
+
+      it('should move to the latest commit with --refresh-lock', async () => {
+        await updateSetup({ refreshLock: true }, dependencies());
+
+        expect((await readLockFile()).sources[0].commit).toBe(secondCommit);
+        expect(await fs.readFile('.ai/rules/drupal.md', 'utf8')).toBe('v2\n');
+      }, 30000);
+    });
+
+    describe('disabled tasks', () => {
+      let logFn;
+
+      const dependencies = () => ({
+        readConfigFile,
+        createConfigFile,
+        loadConfig: jest.fn().mockResolvedValue({ shared_tasks: {} }),
+        getTasks: jest.fn().mockResolvedValue({
+          rules: { ...task(), id: 'rules' },
+          agents: {
+            ...task(),
+            source: 'agents/',
+            target: '.ai/agents',
+            id: 'agents'
+          }
+        }),
+        getToolVersion: jest.fn().mockResolvedValue('4.4.0'),
+        executeTask: executeRemoteCopyFiles,
+        readLockFile,
+        writeLockFile,
+        getRemoteCommit,
+        fs,
+        path,
+        chalk: new Proxy({}, { get: () => (text) => text }),
+        logFn
+      });
+
+      const lockEntry = (overrides) =>
+        entry({
+          repository: `file://${repoDir}`,
+          commit: firstCommit,
+          source: 'rules/',
+          files: {},
+          task: 'rules',
+          ...overrides
+        });
+
+      beforeEach(async () => {
+        logFn = jest.fn();
+        await fs.outputFile('.ai/rules/drupal.md', 'v1\n');
+        await fs.outputFile('.ai/agents/reviewer.md', 'v1\n');
+        await writeLockFile({
+          sources: [
+            lockEntry({ source: 'agents/', target: '.ai/agents', task: 'agents' }),
+            lockEntry()
+          ]
+        });
+        await fs.writeFile(
+          '.lullabot-project.yml',
+          yaml.dump({
+            project: { type: 'development', tool: 'claude' },
+            features: { taskPreferences: { rules: true, agents: true } },
+            installation: { toolVersion: '4.4.0' },
+            files: [
+              { path: '.ai/rules/drupal.md', tasks: ['rules'] },
+              { path: '.ai/agents/reviewer.md', tasks: ['agents'] }
+            ]
+          })
+        );
+      });
+
+      it('should not check the locked sources of disabled tasks for new commits', async () => {
+        await writeLockFile({
+          sources: [
+            lockEntry({
+              source: 'agents/',
+              target: '.ai/agents',
+              task: 'agents'
+            }),
+            lockEntry({ commit: secondCommit })
+          ]
+        });
+        const config = await readConfigFile();
+        config.features.taskPreferences.agents = false;
+        await createConfigFile(config);
+
+        await updateSetup({}, dependencies());
+
+        expect(logFn).toHaveBeenCalledWith(
+          '✅ Your setup is already up to date!'
+        );
+      }, 30000);
+
+      it('should drop the locked sources of a disabled task and refresh without them', async () => {
+        await removeTasks('agents', { force: true }, dependencies());
+
+        expect((await readLockFile()).sources).toEqual([lockEntry()]);
+
+        await writeLockFile({
+          sources: [
+            lockEntry({ source: 'agents/', target: '.ai/agents', task: 'agents' }),
+            lockEntry()
+          ]
+        });
+        await updateSetup({ refreshLock: true }, dependencies());
+
+        expect((await readLockFile()).sources).toEqual([
+          lockEntry({
+            commit: secondCommit,
+            files: { [path.join('.ai', 'rules', 'drupal.md')]: null }
+          })
+        ]);
+      }, 30000);
+    });
+
+    it('should look up the commit of a branch or tag with git ls-remote', async () => {
+      git('tag -a v1.0.0 -m release HEAD~1');
+
+      expect(await getRemoteCommit(`file://${repoDir}`, 'main')).toBe(
+        secondCommit
+      );
+      expect(await getRemoteCommit(`file://${repoDir}`, 'v1.0.0')).toBe(
+        firstCommit
+      );
+      expect(await getRemoteCommit(`file://${repoDir}`, 'missing')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Unit tests for the mcp-servers task type.
+ * Tests converting tool-neutral server definitions to each tool's native
+ * format, merging them with existing servers, and taking them out again.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import {
+  TOOL_MCP_FORMATS,
+  convertServers,
+  execute
+} from '../../src/task-types/mcp-servers.js';
+import { getTasks, loadConfig } from '../../src/tool-config.js';
+import { revertMergedFile } from '../../src/task-types/structured-merge.js';
+import { validateTaskConfig } from '../../src/validation.js';
+
+const mcpServers = {
+  playwright: {
+    command: 'npx',
+    args: ['@playwright/mcp@latest']
+  },
+  docs: {
+    url: 'https://mcp.example.com/docs',
+    headers: { Authorization: 'Bearer token' }
+  }
+};
+
+const task = { type: 'mcp-servers' };
+
+describe('MCP Servers Task Type', () => {
+  let testDir;
+  let originalCwd;
+
+  beforeEach(async () => {
+    originalCwd = process.cwd();
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-servers-'));
+    process.chdir(testDir);
+  });
+
+  afterEach(async () => {
+    process.chdir(originalCwd);
+    await fs.remove(testDir);
+  });
+
+  describe('convertServers', () => {
+    it('should write the Claude format', () => {
+      expect(convertServers(mcpServers, undefined, 'claude')).toEqual({
+        playwright: { command: 'npx', args: ['@playwright/mcp@latest'] },
+        docs: {
+          type: 'http',
+          url: 'https://mcp.example.com/docs',
+          headers: { Authorization: 'Bearer token' }
+        }
+      });
+    });
+
+    it('should write the VS Code format with a type on every server', () => {
+      expect(convertServers(mcpServers, ['playwright'], 'vscode')).toEqual({
+        playwright: {
+          type: 'stdio',
+          command: 'npx',
+          args: ['@playwright/mcp@latest']
+        }
+      });
+    });
+
+    it('should use httpUrl for streamable HTTP servers in Gemini', () => {
+      expect(convertServers(mcpServers, ['docs'], 'gemini').docs).toEqual({
+        httpUrl: 'https://mcp.example.com/docs',
+        headers: { Authorization: 'Bearer token' }
+      });
+      expect(
+        convertServers(
+          { events: { url: 'https://mcp.example.com/sse', type: 'sse' } },
+          undefined,
+          'gemini'
+        ).events
+      ).toEqual({ url: 'https://mcp.example.com/sse' });
+    });
+
+    it('should reject unknown and incomplete servers', () => {
+      expect(() => convertServers(mcpServers, ['missing'], 'claude')).toThrow(
+        'MCP server not found in mcp_servers: missing'
+      );
+      expect(() => convertServers({ broken: {} }, undefined, 'claude')).toThrow(
+        "MCP server 'broken' requires either command or url"
+      );
+      expect(() =>
+        convertServers(
+          { local: { command: 'npx', type: 'http' } },
+          undefined,
+          'claude'
+        )
+      ).toThrow("MCP server 'local' of type http requires url");
+    });
+  });
+
+  describe('execute', () => {
+    it("should write the tool's native file", async () => {
+      const result = await execute(task, 'cursor', null, false, {
+        mcpServers
+      });
+
+      expect(await fs.readJson('.cursor/mcp.json')).toEqual({
+        mcpServers: {
+          playwright: { command: 'npx', args: ['@playwright/mcp@latest'] },
+          docs: {
+            url: 'https://mcp.example.com/docs',
+            headers: { Authorization: 'Bearer token' }
+          }
+        }
+      });
+      expect(result.files).toEqual([
+        {
+          path: path.join('.cursor', 'mcp.json'),
+          merged: [{ path: ['mcpServers'] }]
+        }
+      ]);
+    });
+
+    it('should keep the servers the project already has', async () => {
+      await fs.outputJson('.mcp.json', {
+        mcpServers: {
+          github: { command: 'github-mcp' },
+          playwright: { command: 'pnpm', args: ['dlx', '@playwright/mcp'] }
+        }
+      });
+
+      const [fileInfo] = (
+        await execute(task, 'claude', null, false, { mcpServers })
+      ).files;
+
+      const { mcpServers: written } = await fs.readJson('.mcp.json');
+      expect(written.github).toEqual({ command: 'github-mcp' });
+      expect(written.playwright).toEqual({
+        command: 'pnpm',
+        args: ['dlx', '@playwright/mcp']
+      });
+      expect(written.docs.url).toBe('https://mcp.example.com/docs');
+      expect(fileInfo.preExisting).toBe(true);
+
+      // Remove takes out only the added server
+      expect(await revertMergedFile(fileInfo)).toBe('reverted');
+      expect(Object.keys((await fs.readJson('.mcp.json')).mcpServers)).toEqual([
+        'github',
+        'playwright'
+      ]);
+    });
+
+    it('should take out servers dropped from the list on update', async () => {
+      const [first] = (
+        await execute(task, 'github-copilot', null, false, { mcpServers })
+      ).files;
+
+      await execute(task, 'github-copilot', null, false, {
+        mcpServers: { playwright: mcpServers.playwright },
+        previousFiles: [first]
+      });
+
+      expect(
+        Object.keys((await fs.readJson('.vscode/mcp.json')).servers)
+      ).toEqual(['playwright']);
+    });
+
+    it('should require a format for tools without one', async () => {
+      await expect(
+        execute(task, 'windsurf', null, false, { mcpServers })
+      ).rejects.toThrow('No MCP configuration format for windsurf');
+
+      await execute(
+        { ...task, format: 'claude', target: '.windsurf/mcp.json' },
+        'windsurf',
+        null,
+        false,
+        { mcpServers }
+      );
+      expect(await fs.pathExists('.windsurf/mcp.json')).toBe(true);
+    });
+  });
+
+  describe('configuration', () => {
+    it('should offer the task to every tool with an MCP format', async () => {
+      const config = await loadConfig();
+
+      expect(Object.keys(config.mcp_servers)).toContain('playwright');
+      for (const [tool, format] of Object.entries(TOOL_MCP_FORMATS)) {
+        const mcpTask = getTasks(tool, 'development', config)['mcp-servers'];
+        expect(mcpTask).toMatchObject({ type: 'mcp-servers', format });
+        expect(() => validateTaskConfig(mcpTask)).not.toThrow();
+      }
+    });
+
+    it('should write the bundled servers for a configured tool', async () => {
+      const config = await loadConfig();
+      const mcpTask = getTasks('cursor', 'development', config)['mcp-servers'];
+
+      await execute(mcpTask, 'cursor', 'development', false, {
+        mcpServers: config.mcp_servers
+      });
+
+      expect((await fs.readJson('.cursor/mcp.json')).mcpServers).toEqual({
+        playwright: { command: 'npx', args: ['@playwright/mcp@latest'] }
+      });
+    });
+  });
+
+  it('should validate the task options', () => {
+    expect(() =>
+      validateTaskConfig({ ...task, servers: ['playwright'], format: 'vscode' })
+    ).not.toThrow();
+    expect(() => validateTaskConfig({ ...task, servers: 'playwright' })).toThrow(
+      'MCP servers task servers must be a list of server names'
+    );
+    expect(() => validateTaskConfig({ ...task, format: 'zed' })).toThrow(
+      'Invalid format in mcp-servers task: zed'
+    );
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Unit tests for configuring several tools in one project.
+ * Tests task merging across tools, tool selection and the stored tools list.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import yaml from 'js-yaml';
+import {
+  getTasksForTools,
+  getTasks,
+  getProjectTools,
+  getTaskTools
+} from '../../src/tool-config.js';
+import { getToolSelection, getTaskPreferences } from '../../src/prompts.js';
+import { createConfigFile } from '../../src/file-operations.js';
+
+const config = {
+  shared_tasks: {
+    rules: {
+      name: 'Project Rules',
+      type: 'remote-copy-files',
+      source: '{project-type}/rules/',
+      target: '.ai/rules'
+    }
+  },
+  tools: {
+    claude: {
+      name: 'Claude Code',
+      tasks: {
+        rules: '@shared_tasks.rules',
+        wrapper: {
+          name: 'Wrapper',
+          type: 'copy-files',
+          source: 'claude/',
+          target: '.claude'
+        }
+      }
+    },
+    cursor: {
+      name: 'Cursor',
+      tasks: {
+        rules: '@shared_tasks.rules',
+        wrapper: {
+          name: 'Wrapper',
+          type: 'copy-files',
+          source: 'cursor/',
+          target: '.cursor'
+        }
+      }
+    },
+    windsurf: {
+      name: 'Windsurf',
+      tasks: {
+        rules: '@shared_tasks.rules'
+      }
+    }
+  },
+  projects: {
+    drupal: { name: 'Drupal' }
+  }
+};
+
+describe('Multiple Tools', () => {
+  describe('getTasksForTools', () => {
+    it('should keep tasks shared by several tools once', () => {
+      const tasks = getTasksForTools(['claude', 'windsurf'], 'drupal', config);
+
+      expect(tasks.rules.tools).toEqual(['claude', 'windsurf']);
+      expect(tasks.rules.source).toBe('drupal/rules/');
+      expect(tasks.wrapper.tools).toEqual(['claude']);
+    });
+
+    it('should prefix tasks that differ between tools', () => {
+      const tasks = getTasksForTools(['claude', 'cursor'], 'drupal', config);
+
+      expect(Object.keys(tasks).sort()).toEqual([
+        'claude:wrapper',
+        'cursor:wrapper',
+        'rules'
+      ]);
+      expect(tasks['cursor:wrapper']).toMatchObject({
+        id: 'cursor:wrapper',
+        baseId: 'wrapper',
+        tools: ['cursor'],
+        target: '.cursor'
+      });
+    });
+
+    it('should be used by getTasks for a list of tools', () => {
+      expect(getTasks(['claude', 'cursor'], 'drupal', config)).toEqual(
+        getTasksForTools(['claude', 'cursor'], 'drupal', config)
+      );
+      expect(getTasks(['claude'], 'drupal', config)).toEqual(
+        getTasks('claude', 'drupal', config)
+      );
+    });
+  });
+
+  describe('getProjectTools and getTaskTools', () => {
+    it('should read the tools list and fall back to the single tool', () => {
+      expect(
+        getProjectTools({ project: { tool: 'claude', tools: ['claude', 'cursor'] } })
+      ).toEqual(['claude', 'cursor']);
+      expect(getProjectTools({ project: { tool: 'cursor' } })).toEqual(['cursor']);
+      expect(getProjectTools({ tool: 'cursor' })).toEqual(['cursor']);
+      expect(getProjectTools({})).toEqual([]);
+    });
+
+    it('should only pass a list of tools when there is more than one', () => {
+      expect(getTaskTools({ tools: ['claude', 'cursor'] })).toEqual([
+        'claude',
+        'cursor'
+      ]);
+      expect(getTaskTools({ tool: 'claude', tools: ['claude'] })).toBe('claude');
+    });
+  });
+
+  describe('tool selection', () => {
+    it('should parse comma-separated tools and drop duplicates', async () => {
+      const tools = await getToolSelection(
+        { tool: 'claude, cursor,claude' },
+        config,
+        jest.fn()
+      );
+
+      expect(tools).toEqual(['claude', 'cursor']);
+    });
+
+    it('should list every unsupported tool', async () => {
+      await expect(
+        getToolSelection({ tool: 'claude,vim,emacs' }, config, jest.fn())
+      ).rejects.toThrow('Unsupported tool: vim, emacs');
+    });
+
+    it('should require at least one tool in the prompt', async () => {
+      const promptFn = jest.fn().mockResolvedValue({ tools: ['claude'] });
+
+      await getToolSelection({}, config, promptFn);
+
+      const [[[question]]] = promptFn.mock.calls;
+      expect(question.validate([])).toBe('Please select at least one tool.');
+      expect(question.validate(['claude'])).toBe(true);
+    });
+
+    it('should match tool variants by their base task ID', async () => {
+      const tasks = getTasksForTools(['claude', 'cursor'], 'drupal', config);
+
+      expect(await getTaskPreferences({ tasks: 'wrapper' }, tasks, jest.fn())).toEqual({
+        'claude:wrapper': true,
+        'cursor:wrapper': true,
+        rules: false
+      });
+    });
+  });
+
+  describe('createConfigFile', () => {
+    let testDir;
+    let originalCwd;
+
+    beforeEach(async () => {
+      originalCwd = process.cwd();
+      testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'multi-tool-'));
+      process.chdir(testDir);
+    });
+
+    afterEach(async () => {
+      process.chdir(originalCwd);
+      await fs.remove(testDir);
+    });
+
+    it('should store the tools list and the primary tool', async () => {
+      await createConfigFile({
+        tool: 'claude',
+        tools: ['claude', 'cursor'],
+        project: 'drupal',
+        taskPreferences: {}
+      });
+
+      const stored = yaml.load(
+        await fs.readFile('.lullabot-project.yml', 'utf8')
+      );
+      expect(stored.project).toMatchObject({
+        type: 'drupal',
+        tool: 'claude',
+        tools: ['claude', 'cursor']
+      });
+    });
+  });
+});
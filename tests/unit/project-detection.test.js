@@ -0,0 +1,201 @@
+/**
+ * Unit tests for project type detection.
+ * Tests scoring from validation rules and heuristics, and how the project
+ * prompt and init --auto use the detected types.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import { detectProjectTypes } from '../../src/project-detection.js';
+import { getProjectSelection } from '../../src/prompts.js';
+import { loadConfig } from '../../src/tool-config.js';
+
+const config = {
+  projects: {
+    development: {
+      name: 'Development',
+      validation: {
+        requiredFiles: ['composer.json'],
+        requiredContent: { 'composer.json': 'drupal/core' },
+        optionalFiles: ['README.md']
+      },
+      detection: {
+        composerPackages: ['drush/drush'],
+        files: ['web/core']
+      }
+    },
+    design: {
+      name: 'Design',
+      detection: {
+        npmPackages: ['style-dictionary'],
+        files: ['*.fig']
+      }
+    },
+    'quality-assurance': {
+      name: 'Quality Assurance',
+      detection: {
+        npmPackages: ['@playwright/test']
+      }
+    }
+  }
+};
+
+describe('Project Detection', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'project-detection-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(testDir);
+  });
+
+  describe('detectProjectTypes', () => {
+    it('should return nothing for an empty directory', async () => {
+      expect(await detectProjectTypes(config, testDir)).toEqual([]);
+    });
+
+    it('should score validation rules and heuristics with evidence', async () => {
+      await fs.writeJson(path.join(testDir, 'composer.json'), {
+        require: { 'drupal/core': '^10', 'drush/drush': '^12' }
+      });
+      await fs.writeFile(path.join(testDir, 'README.md'), '# Site');
+      await fs.ensureDir(path.join(testDir, 'web/core'));
+
+      const [detection] = await detectProjectTypes(config, testDir);
+
+      expect(detection).toEqual({
+        projectType: 'development',
+        name: 'Development',
+        score: 11,
+        evidence: [
+          'composer.json exists',
+          'composer.json contains drupal/core',
+          'README.md exists',
+          'composer.json requires drush/drush',
+          'web/core found'
+        ]
+      });
+    });
+
+    it('should ignore validation rules that do not pass', async () => {
+      await fs.writeJson(path.join(testDir, 'composer.json'), {
+        require: { 'symfony/console': '^6' }
+      });
+      await fs.writeFile(path.join(testDir, 'README.md'), '# Tool');
+
+      expect(await detectProjectTypes(config, testDir)).toEqual([]);
+    });
+
+    it('should rank project types by score', async () => {
+      await fs.writeJson(path.join(testDir, 'package.json'), {
+        devDependencies: { '@playwright/test': '^1', 'style-dictionary': '^3' }
+      });
+      await fs.writeFile(path.join(testDir, 'home.fig'), '');
+      await fs.writeFile(path.join(testDir, 'about.fig'), '');
+
+      const detections = await detectProjectTypes(config, testDir);
+
+      expect(detections.map((detection) => detection.projectType)).toEqual([
+        'design',
+        'quality-assurance'
+      ]);
+      expect(detections[0].evidence).toEqual([
+        'package.json depends on style-dictionary',
+        'about.fig (+1 more) found'
+      ]);
+    });
+
+    it('should detect a Drupal project with the bundled configuration', async () => {
+      await fs.writeJson(path.join(testDir, 'composer.json'), {
+        require: { 'drupal/core-recommended': '^10' }
+      });
+      await fs.ensureDir(path.join(testDir, '.git'));
+
+      const [detection] = await detectProjectTypes(await loadConfig(), testDir);
+
+      expect(detection.projectType).toBe('development');
+    });
+  });
+
+  describe('getProjectSelection with detection', () => {
+    const detections = [
+      {
+        projectType: 'design',
+        name: 'Design',
+        score: 4,
+        evidence: ['home.fig found']
+      }
+    ];
+
+    it('should pre-select the best match and show the evidence', async () => {
+      const promptFn = jest.fn().mockResolvedValue({ project: 'design' });
+      const logFn = jest.fn();
+
+      await getProjectSelection(
+        {},
+        config,
+        promptFn,
+        jest.fn().mockResolvedValue(detections),
+        logFn
+      );
+
+      const [[[question]]] = promptFn.mock.calls;
+      expect(question.default).toBe('design');
+      expect(question.choices).toContainEqual({
+        name: 'Design (detected)',
+        value: 'design'
+      });
+      expect(logFn).toHaveBeenCalledWith(
+        '  • Design (score 4): home.fig found'
+      );
+    });
+
+    it('should use the best match without asking with --auto', async () => {
+      const promptFn = jest.fn();
+      const logFn = jest.fn();
+
+      const project = await getProjectSelection(
+        { auto: true },
+        config,
+        promptFn,
+        jest.fn().mockResolvedValue(detections),
+        logFn
+      );
+
+      expect(project).toBe('design');
+      expect(promptFn).not.toHaveBeenCalled();
+      expect(logFn).toHaveBeenCalledWith(
+        '🔍 Detected project type: Design (home.fig found)'
+      );
+    });
+
+    it('should fall back to no project type with --auto when nothing matches', async () => {
+      const project = await getProjectSelection(
+        { auto: true },
+        config,
+        jest.fn(),
+        jest.fn().mockResolvedValue([]),
+        jest.fn()
+      );
+
+      expect(project).toBeNull();
+    });
+
+    it('should prefer an explicit project type over detection', async () => {
+      const detectFn = jest.fn();
+
+      const project = await getProjectSelection(
+        { project: 'development', auto: true },
+        config,
+        jest.fn(),
+        detectFn
+      );
+
+      expect(project).toBe('development');
+      expect(detectFn).not.toHaveBeenCalled();
+    });
+  });
+});
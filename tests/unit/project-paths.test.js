@@ -0,0 +1,85 @@
+/**
+ * Unit tests for project path resolution.
+ * Tests that tasks write into the project root they are given and track
+ * files relative to it, as diff does with its staging directory.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import {
+  getProjectRelativePath,
+  resolveProjectPath
+} from '../../src/utils/project-paths.js';
+import { execute as executeCopyFiles } from '../../src/task-types/copy-files.js';
+import {
+  calculateFileHash,
+  trackInstalledFile
+} from '../../src/file-operations.js';
+
+describe('Project Paths', () => {
+  let testDir;
+  let stagingDir;
+  let originalCwd;
+
+  beforeEach(async () => {
+    originalCwd = process.cwd();
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'project-paths-'));
+    stagingDir = await fs.mkdtemp(path.join(os.tmpdir(), 'project-staging-'));
+    process.chdir(testDir);
+  });
+
+  afterEach(async () => {
+    process.chdir(originalCwd);
+    await fs.remove(testDir);
+    await fs.remove(stagingDir);
+  });
+
+  it('should leave targets alone in the working directory', () => {
+    expect(resolveProjectPath('.ai/', {})).toBe('.ai/');
+    expect(resolveProjectPath('.', { projectRoot: process.cwd() })).toBe('.');
+  });
+
+  it('should resolve targets against another project root', () => {
+    const dependencies = { projectRoot: stagingDir };
+
+    expect(resolveProjectPath('.', dependencies)).toBe(
+      `${stagingDir}${path.sep}`
+    );
+    expect(resolveProjectPath('.ai/rules', dependencies)).toBe(
+      path.join(stagingDir, '.ai', 'rules')
+    );
+    expect(
+      getProjectRelativePath(path.join(stagingDir, 'CLAUDE.md'), dependencies)
+    ).toBe('CLAUDE.md');
+  });
+
+  it('should write and track copied files in the project root', async () => {
+    const result = await executeCopyFiles(
+      {
+        type: 'copy-files',
+        source: 'assets/wrappers/',
+        target: '.',
+        items: { 'gemini.md': 'GEMINI.md' }
+      },
+      'gemini',
+      'development',
+      false,
+      {
+        projectRoot: stagingDir,
+        useLocalFiles: true,
+        trackInstalledFile,
+        calculateFileHash,
+        crypto,
+        fs
+      }
+    );
+
+    expect(await fs.pathExists(path.join(stagingDir, 'GEMINI.md'))).toBe(true);
+    expect(await fs.pathExists('GEMINI.md')).toBe(false);
+    expect(result.files).toEqual([
+      { path: 'GEMINI.md', originalHash: expect.any(String) }
+    ]);
+  });
+});
@@ -33,7 +33,7 @@ describe('Prompts Module - Functional Tests', () => {
 
       const result = await prompts.getToolSelection(options, config, mockPromptFn);
 
-      expect(result).toBe('cursor');
+      expect(result).toEqual(['cursor']);
       expect(mockPromptFn).not.toHaveBeenCalled();
     });
 
@@ -59,21 +59,22 @@ describe('Prompts Module - Functional Tests', () => {
         }
       };
 
-      mockPromptFn.mockResolvedValue({ tool: 'vscode' });
+      mockPromptFn.mockResolvedValue({ tools: ['vscode'] });
 
       const result = await prompts.getToolSelection(options, config, mockPromptFn);
 
-      expect(result).toBe('vscode');
+      expect(result).toEqual(['vscode']);
       expect(mockPromptFn).toHaveBeenCalledWith([
         {
-          type: 'list',
-          name: 'tool',
-          message: 'Which tool are you using?',
+          type: 'checkbox',
+          name: 'tools',
+          message: 'Which tools are you using?',
           choices: [
             { name: 'Cursor', value: 'cursor' },
             { name: 'VS Code', value: 'vscode' }
           ],
-          default: 'cursor'
+          default: ['cursor'],
+          validate: expect.any(Function)
         }
       ]);
     });
@@ -82,18 +83,19 @@ describe('Prompts Module - Functional Tests', () => {
       const options = {};
       const config = { tools: {} };
 
-      mockPromptFn.mockResolvedValue({ tool: 'cursor' });
+      mockPromptFn.mockResolvedValue({ tools: ['cursor'] });
 
       const result = await prompts.getToolSelection(options, config, mockPromptFn);
 
-      expect(result).toBe('cursor');
+      expect(result).toEqual(['cursor']);
       expect(mockPromptFn).toHaveBeenCalledWith([
         {
-          type: 'list',
-          name: 'tool',
-          message: 'Which tool are you using?',
+          type: 'checkbox',
+          name: 'tools',
+          message: 'Which tools are you using?',
           choices: [],
-          default: 'cursor'
+          default: ['cursor'],
+          validate: expect.any(Function)
         }
       ]);
     });
@@ -448,7 +450,7 @@ describe('Prompts Module - Functional Tests', () => {
 
       mockGetTasksFn.mockResolvedValue(mockTasks);
       mockPromptFn
-        .mockResolvedValueOnce({ tool: 'cursor' })
+        .mockResolvedValueOnce({ tools: ['cursor'] })
         .mockResolvedValueOnce({ project: 'drupal' })
         .mockResolvedValueOnce({ enabled: true });
 
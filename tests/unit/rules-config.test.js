@@ -0,0 +1,182 @@
+/**
+ * Unit tests for the rules-config task type.
+ * Tests writing the installed rule files into the configuration of Aider,
+ * Continue and Zed, and taking them out again on remove.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import yaml from 'js-yaml';
+import { execute, getRuleFiles } from '../../src/task-types/rules-config.js';
+import { revertMergedFile } from '../../src/task-types/structured-merge.js';
+import { revertManagedBlock } from '../../src/utils/managed-block.js';
+import { validateTaskConfig } from '../../src/validation.js';
+
+const trackedFiles = [
+  { path: path.join('.ai', 'rules', 'php.md'), task: 'rules' },
+  { path: path.join('.ai', 'rules', 'twig.md'), task: 'rules' },
+  { path: 'AGENTS.md', task: 'rules' },
+  { path: '.aider.conf.yml', task: 'aider-conf' },
+  { path: 'package.json', task: 'other' }
+];
+
+const task = { type: 'rules-config' };
+
+describe('Rules Config Task Type', () => {
+  let testDir;
+  let originalCwd;
+
+  beforeEach(async () => {
+    originalCwd = process.cwd();
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rules-config-'));
+    process.chdir(testDir);
+
+    await fs.outputFile('.ai/rules/php.md', '# PHP\n\nUse strict types.\n');
+    await fs.outputFile(
+      '.ai/rules/twig.md',
+      '---\nglobs: "**/*.twig"\n---\n# Twig\n'
+    );
+    await fs.outputFile(
+      'AGENTS.md',
+      '# Project\n\n<!-- Lullabot Project Start -->\n@.ai/rules/php.md\n<!-- Lullabot Project End -->\n'
+    );
+  });
+
+  afterEach(async () => {
+    process.chdir(originalCwd);
+    await fs.remove(testDir);
+  });
+
+  const dependencies = () => ({ config: { files: trackedFiles } });
+
+  it('should select the Markdown files of the listed tasks', () => {
+    expect(getRuleFiles(true, trackedFiles, path.resolve('.rules'))).toEqual([
+      '.ai/rules/php.md',
+      '.ai/rules/twig.md',
+      'AGENTS.md'
+    ]);
+    expect(
+      getRuleFiles(['other'], trackedFiles, path.resolve('.rules'))
+    ).toEqual([]);
+  });
+
+  it('should list the rules under read for Aider', async () => {
+    await fs.writeFile('.aider.conf.yml', 'model: sonnet\nread: [NOTES.md]\n');
+
+    const [fileInfo] = (
+      await execute(task, 'aider', null, false, dependencies())
+    ).files;
+
+    expect(yaml.load(await fs.readFile('.aider.conf.yml', 'utf8'))).toEqual({
+      model: 'sonnet',
+      read: ['NOTES.md', '.ai/rules/php.md', '.ai/rules/twig.md', 'AGENTS.md']
+    });
+
+    expect(await revertMergedFile(fileInfo)).toBe('reverted');
+    expect(yaml.load(await fs.readFile('.aider.conf.yml', 'utf8'))).toEqual({
+      model: 'sonnet',
+      read: ['NOTES.md']
+    });
+  });
+
+  it('should add rules entries with their globs for Continue', async () => {
+    const [fileInfo] = (
+      await execute(task, 'continue', null, false, dependencies())
+    ).files;
+
+    const block = yaml.load(
+      await fs.readFile('.continue/rules/lullabot-project.yaml', 'utf8')
+    );
+    expect(block.schema).toBe('v1');
+    expect(block.rules).toEqual([
+      { name: '.ai/rules/php.md', rule: '# PHP\n\nUse strict types.' },
+      { name: '.ai/rules/twig.md', rule: '# Twig', globs: '**/*.twig' },
+      { name: 'AGENTS.md', rule: '# Project\n\n@.ai/rules/php.md' }
+    ]);
+
+    expect(await revertMergedFile(fileInfo)).toBe('removed');
+  });
+
+  it('should add the rules entries to a Continue config.yaml target', async () => {
+    await fs.outputFile(
+      '.continue/config.yaml',
+      'name: My assistant\nversion: 0.0.1\nschema: v1\nrules:\n  - Answer in English\n'
+    );
+
+    const [fileInfo] = (
+      await execute(
+        { ...task, target: '.continue/config.yaml' },
+        'continue',
+        null,
+        false,
+        dependencies()
+      )
+    ).files;
+
+    const config = yaml.load(
+      await fs.readFile('.continue/config.yaml', 'utf8')
+    );
+    expect(config.name).toBe('My assistant');
+    expect(config.version).toBe('0.0.1');
+    expect(config.rules.map((rule) => rule.name || rule)).toEqual([
+      'Answer in English',
+      '.ai/rules/php.md',
+      '.ai/rules/twig.md',
+      'AGENTS.md'
+    ]);
+
+    expect(await revertMergedFile(fileInfo)).toBe('reverted');
+    expect(
+      yaml.load(await fs.readFile('.continue/config.yaml', 'utf8')).rules
+    ).toEqual(['Answer in English']);
+  });
+
+  it('should write the rules into a block in .rules for Zed', async () => {
+    await fs.writeFile('.rules', 'Always answer in English.\n');
+
+    const [fileInfo] = (await execute(task, 'zed', null, false, dependencies()))
+      .files;
+
+    const content = await fs.readFile('.rules', 'utf8');
+    expect(content).toBe(`Always answer in English.
+
+<!-- Lullabot Project Start -->
+<!-- .ai/rules/php.md -->
+# PHP
+
+Use strict types.
+
+<!-- .ai/rules/twig.md -->
+# Twig
+
+<!-- AGENTS.md -->
+# Project
+
+@.ai/rules/php.md
+<!-- Lullabot Project End -->
+`);
+    expect(fileInfo).toEqual({
+      path: '.rules',
+      managedBlock: 'html',
+      preExisting: true
+    });
+
+    expect(await revertManagedBlock(fileInfo)).toBe('reverted');
+    expect(await fs.readFile('.rules', 'utf8')).toBe(
+      'Always answer in English.\n'
+    );
+  });
+
+  it('should require a format for other tools', async () => {
+    await expect(
+      execute(task, 'claude', null, false, dependencies())
+    ).rejects.toThrow('No rules configuration format for claude');
+    expect(() => validateTaskConfig({ ...task, format: 'vim' })).toThrow(
+      'Invalid format in rules-config task: vim'
+    );
+    expect(() =>
+      validateTaskConfig({ ...task, format: 'zed', 'tracked-files': ['rules'] })
+    ).not.toThrow();
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Unit tests for removing and disabling individual tasks.
+ * Tests task name matching, removing only a task's files, AGENTS.md reference
+ * updates and the dry run.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import yaml from 'js-yaml';
+import {
+  removeSetup,
+  removeTasks,
+  resolveConfiguredTasks
+} from '../../src/cli.js';
+import {
+  createConfigFile,
+  readConfigFile
+} from '../../src/file-operations.js';
+
+const chalk = new Proxy({}, { get: () => (text) => text });
+
+const AGENTS_MD = `# Agents
+
+<!-- Lullabot Project Start -->
+## Project-Specific AI Development Files
+
+@.ai/rules.md
+@.ai/wrapper.md
+
+<!-- Lullabot Project End -->`;
+
+describe('Selective Remove', () => {
+  let testDir;
+  let originalCwd;
+  let logFn;
+
+  const dependencies = () => ({
+    readConfigFile,
+    createConfigFile,
+    confirmAction: jest.fn().mockResolvedValue(true),
+    fs,
+    path,
+    chalk,
+    logFn
+  });
+
+  const installProject = async (files) => {
+    for (const { path: filePath } of files) {
+      await fs.outputFile(filePath, `content of ${filePath}`);
+    }
+    await fs.writeFile('AGENTS.md', AGENTS_MD);
+    await fs.writeFile(
+      '.lullabot-project.yml',
+      yaml.dump({
+        project: { type: 'development', tool: 'claude' },
+        features: {
+          taskPreferences: { rules: true, wrapper: true, 'agents-md': true }
+        },
+        installation: { created: '2026-01-01T00:00:00.000Z' },
+        files: [
+          ...files,
+          { path: 'AGENTS.md', task: 'agents-md', preExisting: true }
+        ]
+      })
+    );
+  };
+
+  beforeEach(async () => {
+    originalCwd = process.cwd();
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'selective-remove-'));
+    process.chdir(testDir);
+    logFn = jest.fn();
+  });
+
+  afterEach(async () => {
+    process.chdir(originalCwd);
+    await fs.remove(testDir);
+  });
+
+  describe('resolveConfiguredTasks', () => {
+    const config = {
+      features: {
+        taskPreferences: { 'claude:rules': true, 'cursor:rules': true }
+      },
+      files: [{ path: '.ai/wrapper.md', task: 'wrapper' }]
+    };
+
+    it('should match tasks and their per-tool variants', () => {
+      expect(resolveConfiguredTasks('rules, wrapper', config)).toEqual([
+        'claude:rules',
+        'cursor:rules',
+        'wrapper'
+      ]);
+      expect(resolveConfiguredTasks(['cursor:rules'], config)).toEqual([
+        'cursor:rules'
+      ]);
+    });
+
+    it('should reject unknown tasks', () => {
+      expect(() => resolveConfiguredTasks('memory-bank', config)).toThrow(
+        'Unknown task: memory-bank. Configured tasks: claude:rules, cursor:rules, wrapper'
+      );
+    });
+  });
+
+  describe('removeTasks', () => {
+    it('should remove only the files of the given tasks and disable them', async () => {
+      await installProject([
+        { path: '.ai/rules.md', task: 'rules' },
+        { path: '.claude/rules/drupal.md', task: 'rules' },
+        { path: '.ai/wrapper.md', task: 'wrapper' }
+      ]);
+      await fs.outputFile('.lullabot-project/base/.ai/rules.md', 'base');
+
+      await removeTasks('rules', { force: true }, dependencies());
+
+      expect(await fs.pathExists('.ai/rules.md')).toBe(false);
+      expect(await fs.pathExists('.claude/rules/drupal.md')).toBe(false);
+      expect(await fs.pathExists('.lullabot-project/base/.ai/rules.md')).toBe(
+        false
+      );
+      expect(await fs.pathExists('.ai/wrapper.md')).toBe(true);
+
+      const agentsMd = await fs.readFile('AGENTS.md', 'utf8');
+      expect(agentsMd).toContain('# Agents');
+      expect(agentsMd).toContain('@.ai/wrapper.md');
+      expect(agentsMd).not.toContain('.ai/rules.md');
+
+      const config = await readConfigFile();
+      expect(config.features.taskPreferences).toEqual({
+        rules: false,
+        wrapper: true,
+        'agents-md': true
+      });
+      expect(config.files.map((file) => file.path)).toEqual([
+        '.ai/wrapper.md',
+        'AGENTS.md'
+      ]);
+      expect(config.files[1].originalHash).toMatch(/^[a-f0-9]{64}$/);
+      expect(logFn).toHaveBeenCalledWith('  • rules');
+    });
+
+    it('should keep files until no task that installed them is left', async () => {
+      await installProject([
+        { path: '.ai/rules.md', tasks: ['claude:rules', 'cursor:rules'] },
+        { path: '.cursor/rules/drupal.mdc', tasks: ['cursor:rules'] }
+      ]);
+
+      await removeTasks('claude:rules', { force: true }, dependencies());
+
+      expect(await fs.pathExists('.ai/rules.md')).toBe(true);
+      expect((await readConfigFile()).files).toEqual([
+        { path: '.ai/rules.md', tasks: ['cursor:rules'] },
+        { path: '.cursor/rules/drupal.mdc', tasks: ['cursor:rules'] },
+        { path: 'AGENTS.md', task: 'agents-md', preExisting: true }
+      ]);
+
+      await removeTasks('cursor:rules', { force: true }, dependencies());
+
+      expect(await fs.pathExists('.ai/rules.md')).toBe(false);
+      expect(await fs.pathExists('.cursor/rules/drupal.mdc')).toBe(false);
+      expect(
+        (await readConfigFile()).files.map((file) => file.path)
+      ).toEqual(['AGENTS.md']);
+    });
+
+    it('should revert a pre-existing AGENTS.md when its task is removed', async () => {
+      await installProject([{ path: '.ai/rules.md', task: 'rules' }]);
+
+      await removeSetup(
+        { tasks: 'agents-md', force: true },
+        dependencies()
+      );
+
+      expect(await fs.readFile('AGENTS.md', 'utf8')).toBe('# Agents');
+      expect(await fs.pathExists('.ai/rules.md')).toBe(true);
+      expect(
+        (await readConfigFile()).features.taskPreferences['agents-md']
+      ).toBe(false);
+    });
+
+    it('should only list the files in a dry run', async () => {
+      await installProject([{ path: '.ai/rules.md', task: 'rules' }]);
+      const before = await fs.readFile('.lullabot-project.yml', 'utf8');
+      const deps = dependencies();
+
+      await removeTasks('rules', { dryRun: true }, deps);
+
+      expect(logFn).toHaveBeenCalledWith('  - .ai/rules.md');
+      expect(deps.confirmAction).not.toHaveBeenCalled();
+      expect(await fs.pathExists('.ai/rules.md')).toBe(true);
+      expect(await fs.readFile('.lullabot-project.yml', 'utf8')).toBe(before);
+    });
+
+    it('should explain that untagged files need an update first', async () => {
+      await installProject([{ path: '.ai/rules.md' }]);
+
+      await removeTasks('rules', { force: true }, dependencies());
+
+      expect(await fs.pathExists('.ai/rules.md')).toBe(true);
+      expect(logFn).toHaveBeenCalledWith(
+        expect.stringContaining('run update first')
+      );
+    });
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * Unit tests for task type plugins.
+ * Tests loading plugins from config, validation, multi-step steps and remove hooks.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import yaml from 'js-yaml';
+import {
+  loadTaskTypePlugins,
+  getSupportedTaskTypes,
+  isTaskTypeSupported,
+  isPluginTaskType,
+  getTaskExecutor
+} from '../../src/task-types/index.js';
+import { pluginTaskTypes } from '../../src/task-types/plugins.js';
+import { execute as executeMultiStep } from '../../src/task-types/multi-step.js';
+import { validateTaskConfig } from '../../src/validation.js';
+import { loadConfig, PROJECT_CONFIG_FILE_NAME } from '../../src/tool-config.js';
+import { performRemoval } from '../../src/cli.js';
+
+const GREETING_PLUGIN = `
+import fs from 'fs';
+
+export async function execute(task) {
+  fs.writeFileSync(task.target, 'Hello ' + task.name);
+  return { files: [{ path: task.target }] };
+}
+
+export function validate(task) {
+  if (!task.target) {
+    throw new Error('target is required');
+  }
+}
+
+export async function remove(task) {
+  fs.writeFileSync(task.target + '.removed', 'yes');
+}
+`;
+
+const DEFAULT_EXPORT_PLUGIN = `
+export default {
+  execute: async () => ({ message: 'done' })
+};
+`;
+
+describe('Task Type Plugins', () => {
+  let testDir;
+  let originalCwd;
+
+  const writePlugin = async (name, source) => {
+    const pluginPath = path.join(testDir, 'plugins', name);
+    await fs.outputFile(pluginPath, source);
+    return pluginPath;
+  };
+
+  beforeEach(async () => {
+    originalCwd = process.cwd();
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'task-type-plugins-'));
+    process.chdir(testDir);
+    process.env.LULLABOT_PROJECT_CONFIG_DIR = path.join(testDir, 'user');
+  });
+
+  afterEach(async () => {
+    for (const taskType of Object.keys(pluginTaskTypes)) {
+      delete pluginTaskTypes[taskType];
+    }
+    delete process.env.LULLABOT_PROJECT_CONFIG_DIR;
+    process.chdir(originalCwd);
+    await fs.remove(testDir);
+  });
+
+  describe('loadTaskTypePlugins', () => {
+    it('should register plugins alongside the built-in task types', async () => {
+      const pluginPath = await writePlugin('greeting.mjs', GREETING_PLUGIN);
+
+      expect(await loadTaskTypePlugins({ greeting: pluginPath })).toEqual([
+        'greeting'
+      ]);
+
+      expect(isTaskTypeSupported('greeting')).toBe(true);
+      expect(isPluginTaskType('greeting')).toBe(true);
+      expect(isPluginTaskType('copy-files')).toBe(false);
+      expect(getSupportedTaskTypes()).toEqual(
+        expect.arrayContaining(['copy-files', 'greeting'])
+      );
+
+      const result = await getTaskExecutor('greeting').execute({
+        name: 'World',
+        target: 'hello.txt'
+      });
+      expect(result.files).toEqual([{ path: 'hello.txt' }]);
+      expect(await fs.readFile('hello.txt', 'utf8')).toBe('Hello World');
+    });
+
+    it('should accept hooks from the default export', async () => {
+      const pluginPath = await writePlugin('default.mjs', DEFAULT_EXPORT_PLUGIN);
+
+      await loadTaskTypePlugins({ simple: pluginPath });
+
+      expect(await getTaskExecutor('simple').execute({})).toEqual({
+        message: 'done'
+      });
+      expect(getTaskExecutor('simple').remove).toBeUndefined();
+    });
+
+    it('should reject plugins without an execute function', async () => {
+      const pluginPath = await writePlugin(
+        'broken.mjs',
+        'export const validate = () => {};\n'
+      );
+
+      await expect(loadTaskTypePlugins({ broken: pluginPath })).rejects.toThrow(
+        `Failed to load task type plugin 'broken' from ${pluginPath}: plugin must export an execute function`
+      );
+      expect(isTaskTypeSupported('broken')).toBe(false);
+    });
+
+    it('should not let plugins replace built-in task types', async () => {
+      const pluginPath = await writePlugin('greeting.mjs', GREETING_PLUGIN);
+
+      await expect(
+        loadTaskTypePlugins({ 'copy-files': pluginPath })
+      ).rejects.toThrow('cannot replace the built-in task type');
+    });
+
+    it('should load plugins declared in a config overlay relative to it', async () => {
+      await writePlugin('greeting.mjs', GREETING_PLUGIN);
+      await fs.writeFile(
+        PROJECT_CONFIG_FILE_NAME,
+        yaml.dump({ task_types: { greeting: './plugins/greeting.mjs' } })
+      );
+
+      const config = await loadConfig();
+
+      expect(config.task_types.greeting).toBe(
+        path.join(testDir, 'plugins', 'greeting.mjs')
+      );
+      expect(isTaskTypeSupported('greeting')).toBe(true);
+    });
+  });
+
+  describe('validation and multi-step', () => {
+    beforeEach(async () => {
+      await loadTaskTypePlugins({
+        greeting: await writePlugin('greeting.mjs', GREETING_PLUGIN)
+      });
+    });
+
+    it('should run the plugin validate hook', () => {
+      expect(() => validateTaskConfig({ type: 'greeting' })).toThrow(
+        'Invalid greeting task: target is required'
+      );
+      expect(() =>
+        validateTaskConfig({ type: 'greeting', target: 'hello.txt' })
+      ).not.toThrow();
+    });
+
+    it('should run plugin task types as multi-step steps', async () => {
+      const result = await executeMultiStep(
+        {
+          name: 'Setup',
+          type: 'multi-step',
+          steps: [
+            { greet: { type: 'greeting', name: 'Step', target: 'step.txt' } }
+          ]
+        },
+        'claude',
+        null,
+        false,
+        { sharedTasks: {} }
+      );
+
+      expect(result.files).toEqual([{ path: 'step.txt' }]);
+      expect(await fs.readFile('step.txt', 'utf8')).toBe('Hello Step');
+    });
+  });
+
+  describe('remove hooks', () => {
+    it('should run the remove hook of enabled plugin tasks', async () => {
+      const pluginPath = await writePlugin('greeting.mjs', GREETING_PLUGIN);
+      const logFn = jest.fn();
+      const task = {
+        id: 'greet',
+        name: 'Greeting',
+        type: 'greeting',
+        target: 'hello.txt'
+      };
+
+      await performRemoval(
+        {
+          project: { tool: 'claude' },
+          features: { taskPreferences: { greet: true } },
+          files: []
+        },
+        {},
+        {
+          fs,
+          path,
+          chalk: { gray: (text) => text, yellow: (text) => text },
+          logFn,
+          loadConfig: async () => {
+            await loadTaskTypePlugins({ greeting: pluginPath });
+            return {};
+          },
+          getTasks: async () => ({ greet: task })
+        }
+      );
+
+      expect(await fs.readFile('hello.txt.removed', 'utf8')).toBe('yes');
+    });
+
+    it('should report a failing remove hook and keep removing files', async () => {
+      const pluginPath = await writePlugin(
+        'failing.mjs',
+        `export const execute = async () => ({});
+export const remove = async () => { throw new Error('boom'); };
+`
+      );
+      await fs.writeFile('tracked.txt', 'content');
+      const logFn = jest.fn();
+
+      const result = await performRemoval(
+        {
+          project: { tool: 'claude' },
+          features: { taskPreferences: { fail: true } },
+          files: [{ path: 'tracked.txt' }]
+        },
+        {},
+        {
+          fs,
+          path,
+          chalk: { gray: (text) => text, yellow: (text) => text },
+          logFn,
+          loadConfig: async () => {
+            await loadTaskTypePlugins({ failing: pluginPath });
+            return {};
+          },
+          getTasks: async () => ({ fail: { name: 'Fail', type: 'failing' } })
+        }
+      );
+
+      expect(logFn).toHaveBeenCalledWith(
+        '⚠️  Fail: remove hook failed - boom'
+      );
+      expect(result.removedFiles).toEqual(['tracked.txt']);
+    });
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * Unit tests for the template task type.
+ * Tests the template renderer and rendering project-aware files with tracking.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import { renderTemplate } from '../../src/utils/template-renderer.js';
+import { execute, buildTemplateData } from '../../src/task-types/template.js';
+import { tracksFiles } from '../../src/task-types/index.js';
+import { validateTaskConfig } from '../../src/validation.js';
+
+describe('Template Task Type', () => {
+  describe('renderTemplate', () => {
+    it('should render variables with dotted paths', () => {
+      expect(
+        renderTemplate('{{ name }} uses {{project.type}}.', {
+          name: 'Site',
+          project: { type: 'drupal' }
+        })
+      ).toBe('Site uses drupal.');
+    });
+
+    it('should render if, unless and else blocks', () => {
+      const template = [
+        '{{#if drupal}}',
+        'Drupal',
+        '{{else}}',
+        'Other',
+        '{{/if}}',
+        '{{#unless tools}}',
+        'No tools',
+        '{{/unless}}',
+        ''
+      ].join('\n');
+
+      expect(renderTemplate(template, { drupal: true, tools: [] })).toBe(
+        'Drupal\nNo tools\n'
+      );
+      expect(renderTemplate(template, { drupal: false, tools: ['a'] })).toBe(
+        'Other\n'
+      );
+    });
+
+    it('should loop over lists with this and position variables', () => {
+      const template = [
+        '{{#each files}}',
+        '{{@index}}. {{this.name}}{{#unless @last}},{{/unless}}',
+        '{{else}}',
+        'No files',
+        '{{/each}}',
+        ''
+      ].join('\n');
+
+      expect(
+        renderTemplate(template, { files: [{ name: 'a' }, { name: 'b' }] })
+      ).toBe('0. a,\n1. b\n');
+      expect(renderTemplate(template, { files: [] })).toBe('No files\n');
+    });
+
+    it('should join lists and drop comments', () => {
+      expect(
+        renderTemplate('{{! internal }}Tools: {{tools}}', {
+          tools: ['claude', 'cursor']
+        })
+      ).toBe('Tools: claude, cursor');
+    });
+
+    it('should only look up own properties', () => {
+      expect(() => renderTemplate('{{constructor}}', {})).toThrow(
+        'Unknown template variable "constructor" (line 1)'
+      );
+      expect(() =>
+        renderTemplate('{{title.toString}}', { title: 'Rules' })
+      ).toThrow('Unknown template variable "title.toString" (line 1)');
+      expect(
+        renderTemplate('{{#if __proto__}}yes{{else}}no{{/if}}', {})
+      ).toBe('no');
+      expect(renderTemplate('{{tools.length}}', { tools: ['a', 'b'] })).toBe(
+        '2'
+      );
+    });
+
+    it('should report errors with line numbers', () => {
+      expect(() => renderTemplate('a\n{{missing}}', {})).toThrow(
+        'Unknown template variable "missing" (line 2)'
+      );
+      expect(() => renderTemplate('{{#each items}}\n', {})).toThrow(
+        'Unclosed {{#each}} block (line 1)'
+      );
+      expect(() => renderTemplate('{{/if}}', {})).toThrow(
+        'Unexpected {{/if}} (line 1)'
+      );
+      expect(() => renderTemplate('{{#with item}}{{/with}}', {})).toThrow(
+        'Invalid block {{#with item}} (line 1)'
+      );
+    });
+  });
+
+  describe('buildTemplateData', () => {
+    it('should combine task data, tools, project type and .ai/ files', () => {
+      const data = buildTemplateData(
+        { data: { team: 'Platform', tool: 'ignored' } },
+        'claude',
+        'drupal',
+        {
+          tools: ['claude', 'cursor'],
+          files: [
+            { path: '.ai/rules/testing.md' },
+            { path: 'CLAUDE.md' },
+            '.ai/coding.md'
+          ]
+        }
+      );
+
+      expect(data).toEqual({
+        team: 'Platform',
+        tool: 'claude',
+        tools: ['claude', 'cursor'],
+        projectType: 'drupal',
+        hasTool: { claude: true, cursor: true },
+        isProjectType: { drupal: true },
+        aiFiles: [
+          { path: '.ai/rules/testing.md', name: 'testing', directory: 'rules' },
+          { path: '.ai/coding.md', name: 'coding', directory: '' }
+        ]
+      });
+    });
+
+    it('should fall back to the task tool without project tools', () => {
+      const data = buildTemplateData({}, 'gemini', null, {});
+
+      expect(data.tools).toEqual(['gemini']);
+      expect(data.projectType).toBe('');
+      expect(data.isProjectType).toEqual({});
+    });
+  });
+
+  describe('execute', () => {
+    let testDir;
+    let originalCwd;
+
+    beforeEach(async () => {
+      originalCwd = process.cwd();
+      testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'template-task-'));
+      process.chdir(testDir);
+    });
+
+    afterEach(async () => {
+      process.chdir(originalCwd);
+      await fs.remove(testDir);
+    });
+
+    it('should render the template to the target and track it', async () => {
+      const trackInstalledFile = jest.fn(async (filePath) => ({
+        path: filePath,
+        hash: 'abc'
+      }));
+
+      const result = await execute(
+        {
+          source: 'assets/templates/wrapper.md',
+          target: 'CLAUDE.md',
+          data: { title: 'Claude Instructions' }
+        },
+        'claude',
+        'development',
+        false,
+        {
+          offline: true,
+          config: {
+            tool: 'claude',
+            files: [{ path: '.ai/coding.md' }, { path: '.ai/testing.md' }]
+          },
+          trackInstalledFile
+        }
+      );
+
+      expect(await fs.readFile('CLAUDE.md', 'utf8')).toBe(
+        [
+          '# Claude Instructions',
+          '',
+          '@AGENTS.md',
+          '',
+          'This file imports the standardized AGENTS.md instructions for this project.',
+          '',
+          'Project rules:',
+          '',
+          '- @.ai/coding.md',
+          '- @.ai/testing.md',
+          ''
+        ].join('\n')
+      );
+      expect(result.files).toEqual([{ path: 'CLAUDE.md', hash: 'abc' }]);
+      expect(trackInstalledFile).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep the template name for directory targets', async () => {
+      const result = await execute(
+        {
+          source: 'assets/templates/wrapper.md',
+          target: '.{tool}/',
+          data: { title: 'Instructions' }
+        },
+        'cursor',
+        'development',
+        false,
+        { offline: true, config: { tool: 'cursor' } }
+      );
+
+      expect(result.files).toEqual([
+        { path: path.join('.cursor', 'wrapper.md') }
+      ]);
+      expect(await fs.readFile('.cursor/wrapper.md', 'utf8')).toBe(
+        '# Instructions\n\n@AGENTS.md\n\nThis file imports the standardized AGENTS.md instructions for this project.\n'
+      );
+    });
+
+    it('should name the template when it is invalid', async () => {
+      await expect(
+        execute(
+          { source: 'assets/templates/wrapper.md', target: 'CLAUDE.md' },
+          'claude',
+          null,
+          false,
+          { offline: true, config: {} }
+        )
+      ).rejects.toThrow(
+        'Invalid template assets/templates/wrapper.md: Unknown template variable "title" (line 1)'
+      );
+      expect(await fs.pathExists('CLAUDE.md')).toBe(false);
+    });
+
+    it('should fail when the template does not exist', async () => {
+      await expect(
+        execute(
+          { source: 'assets/templates/missing.md', target: '.' },
+          'claude',
+          null,
+          false,
+          { offline: true, config: {} }
+        )
+      ).rejects.toThrow('Template not found: assets/templates/missing.md');
+    });
+  });
+
+  describe('configuration', () => {
+    it('should track template output like copy-files', () => {
+      expect(tracksFiles('template')).toBe(true);
+      expect(tracksFiles('copy-files')).toBe(true);
+      expect(tracksFiles('package-install')).toBe(false);
+    });
+
+    it('should require source and target and a data mapping', () => {
+      expect(() =>
+        validateTaskConfig({ type: 'template', source: 'a.md' })
+      ).toThrow('Template task requires source and target');
+      expect(() =>
+        validateTaskConfig({
+          type: 'template',
+          source: 'a.md',
+          target: '.',
+          data: ['x']
+        })
+      ).toThrow('Template task data must be a mapping of values');
+      expect(() =>
+        validateTaskConfig({ type: 'template', source: 'a.md', target: '.' })
+      ).not.toThrow();
+    });
+  });
+});
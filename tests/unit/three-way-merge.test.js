@@ -0,0 +1,225 @@
+/**
+ * Unit tests for three-way merging of local edits during update.
+ * Tests the merge utility, base content storage and the update merge helpers.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import {
+  mergeThreeWay,
+  matchLines,
+  CONFLICT_MARKERS
+} from '../../src/utils/three-way-merge.js';
+import {
+  saveBaseContent,
+  readBaseContent,
+  hasBaseContent
+} from '../../src/file-operations.js';
+import { captureLocalEdits, mergeLocalEdits } from '../../src/cli.js';
+
+describe('Three-Way Merge', () => {
+  describe('matchLines', () => {
+    it('should match lines of the longest common subsequence', () => {
+      expect(matchLines(['a', 'b', 'c'], ['a', 'x', 'c'])).toEqual([0, -1, 2]);
+    });
+
+    it('should handle empty input', () => {
+      expect(matchLines([], ['a'])).toEqual([]);
+      expect(matchLines(['a'], [])).toEqual([-1]);
+    });
+  });
+
+  describe('mergeThreeWay', () => {
+    const base = 'line 1\nline 2\nline 3\nline 4\n';
+
+    it('should combine non-overlapping local and upstream changes', () => {
+      const local = 'line 1\nlocal 2\nline 3\nline 4\n';
+      const upstream = 'line 1\nline 2\nline 3\nupstream 4\n';
+
+      const result = mergeThreeWay(base, local, upstream);
+
+      expect(result.clean).toBe(true);
+      expect(result.conflicts).toBe(0);
+      expect(result.content).toBe('line 1\nlocal 2\nline 3\nupstream 4\n');
+    });
+
+    it('should take upstream content when there are no local edits', () => {
+      const upstream = 'line 1\nline 2\nnew line\nline 3\nline 4\n';
+
+      const result = mergeThreeWay(base, base, upstream);
+
+      expect(result.clean).toBe(true);
+      expect(result.content).toBe(upstream);
+    });
+
+    it('should keep local content when upstream did not change', () => {
+      const local = 'line 1\nline 3\nline 4\nmy notes\n';
+
+      const result = mergeThreeWay(base, local, base);
+
+      expect(result.clean).toBe(true);
+      expect(result.content).toBe(local);
+    });
+
+    it('should accept identical changes on both sides', () => {
+      const changed = 'line 1\nsame change\nline 3\nline 4\n';
+
+      const result = mergeThreeWay(base, changed, changed);
+
+      expect(result.clean).toBe(true);
+      expect(result.content).toBe(changed);
+    });
+
+    it('should write git-style conflict markers for overlapping changes', () => {
+      const local = 'line 1\nlocal 2\nline 3\nline 4\n';
+      const upstream = 'line 1\nupstream 2\nline 3\nline 4\n';
+
+      const result = mergeThreeWay(base, local, upstream);
+
+      expect(result.clean).toBe(false);
+      expect(result.conflicts).toBe(1);
+      expect(result.content).toBe(
+        [
+          'line 1',
+          CONFLICT_MARKERS.LOCAL,
+          'local 2',
+          CONFLICT_MARKERS.SEPARATOR,
+          'upstream 2',
+          CONFLICT_MARKERS.UPSTREAM,
+          'line 3',
+          'line 4',
+          ''
+        ].join('\n')
+      );
+    });
+
+    it('should report conflicts when both sides append different lines', () => {
+      const result = mergeThreeWay(
+        'a\n',
+        'a\nlocal\n',
+        'a\nupstream\n'
+      );
+
+      expect(result.conflicts).toBe(1);
+      expect(result.content).toContain('<<<<<<< local\nlocal\n=======');
+    });
+  });
+
+  describe('base content storage', () => {
+    let testDir;
+    let originalCwd;
+
+    beforeEach(async () => {
+      originalCwd = process.cwd();
+      testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'three-way-merge-'));
+      process.chdir(testDir);
+    });
+
+    afterEach(async () => {
+      process.chdir(originalCwd);
+      await fs.remove(testDir);
+    });
+
+    it('should store and read the upstream content of tracked files', async () => {
+      await fs.outputFile('.ai/rules/drupal.md', 'upstream rules');
+
+      const stored = await saveBaseContent([{ path: '.ai/rules/drupal.md' }]);
+
+      expect(stored).toEqual(['.ai/rules/drupal.md']);
+      expect(await hasBaseContent('.ai/rules/drupal.md')).toBe(true);
+      expect(await readBaseContent('.ai/rules/drupal.md')).toBe(
+        'upstream rules'
+      );
+      expect(await fs.readFile('.lullabot-project/.gitignore', 'utf8')).toBe(
+        '*\n'
+      );
+    });
+
+    it('should skip AGENTS.md, missing files and unsafe paths', async () => {
+      await fs.outputFile('AGENTS.md', 'agents');
+
+      const stored = await saveBaseContent([
+        { path: 'AGENTS.md' },
+        { path: '.ai/rules/missing.md' },
+        { path: '../outside.md' }
+      ]);
+
+      expect(stored).toEqual([]);
+      expect(await readBaseContent('AGENTS.md')).toBeNull();
+      expect(await hasBaseContent('../outside.md')).toBe(false);
+    });
+
+    it('should prune base content of files that are no longer tracked', async () => {
+      await fs.outputFile('.ai/rules/old.md', 'old');
+      await saveBaseContent([{ path: '.ai/rules/old.md' }]);
+
+      await fs.outputFile('.ai/rules/new.md', 'new');
+      await saveBaseContent([{ path: '.ai/rules/new.md' }]);
+
+      expect(await hasBaseContent('.ai/rules/old.md')).toBe(false);
+      expect(await hasBaseContent('.ai/rules/new.md')).toBe(true);
+    });
+
+    it('should merge local edits back into updated files', async () => {
+      const filePath = '.ai/rules/drupal.md';
+      await fs.outputFile(filePath, 'intro\nrule A\nrule B\n');
+      await saveBaseContent([{ path: filePath }]);
+
+      // Developer edits the rule file locally
+      await fs.writeFile(filePath, 'intro\nrule A (team tweak)\nrule B\n');
+
+      const dependencies = {
+        fs,
+        readBaseContent,
+        checkFileChanges: jest.fn().mockResolvedValue([
+          { path: filePath, originalHash: 'old', currentHash: 'new' }
+        ])
+      };
+      const localEdits = await captureLocalEdits({ files: [] }, dependencies);
+      expect(localEdits).toHaveLength(1);
+
+      // Update rewrites the file with new upstream content
+      await fs.writeFile(filePath, 'intro\nrule A\nrule B\nrule C\n');
+
+      const merges = await mergeLocalEdits(localEdits, dependencies);
+
+      expect(merges.merged).toEqual([filePath]);
+      expect(merges.conflicted).toEqual([]);
+      expect(await fs.readFile(filePath, 'utf8')).toBe(
+        'intro\nrule A (team tweak)\nrule B\nrule C\n'
+      );
+    });
+
+    it('should report conflicted files', async () => {
+      const filePath = '.ai/rules/drupal.md';
+      const localEdits = [
+        { path: filePath, base: 'rule A\n', local: 'rule A (local)\n' }
+      ];
+      await fs.outputFile(filePath, 'rule A (upstream)\n');
+
+      const merges = await mergeLocalEdits(localEdits, { fs });
+
+      expect(merges.merged).toEqual([]);
+      expect(merges.conflicted).toEqual([{ path: filePath, conflicts: 1 }]);
+      expect(await fs.readFile(filePath, 'utf8')).toContain(
+        CONFLICT_MARKERS.LOCAL
+      );
+    });
+
+    it('should not capture missing files or files without a base', async () => {
+      const dependencies = {
+        fs,
+        readBaseContent,
+        checkFileChanges: jest.fn().mockResolvedValue([
+          { path: 'gone.md', originalHash: 'a', currentHash: null },
+          { path: 'no-base.md', originalHash: 'a', currentHash: 'b' }
+        ])
+      };
+
+      const localEdits = await captureLocalEdits({ files: [] }, dependencies);
+
+      expect(localEdits).toEqual([]);
+    });
+  });
+});
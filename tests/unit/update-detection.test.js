@@ -0,0 +1,136 @@
+/**
+ * Unit tests for update detection.
+ * Tests the reasons update gives for running: a new tool version, new
+ * upstream commits in locked sources and tasks added to or removed from the
+ * configuration.
+ */
+
+import {
+  getUpdateReasons,
+  displayUpdateSummary
+} from '../../src/cli.js';
+
+const chalk = new Proxy({}, { get: () => (text) => text });
+
+const currentConfig = {
+  project: { type: 'development', tool: 'claude' },
+  features: { taskPreferences: { rules: true, wrapper: false, legacy: true } },
+  installation: { toolVersion: '4.4.0' }
+};
+
+const lockEntry = (overrides = {}) => ({
+  repository: 'https://github.com/Lullabot/prompt_library',
+  ref: 'main',
+  commit: 'a'.repeat(40),
+  source: 'development/rules/',
+  ...overrides
+});
+
+describe('Update Detection', () => {
+  let dependencies;
+
+  beforeEach(() => {
+    dependencies = {
+      getToolVersion: jest.fn().mockResolvedValue('4.4.0'),
+      getTasks: jest.fn().mockResolvedValue({ rules: {}, wrapper: {} }),
+      readLockFile: jest.fn().mockResolvedValue({
+        sources: [
+          lockEntry(),
+          lockEntry({ source: 'development/agents/' })
+        ]
+      }),
+      getRemoteCommit: jest.fn().mockResolvedValue('a'.repeat(40)),
+      chalk,
+      logFn: jest.fn()
+    };
+  });
+
+  it('should find nothing when the setup matches upstream', async () => {
+    const config = {
+      ...currentConfig,
+      features: { taskPreferences: { rules: true, wrapper: false } }
+    };
+
+    expect(await getUpdateReasons(config, {}, {}, dependencies)).toEqual([]);
+  });
+
+  it('should report new commits in locked sources once per repository and ref', async () => {
+    dependencies.getRemoteCommit.mockResolvedValue('b'.repeat(40));
+
+    const reasons = await getUpdateReasons(
+      currentConfig,
+      {},
+      {},
+      dependencies
+    );
+
+    expect(dependencies.getRemoteCommit).toHaveBeenCalledTimes(1);
+    expect(dependencies.getRemoteCommit).toHaveBeenCalledWith(
+      'https://github.com/Lullabot/prompt_library',
+      'main'
+    );
+    expect(reasons[0]).toEqual({
+      type: 'upstream',
+      repository: 'https://github.com/Lullabot/prompt_library',
+      ref: 'main',
+      previousCommit: 'a'.repeat(40),
+      commit: 'b'.repeat(40),
+      message:
+        'https://github.com/Lullabot/prompt_library (main) has new commits: aaaaaaa → bbbbbbb'
+    });
+  });
+
+  it('should report tool version changes and added or removed tasks', async () => {
+    dependencies.getToolVersion.mockResolvedValue('4.5.0');
+    dependencies.getTasks.mockResolvedValue({
+      rules: {},
+      wrapper: {},
+      'vscode-xdebug': {}
+    });
+
+    const reasons = await getUpdateReasons(
+      currentConfig,
+      {},
+      {},
+      dependencies
+    );
+
+    expect(reasons.map(({ message }) => message)).toEqual([
+      'lullabot-project 4.4.0 → 4.5.0',
+      'New tasks available: vscode-xdebug',
+      'Tasks no longer in the configuration: legacy'
+    ]);
+  });
+
+  it('should skip remote sources that cannot be reached or with --offline', async () => {
+    dependencies.getRemoteCommit.mockRejectedValue(new Error('no network'));
+
+    const reasons = await getUpdateReasons(
+      currentConfig,
+      {},
+      { verbose: true },
+      dependencies
+    );
+    expect(reasons.map(({ type }) => type)).toEqual(['tasks-removed']);
+    expect(dependencies.logFn).toHaveBeenCalledWith(
+      'Warning: Could not check https://github.com/Lullabot/prompt_library for new commits: no network'
+    );
+
+    dependencies.getRemoteCommit.mockClear();
+    await getUpdateReasons(currentConfig, {}, { offline: true }, dependencies);
+    expect(dependencies.getRemoteCommit).not.toHaveBeenCalled();
+  });
+
+  it('should say why the update ran in the summary', () => {
+    const logFn = jest.fn();
+
+    displayUpdateSummary([], { chalk, logFn }, null, null, [
+      { type: 'tasks-added', message: 'New tasks available: vscode-xdebug' }
+    ]);
+
+    expect(logFn).toHaveBeenCalledWith('\n🔎 Why an update is needed:');
+    expect(logFn).toHaveBeenCalledWith(
+      '  • New tasks available: vscode-xdebug'
+    );
+  });
+});
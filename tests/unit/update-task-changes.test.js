@@ -0,0 +1,198 @@
+/**
+ * Unit tests for task changes during update.
+ * Tests offering tasks added since install, honouring --all-tasks and
+ * --tasks, and deleting the files of tasks that no longer exist.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import yaml from 'js-yaml';
+import { updateSetup, getRetiredTasks } from '../../src/cli.js';
+import {
+  createConfigFile,
+  readConfigFile
+} from '../../src/file-operations.js';
+import { readLockFile, writeLockFile } from '../../src/lockfile.js';
+
+const chalk = new Proxy({}, { get: () => (text) => text });
+
+const tasks = {
+  rules: { name: 'Rules', type: 'copy-files', target: '.ai/' },
+  'vscode-xdebug': {
+    name: 'VSCode XDebug',
+    type: 'copy-files',
+    target: '.vscode/'
+  }
+};
+
+describe('Update Task Changes', () => {
+  let testDir;
+  let originalCwd;
+  let logFn;
+  let executeTask;
+  let selectTaskPreferences;
+  let confirmAction;
+
+  const dependencies = () => ({
+    readConfigFile,
+    createConfigFile,
+    loadConfig: jest.fn().mockResolvedValue({ shared_tasks: {} }),
+    getTasks: jest.fn().mockResolvedValue(tasks),
+    getToolVersion: jest.fn().mockResolvedValue('4.4.0'),
+    executeTask,
+    selectTaskPreferences,
+    confirmAction,
+    fs,
+    path,
+    chalk,
+    logFn
+  });
+
+  beforeEach(async () => {
+    originalCwd = process.cwd();
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'update-tasks-'));
+    process.chdir(testDir);
+    logFn = jest.fn();
+    selectTaskPreferences = jest.fn(async (_options, newTasks) =>
+      Object.fromEntries(Object.keys(newTasks).map((taskId) => [taskId, true]))
+    );
+    confirmAction = jest.fn().mockResolvedValue(true);
+
+    executeTask = jest.fn(async (task) => {
+      const filePath =
+        task.target === '.vscode/' ? '.vscode/launch.json' : '.ai/rules.md';
+      await fs.outputFile(filePath, `${task.name} content`);
+      return { files: [{ path: filePath }] };
+    });
+
+    await fs.outputFile('.ai/rules.md', 'Rules content');
+    await fs.outputFile('.ai/memory.md', 'memory');
+    await fs.writeFile(
+      '.lullabot-project.yml',
+      yaml.dump({
+        project: { type: 'development', tool: 'claude' },
+        features: { taskPreferences: { rules: true, 'memory-bank': true } },
+        installation: {
+          created: '2026-01-01T00:00:00.000Z',
+          toolVersion: '4.4.0'
+        },
+        files: [
+          { path: '.ai/rules.md', task: 'rules' },
+          { path: '.ai/memory.md', task: 'memory-bank' }
+        ]
+      })
+    );
+  });
+
+  afterEach(async () => {
+    process.chdir(originalCwd);
+    await fs.remove(testDir);
+  });
+
+  it('should find retired tasks in preferences and tracked files', () => {
+    expect(
+      getRetiredTasks(
+        {
+          features: { taskPreferences: { rules: true, legacy: false } },
+          files: [{ path: 'a.md', task: 'old-agents' }, { path: 'b.md' }]
+        },
+        tasks
+      )
+    ).toEqual(['legacy', 'old-agents']);
+  });
+
+  it('should offer new tasks and run the ones that are enabled', async () => {
+    await updateSetup({}, dependencies());
+
+    expect(Object.keys(selectTaskPreferences.mock.calls[0][1])).toEqual([
+      'vscode-xdebug'
+    ]);
+    expect(executeTask).toHaveBeenCalledTimes(2);
+    expect(await fs.pathExists('.vscode/launch.json')).toBe(true);
+
+    const config = await readConfigFile();
+    expect(config.features.taskPreferences).toEqual({
+      rules: true,
+      'vscode-xdebug': true
+    });
+    expect(logFn).toHaveBeenCalledWith('\n🆕 New tasks are available:');
+    expect(logFn).toHaveBeenCalledWith('\n🆕 Tasks added:');
+  });
+
+  it('should pass --tasks to the selection without announcing a prompt', async () => {
+    selectTaskPreferences.mockResolvedValue({ 'vscode-xdebug': false });
+
+    await updateSetup({ tasks: 'rules' }, dependencies());
+
+    expect(selectTaskPreferences.mock.calls[0][0]).toEqual({ tasks: 'rules' });
+    expect(logFn).not.toHaveBeenCalledWith('\n🆕 New tasks are available:');
+    expect(executeTask).toHaveBeenCalledTimes(1);
+    expect(
+      (await readConfigFile()).features.taskPreferences['vscode-xdebug']
+    ).toBe(false);
+  });
+
+  it('should delete the files of retired tasks after confirming', async () => {
+    await updateSetup({}, dependencies());
+
+    expect(confirmAction).toHaveBeenCalledWith('Delete these files?', true);
+    expect(await fs.pathExists('.ai/memory.md')).toBe(false);
+    expect(logFn).toHaveBeenCalledWith('  • .ai/memory.md');
+
+    const config = await readConfigFile();
+    expect(config.features.taskPreferences).not.toHaveProperty('memory-bank');
+    expect(config.files.map((file) => file.path)).toEqual([
+      '.ai/rules.md',
+      '.vscode/launch.json'
+    ]);
+  });
+
+  it('should keep retired files when deletion is declined', async () => {
+    confirmAction.mockResolvedValue(false);
+
+    await updateSetup({}, dependencies());
+
+    expect(await fs.pathExists('.ai/memory.md')).toBe(true);
+    const config = await readConfigFile();
+    expect(config.features.taskPreferences).not.toHaveProperty('memory-bank');
+    expect(config.files.map((file) => file.path)).not.toContain(
+      '.ai/memory.md'
+    );
+    expect(logFn).toHaveBeenCalledWith('\nℹ️  Kept and no longer tracked:');
+  });
+
+  it('should drop the locked sources of retired tasks', async () => {
+    confirmAction.mockResolvedValue(false);
+    const lockEntry = (source, task) => ({
+      repository: 'https://github.com/Lullabot/prompt_library',
+      ref: 'main',
+      commit: 'a'.repeat(40),
+      source,
+      target: '.ai/',
+      files: {},
+      task
+    });
+    await writeLockFile({
+      sources: [lockEntry('memory/', 'memory-bank'), lockEntry('rules/', 'rules')]
+    });
+
+    await updateSetup({}, { ...dependencies(), readLockFile, writeLockFile });
+
+    expect((await readLockFile()).sources).toEqual([
+      lockEntry('rules/', 'rules')
+    ]);
+  });
+
+  it('should only describe task changes in a dry run', async () => {
+    await updateSetup({ dryRun: true }, dependencies());
+
+    expect(selectTaskPreferences).not.toHaveBeenCalled();
+    expect(confirmAction).not.toHaveBeenCalled();
+    expect(logFn).toHaveBeenCalledWith('• Offer new tasks: vscode-xdebug');
+    expect(logFn).toHaveBeenCalledWith(
+      '  - .ai/memory.md (asks before deleting)'
+    );
+    expect(await fs.pathExists('.ai/memory.md')).toBe(true);
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Unit tests for project validation rules.
+ * Tests regex, JSON/YAML path, version, "any of" and negative rules, and the
+ * version constraint helpers they use.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import { evaluateValidationRules } from '../../src/validation.js';
+import {
+  satisfiesVersion,
+  getMinimumVersion
+} from '../../src/utils/version-constraints.js';
+
+describe('Validation Rules', () => {
+  let testDir;
+
+  const write = (file, content) =>
+    fs.outputFile(path.join(testDir, file), content);
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'validation-rules-'));
+    await write(
+      'composer.json',
+      JSON.stringify({
+        name: 'acme/site',
+        require: { 'drupal/core-recommended': '^10.3', php: '>=8.1' }
+      })
+    );
+    await write('.ddev/config.yaml', 'name: acme\nphp_version: "8.3"\n');
+  });
+
+  afterEach(async () => {
+    await fs.remove(testDir);
+  });
+
+  describe('satisfiesVersion', () => {
+    it.each([
+      ['10.3.0', '^10 || ^11', true],
+      ['9.5.11', '^10 || ^11', false],
+      ['11.0.0', '>=10.1 <12', true],
+      ['12.0.0', '>=10.1, <12', false],
+      ['10.2.5', '~10.2.0', true],
+      ['10.3.0', '~10.2.0', false],
+      ['10.9.9', '10.*', true],
+      ['0.2.3', '^0.2', true],
+      ['0.3.0', '^0.2', false],
+      ['8.1.0', '8.1.0', true],
+      ['1.0.0', '*', true]
+    ])('%s satisfies %s: %s', (version, range, expected) => {
+      expect(satisfiesVersion(version, range)).toBe(expected);
+    });
+
+    it('should reject invalid constraints', () => {
+      expect(() => satisfiesVersion('1.0.0', '^banana')).toThrow(
+        'Invalid version constraint: ^banana'
+      );
+    });
+  });
+
+  describe('getMinimumVersion', () => {
+    it('should return the lowest version a constraint allows', () => {
+      expect(getMinimumVersion('^10.3')).toBe('10.3.0');
+      expect(getMinimumVersion('^11 || ^10.2')).toBe('10.2.0');
+      expect(getMinimumVersion('>=8.1 <9')).toBe('8.1.0');
+      expect(getMinimumVersion('dev-main')).toBeNull();
+    });
+  });
+
+  describe('evaluateValidationRules', () => {
+    it('should pass JSON path version rules and record the evidence', async () => {
+      const result = await evaluateValidationRules(
+        {
+          jsonPaths: {
+            'composer.json': {
+              'require.drupal/core-recommended': '^10 || ^11',
+              name: { matches: '^acme/' }
+            }
+          }
+        },
+        testDir
+      );
+
+      expect(result.issues).toEqual([]);
+      expect(result.passed.map(({ message }) => message)).toEqual([
+        'composer.json require.drupal/core-recommended (^10.3) satisfies ^10 || ^11',
+        'composer.json name is "acme/site"'
+      ]);
+    });
+
+    it('should explain failing JSON and YAML path rules', async () => {
+      const { issues } = await evaluateValidationRules(
+        {
+          jsonPaths: {
+            'composer.json': {
+              'require.drupal/core-recommended': '^11',
+              'require.drush/drush': true,
+              name: { equals: 'acme/other' }
+            }
+          },
+          yamlPaths: {
+            '.ddev/config.yaml': { php_version: { version: '>=8.4' } }
+          }
+        },
+        testDir
+      );
+
+      expect(issues).toEqual([
+        'composer.json require.drupal/core-recommended is "^10.3", which does not satisfy ^11',
+        'Missing require.drush/drush in composer.json',
+        'composer.json name is "acme/site", expected "acme/other"',
+        '.ddev/config.yaml php_version is "8.3", which does not satisfy >=8.4'
+      ]);
+    });
+
+    it('should match content against regular expressions', async () => {
+      const { issues, passed } = await evaluateValidationRules(
+        {
+          contentMatches: {
+            'composer.json': ['/DRUPAL\\/CORE/i', '"symfony/.*"']
+          }
+        },
+        testDir
+      );
+
+      expect(passed[0].message).toBe('composer.json matches /DRUPAL\\/CORE/i');
+      expect(issues).toEqual([
+        'Content in composer.json does not match /"symfony\\/.*"/'
+      ]);
+    });
+
+    it('should report negative rules', async () => {
+      await write('web/core/install.php', '');
+
+      const { issues } = await evaluateValidationRules(
+        {
+          forbiddenFiles: ['web/core', 'docroot'],
+          forbiddenContent: { 'composer.json': ['drupal/core', 'wordpress'] }
+        },
+        testDir
+      );
+
+      expect(issues).toEqual([
+        'File must not exist: web/core',
+        'Forbidden content found in composer.json: drupal/core'
+      ]);
+    });
+
+    it('should require at least one file of each glob group', async () => {
+      const { issues, passed } = await evaluateValidationRules(
+        {
+          requiredAnyOf: [
+            ['.ddev/*.yaml', '.lando.yml'],
+            ['web/core', 'docroot/core']
+          ]
+        },
+        testDir
+      );
+
+      expect(passed).toEqual([
+        { kind: 'requiredAnyOf', message: '.ddev/config.yaml found' }
+      ]);
+      expect(issues).toEqual([
+        'None of these files found: web/core, docroot/core'
+      ]);
+    });
+
+    it('should report missing and unparsable files', async () => {
+      await write('broken.json', '{ not json');
+
+      const { issues } = await evaluateValidationRules(
+        {
+          jsonPaths: { 'package.json': { name: true }, 'broken.json': {} }
+        },
+        testDir
+      );
+
+      expect(issues[0]).toBe(
+        'Cannot check content in missing file: package.json'
+      );
+      expect(issues[1]).toMatch(/^Cannot parse broken\.json: /);
+    });
+
+    it('should keep the existing file and content rules', async () => {
+      const result = await evaluateValidationRules(
+        {
+          requiredFiles: ['composer.json', '.git'],
+          requiredContent: { 'composer.json': 'drupal/core' },
+          optionalFiles: ['README.md']
+        },
+        testDir
+      );
+
+      expect(result.issues).toEqual(['Missing required file: .git']);
+      expect(result.warnings).toEqual(['Optional file not found: README.md']);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Unit tests for the yaml-merge task type.
+ * Tests merging YAML fragments below a path, keeping unrelated keys, and
+ * touching only the managed keys on update and remove.
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import yaml from 'js-yaml';
+import { fileURLToPath } from 'url';
+
+const mockReadFileFromGit = jest.fn();
+
+// Fragments are served by the mock instead of the tool's repository
+jest.unstable_mockModule(
+  fileURLToPath(new URL('../../src/git-operations.js', import.meta.url)),
+  () => ({
+    readFileFromGit: mockReadFileFromGit
+  })
+);
+
+const { execute } = await import('../../src/task-types/yaml-merge.js');
+const { revertMergedFile } = await import(
+  '../../src/task-types/structured-merge.js'
+);
+const { validateTaskConfig } = await import('../../src/validation.js');
+
+const DDEV_CONFIG = `# DDEV project
+name: my-site
+type: drupal10
+hooks:
+  post-start:
+    - exec: drush cr
+`;
+
+const task = {
+  type: 'yaml-merge',
+  source: 'assets/ddev/hooks.yml',
+  target: '.ddev/config.yaml',
+  path: 'hooks.post-start'
+};
+
+describe('YAML Merge Task Type', () => {
+  let testDir;
+  let originalCwd;
+
+  beforeEach(async () => {
+    originalCwd = process.cwd();
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'yaml-merge-'));
+    process.chdir(testDir);
+
+    mockReadFileFromGit.mockReset();
+    mockReadFileFromGit.mockResolvedValue(
+      'xdebug:\n  - exec: enable_xdebug\n'
+    );
+    await fs.outputFile('.ddev/config.yaml', DDEV_CONFIG);
+  });
+
+  afterEach(async () => {
+    process.chdir(originalCwd);
+    await fs.remove(testDir);
+  });
+
+  const readYaml = async (filePath) =>
+    yaml.load(await fs.readFile(filePath, 'utf8'));
+
+  it('should insert the fragment below the path and keep other keys', async () => {
+    const result = await execute(
+      { ...task, path: 'hooks' },
+      'claude',
+      null,
+      false,
+      {}
+    );
+
+    expect(await readYaml('.ddev/config.yaml')).toEqual({
+      name: 'my-site',
+      type: 'drupal10',
+      hooks: {
+        'post-start': [{ exec: 'drush cr' }],
+        xdebug: [{ exec: 'enable_xdebug' }]
+      }
+    });
+    expect(result.files).toEqual([
+      {
+        path: path.join('.ddev', 'config.yaml'),
+        merged: [{ path: ['hooks', 'xdebug'] }],
+        preExisting: true
+      }
+    ]);
+  });
+
+  it('should refresh the managed keys on update', async () => {
+    const hooksTask = { ...task, path: ['hooks'] };
+    mockReadFileFromGit.mockResolvedValue('xdebug: true\n');
+    const [first] = (await execute(hooksTask, 'claude', null, false, {}))
+      .files;
+    expect(first.merged).toEqual([{ path: ['hooks', 'xdebug'] }]);
+
+    // Upstream renames the key; the old one is taken out
+    mockReadFileFromGit.mockResolvedValue('xdebug_enabled: true\n');
+    const [second] = (
+      await execute(hooksTask, 'claude', null, false, {
+        previousFiles: [first]
+      })
+    ).files;
+
+    expect((await readYaml('.ddev/config.yaml')).hooks).toEqual({
+      'post-start': [{ exec: 'drush cr' }],
+      xdebug_enabled: true
+    });
+    expect(second.merged).toEqual([{ path: ['hooks', 'xdebug_enabled'] }]);
+    expect(second.preExisting).toBe(true);
+  });
+
+  it('should take out only the managed keys on remove', async () => {
+    mockReadFileFromGit.mockResolvedValue(
+      'web_environment:\n  - XDEBUG_MODE=debug\nhooks:\n  post-start:\n    - exec: enable_xdebug\n'
+    );
+    const [fileInfo] = (
+      await execute(
+        { ...task, path: undefined, arrays: 'append' },
+        'claude',
+        null,
+        false,
+        {}
+      )
+    ).files;
+    expect(fileInfo.merged).toEqual([
+      { path: ['web_environment'] },
+      { path: ['hooks', 'post-start'], item: { exec: 'enable_xdebug' } }
+    ]);
+
+    expect(await revertMergedFile(fileInfo)).toBe('reverted');
+    expect(await readYaml('.ddev/config.yaml')).toEqual(yaml.load(DDEV_CONFIG));
+  });
+
+  it('should leave unchanged files alone so comments survive', async () => {
+    mockReadFileFromGit.mockResolvedValue('name: other\n');
+
+    const result = await execute(
+      { ...task, path: undefined },
+      'claude',
+      null,
+      false,
+      {}
+    );
+
+    expect(result.files[0].merged).toEqual([]);
+    expect(await fs.readFile('.ddev/config.yaml', 'utf8')).toBe(DDEV_CONFIG);
+  });
+
+  it('should record the format of files without a YAML extension', async () => {
+    const [fileInfo] = (
+      await execute(
+        { ...task, target: '.clang-format', path: undefined },
+        'claude',
+        null,
+        false,
+        {}
+      )
+    ).files;
+
+    expect(fileInfo.format).toBe('yaml');
+    expect(await revertMergedFile(fileInfo)).toBe('removed');
+    expect(await fs.pathExists('.clang-format')).toBe(false);
+  });
+
+  it('should report invalid YAML with the file name', async () => {
+    await fs.outputFile('.ddev/config.yaml', 'name: [unclosed\n');
+
+    await expect(execute(task, 'claude', null, false, {})).rejects.toThrow(
+      /^Invalid YAML in \.ddev\/config\.yaml:/
+    );
+  });
+
+  it('should validate the path option', () => {
+    expect(() => validateTaskConfig(task)).not.toThrow();
+    expect(() =>
+      validateTaskConfig({ ...task, path: ['hooks', 'post-start'] })
+    ).not.toThrow();
+    expect(() => validateTaskConfig({ ...task, path: { hooks: 1 } })).toThrow(
+      'YAML merge task path must be a dotted string or a list of keys'
+    );
+  });
+});